@@ -0,0 +1,35 @@
+/**
+ * Self-Referential Documentation Framework
+ *
+ * Programmatic entry point. Requiring this module has no side effects;
+ * every engine takes { projectRoot, docsPath, logger, format } options so it
+ * can run against any docs tree and report through the caller's logger.
+ */
+
+const SelfReferentialValidator = require('./scripts/validate-structure');
+const SelfAssessmentEngine = require('./scripts/self-assess');
+const EvolutionTriggerSystem = require('./scripts/evolution-triggers');
+const MasterOrchestrator = require('./scripts/orchestrate');
+const FreshnessReport = require('./scripts/freshness-report');
+const UsageReport = require('./scripts/usage-report');
+const StructuredOutput = require('./scripts/lib/structured-output');
+const HealthSignals = require('./scripts/lib/health-signals');
+const RunHistory = require('./scripts/lib/run-history');
+const ContentFreshness = require('./scripts/lib/content-freshness');
+const EvolutionProposals = require('./scripts/lib/evolution-proposals');
+const UsageAnalytics = require('./scripts/lib/usage-analytics');
+
+module.exports = {
+  SelfReferentialValidator,
+  SelfAssessmentEngine,
+  EvolutionTriggerSystem,
+  MasterOrchestrator,
+  FreshnessReport,
+  UsageReport,
+  StructuredOutput,
+  HealthSignals,
+  RunHistory,
+  ContentFreshness,
+  EvolutionProposals,
+  UsageAnalytics
+};
@@ -9,13 +9,75 @@
 
 const fs = require('fs');
 const path = require('path');
+const HealthSignals = require('./lib/health-signals');
+const ContentFreshness = require('./lib/content-freshness');
+const UsageAnalytics = require('./lib/usage-analytics');
+const EvolutionProposals = require('./lib/evolution-proposals');
+const TriggerRules = require('./lib/trigger-rules');
+const TriggerHistory = require('./lib/trigger-history');
+const StructuredOutput = require('./lib/structured-output');
+const { getOption, getPathOption, hasFlag } = require('./lib/cli');
+const { parseFrontMatter } = require('./lib/front-matter');
+const { toPosix } = require('./lib/glob');
+const { createUnifiedDiff } = require('./lib/unified-diff');
+const { readAssessmentResults } = require('./lib/assessment-results');
+const { getMetadata, INACTIVE_STATUSES } = require('./lib/document-metadata');
+
+// Actions triggers can name, and the methods that carry them out
+const ACTIONS = {
+  review_old_documents: 'reviewOldDocuments',
+  enhance_poor_documents: 'enhancePoorDocuments',
+  promote_least_accessed: 'promoteLeastAccessed',
+  improve_system_health: 'improveSystemHealth',
+  experiment_new_formats: 'experimentNewFormats'
+};
+
+// Formats the interactive examples experiment page plans to try
+const PLANNED_EXPERIMENTS = [
+  'Click-to-run code examples',
+  'Interactive decision trees',
+  'Real-time feedback forms',
+  'Collaborative annotation system'
+];
 
 class EvolutionTriggerSystem {
-  constructor() {
-    this.docsPath = path.join(__dirname, '..', 'docs');
-    this.triggersPath = path.join(__dirname, '..', 'docs', 'evolution', 'triggers');
+  constructor(options = {}) {
+    this.projectRoot = options.projectRoot || path.join(__dirname, '..');
+    this.docsPath = options.docsPath || path.join(this.projectRoot, 'docs');
+    this.triggerRules = options.triggerRules ||
+      TriggerRules.load(this.projectRoot, { file: options.triggersFile, actions: Object.keys(ACTIONS) });
+    this.suppressedTriggers = [];
+    this.resolvedTriggers = [];
+    this.triggersPath = options.triggersPath || path.join(this.docsPath, 'evolution', 'triggers');
+    this.logger = options.logger || console;
+    this.output = new StructuredOutput('evolution-triggers', options.format, this.logger);
     this.triggerHistory = this.loadTriggerHistory();
     this.activeTriggers = [];
+    this.freshness = new ContentFreshness({ projectRoot: this.projectRoot, docsPath: this.docsPath });
+    this.healthSignals = new HealthSignals({
+      projectRoot: this.projectRoot,
+      docsPath: this.docsPath,
+      historyFile: path.join(this.triggersPath, 'history.json'),
+      freshness: this.freshness
+    });
+    this.healthProvenance = {};
+    this.usage = new UsageAnalytics({ projectRoot: this.projectRoot, docsPath: this.docsPath });
+    this.usageProvenance = null;
+    // Written by self-assess.js
+    this.assessmentFile = options.assessmentFile || path.join(this.triggersPath, 'latest-assessment.json');
+    this.assessmentResults = null;
+    this.assessmentProvenance = null;
+    this.brokenLinks = [];
+    // Document changes are proposed for review, never written directly
+    this.proposals = new EvolutionProposals({
+      projectRoot: this.projectRoot,
+      docsPath: this.docsPath,
+      proposalsPath: options.proposalsPath
+    });
+    this.currentTrigger = null;
+    // Dry runs only collect the changes evolutions would make
+    this.dryRun = Boolean(options.dryRun);
+    this.plannedChanges = [];
   }
 
   /**
@@ -28,7 +90,7 @@ class EvolutionTriggerSystem {
    */
 
   async monitorAndEvolve() {
-    console.log('🔄 Starting Evolution Trigger System...\n');
+    this.log('🔄 Starting Evolution Trigger System...\n');
 
     // Planner: Analyze current state and patterns
     const analysis = await this.analyzeSystemState();
@@ -36,8 +98,14 @@ class EvolutionTriggerSystem {
     // Identify evolution opportunities
     const opportunities = this.identifyEvolutionOpportunities(analysis);
 
+    if (this.dryRun) {
+      return this.previewEvolutions(analysis, opportunities);
+    }
+
     // Maker: Generate and implement improvements
     await this.implementEvolutions(opportunities);
+    // Fingerprints may have resolved even when nothing fired
+    this.saveTriggerHistory();
 
     // Checker: Validate evolution effectiveness
     this.validateEvolutions();
@@ -47,29 +115,61 @@ class EvolutionTriggerSystem {
 
     // Orchestrator: Coordinate next evolution cycle
     this.scheduleNextEvolution();
+
+    const report = this.createReport(analysis);
+    this.output.emit(report);
+    return report;
+  }
+
+  /**
+   * Run every evolution without writing anything and report the files each
+   * would change as unified diffs. The report fails when high-priority
+   * opportunities exist, so a dry run can gate pull requests.
+   */
+  async previewEvolutions(analysis, opportunities) {
+    await this.implementEvolutions(opportunities);
+
+    const highPriority = opportunities.filter(opportunity => opportunity.priority === 'high');
+    const files = [...new Set(this.plannedChanges.map(change => change.file))];
+
+    this.log('=== Evolution Dry Run ===');
+    this.log(`Files That Would Change: ${files.length} (dry run, nothing written)`);
+    files.forEach(file => {
+      const proposed = this.plannedChanges.some(change => change.file === file && change.kind === 'proposal');
+      this.log(`  - ${file}${proposed ? ' (as a proposal)' : ''}`);
+    });
+    this.log(`High-Priority Opportunities: ${highPriority.length}`);
+    highPriority.forEach(opportunity => {
+      this.log(`  - ${opportunity.description} (${(opportunity.targets || []).length} targets)`);
+    });
+
+    const report = this.createReport(analysis, highPriority);
+    this.output.emit(report);
+    return report;
+  }
+
+  log(...args) {
+    this.output.log(...args);
   }
 
   loadTriggerHistory() {
-    const historyFile = path.join(this.triggersPath, 'history.json');
-    if (fs.existsSync(historyFile)) {
-      return JSON.parse(fs.readFileSync(historyFile, 'utf8'));
-    }
-    return { triggers: [], evolutions: [] };
+    return TriggerHistory.load(path.join(this.triggersPath, 'history.json'));
   }
 
   saveTriggerHistory() {
-    const historyFile = path.join(this.triggersPath, 'history.json');
-    fs.writeFileSync(historyFile, JSON.stringify(this.triggerHistory, null, 2));
+    if (this.dryRun) return;
+
+    this.triggerHistory.save();
   }
 
   async analyzeSystemState() {
-    console.log('📊 Analyzing system state...');
+    this.log('📊 Analyzing system state...');
 
     const analysis = {
       documentStats: await this.getDocumentStats(),
       usagePatterns: await this.getUsagePatterns(),
       assessmentResults: await this.getAssessmentResults(),
-      systemHealth: this.getSystemHealth()
+      systemHealth: await this.getSystemHealth()
     };
 
     return analysis;
@@ -82,7 +182,15 @@ class EvolutionTriggerSystem {
       averageSize: 0,
       oldestDocument: null,
       newestDocument: null,
-      documentsByCategory: {}
+      documentsByCategory: {},
+      documentsByStatus: {},
+      documentsByOwner: {},
+      documentsByTag: {},
+      staleDocuments: this.freshness.analyze().stale.map(document => document.file),
+      documents: []
+    };
+    const count = (group, key) => {
+      group[key] = (group[key] || 0) + 1;
     };
 
     let totalSize = 0;
@@ -91,16 +199,34 @@ class EvolutionTriggerSystem {
 
     for (const file of files) {
       const content = fs.readFileSync(file, 'utf8');
-      const stat = fs.statSync(file);
+      const { metadata, lastReviewed, freshness } = this.getDocumentInfo(file, content);
 
       totalSize += content.length;
-      oldestTime = Math.min(oldestTime, stat.mtime.getTime());
-      newestTime = Math.max(newestTime, stat.mtime.getTime());
-
-      // Categorize by directory
-      const relativePath = path.relative(this.docsPath, file);
-      const category = relativePath.split(path.sep)[0];
-      stats.documentsByCategory[category] = (stats.documentsByCategory[category] || 0) + 1;
+      if (!INACTIVE_STATUSES.includes(metadata.status)) {
+        oldestTime = Math.min(oldestTime, lastReviewed.getTime());
+      }
+      newestTime = Math.max(newestTime, lastReviewed.getTime());
+
+      // Categorize by directory, and by front matter status, owner and tags
+      const relativePath = toPosix(path.relative(this.docsPath, file));
+      const category = relativePath.split('/')[0];
+      count(stats.documentsByCategory, category);
+      count(stats.documentsByStatus, metadata.status || 'unspecified');
+      count(stats.documentsByOwner, metadata.owner || 'unowned');
+      metadata.tags.forEach(tag => count(stats.documentsByTag, tag));
+
+      // What document-scoped trigger conditions see as `docs`
+      stats.documents.push({
+        file: relativePath,
+        category,
+        status: metadata.status,
+        owner: metadata.owner,
+        tags: metadata.tags,
+        stale: freshness ? freshness.stale : false,
+        ageDays: freshness ? freshness.ageDays : null,
+        slaDays: freshness ? freshness.slaDays : null,
+        inactive: INACTIVE_STATUSES.includes(metadata.status)
+      });
     }
 
     stats.averageSize = totalSize / files.length;
@@ -110,33 +236,87 @@ class EvolutionTriggerSystem {
     return stats;
   }
 
+  /**
+   * Front matter metadata of a document, its ContentFreshness entry, and when
+   * it was last reviewed: its last substantive commit or a later `reviewed`
+   * date.
+   */
+  getDocumentInfo(filePath, content = fs.readFileSync(filePath, 'utf8')) {
+    const metadata = getMetadata(parseFrontMatter(content).data);
+    const relativePath = toPosix(path.relative(this.docsPath, filePath));
+    const freshness = this.freshness.analyze().documents.find(document => document.file === relativePath);
+    const lastReviewed = freshness ? new Date(freshness.lastReviewed) : fs.statSync(filePath).mtime;
+
+    return { metadata, lastReviewed, freshness };
+  }
+
+  isActiveDocument(filePath) {
+    return !INACTIVE_STATUSES.includes(this.getDocumentInfo(filePath).metadata.status);
+  }
+
+  /**
+   * Page views, dwell time and search terms from the sources in
+   * .selfref-usage.json. Without any, the lists are empty and usage-based
+   * triggers do not fire.
+   */
   async getUsagePatterns() {
-    // Simulate usage pattern analysis (in real system, this would come from analytics)
+    const usage = this.usage.analyze();
+    this.usageProvenance = usage.provenance;
+    this.log(`Usage data: ${usage.provenance}`);
+
     return {
-      popularDocuments: ['index.md', 'philosophy/overview.md'],
-      leastAccessed: ['api/evolution-engine.md'],
-      searchPatterns: ['PMCR-O', 'self-reference', 'evolution'],
-      userJourney: ['overview', 'getting-started', 'advanced-topics']
+      popularDocuments: usage.popularDocuments,
+      leastAccessed: usage.leastAccessed,
+      searchPatterns: usage.searchPatterns,
+      searchTerms: usage.searchTerms,
+      totalViews: usage.totals.pageViews,
+      totalSearches: usage.totals.searches,
+      documents: usage.documents
     };
   }
 
+  /**
+   * Per-document results of the last self-assessment run. Without them the
+   * average score is null, so score-based triggers do not fire.
+   */
   async getAssessmentResults() {
-    // Load recent assessment results
-    const assessmentFile = path.join(this.triggersPath, 'latest-assessment.json');
-    if (fs.existsSync(assessmentFile)) {
-      return JSON.parse(fs.readFileSync(assessmentFile, 'utf8'));
+    const relativeFile = toPosix(path.relative(this.projectRoot, this.assessmentFile));
+    let results = { averageScore: null, needsImprovement: [], documents: [] };
+
+    if (!fs.existsSync(this.assessmentFile)) {
+      this.assessmentProvenance = `${relativeFile} not found; run self-assess.js first`;
+      this.log(`Assessment results: ${this.assessmentProvenance}`);
+    } else {
+      try {
+        results = readAssessmentResults(this.assessmentFile);
+        this.assessmentProvenance = `${relativeFile}, generated ${results.generatedAt}`;
+        this.log(`Assessment results: ${this.assessmentProvenance}`);
+      } catch (error) {
+        this.assessmentProvenance = error.message;
+        this.logger.warn(`⚠️ Ignoring assessment results: ${error.message}`);
+      }
     }
-    return { averageScore: 75, needsImprovement: [] };
+
+    this.assessmentResults = results;
+    return results;
   }
 
-  getSystemHealth() {
-    const health = {
-      documentationCoverage: 85,
-      linkIntegrity: 90,
-      contentFreshness: 80,
-      userSatisfaction: 75
+  async getSystemHealth() {
+    const linkIntegrity = await this.healthSignals.measureLinkIntegrity();
+    this.brokenLinks = linkIntegrity.broken || [];
+
+    const signals = {
+      documentationCoverage: this.healthSignals.measureDocumentationCoverage(),
+      linkIntegrity: linkIntegrity,
+      contentFreshness: this.healthSignals.measureContentFreshness(),
+      userSatisfaction: { value: null, provenance: 'No user feedback source configured' }
     };
 
+    // Where each number came from, for reporting alongside the values
+    this.healthProvenance = Object.fromEntries(Object.entries(signals).map(([area, signal]) => [area, signal.provenance]));
+
+    const health = Object.fromEntries(Object.entries(signals).map(([area, signal]) => [area, signal.value]));
+
     return health;
   }
 
@@ -166,72 +346,84 @@ class EvolutionTriggerSystem {
     return files;
   }
 
+  /**
+   * Evaluate the trigger rules (built-in, tuned by .selfref-triggers.json)
+   * against the analysis. Targets still in their cooldown are held back, and
+   * fingerprints that no longer match are resolved.
+   */
   identifyEvolutionOpportunities(analysis) {
-    console.log('🎯 Identifying evolution opportunities...');
-
-    const opportunities = [];
-
-    // Content freshness trigger
-    if (analysis.documentStats.oldestDocument &&
-        Date.now() - analysis.documentStats.oldestDocument.getTime() > 30 * 24 * 60 * 60 * 1000) {
-      opportunities.push({
-        type: 'content_refresh',
-        priority: 'high',
-        description: 'Update outdated content',
-        action: 'review_old_documents'
-      });
-    }
-
-    // Assessment quality trigger
-    if (analysis.assessmentResults.averageScore < 70) {
-      opportunities.push({
-        type: 'quality_improvement',
-        priority: 'high',
-        description: 'Improve low-scoring documents',
-        action: 'enhance_poor_documents',
-        targets: analysis.assessmentResults.needsImprovement
-      });
-    }
+    this.log('🎯 Identifying evolution opportunities...');
+
+    const { documentStats } = analysis;
+    const context = {
+      assessment: analysis.assessmentResults,
+      health: analysis.systemHealth,
+      usage: {
+        popularDocuments: analysis.usagePatterns.popularDocuments,
+        leastAccessed: analysis.usagePatterns.leastAccessed,
+        searchPatterns: analysis.usagePatterns.searchPatterns,
+        totalViews: analysis.usagePatterns.totalViews,
+        totalSearches: analysis.usagePatterns.totalSearches
+      },
+      docs: {
+        total: documentStats.totalDocuments,
+        stale: documentStats.staleDocuments,
+        byCategory: documentStats.documentsByCategory,
+        byStatus: documentStats.documentsByStatus,
+        byOwner: documentStats.documentsByOwner,
+        byTag: documentStats.documentsByTag
+      },
+      // Documents with their latest assessment and usage, null when not assessed or no usage data
+      documents: documentStats.documents.map(document => {
+        const result = analysis.assessmentResults.documents.find(candidate => candidate.file === document.file);
+        const usage = analysis.usagePatterns.totalViews > 0
+          ? analysis.usagePatterns.documents.find(candidate => candidate.file === document.file)
+          : null;
+        return {
+          ...document,
+          score: result ? result.overallScore : null,
+          grade: result ? result.grade : null,
+          scores: result ? result.scores : {},
+          views: usage ? usage.views : null,
+          uniqueVisitors: usage ? usage.uniqueVisitors : null,
+          dwellSeconds: usage ? usage.averageDwellSeconds : null,
+          searchTerms: usage ? usage.searchTerms.map(entry => entry.term) : []
+        };
+      })
+    };
 
-    // Usage pattern trigger
-    if (analysis.usagePatterns.leastAccessed.length > 0) {
-      opportunities.push({
-        type: 'engagement_boost',
-        priority: 'medium',
-        description: 'Improve engagement for underutilized content',
-        action: 'promote_least_accessed',
-        targets: analysis.usagePatterns.leastAccessed
-      });
-    }
+    const { opportunities, suppressed } = this.triggerRules.evaluate(context, {
+      lastFired: (type, target) => this.triggerHistory.lastFired(type, target)
+    });
 
-    // System health trigger
-    const lowHealthAreas = Object.entries(analysis.systemHealth)
-      .filter(([, score]) => score < 80)
-      .map(([area]) => area);
-
-    if (lowHealthAreas.length > 0) {
-      opportunities.push({
-        type: 'system_health',
-        priority: 'medium',
-        description: 'Address system health issues',
-        action: 'improve_system_health',
-        targets: lowHealthAreas
-      });
-    }
+    this.suppressedTriggers = suppressed;
+    const held = new Map();
+    suppressed.forEach(({ id, until }) => {
+      const entry = held.get(id) || { count: 0, until };
+      held.set(id, { count: entry.count + 1, until: until < entry.until ? until : entry.until });
+    });
+    held.forEach(({ count, until }, id) => {
+      this.log(`⏸️ ${id}: ${count} ${count === 1 ? 'target' : 'targets'} in cooldown (next due ${until})`);
+    });
 
-    // Innovation trigger (always present for continuous improvement)
-    opportunities.push({
-      type: 'innovation',
-      priority: 'low',
-      description: 'Explore new documentation approaches',
-      action: 'experiment_new_formats'
+    // Everything whose condition held this run, fired or not
+    const matches = [
+      ...opportunities.flatMap(opportunity =>
+        (opportunity.targets && opportunity.targets.length > 0 ? opportunity.targets : [null])
+          .map(target => ({ type: opportunity.type, target }))),
+      ...suppressed.map(({ id, target }) => ({ type: id, target }))
+    ];
+
+    this.resolvedTriggers = this.triggerHistory.observe(matches);
+    this.resolvedTriggers.forEach(entry => {
+      this.log(`${this.dryRun ? '✔️ Would resolve' : '✔️ Resolved'}: ${entry.fingerprint} (condition no longer holds)`);
     });
 
     return opportunities;
   }
 
   async implementEvolutions(opportunities) {
-    console.log('⚙️ Implementing evolutions...\n');
+    this.log('⚙️ Implementing evolutions...\n');
 
     for (const opportunity of opportunities) {
       await this.implementEvolution(opportunity);
@@ -239,7 +431,7 @@ class EvolutionTriggerSystem {
   }
 
   async implementEvolution(opportunity) {
-    console.log(`🔧 Implementing: ${opportunity.description}`);
+    this.log(`${this.dryRun ? '🔍 Would implement' : '🔧 Implementing'}: ${opportunity.description} [${opportunity.priority}]`);
 
     const triggerRecord = {
       id: this.generateTriggerId(),
@@ -248,98 +440,195 @@ class EvolutionTriggerSystem {
       timestamp: new Date().toISOString(),
       description: opportunity.description,
       action: opportunity.action,
-      status: 'in_progress'
+      targets: opportunity.targets,
+      fingerprints: TriggerHistory.fingerprintsOf(opportunity),
+      status: 'in_progress',
+      proposals: [],
+      plannedChanges: []
     };
 
-    this.triggerHistory.triggers.push(triggerRecord);
+    if (!this.dryRun) {
+      this.triggerHistory.triggers.push(triggerRecord);
+    }
     this.activeTriggers.push(triggerRecord);
+    this.currentTrigger = triggerRecord;
 
     try {
-      switch (opportunity.action) {
-        case 'review_old_documents':
-          await this.reviewOldDocuments();
-          break;
-        case 'enhance_poor_documents':
-          await this.enhancePoorDocuments(opportunity.targets);
-          break;
-        case 'promote_least_accessed':
-          await this.promoteLeastAccessed(opportunity.targets);
-          break;
-        case 'improve_system_health':
-          await this.improveSystemHealth(opportunity.targets);
-          break;
-        case 'experiment_new_formats':
-          await this.experimentNewFormats();
-          break;
-      }
+      await this[ACTIONS[opportunity.action]](opportunity.targets);
 
-      triggerRecord.status = 'completed';
+      triggerRecord.status = this.dryRun ? 'planned' : 'completed';
       triggerRecord.completedAt = new Date().toISOString();
+      if (!this.dryRun) {
+        // Starts the cooldown for these targets
+        this.triggerHistory.recordFired(triggerRecord);
+      }
 
     } catch (error) {
       triggerRecord.status = 'failed';
       triggerRecord.error = error.message;
-      console.error(`❌ Evolution failed: ${error.message}`);
+      this.logger.error(`❌ Evolution failed: ${error.message}`);
     }
 
+    this.currentTrigger = null;
     this.saveTriggerHistory();
   }
 
+  /**
+   * Record a proposed document change for the running trigger instead of
+   * writing it. Returns the proposal (null when the content is unchanged).
+   */
+  proposeChange(filePath, content, description) {
+    const trigger = this.currentTrigger;
+
+    if (this.dryRun) {
+      const preview = this.proposals.preview({ filePath, content, action: trigger ? trigger.action : 'manual' });
+      if (!preview) return null;
+
+      if (preview.existing && preview.existing.status === 'rejected') {
+        this.log(`⏭️ Would not propose again: ${description} (rejected in ${preview.existing.id})`);
+      } else {
+        this.planChange('proposal', filePath, preview.diff, preview.existing ? `${description} (already pending)` : description);
+      }
+      return null;
+    }
+
+    const result = this.proposals.create({
+      filePath,
+      content,
+      triggerId: trigger ? trigger.id : null,
+      action: trigger ? trigger.action : 'manual',
+      description
+    });
+
+    if (!result) return null;
+
+    const { proposal, created } = result;
+    if (proposal.status === 'rejected') {
+      this.log(`⏭️ Not proposing again: ${description} (rejected in ${proposal.id})`);
+      return proposal;
+    }
+
+    if (trigger) {
+      trigger.proposals.push(proposal.id);
+    }
+    this.log(created
+      ? `📝 Proposed: ${description} (${proposal.id})`
+      : `📝 Still pending: ${description} (${proposal.id})`);
+
+    return proposal;
+  }
+
+  /**
+   * Write a report file under the triggers directory, or in a dry run plan
+   * the change instead.
+   */
+  writeReport(filePath, content) {
+    if (this.dryRun) {
+      const original = fs.existsSync(filePath) ? fs.readFileSync(filePath, 'utf8') : null;
+      if (original !== content) {
+        const projectFile = toPosix(path.relative(this.projectRoot, filePath));
+        const diff = createUnifiedDiff(original || '', content, {
+          fromFile: original === null ? '/dev/null' : `a/${projectFile}`,
+          toFile: `b/${projectFile}`
+        });
+        this.planChange('report', filePath, diff, `Write ${path.relative(this.docsPath, filePath)}`);
+      }
+      return;
+    }
+
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    fs.writeFileSync(filePath, content);
+  }
+
+  /**
+   * Record a change a dry run found: a document change that would become a
+   * proposal, or a report that would be written directly.
+   */
+  planChange(kind, filePath, diff, description) {
+    const change = {
+      kind,
+      file: toPosix(path.relative(this.projectRoot, filePath)),
+      trigger: this.currentTrigger ? this.currentTrigger.action : null,
+      description,
+      diff
+    };
+
+    this.plannedChanges.push(change);
+    if (this.currentTrigger) {
+      this.currentTrigger.plannedChanges.push(change);
+    }
+
+    this.log(kind === 'proposal'
+      ? `📝 Would propose for ${change.file}: ${description}`
+      : `📄 Would write ${change.file}`);
+    this.log(diff);
+  }
+
   generateTriggerId() {
     return `trigger_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
   }
 
-  async reviewOldDocuments() {
-    const files = this.getMarkdownFiles(this.docsPath);
-    const thirtyDaysAgo = Date.now() - 30 * 24 * 60 * 60 * 1000;
+  async reviewOldDocuments(targets) {
+    const stale = this.freshness.analyze().stale.filter(document => (targets || []).includes(document.file));
 
-    for (const file of files) {
-      const stat = fs.statSync(file);
-      if (stat.mtime.getTime() < thirtyDaysAgo) {
-        await this.addContentFreshnessNote(file);
-      }
+    for (const document of stale) {
+      await this.addContentFreshnessNote(path.join(this.docsPath, document.file), document);
     }
   }
 
-  async addContentFreshnessNote(filePath) {
+  async addContentFreshnessNote(filePath, freshness) {
     const content = fs.readFileSync(filePath, 'utf8');
+    const contact = freshness.owner || freshness.lastAuthor;
     const freshnessNote = '\n\n> **Content Freshness Note**\n' +
-                         '> This document was last updated more than 30 days ago. ' +
-                         'Please review for accuracy and relevance.\n\n';
+                         `> This document has not been substantively updated for ${freshness.ageDays} days ` +
+                         `(freshness SLA: ${freshness.slaDays} days). ` +
+                         'Please review for accuracy and relevance.' +
+                         (contact ? ` Contact: ${contact}.` : '') + '\n\n';
 
     if (!content.includes('Content Freshness Note')) {
-      const updatedContent = content + freshnessNote;
-      fs.writeFileSync(filePath, updatedContent);
+      this.proposeChange(filePath, content + freshnessNote, `Add freshness note to ${freshness.file}`);
     }
   }
 
   async enhancePoorDocuments(targets) {
+    const results = this.assessmentResults ? this.assessmentResults.documents : [];
+
     for (const target of targets || []) {
       const filePath = path.join(this.docsPath, target);
-      if (fs.existsSync(filePath)) {
-        await this.addImprovementSuggestions(filePath);
+      if (fs.existsSync(filePath) && this.isActiveDocument(filePath)) {
+        await this.addImprovementSuggestions(filePath, results.find(result => result.file === target));
       }
     }
   }
 
-  async addImprovementSuggestions(filePath) {
+  /**
+   * Add the document's own assessment suggestions as a checklist (generic
+   * ones when it has no assessment).
+   */
+  async addImprovementSuggestions(filePath, assessment = null) {
     const content = fs.readFileSync(filePath, 'utf8');
+    const items = assessment && assessment.suggestions.length > 0
+      ? assessment.suggestions
+      : [
+        'Review and update outdated information',
+        'Add more practical examples',
+        'Improve cross-references to related content',
+        'Enhance visual elements and formatting'
+      ];
     const suggestions = '\n\n## Improvement Suggestions\n\n' +
-                       '- [ ] Review and update outdated information\n' +
-                       '- [ ] Add more practical examples\n' +
-                       '- [ ] Improve cross-references to related content\n' +
-                       '- [ ] Enhance visual elements and formatting\n\n';
+                       (assessment ? `Self-assessment score: ${assessment.overallScore} (${assessment.grade}).\n\n` : '') +
+                       items.map(item => `- [ ] ${item}`).join('\n') + '\n\n';
 
     if (!content.includes('Improvement Suggestions')) {
-      const updatedContent = content + suggestions;
-      fs.writeFileSync(filePath, updatedContent);
+      this.proposeChange(filePath, content + suggestions,
+        `Add improvement suggestions to ${path.relative(this.docsPath, filePath)}`);
     }
   }
 
   async promoteLeastAccessed(targets) {
     for (const target of targets || []) {
       const filePath = path.join(this.docsPath, target);
-      if (fs.existsSync(filePath)) {
+      if (fs.existsSync(filePath) && this.isActiveDocument(filePath)) {
         await this.addPromotionCallout(filePath);
       }
     }
@@ -358,8 +647,8 @@ class EvolutionTriggerSystem {
 
       if (firstHeadingIndex !== -1) {
         lines.splice(firstHeadingIndex + 1, 0, '', promotion.trim());
-        const updatedContent = lines.join('\n');
-        fs.writeFileSync(filePath, updatedContent);
+        this.proposeChange(filePath, lines.join('\n'),
+          `Add promotion callout to ${path.relative(this.docsPath, filePath)}`);
       }
     }
   }
@@ -395,78 +684,153 @@ class EvolutionTriggerSystem {
                    '## Recommendations\n\n' +
                    'Focus on filling coverage gaps in the next development cycle.\n';
 
-    fs.writeFileSync(coverageReport, report);
+    this.writeReport(coverageReport, report);
   }
 
   async improveLinkIntegrity() {
-    // This would implement link checking logic
-    console.log('🔗 Link integrity improvements scheduled');
+    // Write the broken targets found during analysis as a repair worklist
+    const reportFile = path.join(this.triggersPath, 'link-integrity-report.md');
+    const rows = this.brokenLinks.map(link =>
+      `| ${link.file} | ${link.line}:${link.column} | \`${link.target}\` | ${link.reason} |`
+    );
+    const report = '# Link Integrity Report\n\n' +
+                   'Generated by Evolution Trigger System\n\n' +
+                   `${this.healthProvenance.linkIntegrity || ''}\n\n` +
+                   (rows.length > 0
+                     ? '| File | Position | Target | Problem |\n|------|----------|--------|---------|\n' + rows.join('\n') + '\n'
+                     : 'No broken internal links found.\n');
+
+    this.writeReport(reportFile, report);
+    this.log(`🔗 ${this.brokenLinks.length} broken links listed in ${path.relative(this.docsPath, reportFile)}`);
   }
 
   async improveContentFreshness() {
-    // This would implement content freshness monitoring
-    console.log('🕐 Content freshness monitoring enhanced');
+    // List stale documents with their last authors as a review worklist
+    const reportFile = path.join(this.triggersPath, 'freshness-report.md');
+    this.writeReport(reportFile, this.freshness.renderReport());
+    this.log(`🕐 ${this.freshness.analyze().stale.length} stale documents listed in ${path.relative(this.docsPath, reportFile)}`);
   }
 
   async improveUserSatisfaction() {
-    // This would implement user feedback collection
-    console.log('😊 User satisfaction tracking implemented');
+    // List the pages readers skip and what they search for as a review worklist
+    const reportFile = path.join(this.triggersPath, 'user-satisfaction-report.md');
+    const usage = this.usage.analyze();
+    const byFile = new Map(usage.documents.map(document => [document.file, document]));
+    const rows = usage.leastAccessed.map(file => {
+      const document = byFile.get(file);
+      const dwell = document.averageDwellSeconds !== null ? `${document.averageDwellSeconds}s` : '-';
+      return `| ${file} | ${document.views} | ${document.uniqueVisitors} | ${dwell} |`;
+    });
+    const searches = usage.searchTerms.slice(0, usage.searchPatterns.length)
+      .map(({ term, count }) => `| ${term} | ${count} |`);
+
+    const report = '# User Satisfaction Report\n\n' +
+                   'Generated by Evolution Trigger System\n\n' +
+                   `${usage.provenance}\n\n` +
+                   '## Least Accessed\n\n' +
+                   (rows.length > 0
+                     ? '| File | Views | Visitors | Average Dwell |\n|------|-------|----------|---------------|\n' + rows.join('\n') + '\n'
+                     : 'No documents below the average number of views.\n') +
+                   '\n## Top Searches\n\n' +
+                   (searches.length > 0
+                     ? '| Term | Searches |\n|------|----------|\n' + searches.join('\n') + '\n'
+                     : 'No searches recorded.\n');
+
+    this.writeReport(reportFile, report);
+    this.log(`😊 ${rows.length} least accessed documents and ${searches.length} top searches listed in ${path.relative(this.docsPath, reportFile)}`);
   }
 
+  /**
+   * Propose the interactive examples experiment page, or add the planned
+   * experiments an existing page does not list yet to its "Planned
+   * Experiments" list. The rest of an existing page is never touched.
+   */
   async experimentNewFormats() {
     const experimentFile = path.join(this.docsPath, 'experiments', 'interactive-examples.md');
+    const checklist = items => items.map(item => `- [ ] ${item}`).join('\n');
+
+    if (!fs.existsSync(experimentFile)) {
+      const experiment = '# Interactive Documentation Experiments\n\n' +
+                        '## Experiment: Self-Executing Examples\n\n' +
+                        'This section explores ways to make documentation more interactive.\n\n' +
+                        '### Planned Experiments\n\n' +
+                        checklist(PLANNED_EXPERIMENTS) + '\n\n' +
+                        '## Current Status\n\n' +
+                        'Planning phase - experiments to begin in next iteration.\n';
+
+      this.proposeChange(experimentFile, experiment, 'Create interactive examples experiment page');
+      return;
+    }
 
-    if (!fs.existsSync(path.dirname(experimentFile))) {
-      fs.mkdirSync(path.dirname(experimentFile), { recursive: true });
+    const content = fs.readFileSync(experimentFile, 'utf8');
+    const missing = PLANNED_EXPERIMENTS.filter(item => !content.toLowerCase().includes(item.toLowerCase()));
+    if (missing.length === 0) {
+      this.log('🧪 Experiment page already lists every planned experiment');
+      return;
     }
 
-    const experiment = '# Interactive Documentation Experiments\n\n' +
-                      '## Experiment: Self-Executing Examples\n\n' +
-                      'This section explores ways to make documentation more interactive.\n\n' +
-                      '### Planned Experiments\n\n' +
-                      '- [ ] Click-to-run code examples\n' +
-                      '- [ ] Interactive decision trees\n' +
-                      '- [ ] Real-time feedback forms\n' +
-                      '- [ ] Collaborative annotation system\n\n' +
-                      '## Current Status\n\n' +
-                      'Planning phase - experiments to begin in next iteration.\n';
+    const lines = content.split('\n');
+    const heading = lines.findIndex(line => /^#{1,6}\s+Planned Experiments\s*$/i.test(line));
+    let updated;
 
-    fs.writeFileSync(experimentFile, experiment);
+    if (heading === -1) {
+      updated = content.replace(/\n*$/, '\n\n## Planned Experiments\n\n') + checklist(missing) + '\n';
+    } else {
+      // After the section's last list item, or right below the heading
+      const next = lines.findIndex((line, index) => index > heading && /^#{1,6}\s/.test(line));
+      const section = lines.slice(heading + 1, next === -1 ? lines.length : next);
+      const lastItem = section.map(line => /^\s*[-*+]\s/.test(line)).lastIndexOf(true);
+
+      if (lastItem === -1) {
+        lines.splice(heading + 1, 0, '', checklist(missing));
+      } else {
+        lines.splice(heading + 2 + lastItem, 0, checklist(missing));
+      }
+      updated = lines.join('\n');
+    }
+
+    this.proposeChange(experimentFile, updated,
+      `Add ${missing.length} planned ${missing.length === 1 ? 'experiment' : 'experiments'} to the experiment page`);
   }
 
   validateEvolutions() {
-    console.log('✅ Validating evolution effectiveness...');
+    this.log('✅ Validating evolution effectiveness...');
+
+    if (this.triggerHistory.triggers.length === 0) {
+      this.log('No evolutions recorded yet');
+      return;
+    }
 
     const completedTriggers = this.triggerHistory.triggers.filter(t => t.status === 'completed');
     const successRate = completedTriggers.length / this.triggerHistory.triggers.length * 100;
 
-    console.log(`Evolution Success Rate: ${successRate.toFixed(1)}%`);
+    this.log(`Evolution Success Rate: ${successRate.toFixed(1)}%`);
 
     if (successRate > 80) {
-      console.log('🎉 Evolution system performing well!');
+      this.log('🎉 Evolution system performing well!');
     } else {
-      console.log('⚠️ Evolution system needs improvement');
+      this.log('⚠️ Evolution system needs improvement');
     }
   }
 
   reflectOnEvolutions() {
-    console.log('🤔 Reflecting on evolution process...');
+    this.log('🤔 Reflecting on evolution process...');
 
     const triggerTypes = {};
     this.triggerHistory.triggers.forEach(trigger => {
       triggerTypes[trigger.type] = (triggerTypes[trigger.type] || 0) + 1;
     });
 
-    console.log('Evolution Types Executed:');
+    this.log('Evolution Types Executed:');
     Object.entries(triggerTypes).forEach(([type, count]) => {
-      console.log(`  ${type}: ${count} times`);
+      this.log(`  ${type}: ${count} times`);
     });
 
     // Identify patterns and learnings
     const learnings = this.extractLearnings();
-    console.log('\nKey Learnings:');
+    this.log('\nKey Learnings:');
     learnings.forEach(learning => {
-      console.log(`  • ${learning}`);
+      this.log(`  • ${learning}`);
     });
   }
 
@@ -490,30 +854,294 @@ class EvolutionTriggerSystem {
   }
 
   scheduleNextEvolution() {
-    console.log('📅 Scheduling next evolution cycle...');
+    this.log('📅 Scheduling next evolution cycle...');
 
     const nextRun = new Date(Date.now() + 7 * 24 * 60 * 60 * 1000); // 7 days from now
-    console.log(`Next evolution cycle: ${nextRun.toISOString()}`);
+    this.log(`Next evolution cycle: ${nextRun.toISOString()}`);
 
     // In a real system, this would schedule a cron job or similar
-    console.log('Evolution system ready for next cycle');
+    this.log('Evolution system ready for next cycle');
+  }
+
+  /**
+   * List proposals (pending by default) with their diffs.
+   */
+  showProposals({ status = 'pending' } = {}) {
+    const proposals = this.proposals.list(status === 'all' ? null : status);
+
+    this.log(`=== Evolution Proposals (${status}) ===`);
+    if (proposals.length === 0) {
+      this.log('No proposals.');
+    }
+    proposals.forEach(proposal => {
+      this.log(`\n${proposal.id}  ${proposal.status}  ${proposal.file}`);
+      this.log(`  ${proposal.description} (${proposal.action}, ${proposal.createdAt})`);
+      if (proposal.status === 'pending') {
+        this.log(this.proposals.getDiff(proposal));
+      }
+    });
+
+    const report = this.output.createReport({
+      status: 'completed',
+      summary: { proposals: proposals.length, status },
+      results: proposals
+    });
+    this.output.emit(report);
+    return report;
+  }
+
+  /**
+   * Apply or reject proposals and record each decision in history.json
+   * (`evolutions`). Returns the report; its status is failed when any
+   * proposal could not be decided.
+   */
+  decideProposals(decision, ids, { actor, reason = null } = {}) {
+    const results = [];
+    const issues = [];
+
+    ids.forEach(id => {
+      try {
+        const proposal = decision === 'applied'
+          ? this.proposals.apply(id, actor)
+          : this.proposals.reject(id, actor, reason);
+
+        this.triggerHistory.evolutions.push({
+          proposalId: proposal.id,
+          triggerId: proposal.triggerId,
+          action: proposal.action,
+          file: proposal.file,
+          decision,
+          actor,
+          reason,
+          timestamp: new Date().toISOString()
+        });
+        results.push(proposal);
+        this.log(`${decision === 'applied' ? '✅ Applied' : '🚫 Rejected'} ${proposal.id}: ${proposal.file}`);
+      } catch (error) {
+        issues.push(this.output.createIssue({ severity: 'error', rule: 'proposal-failed', message: error.message, proposal: id }));
+        this.logger.error(`❌ ${error.message}`);
+      }
+    });
+
+    if (results.length > 0) {
+      this.saveTriggerHistory();
+    }
+
+    const report = this.output.createReport({
+      status: issues.length === 0 ? 'completed' : 'failed',
+      summary: { decision, actor, decided: results.length, failed: issues.length },
+      results,
+      issues
+    });
+    this.output.emit(report);
+    return report;
+  }
+
+  /**
+   * Collapse repeated trigger records and drop long-resolved fingerprints
+   * from history.json (see TriggerHistory#compact). A dry run only reports.
+   */
+  compactHistory({ keepDays = 90 } = {}) {
+    const keepIds = new Set(this.proposals.list().map(proposal => proposal.triggerId).filter(Boolean));
+    const { before, after } = this.triggerHistory.compact({ keepDays, keepIds });
+
+    this.log('=== Trigger History Compaction ===');
+    this.log(`Trigger records: ${before.triggers} → ${after.triggers}`);
+    this.log(`Fingerprints: ${before.fingerprints} → ${after.fingerprints} (resolved more than ${keepDays} days ago dropped)`);
+
+    if (this.dryRun) {
+      this.log('Dry run, history.json not written');
+    } else {
+      this.saveTriggerHistory();
+    }
+
+    const report = this.output.createReport({
+      status: 'completed',
+      summary: { dryRun: this.dryRun, keepDays, before, after },
+      results: []
+    });
+    this.output.emit(report);
+    return report;
+  }
+
+  applyProposals(ids, options) {
+    return this.decideProposals('applied', ids, options);
+  }
+
+  rejectProposals(ids, options) {
+    return this.decideProposals('rejected', ids, options);
+  }
+
+  /**
+   * `highPriority` is only passed for dry runs, whose report fails when
+   * there are high-priority opportunities.
+   */
+  createReport(analysis, highPriority = null) {
+    const failed = this.activeTriggers.filter(trigger => trigger.status === 'failed');
+    const blocked = highPriority !== null && highPriority.length > 0;
+
+    return this.output.createReport({
+      status: failed.length === 0 && !blocked ? 'completed' : 'failed',
+      summary: {
+        dryRun: this.dryRun,
+        triggersFired: this.activeTriggers.length,
+        triggersFailed: failed.length,
+        pendingProposals: this.proposals.list('pending').length,
+        triggerRules: this.triggerRules.source,
+        suppressedTriggers: this.suppressedTriggers,
+        resolvedTriggers: this.resolvedTriggers.map(entry => entry.fingerprint),
+        ...(this.dryRun ? {
+          highPriorityOpportunities: highPriority ? highPriority.length : 0,
+          filesWouldChange: new Set(this.plannedChanges.map(change => change.file)).size
+        } : {}),
+        systemHealth: analysis.systemHealth,
+        systemHealthProvenance: this.healthProvenance,
+        assessmentAverageScore: analysis.assessmentResults.averageScore,
+        assessmentProvenance: this.assessmentProvenance,
+        usage: {
+          totalViews: analysis.usagePatterns.totalViews,
+          totalSearches: analysis.usagePatterns.totalSearches,
+          popularDocuments: analysis.usagePatterns.popularDocuments,
+          leastAccessed: analysis.usagePatterns.leastAccessed,
+          searchPatterns: analysis.usagePatterns.searchPatterns
+        },
+        usageProvenance: this.usageProvenance,
+        documents: {
+          total: analysis.documentStats.totalDocuments,
+          byCategory: analysis.documentStats.documentsByCategory,
+          byStatus: analysis.documentStats.documentsByStatus,
+          byOwner: analysis.documentStats.documentsByOwner,
+          byTag: analysis.documentStats.documentsByTag
+        }
+      },
+      results: this.activeTriggers.map(trigger => ({
+        id: trigger.id,
+        type: trigger.type,
+        priority: trigger.priority,
+        action: trigger.action,
+        status: trigger.status,
+        targets: trigger.targets || [],
+        proposals: trigger.proposals,
+        ...(this.dryRun ? { plannedChanges: trigger.plannedChanges } : {})
+      })),
+      issues: [
+        ...(highPriority || []).map(opportunity => this.output.createIssue({
+          severity: 'error',
+          rule: 'high-priority-opportunity',
+          message: `${opportunity.description} (${opportunity.action})`,
+          targets: opportunity.targets || []
+        })),
+        ...failed.map(trigger => this.output.createIssue({
+          severity: 'error',
+          rule: 'evolution-failed',
+          message: `${trigger.action} failed: ${trigger.error}`,
+          trigger: trigger.id
+        })),
+        ...this.freshness.analyze().stale.map(document => this.output.createIssue({
+          file: document.file,
+          severity: 'info',
+          rule: 'stale-document',
+          message: `Not substantively updated for ${document.ageDays} days (SLA ${document.slaDays} days)`,
+          line: 1,
+          column: 1,
+          lastChanged: document.lastChanged,
+          lastAuthor: document.lastAuthor,
+          owner: document.owner
+        })),
+        ...this.brokenLinks.map(link => this.output.createIssue({
+          file: link.file,
+          severity: 'warning',
+          rule: 'broken-link',
+          message: link.message,
+          line: link.line,
+          column: link.column,
+          target: link.target,
+          reason: link.reason
+        }))
+      ]
+    });
   }
 }
 
-// Self-assessment of this evolution system
-console.log('=== Evolution Trigger System Self-Assessment ===');
-console.log('Completeness: 75% - Core evolution logic implemented');
-console.log('Effectiveness: 80% - Successfully triggers improvements');
-console.log('Evolution Triggers:');
-console.log('  - If evolution success rate > 90%: Add advanced ML-based triggers');
-console.log('  - If user feedback increases: Integrate feedback-driven evolution');
-console.log('  - If system complexity grows: Implement modular evolution strategies');
-console.log('=== End Self-Assessment ===\n');
+// Self-assessment of this evolution system, printed when run from the command line
+function printSelfAssessment(log) {
+  log('=== Evolution Trigger System Self-Assessment ===');
+  log('Completeness: 75% - Core evolution logic implemented');
+  log('Effectiveness: 80% - Successfully triggers improvements');
+  log('Evolution Triggers:');
+  log('  - If evolution success rate > 90%: Add advanced ML-based triggers');
+  log('  - If user feedback increases: Integrate feedback-driven evolution');
+  log('  - If system complexity grows: Implement modular evolution strategies');
+  log('=== End Self-Assessment ===\n');
+}
 
 // Run evolution system if this script is executed directly
 if (require.main === module) {
-  const system = new EvolutionTriggerSystem();
-  system.monitorAndEvolve().catch(console.error);
+  const args = process.argv.slice(2);
+
+  let format;
+  try {
+    format = StructuredOutput.parseFormat(args);
+  } catch (error) {
+    console.error(error.message);
+    process.exit(1);
+  }
+
+  // Structured formats keep stdout for the report
+  printSelfAssessment(format === 'text' ? console.log : console.error);
+
+  const command = args[0] && !args[0].startsWith('--') ? args[0] : null;
+  let system;
+  try {
+    system = new EvolutionTriggerSystem({
+      format,
+      dryRun: hasFlag(args, 'dry-run'),
+      triggersFile: getPathOption(args, 'triggers'),
+      projectRoot: getPathOption(args, 'root'),
+      docsPath: getPathOption(args, 'docs')
+    });
+  } catch (error) {
+    console.error(`❌ ${error.message}`);
+    process.exit(1);
+  }
+
+  if (command === 'compact') {
+    const keepDays = getOption(args, 'keep-days');
+    if (keepDays !== undefined && !(Number(keepDays) >= 0)) {
+      console.error('--keep-days must be a number of days');
+      process.exit(1);
+    }
+    system.compactHistory({ keepDays: keepDays === undefined ? 90 : Number(keepDays) });
+  } else if (command === 'proposals') {
+    system.showProposals({ status: getOption(args, 'status') || 'pending' });
+  } else if (command === 'apply' || command === 'reject') {
+    // Proposal ids follow the command; options and their values are skipped
+    const valueOptions = ['--root', '--docs', '--triggers', '--actor', '--reason', '--format'];
+    const ids = hasFlag(args, 'all')
+      ? system.proposals.list('pending').map(proposal => proposal.id)
+      : args.slice(1).filter((arg, index, rest) => !arg.startsWith('--') && !valueOptions.includes(rest[index - 1]));
+
+    if (ids.length === 0) {
+      console.error(`Usage: evolution-triggers.js ${command} <proposal-id>... | --all`);
+      process.exit(1);
+    }
+
+    const options = { actor: EvolutionProposals.resolveActor(getOption(args, 'actor'), system.projectRoot), reason: getOption(args, 'reason') || null };
+    const report = command === 'apply' ? system.applyProposals(ids, options) : system.rejectProposals(ids, options);
+    process.exitCode = report.status === 'failed' ? 1 : 0;
+  } else {
+    system.monitorAndEvolve()
+      .then(report => {
+        // A dry run gates on high-priority opportunities
+        if (system.dryRun && report.status === 'failed') {
+          process.exitCode = 1;
+        }
+      })
+      .catch(error => {
+        console.error(error);
+        process.exitCode = 1;
+      });
+  }
 }
 
 module.exports = EvolutionTriggerSystem;
@@ -0,0 +1,115 @@
+#!/usr/bin/env node
+
+/**
+ * Content Freshness Report
+ *
+ * Lists documents past their freshness SLA, dated by their last substantive
+ * git commit, together with their last authors and owners. It reports on
+ * the freshness it measures, including its own documentation.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const StructuredOutput = require('./lib/structured-output');
+const ContentFreshness = require('./lib/content-freshness');
+const { getPathOption } = require('./lib/cli');
+
+class FreshnessReport {
+  constructor(options = {}) {
+    this.projectRoot = options.projectRoot || path.join(__dirname, '..');
+    this.docsPath = options.docsPath || path.join(this.projectRoot, 'docs');
+    this.logger = options.logger || console;
+    this.output = new StructuredOutput('freshness-report', options.format, this.logger);
+    this.outputFile = options.outputFile || null;
+    this.freshness = new ContentFreshness({ projectRoot: this.projectRoot, docsPath: this.docsPath });
+  }
+
+  async run() {
+    this.log('🕐 Measuring content freshness...\n');
+
+    const { documents, stale, provenance } = this.freshness.analyze();
+    this.log(`Dates from ${provenance}`);
+    this.log(`Within SLA: ${documents.length - stale.length}/${documents.length} documents\n`);
+
+    if (stale.length > 0) {
+      this.log('Stale Documents:');
+      stale.forEach(document => {
+        this.log(`  - ${document.file}: ${document.ageDays} days (SLA ${document.slaDays}), ` +
+          `last changed ${document.lastChanged.slice(0, 10)} by ${document.lastAuthor || 'unknown'}` +
+          (document.owner ? `, owner ${document.owner}` : ''));
+      });
+    } else {
+      this.log('🎉 No stale documents');
+    }
+
+    if (this.outputFile) {
+      fs.mkdirSync(path.dirname(this.outputFile), { recursive: true });
+      fs.writeFileSync(this.outputFile, this.freshness.renderReport());
+      this.log(`\n📄 Report written to ${path.relative(this.projectRoot, this.outputFile)}`);
+    }
+
+    const report = this.createReport();
+    this.output.emit(report);
+    return report;
+  }
+
+  log(...args) {
+    this.output.log(...args);
+  }
+
+  createReport() {
+    const { source, provenance, documents, stale } = this.freshness.analyze();
+
+    return this.output.createReport({
+      status: stale.length === 0 ? 'passed' : 'failed',
+      summary: {
+        totalDocuments: documents.length,
+        staleDocuments: stale.length,
+        source,
+        provenance
+      },
+      results: documents,
+      issues: stale.map(document => this.output.createIssue({
+        file: document.file,
+        severity: 'warning',
+        rule: 'stale-document',
+        message: `Not substantively updated for ${document.ageDays} days (SLA ${document.slaDays} days)`,
+        line: 1,
+        column: 1,
+        lastChanged: document.lastChanged,
+        lastAuthor: document.lastAuthor,
+        owner: document.owner
+      }))
+    });
+  }
+}
+
+// Run the report if this script is executed directly
+if (require.main === module) {
+  const args = process.argv.slice(2);
+
+  let format;
+  try {
+    format = StructuredOutput.parseFormat(args);
+  } catch (error) {
+    console.error(error.message);
+    process.exit(1);
+  }
+
+  let report;
+  try {
+    report = new FreshnessReport({
+      format,
+      outputFile: getPathOption(args, 'output'),
+      projectRoot: getPathOption(args, 'root'),
+      docsPath: getPathOption(args, 'docs')
+    });
+  } catch (error) {
+    console.error(`❌ ${error.message}`);
+    process.exit(1);
+  }
+
+  report.run().catch(console.error);
+}
+
+module.exports = FreshnessReport;
@@ -0,0 +1,105 @@
+/**
+ * Assessment Results
+ *
+ * The file SelfAssessmentEngine leaves for the evolution system
+ * (docs/evolution/triggers/latest-assessment.json by default):
+ *
+ *   {
+ *     "schemaVersion": 1,
+ *     "generatedAt": "2025-08-29T18:19:54.966Z",
+ *     "averageScore": 83.3,
+ *     "gradeDistribution": { "Excellent": 9, "Good": 38 },
+ *     "needsImprovement": ["api/evolution-engine.md"],    // Fair and Poor, lowest score first
+ *     "documents": [{ "file", "profile", "overallScore", "grade", "scores", "subScores", "thresholds", "suggestions", "assessedAt" }]
+ *   }
+ *
+ * Bump SCHEMA_VERSION when a field changes meaning or is removed; readers
+ * refuse versions they do not know rather than misread them.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { toPosix } = require('./glob');
+
+const SCHEMA_VERSION = 1;
+const NEEDS_IMPROVEMENT_GRADES = ['Poor', 'Fair'];
+
+/**
+ * Build the results from per-document assessments. `previous` results are
+ * carried over for documents that were not assessed this run but still
+ * exist (`keep(file)` decides), so partial runs do not drop them.
+ */
+function createAssessmentResults(assessments, { previous = null, keep = () => false, now = new Date() } = {}) {
+  const assessedAt = now.toISOString();
+  const current = assessments.map(assessment => ({
+    file: toPosix(assessment.file),
+    profile: assessment.profile,
+    overallScore: Number(assessment.overallScore.toFixed(1)),
+    grade: assessment.grade,
+    scores: assessment.scores,
+    subScores: assessment.subScores,
+    thresholds: assessment.thresholds,
+    suggestions: assessment.suggestions,
+    assessedAt
+  }));
+
+  const assessed = new Set(current.map(document => document.file));
+  const carried = previous
+    ? previous.documents.filter(document => !assessed.has(document.file) && keep(document.file))
+    : [];
+  const documents = [...carried, ...current].sort((a, b) => a.file.localeCompare(b.file));
+
+  const gradeDistribution = {};
+  documents.forEach(document => {
+    gradeDistribution[document.grade] = (gradeDistribution[document.grade] || 0) + 1;
+  });
+
+  return {
+    schemaVersion: SCHEMA_VERSION,
+    generatedAt: assessedAt,
+    averageScore: documents.length > 0
+      ? Number((documents.reduce((sum, document) => sum + document.overallScore, 0) / documents.length).toFixed(1))
+      : null,
+    gradeDistribution,
+    needsImprovement: documents
+      .filter(document => NEEDS_IMPROVEMENT_GRADES.includes(document.grade))
+      .sort((a, b) => a.overallScore - b.overallScore)
+      .map(document => document.file),
+    documents
+  };
+}
+
+/**
+ * Read results written by writeAssessmentResults. Throws for a missing
+ * `schemaVersion` or one newer than this reader understands.
+ */
+function readAssessmentResults(file) {
+  let results;
+  try {
+    results = JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (error) {
+    throw new Error(`Could not parse ${file}: ${error.message}`);
+  }
+
+  if (!Number.isInteger(results.schemaVersion)) {
+    throw new Error(`${file} has no schemaVersion; run self-assess.js to regenerate it`);
+  }
+  if (results.schemaVersion > SCHEMA_VERSION) {
+    throw new Error(`${file} uses schema version ${results.schemaVersion}, newer than the supported ${SCHEMA_VERSION}`);
+  }
+
+  return { needsImprovement: [], documents: [], ...results };
+}
+
+function writeAssessmentResults(file, results) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, JSON.stringify(results, null, 2) + '\n');
+}
+
+module.exports = {
+  createAssessmentResults,
+  readAssessmentResults,
+  writeAssessmentResults,
+  SCHEMA_VERSION,
+  NEEDS_IMPROVEMENT_GRADES
+};
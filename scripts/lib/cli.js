@@ -0,0 +1,27 @@
+/**
+ * CLI Helpers
+ *
+ * Minimal argument parsing shared by the command-line scripts.
+ * Options may be written as `--name value` or `--name=value`.
+ */
+
+const path = require('path');
+
+function getOption(args, name) {
+  const flag = `--${name}`;
+  const index = args.findIndex(arg => arg === flag || arg.startsWith(`${flag}=`));
+  if (index === -1) return undefined;
+
+  return args[index].includes('=') ? args[index].slice(flag.length + 1) : args[index + 1];
+}
+
+function getPathOption(args, name) {
+  const value = getOption(args, name);
+  return value ? path.resolve(value) : undefined;
+}
+
+function hasFlag(args, name) {
+  return args.includes(`--${name}`);
+}
+
+module.exports = { getOption, getPathOption, hasFlag };
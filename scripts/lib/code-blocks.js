@@ -0,0 +1,318 @@
+/**
+ * Code Blocks
+ *
+ * Verifies the fenced code examples of a parsed document for the accuracy
+ * dimension of self-assessment:
+ *
+ *   json        parsed with JSON.parse
+ *   yaml, yml   parsed with js-yaml (several documents split by --- are fine)
+ *   js, javascript, node, mjs
+ *               compiled, not run. Snippets are often parts of a program, so
+ *               a block passes as a script, an async function body (top-level
+ *               await), a class body (methods), an expression (an object
+ *               literal) or, with import/export, an ES module
+ *
+ * Words after the language in the fence opening are flags: `nocheck` leaves
+ * a block alone (templates, pseudo-code with `...`) and `runnable` marks a
+ * JavaScript block that, when running is asked for, runs in a child process
+ * (./run-snippet) in a fresh `vm` context with only `console`, for at most
+ * RUN_TIMEOUT_MS. Each `// => text` comment in a runnable block is the next
+ * line it should print:
+ *
+ *   ```javascript runnable
+ *   console.log([1, 2, 3].map(n => n * 2)); // => [ 2, 4, 6 ]
+ *   ```
+ *
+ * A `vm` context keeps examples from reaching require, process or the
+ * file system by accident; it is not a sandbox (`this.constructor.constructor`
+ * reaches the host's Function), which is why nothing runs unless asked. The
+ * child process gets no environment and is killed when it overruns, so a
+ * loop after an `await` cannot hang the assessment.
+ */
+
+const os = require('os');
+const path = require('path');
+const vm = require('vm');
+const { spawnSync } = require('child_process');
+const yaml = require('js-yaml');
+
+const LANGUAGES = {
+  json: 'json',
+  yaml: 'yaml',
+  yml: 'yaml',
+  js: 'javascript',
+  javascript: 'javascript',
+  node: 'javascript',
+  mjs: 'javascript'
+};
+
+const RUN_TIMEOUT_MS = 1000;
+// Allowance on top of RUN_TIMEOUT_MS for starting the child process
+const RUNNER_STARTUP_MS = 2000;
+const RUNNER = path.join(__dirname, 'run-snippet.js');
+const MODULE_CHECK_TIMEOUT_MS = 10000;
+
+// Finding rules, for suggestions that point at failing examples
+const RULES = ['invalid-json', 'invalid-yaml', 'invalid-javascript', 'runnable-error', 'unexpected-output'];
+
+// File name compiled snippets report their errors under
+const SNIPPET = 'code-block';
+const SNIPPET_POSITION = new RegExp(`${SNIPPET}:(\\d+)(?::(\\d+))?`);
+const EXPECTED_OUTPUT = /\/\/\s*=>\s?(.*)$/;
+const MODULE_SYNTAX = /^\s*(?:import|export)\b/m;
+
+// Ways a JavaScript snippet may be written, tried in order; line numbers stay
+// the same because every prefix goes on the snippet's first line
+const FORMS = [
+  { name: 'script', prefix: '', suffix: '', runs: true },
+  { name: 'async function body', prefix: '(async () => {', suffix: '\n})()', runs: true },
+  { name: 'class body', prefix: '(class {', suffix: '\n})' },
+  { name: 'expression', prefix: '(', suffix: '\n)' }
+];
+
+/**
+ * Flags from a fence's info string after the language (`runnable`, `nocheck`).
+ */
+function fenceFlags(block) {
+  return new Set((block.meta || '').toLowerCase().split(/\s+/).filter(Boolean));
+}
+
+/**
+ * { line, column } (1-based) of a character offset in a snippet.
+ */
+function positionAt(code, offset) {
+  const before = code.slice(0, offset).split('\n');
+  return { line: before.length, column: before[before.length - 1].length + 1 };
+}
+
+function checkJson(code) {
+  try {
+    JSON.parse(code);
+    return null;
+  } catch (error) {
+    const offset = error.message.match(/at position (\d+)/);
+    return {
+      rule: 'invalid-json',
+      message: `Invalid JSON: ${error.message.replace(/\s*in JSON at position \d+.*$/, '')}`,
+      ...(offset ? positionAt(code, Number(offset[1])) : positionAt(code, code.trimEnd().length))
+    };
+  }
+}
+
+function checkYaml(code) {
+  try {
+    yaml.loadAll(code, () => {});
+    return null;
+  } catch (error) {
+    return {
+      rule: 'invalid-yaml',
+      message: `Invalid YAML: ${error.reason || error.message}`,
+      line: error.mark ? error.mark.line + 1 : 1,
+      column: error.mark ? error.mark.column + 1 : 1
+    };
+  }
+}
+
+/**
+ * Compile a JavaScript snippet in the first form that accepts it:
+ * { form } or { error }. The error is the one found furthest into
+ * the snippet, as the form that got furthest is most likely the intended one.
+ */
+function compileJavaScript(code, { runnable = false, module = false } = {}) {
+  const forms = runnable ? FORMS.filter(form => form.runs) : FORMS;
+  let furthest = null;
+
+  if (!module) {
+    for (const form of forms) {
+      try {
+        new vm.Script(form.prefix + code + form.suffix, { filename: SNIPPET });
+        return { form };
+      } catch (error) {
+        const problem = syntaxError(error, form);
+        if (!furthest || problem.line > furthest.line ||
+          (problem.line === furthest.line && problem.column > furthest.column)) {
+          furthest = problem;
+        }
+      }
+    }
+  }
+
+  if (!runnable && (module || MODULE_SYNTAX.test(code))) {
+    const moduleError = checkModule(code);
+    return moduleError ? { error: moduleError } : { form: { name: 'module' } };
+  }
+
+  return { error: furthest };
+}
+
+/**
+ * Syntax-check an ES module with `node --check`; null when it compiles or
+ * cannot be checked here.
+ */
+function checkModule(code) {
+  const result = spawnSync(process.execPath, ['--input-type=module', '--check'], {
+    input: code,
+    encoding: 'utf8',
+    timeout: MODULE_CHECK_TIMEOUT_MS
+  });
+  if (result.error || result.status === 0) return null;
+
+  // Node prints "[stdin]:LINE", the source line and a caret, like a SyntaxError's stack
+  const stderr = result.stderr.split('\n');
+  const start = stderr.findIndex(text => /^\[stdin\]:\d+/.test(text));
+  const message = result.stderr.match(/^SyntaxError: (.*)$/m);
+  return {
+    rule: 'invalid-javascript',
+    message: `Invalid JavaScript: ${message ? message[1] : 'module does not compile'}`,
+    line: start >= 0 ? Number(stderr[start].match(/:(\d+)/)[1]) : 1,
+    column: start >= 0 ? caretColumn(stderr[start + 2]) : 1
+  };
+}
+
+function syntaxError(error, form) {
+  // A SyntaxError's stack starts with "code-block:LINE", the source line and a caret under the problem
+  const stack = String(error.stack || '').split('\n');
+  const position = stack[0].match(SNIPPET_POSITION);
+  const line = position ? Number(position[1]) : 1;
+  return {
+    rule: 'invalid-javascript',
+    message: `Invalid JavaScript: ${error.message}`,
+    line,
+    column: snippetColumn(line, caretColumn(stack[2]), form)
+  };
+}
+
+// Column in the snippet of a column in its wrapped form
+function snippetColumn(line, column, form) {
+  return line === 1 ? Math.max(1, column - form.prefix.length) : column;
+}
+
+function caretColumn(text) {
+  const caret = text ? text.indexOf('^') : -1;
+  return caret >= 0 ? caret + 1 : 1;
+}
+
+/**
+ * Run a snippet in its form in a child process: { output, error }, where
+ * error is { name, message, stack } or { thrown } for a non-Error value.
+ */
+function runScript(code, form) {
+  const result = spawnSync(process.execPath, [RUNNER], {
+    input: JSON.stringify({ source: form.prefix + code + form.suffix, filename: SNIPPET, timeoutMs: RUN_TIMEOUT_MS }),
+    encoding: 'utf8',
+    env: {},
+    cwd: os.tmpdir(),
+    timeout: RUN_TIMEOUT_MS + RUNNER_STARTUP_MS,
+    killSignal: 'SIGKILL'
+  });
+
+  if (result.error && result.error.code === 'ETIMEDOUT') {
+    return { output: [], error: { name: 'Error', message: `Still running after ${RUN_TIMEOUT_MS}ms` } };
+  }
+
+  try {
+    return JSON.parse(result.stdout);
+  } catch (error) {
+    const reason = result.error ? result.error.message : `exited with ${result.signal || `code ${result.status}`}`;
+    return { output: [], error: { name: 'Error', message: `Snippet runner ${reason}` } };
+  }
+}
+
+function runtimeError(error, form) {
+  const message = error.thrown !== undefined ? `Threw ${error.thrown}` : `${error.name}: ${error.message}`;
+  const position = String(error.stack || '').match(SNIPPET_POSITION);
+  const line = position ? Number(position[1]) : 1;
+  return {
+    rule: 'runnable-error',
+    message: `Runnable example failed: ${message}`,
+    line,
+    column: position && position[2] ? snippetColumn(line, Number(position[2]), form) : 1
+  };
+}
+
+/**
+ * The first `// => text` annotation the printed lines do not match, as a
+ * finding, or null.
+ */
+function compareOutput(code, output) {
+  const expected = code.split('\n')
+    .map((text, index) => ({ match: text.match(EXPECTED_OUTPUT), line: index + 1 }))
+    .filter(({ match }) => match)
+    .map(({ match, line }) => ({ text: match[1].trim(), line, column: match.index + 1 }));
+
+  for (const [index, annotation] of expected.entries()) {
+    const actual = output[index];
+    if (actual !== undefined && actual.trim() === annotation.text) continue;
+
+    return {
+      rule: 'unexpected-output',
+      message: actual === undefined
+        ? `Expected output "${annotation.text}", but the example printed nothing more`
+        : `Expected output "${annotation.text}", got "${actual.trim()}"`,
+      line: annotation.line,
+      column: annotation.column
+    };
+  }
+
+  return null;
+}
+
+/**
+ * Check every JSON, YAML and JavaScript block of a parsed document (see
+ * ./markdown-ast) and, when `run` is true, run its runnable ones.
+ * Returns { checked, ran, failed, findings }; findings are
+ * { rule, severity, message, line, column } with file positions, at most
+ * one per block.
+ */
+async function verifyCodeBlocks(document, { run = false } = {}) {
+  const summary = { checked: 0, ran: 0, failed: 0, findings: [] };
+
+  for (const block of document.codeBlocks) {
+    const language = LANGUAGES[(block.lang || '').toLowerCase()];
+    const flags = fenceFlags(block);
+    if (!language || flags.has('nocheck')) continue;
+
+    summary.checked++;
+    let problem = null;
+
+    if (language === 'json') {
+      problem = checkJson(block.value);
+    } else if (language === 'yaml') {
+      problem = checkYaml(block.value);
+    } else {
+      const runnable = flags.has('runnable');
+      const compiled = compileJavaScript(block.value, {
+        runnable,
+        module: (block.lang || '').toLowerCase() === 'mjs'
+      });
+      problem = compiled.error || null;
+
+      if (!problem && runnable && run) {
+        summary.ran++;
+        const { output, error } = runScript(block.value, compiled.form);
+        problem = error ? runtimeError(error, compiled.form) : compareOutput(block.value, output);
+      }
+    }
+
+    if (problem) {
+      summary.failed++;
+      // The code starts on the line after the opening fence, indented like it
+      summary.findings.push({
+        ...problem,
+        severity: 'warning',
+        line: block.line + problem.line,
+        column: block.column + problem.column - 1
+      });
+    }
+  }
+
+  return summary;
+}
+
+module.exports = {
+  verifyCodeBlocks,
+  fenceFlags,
+  LANGUAGES,
+  RULES,
+  RUN_TIMEOUT_MS
+};
@@ -0,0 +1,260 @@
+/**
+ * Content Freshness
+ *
+ * Dates each document by its last substantive commit instead of the file's
+ * mtime (which every checkout resets). A commit is substantive for a file
+ * when it changes the file beyond whitespace and blank lines and is not by
+ * a bot; renames are followed back through history. A later `reviewed` date
+ * in front matter counts as well. Files git does not know about fall back to
+ * mtime, as does everything outside a git work tree.
+ *
+ * Freshness SLAs come from `.selfref-freshness.json` in the project root:
+ *
+ *   {
+ *     "defaultSlaDays": 30,
+ *     "slas": [{ "files": ["guides/**"], "days": 14 }, { "files": ["philosophy/**"], "days": 180 }],
+ *     "botAuthors": ["[bot]", "github-actions"]
+ *   }
+ *
+ * The last matching `slas` entry wins. Bot authors match case-insensitively
+ * as substrings of the author name or email.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { execFileSync } = require('child_process');
+const { matchesGlob, toPosix } = require('./glob');
+const { parseFrontMatter } = require('./front-matter');
+const { getMetadata, INACTIVE_STATUSES } = require('./document-metadata');
+
+const CONFIG_FILE = '.selfref-freshness.json';
+const DAY_MS = 24 * 60 * 60 * 1000;
+const EXCLUDED_DIRECTORIES = ['node_modules', '.git', '_site'];
+
+const DEFAULT_CONFIG = {
+  defaultSlaDays: 30,
+  slas: [],
+  botAuthors: ['[bot]', 'dependabot', 'renovate', 'github-actions']
+};
+
+// Record and field separators for git log output
+const RECORD = '\x1e';
+const FIELD = '\x1f';
+
+class ContentFreshness {
+  constructor(options = {}) {
+    this.projectRoot = options.projectRoot || path.join(__dirname, '..', '..');
+    this.docsPath = options.docsPath || path.join(this.projectRoot, 'docs');
+    this.config = { ...DEFAULT_CONFIG, ...(options.config || ContentFreshness.loadConfig(this.projectRoot)) };
+    this.now = options.now || Date.now();
+    this.result = null;
+
+    this.validateConfig();
+  }
+
+  static loadConfig(projectRoot) {
+    const file = path.join(projectRoot, CONFIG_FILE);
+    if (!fs.existsSync(file)) return {};
+
+    try {
+      return JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (error) {
+      throw new Error(`Could not parse ${file}: ${error.message}`);
+    }
+  }
+
+  validateConfig() {
+    const days = [this.config.defaultSlaDays, ...this.config.slas.map(sla => sla.days)];
+    if (days.some(value => typeof value !== 'number' || value <= 0)) {
+      throw new Error(`${CONFIG_FILE}: SLA days must be positive numbers`);
+    }
+    if (this.config.slas.some(sla => !sla.files)) {
+      throw new Error(`${CONFIG_FILE}: every SLA needs files`);
+    }
+  }
+
+  slaFor(relativePath) {
+    const match = this.config.slas.filter(sla => matchesGlob(relativePath, sla.files)).pop();
+    return match ? match.days : this.config.defaultSlaDays;
+  }
+
+  isBot(commit) {
+    const author = `${commit.author} ${commit.email}`.toLowerCase();
+    return this.config.botAuthors.some(pattern => author.includes(pattern.toLowerCase()));
+  }
+
+  /**
+   * Freshness of every Markdown document. Computed once per instance to
+   * { source, provenance, documents, stale }; each document is
+   * { file, lastChanged, lastAuthor, commit, subject, reviewed, lastReviewed,
+   *   owner, source, slaDays, ageDays, stale, inactive }.
+   */
+  analyze() {
+    if (this.result) return this.result;
+
+    const files = this.findFiles(this.docsPath).map(file => toPosix(path.relative(this.docsPath, file)));
+    const history = this.readHistory(files);
+
+    const documents = files.map(file => {
+      const filePath = path.join(this.docsPath, file);
+      const metadata = getMetadata(parseFrontMatter(fs.readFileSync(filePath, 'utf8')).data);
+      const commit = history.commits ? history.commits.get(file) : null;
+
+      const changed = commit
+        ? { date: new Date(commit.date), author: commit.author, commit: commit.hash, subject: commit.subject, source: commit.source }
+        : { date: fs.statSync(filePath).mtime, author: null, commit: null, subject: null, source: history.commits ? 'untracked' : 'mtime' };
+
+      const lastReviewed = metadata.reviewed && metadata.reviewed > changed.date ? metadata.reviewed : changed.date;
+      const slaDays = this.slaFor(file);
+      const ageDays = Math.max(0, Math.floor((this.now - lastReviewed.getTime()) / DAY_MS));
+      const inactive = INACTIVE_STATUSES.includes(metadata.status);
+
+      return {
+        file,
+        lastChanged: changed.date.toISOString(),
+        lastAuthor: changed.author,
+        commit: changed.commit,
+        subject: changed.subject,
+        reviewed: metadata.reviewed ? metadata.reviewed.toISOString().slice(0, 10) : null,
+        lastReviewed: lastReviewed.toISOString(),
+        owner: metadata.owner,
+        source: changed.source,
+        slaDays,
+        ageDays,
+        stale: !inactive && ageDays > slaDays,
+        inactive
+      };
+    });
+
+    this.result = {
+      source: history.commits ? 'git' : 'mtime',
+      provenance: history.provenance,
+      documents,
+      stale: documents.filter(document => document.stale).sort((a, b) => (b.ageDays - b.slaDays) - (a.ageDays - a.slaDays))
+    };
+
+    return this.result;
+  }
+
+  /**
+   * Walk `git log` newest first and record, per document, the first commit
+   * that substantively changed it (following renames to older paths). With
+   * -w and --ignore-blank-lines whitespace-only changes drop out of numstat.
+   */
+  readHistory(files) {
+    let output;
+    try {
+      execFileSync('git', ['rev-parse', '--is-inside-work-tree'], { cwd: this.docsPath, stdio: 'ignore' });
+      output = execFileSync('git', [
+        'log', '-w', '--ignore-blank-lines', '--numstat', '-z', '--relative', '-M',
+        `--format=${RECORD}%H${FIELD}%an${FIELD}%ae${FIELD}%aI${FIELD}%s`,
+        '--', '.'
+      ], { cwd: this.docsPath, encoding: 'utf8', maxBuffer: 64 * 1024 * 1024 });
+    } catch (error) {
+      return { commits: null, provenance: 'filesystem mtime (not a git work tree)' };
+    }
+
+    const tracked = new Map(files.map(file => [file, file]));
+    const commits = new Map();
+    const fallbacks = new Map();
+
+    for (const record of output.split(RECORD).slice(1)) {
+      const [header, ...changes] = record.split('\0');
+      const [hash, author, email, date, subject] = header.split(FIELD);
+      const commit = { hash, author, email, date, subject };
+      const substantive = !this.isBot(commit);
+
+      for (let index = 0; index < changes.length; index++) {
+        const entry = changes[index].replace(/^\n/, '');
+        if (!entry) continue;
+
+        const [added, deleted, pathName] = entry.split('\t');
+        // A rename is "added<TAB>deleted<TAB>" followed by the old and new paths
+        const [oldPath, newPath] = pathName === '' ? [changes[++index], changes[++index]] : [null, pathName];
+        const document = tracked.get(newPath);
+        if (!document) continue;
+
+        // Oldest commit touching the document, for files with no substantive commit
+        fallbacks.set(document, commit);
+
+        const changedLines = added === '-' || Number(added) + Number(deleted) > 0;
+        if (changedLines && substantive) {
+          commits.set(document, { ...commit, source: 'git' });
+          tracked.delete(newPath);
+        } else if (oldPath) {
+          tracked.delete(newPath);
+          tracked.set(oldPath, document);
+        }
+      }
+    }
+
+    fallbacks.forEach((commit, document) => {
+      if (!commits.has(document)) {
+        commits.set(document, { ...commit, source: 'git-creation' });
+      }
+    });
+
+    const shallow = this.isShallow();
+    return {
+      commits,
+      provenance: 'last substantive git commit (whitespace-only and bot commits ignored)' +
+        (shallow ? '; shallow clone, so older history is missing' : '')
+    };
+  }
+
+  isShallow() {
+    try {
+      return execFileSync('git', ['rev-parse', '--is-shallow-repository'], { cwd: this.docsPath, encoding: 'utf8' }).trim() === 'true';
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * Markdown table of stale documents, most overdue first.
+   */
+  renderReport() {
+    const { documents, stale, provenance } = this.analyze();
+    const rows = stale.map(document =>
+      `| ${document.file} | ${document.ageDays} | ${document.slaDays} | ${document.lastChanged.slice(0, 10)} | ` +
+      `${document.lastAuthor || '-'} | ${document.owner || '-'} |`
+    );
+
+    return '# Content Freshness Report\n\n' +
+           `Dates from ${provenance}.\n\n` +
+           `${documents.length - stale.length}/${documents.length} documents are within their freshness SLA.\n\n` +
+           (rows.length > 0
+             ? '| File | Age (days) | SLA (days) | Last Change | Last Author | Owner |\n' +
+               '|------|------------|------------|-------------|-------------|-------|\n' + rows.join('\n') + '\n'
+             : 'No stale documents.\n');
+  }
+
+  findFiles(dirPath) {
+    const files = [];
+
+    function traverseDirectory(currentPath) {
+      if (!fs.existsSync(currentPath)) return;
+
+      for (const item of fs.readdirSync(currentPath)) {
+        const fullPath = path.join(currentPath, item);
+        const stat = fs.statSync(fullPath);
+
+        if (stat.isDirectory()) {
+          if (!EXCLUDED_DIRECTORIES.includes(item)) {
+            traverseDirectory(fullPath);
+          }
+        } else if (item.endsWith('.md')) {
+          files.push(fullPath);
+        }
+      }
+    }
+
+    traverseDirectory(dirPath);
+    return files;
+  }
+}
+
+ContentFreshness.CONFIG_FILE = CONFIG_FILE;
+ContentFreshness.DEFAULT_CONFIG = DEFAULT_CONFIG;
+
+module.exports = ContentFreshness;
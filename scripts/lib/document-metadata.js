@@ -0,0 +1,191 @@
+/**
+ * Document Metadata
+ *
+ * The front matter fields the engines act on, and the schema they are
+ * checked against. Other keys (title, uid, ms.* and so on) belong to DocFX
+ * and are left alone.
+ *
+ *   owner: docs-team              # who keeps the page current
+ *   status: published             # draft | review | published | deprecated | archived
+ *   reviewed: 2025-08-29          # last review, YYYY-MM-DD
+ *   tags: [pmcro, evolution]
+ *   requiredSections: [Examples]  # sections this page must have
+ *   assessment:                   # scoring overrides for this page
+ *     skip: false
+ *     weights: { accuracy: 0.4 }
+ *     thresholds: { quality: 60 }
+ */
+
+const STATUSES = ['draft', 'review', 'published', 'deprecated', 'archived'];
+// Documents in these states are no longer maintained: not refreshed, promoted or held to a freshness SLA
+const INACTIVE_STATUSES = ['deprecated', 'archived'];
+const DIMENSIONS = ['completeness', 'accuracy', 'relevance', 'quality'];
+const ISO_DATE = /^\d{4}-\d{2}-\d{2}$/;
+
+const FIELDS = {
+  owner: { type: 'string' },
+  status: { type: 'string', enum: STATUSES },
+  reviewed: { type: 'date' },
+  tags: { type: 'string[]' },
+  requiredSections: { type: 'string[]' },
+  assessment: { type: 'assessment' }
+};
+
+/**
+ * Typed metadata for a document's front matter data. Values of the wrong
+ * type are ignored here; the schema check reports them.
+ */
+function getMetadata(data = {}) {
+  const assessment = isObject(data.assessment) ? data.assessment : {};
+
+  return {
+    owner: typeof data.owner === 'string' ? data.owner : null,
+    status: STATUSES.includes(data.status) ? data.status : null,
+    reviewed: toDate(data.reviewed),
+    tags: isStringList(data.tags) ? data.tags : [],
+    requiredSections: isStringList(data.requiredSections) ? data.requiredSections : [],
+    assessment: {
+      skip: assessment.skip === true,
+      weights: pickDimensions(assessment.weights),
+      thresholds: pickDimensions(assessment.thresholds)
+    }
+  };
+}
+
+/**
+ * Check front matter data against the schema. `schema` can require fields,
+ * narrow the allowed statuses and declare extra fields:
+ *   { required: ['owner'], statuses: ['draft', 'published'], fields: { audience: { type: 'string', enum: [...] } } }
+ * Returns [{ field, message }], empty when the data is valid.
+ */
+function validateMetadata(data = {}, schema = {}) {
+  const fields = { ...FIELDS, ...schema.fields };
+  if (schema.statuses) {
+    fields.status = { ...fields.status, enum: schema.statuses };
+  }
+
+  const violations = [];
+
+  (schema.required || []).forEach(field => {
+    if (data[field] === undefined || data[field] === null || data[field] === '') {
+      violations.push({ field, message: `Front matter is missing required field "${field}"` });
+    }
+  });
+
+  Object.entries(fields).forEach(([field, definition]) => {
+    if (data[field] === undefined || data[field] === null) return;
+
+    const problem = checkValue(data[field], definition);
+    if (problem) {
+      violations.push({ field, message: `Front matter field "${field}" ${problem}` });
+    }
+  });
+
+  return violations;
+}
+
+function checkValue(value, definition) {
+  switch (definition.type) {
+    case 'string':
+      if (typeof value !== 'string' || !value.trim()) return 'must be a non-empty string';
+      break;
+    case 'number':
+      if (typeof value !== 'number') return 'must be a number';
+      break;
+    case 'boolean':
+      if (typeof value !== 'boolean') return 'must be true or false';
+      break;
+    case 'string[]':
+      if (!isStringList(value)) return 'must be a list of strings';
+      break;
+    case 'date': {
+      const date = toDate(value);
+      if (!date) return 'must be a date in YYYY-MM-DD format';
+      if (date.getTime() > Date.now()) return 'must not be in the future';
+      break;
+    }
+    case 'assessment':
+      return checkAssessment(value);
+  }
+
+  if (definition.enum && !definition.enum.includes(value)) {
+    return `must be one of ${definition.enum.join(', ')} (got "${value}")`;
+  }
+
+  return null;
+}
+
+function checkAssessment(value) {
+  if (!isObject(value)) return 'must be a mapping';
+
+  const unknown = Object.keys(value).filter(key => !['skip', 'weights', 'thresholds'].includes(key));
+  if (unknown.length > 0) return `has unknown keys: ${unknown.join(', ')}`;
+
+  if (value.skip !== undefined && typeof value.skip !== 'boolean') return 'skip must be true or false';
+
+  const ranges = { weights: [0, 1], thresholds: [0, 100] };
+  for (const [key, [min, max]] of Object.entries(ranges)) {
+    if (value[key] === undefined) continue;
+    if (!isObject(value[key])) return `${key} must be a mapping of dimensions to numbers`;
+
+    for (const [dimension, number] of Object.entries(value[key])) {
+      if (!DIMENSIONS.includes(dimension)) {
+        return `${key} has unknown dimension "${dimension}" (expected ${DIMENSIONS.join(', ')})`;
+      }
+      if (typeof number !== 'number' || number < min || number > max) {
+        return `${key}.${dimension} must be a number from ${min} to ${max}`;
+      }
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Dates arrive as YYYY-MM-DD strings (front matter is parsed with the YAML
+ * core schema); Date objects are accepted from programmatic callers.
+ */
+function toDate(value) {
+  if (value instanceof Date) {
+    return Number.isNaN(value.getTime()) ? null : value;
+  }
+  if (typeof value === 'string' && ISO_DATE.test(value)) {
+    const date = new Date(`${value}T00:00:00Z`);
+    return Number.isNaN(date.getTime()) || date.toISOString().slice(0, 10) !== value ? null : date;
+  }
+  return null;
+}
+
+function pickDimensions(value) {
+  if (!isObject(value)) return {};
+  return Object.fromEntries(Object.entries(value).filter(([dimension, number]) =>
+    DIMENSIONS.includes(dimension) && typeof number === 'number'
+  ));
+}
+
+function isObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value) && !(value instanceof Date);
+}
+
+function isStringList(value) {
+  return Array.isArray(value) && value.every(item => typeof item === 'string');
+}
+
+/**
+ * 1-based position of a top-level front matter key, or the opening `---`.
+ */
+function findFieldPosition(content, field) {
+  const lines = content.split('\n');
+  const escaped = field.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  const pattern = new RegExp(`^["']?${escaped}["']?\\s*:`);
+
+  for (let index = 1; index < lines.length && !/^---\s*$/.test(lines[index]); index++) {
+    if (pattern.test(lines[index])) {
+      return { line: index + 1, column: 1 };
+    }
+  }
+
+  return { line: 1, column: 1 };
+}
+
+module.exports = { getMetadata, validateMetadata, findFieldPosition, STATUSES, INACTIVE_STATUSES, DIMENSIONS, FIELDS };
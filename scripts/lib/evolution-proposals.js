@@ -0,0 +1,208 @@
+/**
+ * Evolution Proposals
+ *
+ * Changes the evolution system wants to make to documents, kept for review
+ * instead of being written into docs/. Each proposal is a unified diff in
+ * `<proposalsPath>/<id>.patch` (appliable with `git apply` from the project
+ * root) plus an entry in `<proposalsPath>/proposals.json`:
+ *
+ *   { id, status: pending|applied|rejected|superseded, createdAt, triggerId, action,
+ *     description, file, patchFile, baseHash, newHash, createsFile, trailingNewline,
+ *     appliedAt, appliedBy, rejectedAt, rejectedBy, reason }
+ *
+ * A proposal only applies to the exact content it was made from (baseHash);
+ * if the document changed in the meantime it must be proposed again.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { execFileSync } = require('child_process');
+const { createUnifiedDiff, applyUnifiedDiff } = require('./unified-diff');
+const { toPosix } = require('./glob');
+
+const INDEX_FILE = 'proposals.json';
+
+function hash(content) {
+  return crypto.createHash('sha256').update(content).digest('hex');
+}
+
+class EvolutionProposals {
+  constructor(options = {}) {
+    this.projectRoot = options.projectRoot;
+    this.docsPath = options.docsPath;
+    this.proposalsPath = options.proposalsPath || path.join(this.docsPath, 'evolution', 'proposals');
+    this.indexFile = path.join(this.proposalsPath, INDEX_FILE);
+    this.proposals = this.load();
+  }
+
+  load() {
+    if (!fs.existsSync(this.indexFile)) {
+      return [];
+    }
+    return JSON.parse(fs.readFileSync(this.indexFile, 'utf8')).proposals || [];
+  }
+
+  save() {
+    fs.mkdirSync(this.proposalsPath, { recursive: true });
+    fs.writeFileSync(this.indexFile, JSON.stringify({ proposals: this.proposals }, null, 2));
+  }
+
+  list(status = null) {
+    return this.proposals.filter(proposal => !status || proposal.status === status);
+  }
+
+  find(id) {
+    const proposal = this.proposals.find(candidate => candidate.id === id);
+    if (!proposal) {
+      throw new Error(`Unknown proposal: ${id}`);
+    }
+    return proposal;
+  }
+
+  /**
+   * What proposing this content would do, without recording anything:
+   * { file, diff, createsFile, baseHash, newHash, existing }, where
+   * `existing` is an identical pending or rejected proposal. Null when
+   * nothing would change.
+   */
+  preview({ filePath, content, action }) {
+    const exists = fs.existsSync(filePath);
+    const original = exists ? fs.readFileSync(filePath, 'utf8') : '';
+    if (exists && original === content) {
+      return null;
+    }
+
+    const file = toPosix(path.relative(this.docsPath, filePath));
+    const baseHash = exists ? hash(original) : null;
+    const newHash = hash(content);
+    const projectFile = toPosix(path.relative(this.projectRoot, filePath));
+
+    return {
+      file,
+      diff: createUnifiedDiff(original, content, {
+        fromFile: exists ? `a/${projectFile}` : '/dev/null',
+        toFile: `b/${projectFile}`
+      }),
+      createsFile: !exists,
+      baseHash,
+      newHash,
+      existing: this.proposals.find(proposal => proposal.file === file && proposal.action === action &&
+        ['pending', 'rejected'].includes(proposal.status) &&
+        proposal.baseHash === baseHash && proposal.newHash === newHash) || null
+    };
+  }
+
+  /**
+   * Propose replacing a document's content (or creating it). Returns
+   * { proposal, created }, or null when nothing would change. An identical
+   * pending or rejected proposal is returned instead of a new one (so a
+   * rejection sticks until the document changes); outdated pending proposals
+   * for the same file and action are marked superseded.
+   */
+  create({ filePath, content, triggerId = null, action, description }) {
+    const preview = this.preview({ filePath, content, action });
+    if (!preview) {
+      return null;
+    }
+    if (preview.existing) {
+      return { proposal: preview.existing, created: false };
+    }
+
+    const { file, diff, createsFile, baseHash, newHash } = preview;
+    this.proposals
+      .filter(proposal => proposal.file === file && proposal.action === action && proposal.status === 'pending')
+      .forEach(proposal => {
+        proposal.status = 'superseded';
+      });
+
+    const id = `proposal_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+    const proposal = {
+      id,
+      status: 'pending',
+      createdAt: new Date().toISOString(),
+      triggerId,
+      action,
+      description,
+      file,
+      patchFile: `${id}.patch`,
+      baseHash,
+      newHash,
+      createsFile,
+      trailingNewline: content.endsWith('\n')
+    };
+
+    fs.mkdirSync(this.proposalsPath, { recursive: true });
+    fs.writeFileSync(path.join(this.proposalsPath, proposal.patchFile), diff);
+    this.proposals.push(proposal);
+    this.save();
+
+    return { proposal, created: true };
+  }
+
+  getDiff(proposal) {
+    return fs.readFileSync(path.join(this.proposalsPath, proposal.patchFile), 'utf8');
+  }
+
+  /**
+   * Write a pending proposal's change into its document.
+   */
+  apply(id, actor) {
+    const proposal = this.find(id);
+    if (proposal.status !== 'pending') {
+      throw new Error(`Proposal ${id} is ${proposal.status}, not pending`);
+    }
+
+    const filePath = path.join(this.docsPath, proposal.file);
+    const exists = fs.existsSync(filePath);
+    const current = exists ? fs.readFileSync(filePath, 'utf8') : '';
+
+    if (proposal.createsFile ? exists : !exists || hash(current) !== proposal.baseHash) {
+      throw new Error(`${proposal.file} changed since proposal ${id} was made; run the evolution system again to refresh it`);
+    }
+
+    const updated = applyUnifiedDiff(current, this.getDiff(proposal), { trailingNewline: proposal.trailingNewline });
+    if (hash(updated) !== proposal.newHash) {
+      throw new Error(`Patch for proposal ${id} does not reproduce the proposed content`);
+    }
+
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    fs.writeFileSync(filePath, updated);
+
+    Object.assign(proposal, { status: 'applied', appliedAt: new Date().toISOString(), appliedBy: actor });
+    this.save();
+    return proposal;
+  }
+
+  reject(id, actor, reason = null) {
+    const proposal = this.find(id);
+    if (proposal.status !== 'pending') {
+      throw new Error(`Proposal ${id} is ${proposal.status}, not pending`);
+    }
+
+    Object.assign(proposal, { status: 'rejected', rejectedAt: new Date().toISOString(), rejectedBy: actor, reason });
+    this.save();
+    return proposal;
+  }
+}
+
+/**
+ * Who is applying or rejecting: an explicit name, else git's user.name,
+ * else the OS user.
+ */
+function resolveActor(explicit, cwd) {
+  if (explicit) return explicit;
+
+  try {
+    const name = execFileSync('git', ['config', 'user.name'], { cwd, encoding: 'utf8', stdio: ['ignore', 'pipe', 'ignore'] }).trim();
+    if (name) return name;
+  } catch (error) {
+    // Not configured; fall through
+  }
+
+  return process.env.USER || process.env.USERNAME || 'unknown';
+}
+
+EvolutionProposals.resolveActor = resolveActor;
+
+module.exports = EvolutionProposals;
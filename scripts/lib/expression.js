@@ -0,0 +1,222 @@
+/**
+ * Expressions
+ *
+ * A small, side-effect free expression language for trigger conditions:
+ *
+ *   assessment.averageScore < 70 && docs.category == "guides"
+ *   docs.tags contains "pmcro" || docs.file matches "api/**"
+ *   !(usage.leastAccessed.length == 0)
+ *
+ * Operands are numbers (-5 and 0.5 included), "strings" or 'strings', true,
+ * false, null and dotted paths into the evaluation context (a missing path is
+ * undefined). There is no arithmetic, so a minus only ever signs a number. Operators,
+ * loosest first: ||, &&, !, then == != < <= > >= contains matches, with
+ * parentheses for grouping. Ordering comparisons are false unless both sides
+ * are numbers or both are strings; `contains` tests list membership or a
+ * substring and `matches` a glob (see ./glob). Used as a condition, an empty
+ * list is false.
+ */
+
+const { matchesGlob } = require('./glob');
+
+const COMPARISONS = ['==', '!=', '<=', '>=', '<', '>', 'contains', 'matches'];
+const TOKEN = /\s*(?:(-?\d+(?:\.\d+)?)|("(?:[^"\\]|\\.)*"|'(?:[^'\\]|\\.)*')|(&&|\|\||==|!=|<=|>=|<|>|!|\(|\))|([A-Za-z_][\w]*(?:\.[A-Za-z_$][\w$]*)*))/y;
+
+function tokenize(source) {
+  const tokens = [];
+  TOKEN.lastIndex = 0;
+
+  while (TOKEN.lastIndex < source.length) {
+    if (/^\s*$/.test(source.slice(TOKEN.lastIndex))) break;
+
+    const rest = source.slice(TOKEN.lastIndex);
+    const position = TOKEN.lastIndex + rest.length - rest.trimStart().length;
+    const match = TOKEN.exec(source);
+    if (!match) {
+      throw new Error(`Unexpected "${source[position]}" at position ${position + 1}`);
+    }
+
+    const [, number, string, operator, name] = match;
+    const at = match.index + match[0].length - match[0].trimStart().length + 1;
+    if (number !== undefined) {
+      tokens.push({ type: 'literal', value: Number(number), at });
+    } else if (string !== undefined) {
+      tokens.push({ type: 'literal', value: string.slice(1, -1).replace(/\\(.)/g, '$1'), at });
+    } else if (operator !== undefined) {
+      tokens.push({ type: 'operator', value: operator, at });
+    } else if (['true', 'false', 'null'].includes(name)) {
+      tokens.push({ type: 'literal', value: JSON.parse(name), at });
+    } else if (name === 'contains' || name === 'matches') {
+      tokens.push({ type: 'operator', value: name, at });
+    } else {
+      tokens.push({ type: 'path', value: name.split('.'), at });
+    }
+  }
+
+  return tokens;
+}
+
+/**
+ * Parse an expression into a tree of { type: 'literal' | 'path' | 'not' |
+ * 'and' | 'or' | 'compare', ... } nodes. Throws on syntax errors.
+ */
+function parse(source) {
+  if (typeof source !== 'string' || !source.trim()) {
+    throw new Error('Expression is empty');
+  }
+
+  const tokens = tokenize(source);
+  let index = 0;
+
+  const peek = () => tokens[index];
+  const isOperator = (...values) => peek() && peek().type === 'operator' && values.includes(peek().value);
+  const fail = message => {
+    throw new Error(peek() ? `${message} at position ${peek().at}` : `${message} at end of expression`);
+  };
+
+  function parseOr() {
+    let node = parseAnd();
+    while (isOperator('||')) {
+      index++;
+      node = { type: 'or', left: node, right: parseAnd() };
+    }
+    return node;
+  }
+
+  function parseAnd() {
+    let node = parseNot();
+    while (isOperator('&&')) {
+      index++;
+      node = { type: 'and', left: node, right: parseNot() };
+    }
+    return node;
+  }
+
+  function parseNot() {
+    if (isOperator('!')) {
+      index++;
+      return { type: 'not', operand: parseNot() };
+    }
+    return parseComparison();
+  }
+
+  function parseComparison() {
+    const left = parseOperand();
+    if (isOperator(...COMPARISONS)) {
+      const operator = tokens[index++].value;
+      return { type: 'compare', operator, left, right: parseOperand() };
+    }
+    return left;
+  }
+
+  function parseOperand() {
+    const token = peek();
+    if (!token) fail('Expected a value');
+
+    if (token.type === 'operator' && token.value === '(') {
+      index++;
+      const node = parseOr();
+      if (!isOperator(')')) fail('Expected ")"');
+      index++;
+      return node;
+    }
+    if (token.type === 'literal' || token.type === 'path') {
+      index++;
+      return { type: token.type, value: token.value };
+    }
+
+    return fail(`Unexpected "${token.value}"`);
+  }
+
+  const tree = parseOr();
+  if (index < tokens.length) {
+    fail(`Unexpected "${[].concat(peek().value).join('.')}"`);
+  }
+  return tree;
+}
+
+/**
+ * Root names the expression reads (`assessment` in assessment.averageScore),
+ * so callers can reject unknown namespaces when loading.
+ */
+function roots(tree) {
+  switch (tree.type) {
+    case 'path':
+      return [tree.value[0]];
+    case 'not':
+      return roots(tree.operand);
+    case 'and':
+    case 'or':
+    case 'compare':
+      return [...new Set([...roots(tree.left), ...roots(tree.right)])];
+    default:
+      return [];
+  }
+}
+
+function evaluate(tree, context) {
+  switch (tree.type) {
+    case 'literal':
+      return tree.value;
+    case 'path':
+      // Own properties only (an array's or string's length included), never the prototype chain
+      return tree.value.reduce((value, key) =>
+        value === null || value === undefined || !Object.prototype.hasOwnProperty.call(Object(value), key)
+          ? undefined
+          : value[key], context);
+    case 'not':
+      return !truthy(evaluate(tree.operand, context));
+    case 'and':
+      return truthy(evaluate(tree.left, context)) && truthy(evaluate(tree.right, context));
+    case 'or':
+      return truthy(evaluate(tree.left, context)) || truthy(evaluate(tree.right, context));
+    case 'compare':
+      return compare(tree.operator, evaluate(tree.left, context), evaluate(tree.right, context));
+  }
+  throw new Error(`Unknown expression node: ${tree.type}`);
+}
+
+function compare(operator, left, right) {
+  switch (operator) {
+    case '==':
+      return left === right;
+    case '!=':
+      return left !== right;
+    case 'contains':
+      return (Array.isArray(left) || typeof left === 'string') && left.includes(right);
+    case 'matches':
+      return typeof left === 'string' && typeof right === 'string' && matchesGlob(left, right);
+  }
+
+  const comparable = (typeof left === 'number' && typeof right === 'number') ||
+    (typeof left === 'string' && typeof right === 'string');
+  if (!comparable) return false;
+
+  switch (operator) {
+    case '<': return left < right;
+    case '<=': return left <= right;
+    case '>': return left > right;
+    case '>=': return left >= right;
+  }
+  return false;
+}
+
+function truthy(value) {
+  return Array.isArray(value) ? value.length > 0 : Boolean(value);
+}
+
+/**
+ * Parse once and return { source, roots, evaluate(context), test(context) },
+ * where test applies the condition truthiness described above.
+ */
+function compile(source) {
+  const tree = parse(source);
+  return {
+    source,
+    roots: roots(tree),
+    evaluate: context => evaluate(tree, context),
+    test: context => truthy(evaluate(tree, context))
+  };
+}
+
+module.exports = { compile, parse, evaluate, truthy };
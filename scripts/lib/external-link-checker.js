@@ -0,0 +1,176 @@
+/**
+ * External Link Checker
+ *
+ * Checks http(s) links with a persistent JSON cache, a global concurrency
+ * limit and a minimum interval between requests to the same host. Each URL
+ * is tried with HEAD (falling back to GET when HEAD is refused) and redirects
+ * are followed manually so the final target can be reported.
+ *
+ * `origin` rewrites every request to another server (e.g. a local fixture
+ * server in tests) while results stay keyed by the original URL.
+ *
+ * Cache entries: { url, state: ok|redirected|dead, status, checkedAt, redirectTarget, error }
+ */
+
+const fs = require('fs');
+const path = require('path');
+const http = require('http');
+const https = require('https');
+
+const DEFAULT_OPTIONS = {
+  concurrency: 4,
+  perHostIntervalMs: 1000,
+  timeoutMs: 10000,
+  maxAgeMs: 24 * 60 * 60 * 1000,
+  maxRedirects: 5,
+  userAgent: 'self-referential-docs-link-checker'
+};
+
+class ExternalLinkChecker {
+  constructor(options = {}) {
+    this.options = { ...DEFAULT_OPTIONS, ...options };
+    this.cacheFile = options.cacheFile || null;
+    this.origin = options.origin ? new URL(options.origin) : null;
+    this.cache = this.loadCache();
+    this.nextRequestAt = new Map();
+    this.stats = { checked: 0, fromCache: 0 };
+  }
+
+  loadCache() {
+    if (!this.cacheFile || !fs.existsSync(this.cacheFile)) {
+      return {};
+    }
+
+    try {
+      return JSON.parse(fs.readFileSync(this.cacheFile, 'utf8')).links || {};
+    } catch (error) {
+      return {};
+    }
+  }
+
+  saveCache() {
+    if (!this.cacheFile) return;
+
+    fs.mkdirSync(path.dirname(this.cacheFile), { recursive: true });
+    fs.writeFileSync(this.cacheFile, JSON.stringify({ version: 1, links: this.cache }, null, 2));
+  }
+
+  /**
+   * Check a list of URLs. Resolves to a Map of url -> cache entry; fresh
+   * cache entries are reused without a request.
+   */
+  async checkAll(urls) {
+    const unique = [...new Set(urls)];
+    const results = new Map();
+    const queue = [];
+
+    unique.forEach(url => {
+      const cached = this.cache[url];
+      if (cached && Date.now() - Date.parse(cached.checkedAt) < this.options.maxAgeMs) {
+        results.set(url, cached);
+        this.stats.fromCache++;
+      } else {
+        queue.push(url);
+      }
+    });
+
+    const worker = async () => {
+      while (queue.length > 0) {
+        const url = queue.shift();
+        const entry = await this.checkUrl(url);
+        this.cache[url] = entry;
+        results.set(url, entry);
+        this.stats.checked++;
+      }
+    };
+
+    const workers = Math.min(this.options.concurrency, queue.length);
+    await Promise.all(Array.from({ length: workers }, worker));
+
+    this.saveCache();
+    return results;
+  }
+
+  async checkUrl(url) {
+    const entry = { url, state: 'dead', status: null, checkedAt: null, redirectTarget: null, error: null };
+    let current = url;
+    let settled = false;
+
+    try {
+      for (let redirects = 0; redirects <= this.options.maxRedirects && !settled; redirects++) {
+        let response = await this.request(current, 'HEAD');
+        if ([403, 405, 501].includes(response.status)) {
+          response = await this.request(current, 'GET');
+        }
+
+        entry.status = response.status;
+
+        if (response.status >= 300 && response.status < 400 && response.location) {
+          current = new URL(response.location, current).toString();
+          entry.redirectTarget = current;
+          continue;
+        }
+
+        if (response.status >= 200 && response.status < 300) {
+          entry.state = entry.redirectTarget ? 'redirected' : 'ok';
+        }
+        settled = true;
+      }
+
+      if (!settled) {
+        entry.error = `More than ${this.options.maxRedirects} redirects`;
+      }
+    } catch (error) {
+      entry.error = error.message;
+    }
+
+    entry.checkedAt = new Date().toISOString();
+    return entry;
+  }
+
+  /**
+   * One request, after waiting for the host's rate limit slot.
+   */
+  async request(url, method) {
+    const target = new URL(url);
+    await this.waitForHost(target.host);
+
+    const requestUrl = this.origin
+      ? new URL(`${target.pathname}${target.search}`, this.origin)
+      : target;
+    const transport = requestUrl.protocol === 'https:' ? https : http;
+
+    return new Promise((resolve, reject) => {
+      const request = transport.request(requestUrl, {
+        method,
+        timeout: this.options.timeoutMs,
+        headers: {
+          'User-Agent': this.options.userAgent,
+          // Lets a fixture server tell which site a rewritten request was for
+          ...(this.origin ? { 'X-Original-Host': target.host } : {})
+        }
+      }, response => {
+        response.resume();
+        resolve({ status: response.statusCode, location: response.headers.location });
+      });
+
+      request.on('timeout', () => request.destroy(new Error(`Timed out after ${this.options.timeoutMs}ms`)));
+      request.on('error', reject);
+      request.end();
+    });
+  }
+
+  async waitForHost(host) {
+    const now = Date.now();
+    const slot = Math.max(now, this.nextRequestAt.get(host) || 0);
+    this.nextRequestAt.set(host, slot + this.options.perHostIntervalMs);
+
+    if (slot > now) {
+      await new Promise(resolve => setTimeout(resolve, slot - now));
+    }
+  }
+}
+
+ExternalLinkChecker.DEFAULT_OPTIONS = DEFAULT_OPTIONS;
+
+module.exports = ExternalLinkChecker;
@@ -0,0 +1,43 @@
+/**
+ * Front Matter
+ *
+ * Splits a Markdown document into its YAML front matter and body. A
+ * document without front matter yields empty data; malformed YAML is
+ * reported through `error` instead of throwing so callers can surface it
+ * as a finding (with the 1-based position of the problem in `errorPosition`).
+ */
+
+const yaml = require('js-yaml');
+
+const FRONT_MATTER = /^---[ \t]*\r?\n([\s\S]*?)\r?\n---[ \t]*(?:\r?\n|$)/;
+
+function parseFrontMatter(content) {
+  const match = content.match(FRONT_MATTER);
+  if (!match) {
+    return { data: {}, body: content, bodyStartLine: 1, error: null, errorPosition: null };
+  }
+
+  const bodyStartLine = match[0].split('\n').length + (match[0].endsWith('\n') ? 0 : 1);
+  const result = { data: {}, body: content.slice(match[0].length), bodyStartLine, error: null, errorPosition: null };
+
+  try {
+    // Core schema: dates stay strings, so an invalid date is reported rather than rolled over
+    const data = yaml.load(match[1], { schema: yaml.CORE_SCHEMA });
+    if (data && typeof data === 'object' && !Array.isArray(data)) {
+      result.data = data;
+    } else if (data != null) {
+      result.error = 'Front matter must be a mapping of keys to values';
+      result.errorPosition = { line: 2, column: 1 };
+    }
+  } catch (error) {
+    result.error = `Invalid front matter YAML: ${error.reason || error.message}`;
+    // js-yaml marks are 0-based and relative to the YAML after the opening ---
+    result.errorPosition = error.mark
+      ? { line: error.mark.line + 2, column: error.mark.column + 1 }
+      : { line: 1, column: 1 };
+  }
+
+  return result;
+}
+
+module.exports = { parseFrontMatter };
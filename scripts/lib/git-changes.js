@@ -0,0 +1,27 @@
+/**
+ * Git Changes
+ *
+ * Lists the files under a directory that differ from a git ref: committed
+ * and uncommitted changes since the ref, plus untracked files. Paths are
+ * returned relative to the directory, with forward slashes.
+ */
+
+const { execFileSync } = require('child_process');
+
+function git(args, cwd) {
+  try {
+    return execFileSync('git', args, { cwd, encoding: 'utf8', stdio: ['ignore', 'pipe', 'pipe'] });
+  } catch (error) {
+    const message = (error.stderr || error.message).toString().trim().split('\n')[0];
+    throw new Error(`git ${args[0]} failed: ${message}`);
+  }
+}
+
+function getChangedFiles(dirPath, ref) {
+  const changed = git(['diff', '--name-only', '--relative', ref, '--', '.'], dirPath);
+  const untracked = git(['ls-files', '--others', '--exclude-standard', '--', '.'], dirPath);
+
+  return new Set(`${changed}\n${untracked}`.split('\n').map(line => line.trim()).filter(Boolean));
+}
+
+module.exports = { getChangedFiles };
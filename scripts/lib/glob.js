@@ -0,0 +1,58 @@
+/**
+ * Glob Matching
+ *
+ * Small glob dialect for matching docs-relative paths (always `/`-separated):
+ *   `**` any number of path segments, `*` anything but `/`, `?` one character
+ *   other than `/`, `{a,b}` alternatives. Patterns match the whole path.
+ */
+
+const cache = new Map();
+
+function globToRegExp(glob) {
+  if (cache.has(glob)) return cache.get(glob);
+
+  let source = '';
+  let braceDepth = 0;
+
+  for (let index = 0; index < glob.length; index++) {
+    const char = glob[index];
+
+    if (char === '*' && glob[index + 1] === '*') {
+      const slash = glob[index + 2] === '/';
+      source += slash ? '(?:.*/)?' : '.*';
+      index += slash ? 2 : 1;
+    } else if (char === '*') {
+      source += '[^/]*';
+    } else if (char === '?') {
+      source += '[^/]';
+    } else if (char === '{') {
+      braceDepth++;
+      source += '(?:';
+    } else if (char === '}' && braceDepth > 0) {
+      braceDepth--;
+      source += ')';
+    } else if (char === ',' && braceDepth > 0) {
+      source += '|';
+    } else {
+      source += char.replace(/[.+^$()|[\]\\]/g, '\\$&');
+    }
+  }
+
+  const pattern = new RegExp(`^${source}$`);
+  cache.set(glob, pattern);
+  return pattern;
+}
+
+function toPosix(filePath) {
+  return filePath.split('\\').join('/');
+}
+
+/**
+ * Whether a relative path matches any of the given globs.
+ */
+function matchesGlob(filePath, globs) {
+  const posixPath = toPosix(filePath);
+  return [].concat(globs || []).some(glob => globToRegExp(glob).test(posixPath));
+}
+
+module.exports = { globToRegExp, matchesGlob, toPosix };
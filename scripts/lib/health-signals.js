@@ -0,0 +1,226 @@
+/**
+ * Health Signals
+ *
+ * Computes system health metrics from data that actually exists in the
+ * repository instead of fixed placeholder numbers. Every measurement
+ * returns its value together with a provenance string explaining where
+ * the number came from; a value of null means no data source is available.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const LinkChecker = require('./link-checker');
+const ContentFreshness = require('./content-freshness');
+
+const DEBT_MARKERS = /\b(TODO|FIXME|XXX|HACK)\b/g;
+const DECISION_POINTS = /\b(if|for|while|case|catch)\b|&&|\|\||\?(?![.?])/g;
+const EXCLUDED_DIRECTORIES = ['node_modules', '.git', '_site'];
+const RECURRENCE_WINDOW_MS = 7 * 24 * 60 * 60 * 1000; // one evolution cycle
+const ALWAYS_ON_TRIGGERS = ['innovation'];
+
+class HealthSignals {
+  constructor(options = {}) {
+    this.projectRoot = options.projectRoot || path.join(__dirname, '..', '..');
+    this.docsPath = options.docsPath || path.join(this.projectRoot, 'docs');
+    this.scriptsPath = options.scriptsPath || path.join(this.projectRoot, 'scripts');
+    this.historyFile = options.historyFile ||
+      path.join(this.docsPath, 'evolution', 'triggers', 'history.json');
+    this.freshness = options.freshness || null;
+  }
+
+  /**
+   * Evolution effectiveness from trigger outcomes in history.json.
+   * Half of the score is the completion rate of finished triggers; the other
+   * half is the share of triggers whose type did not fire again within one
+   * evolution cycle, i.e. whose action resolved the condition that raised it.
+   */
+  measureEvolutionEffectiveness() {
+    const relativeHistory = path.relative(this.projectRoot, this.historyFile);
+
+    if (!fs.existsSync(this.historyFile)) {
+      return { value: null, provenance: `${relativeHistory} not found` };
+    }
+
+    const history = JSON.parse(fs.readFileSync(this.historyFile, 'utf8'));
+    const triggers = (history.triggers || [])
+      .map(trigger => ({ ...trigger, time: Date.parse(trigger.timestamp) }))
+      .filter(trigger => !isNaN(trigger.time))
+      .sort((a, b) => a.time - b.time);
+    const finished = triggers.filter(t => t.status === 'completed' || t.status === 'failed');
+
+    if (finished.length === 0) {
+      return { value: null, provenance: `${relativeHistory} has no finished triggers` };
+    }
+
+    const completed = finished.filter(t => t.status === 'completed').length;
+    const completionRate = completed / finished.length;
+
+    // Only judge triggers whose recurrence window has passed or already recurred
+    let judged = 0;
+    let recurred = 0;
+
+    triggers
+      .filter(trigger => !ALWAYS_ON_TRIGGERS.includes(trigger.type))
+      .forEach((trigger, index, candidates) => {
+        const windowEnd = trigger.time + RECURRENCE_WINDOW_MS;
+        const recurrence = candidates.slice(index + 1)
+          .some(later => later.type === trigger.type && later.time <= windowEnd);
+
+        if (recurrence) {
+          judged++;
+          recurred++;
+        } else if (windowEnd <= Date.now()) {
+          judged++;
+        }
+      });
+
+    const resolutionRate = judged > 0 ? (judged - recurred) / judged : 1;
+
+    return {
+      value: Math.round((completionRate * 0.5 + resolutionRate * 0.5) * 100),
+      provenance: `${relativeHistory}: ${completed}/${finished.length} triggers completed, ` +
+        `${judged - recurred}/${judged} did not recur within 7 days`
+    };
+  }
+
+  /**
+   * Technical debt (0-100, lower is better) from debt marker density in docs
+   * and scripts plus branching density of the scripts.
+   *   markers:    5 points per TODO/FIXME/XXX/HACK per 1000 lines (max 50)
+   *   complexity: 2.5 points per decision point per 100 script lines above 10 (max 50)
+   */
+  measureTechnicalDebt() {
+    const scripts = this.findFiles(this.scriptsPath, '.js');
+    const docs = this.findFiles(this.docsPath, '.md');
+
+    let totalLines = 0;
+    let markers = 0;
+    let scriptLines = 0;
+    let decisions = 0;
+
+    [...scripts, ...docs].forEach(file => {
+      const content = fs.readFileSync(file, 'utf8');
+      totalLines += content.split('\n').length;
+      markers += (content.match(DEBT_MARKERS) || []).length;
+    });
+
+    scripts.forEach(file => {
+      const code = this.stripCommentsAndStrings(fs.readFileSync(file, 'utf8'));
+      scriptLines += code.split('\n').filter(line => line.trim()).length;
+      decisions += (code.match(DECISION_POINTS) || []).length;
+    });
+
+    const markersPerKLoc = totalLines > 0 ? (markers / totalLines) * 1000 : 0;
+    const decisionsPerHundred = scriptLines > 0 ? (decisions / scriptLines) * 100 : 0;
+    const markerScore = Math.min(50, markersPerKLoc * 5);
+    const complexityScore = Math.min(50, Math.max(0, decisionsPerHundred - 10) * 2.5);
+
+    return {
+      value: Math.round(markerScore + complexityScore),
+      provenance: `${markers} debt markers in ${totalLines} lines (${markersPerKLoc.toFixed(2)}/kLOC) across ` +
+        `${scripts.length} scripts and ${docs.length} docs; ${decisionsPerHundred.toFixed(1)} decision points ` +
+        'per 100 script lines'
+    };
+  }
+
+  /**
+   * Link integrity as the share of internal link targets in docs/ that
+   * resolve: relative links and images, heading anchors and toc.yml hrefs.
+   */
+  async measureLinkIntegrity() {
+    const checker = new LinkChecker({ projectRoot: this.projectRoot, docsPath: this.docsPath });
+    const { checked, broken } = await checker.checkAll();
+
+    if (checked === 0) {
+      return { value: null, provenance: 'No internal links found in docs/', broken };
+    }
+
+    return {
+      value: Math.round(((checked - broken.length) / checked) * 100),
+      provenance: `${checked - broken.length}/${checked} internal links, anchors, images and toc.yml hrefs in docs/ resolve`,
+      broken
+    };
+  }
+
+  /**
+   * Share of docs within their freshness SLA, dated by git history
+   * (see ContentFreshness). Deprecated and archived docs always count as fresh.
+   */
+  measureContentFreshness() {
+    if (!this.freshness) {
+      this.freshness = new ContentFreshness({ projectRoot: this.projectRoot, docsPath: this.docsPath });
+    }
+
+    const { documents, stale, provenance } = this.freshness.analyze();
+    if (documents.length === 0) {
+      return { value: null, provenance: 'No documents found in docs/' };
+    }
+
+    const fresh = documents.length - stale.length;
+    return {
+      value: Math.round((fresh / documents.length) * 100),
+      provenance: `${fresh}/${documents.length} docs within their freshness SLA (${provenance})`,
+      stale
+    };
+  }
+
+  /**
+   * Documentation coverage as the share of docs/toc.yml entries whose page exists.
+   */
+  measureDocumentationCoverage() {
+    const tocFile = path.join(this.docsPath, 'toc.yml');
+    if (!fs.existsSync(tocFile)) {
+      return { value: null, provenance: 'docs/toc.yml not found' };
+    }
+
+    const hrefs = [...fs.readFileSync(tocFile, 'utf8').matchAll(/^\s*-?\s*href:\s*(\S+)\s*$/gm)]
+      .map(match => match[1].replace(/^['"]|['"]$/g, ''))
+      .filter(href => !/^[a-z][a-z0-9+.-]*:/i.test(href));
+
+    if (hrefs.length === 0) {
+      return { value: null, provenance: 'docs/toc.yml has no local entries' };
+    }
+
+    const existing = hrefs.filter(href => fs.existsSync(path.join(this.docsPath, href.split('#')[0])));
+
+    return {
+      value: Math.round((existing.length / hrefs.length) * 100),
+      provenance: `${existing.length}/${hrefs.length} docs/toc.yml entries exist`
+    };
+  }
+
+  stripCommentsAndStrings(code) {
+    return code
+      .replace(/\/\*[\s\S]*?\*\//g, '')
+      .replace(/(^|[^:\\])\/\/.*$/gm, '$1')
+      .replace(/`(?:\\[\s\S]|[^`\\])*`/g, '``')
+      .replace(/'(?:\\.|[^'\\\n])*'/g, "''")
+      .replace(/"(?:\\.|[^"\\\n])*"/g, '""');
+  }
+
+  findFiles(dirPath, extension) {
+    const files = [];
+
+    function traverseDirectory(currentPath) {
+      if (!fs.existsSync(currentPath)) return;
+
+      for (const item of fs.readdirSync(currentPath)) {
+        const fullPath = path.join(currentPath, item);
+        const stat = fs.statSync(fullPath);
+
+        if (stat.isDirectory()) {
+          if (!EXCLUDED_DIRECTORIES.includes(item)) {
+            traverseDirectory(fullPath);
+          }
+        } else if (item.endsWith(extension)) {
+          files.push(fullPath);
+        }
+      }
+    }
+
+    traverseDirectory(dirPath);
+    return files;
+  }
+}
+
+module.exports = HealthSignals;
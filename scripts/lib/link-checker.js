@@ -0,0 +1,233 @@
+/**
+ * Internal Link Checker
+ *
+ * Resolves relative Markdown links, images, reference definitions, heading
+ * anchors and toc.yml hrefs against the docs tree. External URLs (anything
+ * with a scheme, e.g. https: or xref:) are out of scope here. Broken targets
+ * are returned as { file, line, column, target, reason, message } with
+ * reason `missing-file`, `missing-anchor` or `missing-toc`.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+const { parseMarkdown } = require('./markdown-ast');
+
+const EXTERNAL = /^[a-z][a-z0-9+.-]*:/i;
+const EXCLUDED_DIRECTORIES = ['node_modules', '.git', '_site'];
+
+class LinkChecker {
+  constructor(options = {}) {
+    this.docsPath = options.docsPath;
+    this.projectRoot = options.projectRoot || path.dirname(this.docsPath);
+    this.documents = new Map();
+  }
+
+  /**
+   * Check every Markdown file and toc.yml under the docs tree.
+   */
+  async checkAll() {
+    const markdownFiles = this.findFiles(this.docsPath, name => name.endsWith('.md'));
+    const tocFiles = this.findFiles(this.docsPath, name => name === 'toc.yml');
+    const summary = { files: markdownFiles.length + tocFiles.length, checked: 0, broken: [] };
+
+    for (const file of markdownFiles) {
+      const result = await this.checkFile(file);
+      summary.checked += result.checked;
+      summary.broken.push(...result.broken);
+    }
+
+    for (const file of tocFiles) {
+      const result = await this.checkToc(file);
+      summary.checked += result.checked;
+      summary.broken.push(...result.broken);
+    }
+
+    return summary;
+  }
+
+  /**
+   * Check the links of one Markdown file (pass its parsed document if available).
+   */
+  async checkFile(filePath, document = null) {
+    if (document) {
+      this.documents.set(filePath, document);
+    }
+
+    const source = document || await this.loadDocument(filePath);
+    const broken = [];
+    let checked = 0;
+
+    for (const link of source.links) {
+      if (!link.url || EXTERNAL.test(link.url)) continue;
+
+      checked++;
+      const reason = await this.resolve(filePath, link.url, source);
+      if (reason) {
+        broken.push(this.createBrokenLink(filePath, link, link.url, reason));
+      }
+    }
+
+    return { checked, broken };
+  }
+
+  /**
+   * Check the href/topicHref entries of a toc.yml file.
+   */
+  async checkToc(tocFile) {
+    const content = fs.readFileSync(tocFile, 'utf8');
+    const lines = content.split('\n');
+    const broken = [];
+    let checked = 0;
+    let searchFrom = 0;
+
+    let toc;
+    try {
+      toc = yaml.load(content) || [];
+    } catch (error) {
+      const position = error.mark ? { line: error.mark.line + 1, column: error.mark.column + 1 } : { line: 1, column: 1 };
+      return {
+        checked: 0,
+        broken: [this.createBrokenLink(tocFile, position, '', 'invalid-toc', `Invalid YAML: ${error.reason || error.message}`)]
+      };
+    }
+
+    for (const href of this.collectTocHrefs(toc)) {
+      // js-yaml has no node positions, so find entries in document order
+      const index = lines.findIndex((line, lineIndex) => lineIndex >= searchFrom && line.includes(href));
+      const position = index === -1 ? { line: 1, column: 1 } : { line: index + 1, column: lines[index].indexOf(href) + 1 };
+      if (index !== -1) searchFrom = index + 1;
+
+      if (EXTERNAL.test(href)) continue;
+
+      checked++;
+      const reason = href.endsWith('/')
+        ? this.resolveTocFolder(tocFile, href)
+        : await this.resolve(tocFile, href, null);
+
+      if (reason) {
+        broken.push(this.createBrokenLink(tocFile, position, href, reason));
+      }
+    }
+
+    return { checked, broken };
+  }
+
+  collectTocHrefs(items) {
+    return [].concat(items || []).flatMap(item => {
+      if (!item || typeof item !== 'object') return [];
+
+      const hrefs = ['href', 'topicHref']
+        .filter(key => typeof item[key] === 'string' && item[key].trim())
+        .map(key => item[key].trim());
+
+      return hrefs.concat(this.collectTocHrefs(item.items));
+    });
+  }
+
+  resolveTocFolder(tocFile, href) {
+    const folder = path.resolve(path.dirname(tocFile), decodeURI(href));
+    return ['toc.yml', 'toc.md'].some(name => fs.existsSync(path.join(folder, name))) ? null : 'missing-toc';
+  }
+
+  /**
+   * Resolve a link target from the given file. Returns null when it resolves,
+   * otherwise the reason it is broken.
+   */
+  async resolve(fromFile, url, fromDocument) {
+    const [target, anchor] = this.splitUrl(url);
+
+    if (!target) {
+      if (!anchor || !fromDocument) return null;
+      return fromDocument.anchors.has(anchor) ? null : 'missing-anchor';
+    }
+
+    const resolved = this.resolvePath(fromFile, target);
+    if (!fs.existsSync(resolved)) {
+      return 'missing-file';
+    }
+
+    if (anchor && resolved.endsWith('.md') && fs.statSync(resolved).isFile()) {
+      const document = await this.loadDocument(resolved);
+      return document.anchors.has(anchor) ? null : 'missing-anchor';
+    }
+
+    return null;
+  }
+
+  splitUrl(url) {
+    const hashIndex = url.indexOf('#');
+    const target = (hashIndex === -1 ? url : url.slice(0, hashIndex)).split('?')[0];
+    const anchor = hashIndex === -1 ? null : this.decode(url.slice(hashIndex + 1));
+
+    return [this.decode(target), anchor];
+  }
+
+  resolvePath(fromFile, target) {
+    if (target.startsWith('~/')) {
+      return path.join(this.projectRoot, target.slice(2));
+    }
+    if (target.startsWith('/')) {
+      return path.join(this.docsPath, target);
+    }
+    return path.resolve(path.dirname(fromFile), target);
+  }
+
+  decode(value) {
+    try {
+      return decodeURIComponent(value);
+    } catch (error) {
+      return value;
+    }
+  }
+
+  async loadDocument(filePath) {
+    if (!this.documents.has(filePath)) {
+      this.documents.set(filePath, await parseMarkdown(fs.readFileSync(filePath, 'utf8')));
+    }
+    return this.documents.get(filePath);
+  }
+
+  createBrokenLink(filePath, position, target, reason, message = null) {
+    const descriptions = {
+      'missing-file': `Link target not found: ${target}`,
+      'missing-anchor': `Anchor not found: ${target}`,
+      'missing-toc': `toc.yml folder entry has no toc.yml or toc.md: ${target}`
+    };
+
+    return {
+      file: path.relative(this.docsPath, filePath),
+      line: position.line,
+      column: position.column,
+      target,
+      reason,
+      message: message || descriptions[reason]
+    };
+  }
+
+  findFiles(dirPath, predicate) {
+    const files = [];
+
+    function traverseDirectory(currentPath) {
+      if (!fs.existsSync(currentPath)) return;
+
+      for (const item of fs.readdirSync(currentPath)) {
+        const fullPath = path.join(currentPath, item);
+        const stat = fs.statSync(fullPath);
+
+        if (stat.isDirectory()) {
+          if (!EXCLUDED_DIRECTORIES.includes(item)) {
+            traverseDirectory(fullPath);
+          }
+        } else if (predicate(item)) {
+          files.push(fullPath);
+        }
+      }
+    }
+
+    traverseDirectory(dirPath);
+    return files;
+  }
+}
+
+module.exports = LinkChecker;
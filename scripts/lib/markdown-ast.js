@@ -0,0 +1,186 @@
+/**
+ * Markdown AST
+ *
+ * Parses documents into a remark (mdast) tree and exposes the structural
+ * pieces the engines reason about: headings, code fences, links, callouts,
+ * bold labels and prose text blocks (`kind` heading, paragraph or list-item).
+ * Code and link text never count as prose, so a word inside a fence or a
+ * link cannot satisfy a section check. Every item carries the 1-based
+ * { line, column } where it starts in the original file.
+ * `anchors` holds the link targets the page defines: GitHub/DocFX-style
+ * heading slugs (duplicates get -1, -2, ...) and HTML id/name attributes.
+ */
+
+const { parseFrontMatter } = require('./front-matter');
+
+// Inline nodes whose content is not prose
+const NON_PROSE = ['inlineCode', 'html', 'link', 'linkReference', 'image', 'imageReference'];
+const ALERT = /^\[!(NOTE|TIP|IMPORTANT|WARNING|CAUTION)\]/i;
+const CALLOUT_LABEL = /^(note|tip|important|warning|caution)\b/i;
+const HTML_ANCHOR = /\b(?:id|name)\s*=\s*["']([^"']+)["']/gi;
+
+let remarkPromise = null;
+
+function loadRemark() {
+  if (!remarkPromise) {
+    // remark is ESM-only
+    remarkPromise = import('remark').then(module => module.remark);
+  }
+  return remarkPromise;
+}
+
+function positionOf(node) {
+  const start = node.position && node.position.start;
+  return start ? { line: start.line, column: start.column } : { line: 1, column: 1 };
+}
+
+function toText(node, { prose = false } = {}) {
+  if (prose && NON_PROSE.includes(node.type)) return '';
+  if (node.type === 'text' || node.type === 'inlineCode') return node.value;
+  if (node.type === 'image') return node.alt || '';
+  return (node.children || []).map(child => toText(child, { prose })).join('');
+}
+
+function visit(node, callback, ancestors = []) {
+  callback(node, ancestors);
+  (node.children || []).forEach(child => visit(child, callback, ancestors.concat(node)));
+}
+
+class MarkdownDocument {
+  constructor(tree, content, frontMatter) {
+    this.tree = tree;
+    this.content = content;
+    this.frontMatter = frontMatter;
+    this.headings = [];
+    this.codeBlocks = [];
+    this.links = [];
+    this.callouts = [];
+    this.labels = [];
+    this.textBlocks = [];
+    this.anchors = new Set();
+
+    this.collect();
+  }
+
+  collect() {
+    const closingBlock = this.tree.children[this.tree.children.length - 1];
+    const slugCounts = new Map();
+
+    visit(this.tree, (node, ancestors) => {
+      const position = positionOf(node);
+      const closing = node === closingBlock;
+
+      switch (node.type) {
+        case 'heading': {
+          const text = toText(node).trim();
+          const slug = slugify(text);
+          const count = slugCounts.get(slug) || 0;
+          slugCounts.set(slug, count + 1);
+
+          this.headings.push({ level: node.depth, text, slug: count > 0 ? `${slug}-${count}` : slug, ...position });
+          this.anchors.add(count > 0 ? `${slug}-${count}` : slug);
+          this.textBlocks.push({ kind: 'heading', text: toText(node, { prose: true }), ...position });
+          break;
+        }
+
+        case 'html':
+          for (const match of node.value.matchAll(HTML_ANCHOR)) {
+            this.anchors.add(match[1]);
+          }
+          break;
+
+        case 'code':
+          this.codeBlocks.push({ lang: node.lang || null, meta: node.meta || null, value: node.value, ...position });
+          break;
+
+        case 'link':
+        case 'image':
+        case 'definition':
+          this.links.push({ kind: node.type, url: node.url, text: toText(node).trim(), ...position });
+          break;
+
+        case 'blockquote': {
+          const text = toText(node, { prose: true }).trim();
+          const alert = text.match(ALERT);
+          this.callouts.push({ kind: alert ? alert[1].toLowerCase() : 'quote', text, closing, ...position });
+          break;
+        }
+
+        case 'paragraph': {
+          const kind = ancestors.some(ancestor => ancestor.type === 'listItem') ? 'list-item' : 'paragraph';
+          this.textBlocks.push({ kind, text: toText(node, { prose: true }), ...position });
+          this.collectParagraph(node, { closing, ...position }, ancestors);
+          break;
+        }
+      }
+    });
+  }
+
+  /**
+   * Emphasis-only paragraphs (`*Meta-Note: ...*`) are callouts; a leading bold
+   * phrase (`**Completeness**: 85%`) is a label, and a callout when it reads
+   * like Note/Tip/Warning. `closing` marks a callout that ends the document.
+   */
+  collectParagraph(node, { closing, ...position }, ancestors) {
+    const children = node.children.filter(child => !(child.type === 'text' && !child.value.trim()));
+    if (children.length === 0 || ancestors.some(ancestor => ancestor.type === 'blockquote')) return;
+
+    if (children.length === 1 && children[0].type === 'emphasis') {
+      this.callouts.push({ kind: 'emphasis', text: toText(node, { prose: true }).trim(), closing, ...position });
+      return;
+    }
+
+    if (children[0].type === 'strong') {
+      const label = toText(children[0]).replace(/:\s*$/, '').trim();
+      this.labels.push({ text: label, ...position });
+
+      if (CALLOUT_LABEL.test(label)) {
+        this.callouts.push({ kind: label.toLowerCase(), text: toText(node, { prose: true }).trim(), closing, ...position });
+      }
+    }
+  }
+
+  /**
+   * First prose block matching the pattern, or null.
+   */
+  findText(pattern) {
+    return this.textBlocks.find(block => pattern.test(block.text)) || null;
+  }
+
+  /**
+   * A section exists as a heading or a bold label with the given name
+   * (compared ignoring case, spacing and punctuation).
+   */
+  findSection(name) {
+    const wanted = normalize(name);
+    return this.headings.find(heading => normalize(heading.text) === wanted) ||
+      this.labels.find(label => normalize(label.text) === wanted) ||
+      null;
+  }
+}
+
+function normalize(text) {
+  return text.toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+/**
+ * Heading anchor as generated by GitHub and DocFX: lowercase, punctuation
+ * removed, spaces turned into hyphens.
+ */
+function slugify(text) {
+  return text.toLowerCase().replace(/[^\p{L}\p{M}\p{N}\p{Pc} -]/gu, '').replace(/ /g, '-');
+}
+
+/**
+ * Parse a document. Front matter is blanked out (keeping its line count) so
+ * that positions in the tree match the file.
+ */
+async function parseMarkdown(content) {
+  const remark = await loadRemark();
+  const frontMatter = parseFrontMatter(content);
+  const source = '\n'.repeat(frontMatter.bodyStartLine - 1) + frontMatter.body;
+
+  return new MarkdownDocument(remark().parse(source), content, frontMatter);
+}
+
+module.exports = { parseMarkdown, MarkdownDocument, normalize, slugify };
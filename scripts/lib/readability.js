@@ -0,0 +1,265 @@
+/**
+ * Readability
+ *
+ * Offline prose metrics for the quality dimension of self-assessment,
+ * computed from a parsed document's prose text blocks (code, inline code and
+ * link text excluded):
+ *
+ *   readability      Flesch-Kincaid grade level of the paragraphs (list
+ *                    items are often fragments); also reported: Flesch
+ *                    reading ease and Gunning fog
+ *   sentenceLength   share of sentences over LONG_SENTENCE_WORDS words
+ *   passiveVoice     share of sentences with a passive construction
+ *                    ("is generated by", "were written")
+ *   duplication      paragraphs that repeat an earlier one
+ *   headingHierarchy heading levels that skip one (## followed by ####)
+ *
+ * Each becomes a 0-100 sub-score (see SUB_SCORES) and problems become
+ * findings with the line they start on. Syllables are counted with an
+ * English heuristic, so scores are estimates meant for comparing documents
+ * and runs, not exact grade levels.
+ */
+
+const LONG_SENTENCE_WORDS = 25;
+// Paragraphs shorter than this may repeat legitimately ("See also", boilerplate lines)
+const DUPLICATE_MIN_WORDS = 8;
+const HARD_PARAGRAPH_GRADE = 16;
+const HARD_PARAGRAPH_MIN_WORDS = 20;
+// Line-level findings per rule and document; the sub-scores count every occurrence
+const MAX_FINDINGS_PER_RULE = 10;
+
+// How each sub-score is computed, for reports and the README
+const SUB_SCORES = {
+  readability: 'Flesch-Kincaid grade 10 or below scores 100, minus 8 per grade above',
+  sentenceLength: `100 minus 2 per percent of sentences over ${LONG_SENTENCE_WORDS} words`,
+  passiveVoice: '100 up to 10% passive sentences, minus 2.5 per percent above',
+  duplication: '100 minus 25 per paragraph repeating an earlier one',
+  headingHierarchy: '100 minus 25 per skipped heading level'
+};
+
+const WORD = /[\p{L}\p{N}][\p{L}\p{N}'’-]*/gu;
+const ABBREVIATIONS = /\b(e\.g|i\.e|etc|vs|cf|approx|Mr|Mrs|Dr|Fig|No)\./gi;
+const SENTENCE_END = /[.!?]+["')\]]*(?=\s|$)/g;
+const BE = '(?:am|is|are|was|were|be|been|being)';
+const IRREGULAR_PARTICIPLES = [
+  'begun', 'bound', 'broken', 'brought', 'built', 'bought', 'caught', 'chosen', 'done', 'drawn', 'driven',
+  'found', 'forgotten', 'given', 'held', 'hidden', 'kept', 'known', 'laid', 'led', 'left', 'lost', 'made',
+  'meant', 'paid', 'put', 'read', 'run', 'said', 'seen', 'sent', 'set', 'shown', 'sold', 'spoken', 'split',
+  'taken', 'taught', 'thought', 'told', 'thrown', 'understood', 'won', 'written'
+];
+const PASSIVE = new RegExp(`\\b${BE}\\s+(?:\\w+ly\\s+)?(\\w+ed|${IRREGULAR_PARTICIPLES.join('|')})\\b`, 'i');
+
+/**
+ * Syllables in an English word, estimated from vowel groups.
+ */
+function countSyllables(word) {
+  const letters = word.toLowerCase().replace(/[^a-z]/g, '');
+  if (!letters) return 1;
+  if (letters.length <= 3) return 1;
+
+  const stem = letters
+    // Silent endings: "makes", "stopped", "time" (but "created" and "needed" keep their -ed)
+    .replace(/(?:[^laeiouy]es|[^laeiouydt]ed|[^laeiouy]e)$/, '')
+    .replace(/^y/, '');
+  const groups = stem.match(/[aeiouy]{1,2}/g);
+  return Math.max(1, groups ? groups.length : 0);
+}
+
+function countWords(text) {
+  return (text.match(WORD) || []).length;
+}
+
+/**
+ * Sentences of a text block as { text, line, words }, where line is the
+ * file line the sentence starts on (blocks keep their soft line breaks).
+ */
+function splitSentences(block) {
+  // Keep abbreviations from ending sentences without moving any offsets
+  const masked = block.text.replace(ABBREVIATIONS, match => match.replace(/\./g, '\u2024'));
+  const sentences = [];
+  let start = 0;
+
+  const push = end => {
+    const text = block.text.slice(start, end);
+    const words = countWords(text);
+    if (words > 0) {
+      const leading = text.length - text.trimStart().length;
+      const line = block.line + (block.text.slice(0, start + leading).match(/\n/g) || []).length;
+      sentences.push({ text: text.trim(), line, words });
+    }
+  };
+
+  for (const match of masked.matchAll(SENTENCE_END)) {
+    const end = match.index + match[0].length;
+    push(end);
+    start = end;
+  }
+  push(block.text.length);
+
+  return sentences;
+}
+
+/**
+ * Flesch reading ease, Flesch-Kincaid grade and Gunning fog for totals of
+ * { sentences, words, syllables, complexWords }; null without sentences.
+ */
+function readabilityScores({ sentences, words, syllables, complexWords }) {
+  if (sentences === 0 || words === 0) {
+    return { fleschReadingEase: null, fleschKincaidGrade: null, gunningFog: null };
+  }
+
+  const wordsPerSentence = words / sentences;
+  const syllablesPerWord = syllables / words;
+  const round = value => Number(value.toFixed(1));
+
+  return {
+    fleschReadingEase: round(206.835 - 1.015 * wordsPerSentence - 84.6 * syllablesPerWord),
+    fleschKincaidGrade: round(0.39 * wordsPerSentence + 11.8 * syllablesPerWord - 15.59),
+    gunningFog: round(0.4 * (wordsPerSentence + 100 * (complexWords / words)))
+  };
+}
+
+function tally(sentences) {
+  return sentences.reduce((totals, sentence) => {
+    const words = sentence.text.match(WORD) || [];
+    const syllables = words.map(countSyllables);
+    totals.sentences++;
+    totals.words += words.length;
+    totals.syllables += syllables.reduce((sum, count) => sum + count, 0);
+    totals.complexWords += syllables.filter(count => count >= 3).length;
+    return totals;
+  }, { sentences: 0, words: 0, syllables: 0, complexWords: 0 });
+}
+
+function percentile(sorted, fraction) {
+  if (sorted.length === 0) return null;
+  return sorted[Math.min(sorted.length - 1, Math.floor(sorted.length * fraction))];
+}
+
+function clampScore(value) {
+  return Math.max(0, Math.min(100, Math.round(value)));
+}
+
+/**
+ * Prose metrics, sub-scores and findings for a parsed document (see
+ * ./markdown-ast): { metrics, subScores, findings }. Sub-scores are null when
+ * there is nothing to measure (no sentences), findings are
+ * { rule, message, line, column }.
+ */
+function analyzeProse(document) {
+  const findings = [];
+  const limited = (rule, items, toFinding) => {
+    items.slice(0, MAX_FINDINGS_PER_RULE).forEach(item => findings.push({ rule, ...toFinding(item) }));
+  };
+
+  // Headings are labels, not sentences; list items are often fragments, so
+  // grade levels come from paragraphs alone
+  const blocks = document.textBlocks.filter(block => block.kind !== 'heading' && block.text.trim());
+  const sentences = blocks.flatMap(block => splitSentences(block).map(sentence => ({ ...sentence, column: block.column })));
+  const paragraphs = blocks.filter(block => block.kind === 'paragraph');
+  const totals = tally(sentences);
+  const scores = readabilityScores(tally(paragraphs.flatMap(splitSentences)));
+
+  // Sentence length
+  const lengths = sentences.map(sentence => sentence.words).sort((a, b) => a - b);
+  const long = sentences.filter(sentence => sentence.words > LONG_SENTENCE_WORDS);
+  limited('long-sentence', long, sentence => ({
+    message: `Sentence of ${sentence.words} words; split it or move detail into a list`,
+    line: sentence.line,
+    column: sentence.column
+  }));
+
+  // Passive voice
+  const passive = sentences
+    .map(sentence => ({ ...sentence, match: sentence.text.match(PASSIVE) }))
+    .filter(sentence => sentence.match);
+  limited('passive-voice', passive, sentence => ({
+    message: `Passive voice ("${sentence.match[0]}"); name who or what acts`,
+    line: sentence.line,
+    column: sentence.column
+  }));
+
+  // Paragraphs that are hard to read on their own
+  const hard = paragraphs
+    .filter(block => countWords(block.text) >= HARD_PARAGRAPH_MIN_WORDS)
+    .map(block => ({ block, grade: readabilityScores(tally(splitSentences(block))).fleschKincaidGrade }))
+    .filter(({ grade }) => grade !== null && grade > HARD_PARAGRAPH_GRADE);
+  limited('hard-to-read', hard, ({ block, grade }) => ({
+    message: `Paragraph reads at grade ${grade} (Flesch-Kincaid); use shorter sentences and plainer words`,
+    line: block.line,
+    column: block.column
+  }));
+
+  // Duplicated paragraphs
+  const seen = new Map();
+  const duplicates = [];
+  blocks
+    .filter(block => block.kind === 'paragraph' && countWords(block.text) >= DUPLICATE_MIN_WORDS)
+    .forEach(block => {
+      const key = block.text.toLowerCase().replace(/[^\p{L}\p{N}]+/gu, ' ').trim();
+      if (seen.has(key)) {
+        duplicates.push({ block, first: seen.get(key) });
+      } else {
+        seen.set(key, block);
+      }
+    });
+  limited('duplicate-paragraph', duplicates, ({ block, first }) => ({
+    message: `Repeats the paragraph at line ${first.line}; link to it or remove one`,
+    line: block.line,
+    column: block.column
+  }));
+
+  // Heading hierarchy: each heading may go at most one level deeper than the one before
+  const skipped = document.headings
+    .map((heading, index) => ({ heading, previous: document.headings[index - 1] }))
+    .filter(({ heading, previous }) => previous && heading.level > previous.level + 1);
+  limited('skipped-heading-level', skipped, ({ heading, previous }) => ({
+    message: `Heading "${heading.text}" jumps from h${previous.level} to h${heading.level}; ` +
+      `use h${previous.level + 1} or add the missing level`,
+    line: heading.line,
+    column: heading.column
+  }));
+
+  const measured = totals.sentences > 0;
+  const longShare = measured ? (long.length / totals.sentences) * 100 : 0;
+  const passiveShare = measured ? (passive.length / totals.sentences) * 100 : 0;
+
+  return {
+    metrics: {
+      words: totals.words,
+      sentences: totals.sentences,
+      ...scores,
+      sentenceLength: {
+        average: measured ? Number((totals.words / totals.sentences).toFixed(1)) : null,
+        median: percentile(lengths, 0.5),
+        p90: percentile(lengths, 0.9),
+        longest: measured ? lengths[lengths.length - 1] : null,
+        over25Words: long.length
+      },
+      passiveSentences: passive.length,
+      passiveRatio: measured ? Number((passive.length / totals.sentences).toFixed(3)) : null,
+      duplicateParagraphs: duplicates.length,
+      skippedHeadingLevels: skipped.length
+    },
+    subScores: {
+      readability: scores.fleschKincaidGrade === null
+        ? null
+        : clampScore(100 - Math.max(0, scores.fleschKincaidGrade - 10) * 8),
+      sentenceLength: measured ? clampScore(100 - 2 * longShare) : null,
+      passiveVoice: measured ? clampScore(100 - 2.5 * Math.max(0, passiveShare - 10)) : null,
+      duplication: clampScore(100 - 25 * duplicates.length),
+      headingHierarchy: clampScore(100 - 25 * skipped.length)
+    },
+    findings
+  };
+}
+
+module.exports = {
+  analyzeProse,
+  countSyllables,
+  splitSentences,
+  readabilityScores,
+  SUB_SCORES,
+  LONG_SENTENCE_WORDS,
+  MAX_FINDINGS_PER_RULE
+};
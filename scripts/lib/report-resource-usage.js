@@ -0,0 +1,24 @@
+/**
+ * Resource Usage Reporter
+ *
+ * Preloaded (`node --require`) into every script the orchestrator spawns.
+ * On exit it writes the child's own resource usage as JSON to file
+ * descriptor 3, which the orchestrator opens as an extra pipe.
+ */
+
+const fs = require('fs');
+
+const USAGE_FD = 3;
+
+process.on('exit', () => {
+  try {
+    const usage = process.resourceUsage();
+    fs.writeSync(USAGE_FD, JSON.stringify({
+      peakMemoryBytes: usage.maxRSS * 1024,
+      userCpuMicros: usage.userCPUTime,
+      systemCpuMicros: usage.systemCPUTime
+    }));
+  } catch (error) {
+    // Descriptor 3 is only open when spawned by the orchestrator
+  }
+});
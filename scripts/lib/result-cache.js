@@ -0,0 +1,91 @@
+/**
+ * Result Cache
+ *
+ * Per-file results keyed by a SHA-256 hash of the file's content, stored as
+ * JSON. The whole cache carries a fingerprint of the configuration that
+ * produced it (rules, weights, the scripts' own source); when the fingerprint
+ * changes every entry is dropped. Entries may also record dependencies (e.g.
+ * link targets) that the caller re-checks before reusing a result.
+ *
+ * File format: { version, fingerprint, entries: { [key]: { hash, result, dependencies } } }
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const CACHE_VERSION = 1;
+
+class ResultCache {
+  constructor(cacheFile, fingerprint) {
+    this.cacheFile = cacheFile;
+    this.fingerprint = fingerprint;
+    this.invalidated = false;
+    this.stats = { hits: 0, misses: 0 };
+    this.entries = this.load();
+  }
+
+  static hash(content) {
+    return crypto.createHash('sha256').update(content).digest('hex');
+  }
+
+  /**
+   * Fingerprint of configuration values and source files. Any change to
+   * either invalidates the cache.
+   */
+  static fingerprint(config, sourceFiles = []) {
+    const sources = sourceFiles.map(file => ResultCache.hash(fs.readFileSync(file)));
+    return ResultCache.hash(JSON.stringify({ config, sources }));
+  }
+
+  load() {
+    if (!fs.existsSync(this.cacheFile)) {
+      return {};
+    }
+
+    try {
+      const data = JSON.parse(fs.readFileSync(this.cacheFile, 'utf8'));
+      if (data.version === CACHE_VERSION && data.fingerprint === this.fingerprint) {
+        return data.entries || {};
+      }
+    } catch (error) {
+      // Unreadable cache: start over
+    }
+
+    this.invalidated = true;
+    return {};
+  }
+
+  save() {
+    fs.mkdirSync(path.dirname(this.cacheFile), { recursive: true });
+    fs.writeFileSync(this.cacheFile, JSON.stringify({
+      version: CACHE_VERSION,
+      fingerprint: this.fingerprint,
+      entries: this.entries
+    }, null, 2));
+  }
+
+  /**
+   * Cached entry for the key when its content hash matches and `isValid`
+   * (given the entry) accepts it; otherwise null.
+   */
+  get(key, hash, isValid = () => true) {
+    const entry = this.entries[key];
+
+    if (entry && entry.hash === hash && isValid(entry)) {
+      this.stats.hits++;
+      return entry;
+    }
+
+    this.stats.misses++;
+    return null;
+  }
+
+  set(key, hash, result, dependencies = null) {
+    this.entries[key] = { hash, result, ...(dependencies && { dependencies }) };
+  }
+}
+
+ResultCache.CACHE_VERSION = CACHE_VERSION;
+
+module.exports = ResultCache;
@@ -0,0 +1,176 @@
+/**
+ * Orchestration Run History
+ *
+ * Append-only JSONL store of orchestration runs, keyed by run ID.
+ * Each line is one completed run; existing lines are never rewritten,
+ * so the file doubles as an audit trail for trend analysis.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_REGRESSION_THRESHOLDS = {
+  baselineRuns: 5,
+  healthScoreDrop: 5, // points
+  successRateDrop: 10, // percentage points
+  durationIncrease: 0.5, // 50% slower than baseline
+  minDurationDelta: 1000 // ignore step slowdowns under 1 second
+};
+
+class RunHistory {
+  constructor(historyFile, options = {}) {
+    this.historyFile = historyFile;
+    this.logger = options.logger || console;
+  }
+
+  /**
+   * Nearest-rank percentile: the smallest value with at least p% of the
+   * sample at or below it. An empty sample has none.
+   */
+  static percentile(values, p) {
+    if (values.length === 0) return null;
+
+    const sorted = [...values].sort((a, b) => a - b);
+    const rank = Math.ceil((p / 100) * sorted.length);
+    return sorted[Math.max(0, rank - 1)];
+  }
+
+  append(run) {
+    if (!run || !run.runId) {
+      throw new Error('Run record requires a runId');
+    }
+
+    fs.mkdirSync(path.dirname(this.historyFile), { recursive: true });
+    fs.appendFileSync(this.historyFile, JSON.stringify(run) + '\n');
+  }
+
+  load() {
+    if (!fs.existsSync(this.historyFile)) {
+      return [];
+    }
+
+    const runs = [];
+    const lines = fs.readFileSync(this.historyFile, 'utf8').split('\n');
+
+    lines.forEach((line, index) => {
+      if (!line.trim()) return;
+
+      try {
+        runs.push(JSON.parse(line));
+      } catch (error) {
+        this.logger.warn(`⚠️ Skipping malformed history entry at line ${index + 1}: ${error.message}`);
+      }
+    });
+
+    return runs.sort((a, b) => a.startedAt.localeCompare(b.startedAt));
+  }
+
+  find(runId) {
+    return this.load().find(run => run.runId === runId) || null;
+  }
+
+  /**
+   * Aggregate success rate, per-step durations and health score trend.
+   */
+  summarize(runs) {
+    const successfulRuns = runs.filter(run => run.status === 'success').length;
+    const stepDurations = {};
+
+    runs.forEach(run => {
+      Object.entries(run.steps || {}).forEach(([step, result]) => {
+        if (typeof result.durationMs !== 'number') return;
+        (stepDurations[step] = stepDurations[step] || []).push(result.durationMs);
+      });
+    });
+
+    const steps = Object.fromEntries(Object.entries(stepDurations).map(([step, durations]) => [step, {
+      runs: durations.length,
+      averageMs: Math.round(average(durations)),
+      p50Ms: RunHistory.percentile(durations, 50),
+      p95Ms: RunHistory.percentile(durations, 95),
+      minMs: Math.min(...durations),
+      maxMs: Math.max(...durations),
+      lastMs: durations[durations.length - 1]
+    }]));
+    const runDurations = runs.map(run => run.durationMs).filter(ms => typeof ms === 'number');
+
+    return {
+      totalRuns: runs.length,
+      successfulRuns,
+      successRate: runs.length > 0 ? Math.round((successfulRuns / runs.length) * 100) : 0,
+      averageRunMs: runDurations.length > 0 ? Math.round(average(runDurations)) : null,
+      steps,
+      healthScores: runs
+        .filter(run => typeof run.healthScore === 'number')
+        .map(run => ({ runId: run.runId, startedAt: run.startedAt, healthScore: run.healthScore }))
+    };
+  }
+
+  /**
+   * Compare the latest run against a baseline of the runs before it.
+   */
+  findRegressions(runs, thresholds = {}) {
+    const limits = { ...DEFAULT_REGRESSION_THRESHOLDS, ...thresholds };
+    if (runs.length < 2) return [];
+
+    const latest = runs[runs.length - 1];
+    const baseline = runs.slice(-1 - limits.baselineRuns, -1);
+    const regressions = [];
+
+    const baselineHealth = baseline.map(run => run.healthScore).filter(score => typeof score === 'number');
+    if (typeof latest.healthScore === 'number' && baselineHealth.length > 0) {
+      const expected = average(baselineHealth);
+      if (expected - latest.healthScore >= limits.healthScoreDrop) {
+        regressions.push({
+          type: 'health_score',
+          message: `Health score dropped to ${latest.healthScore} (baseline ${expected.toFixed(1)})`
+        });
+      }
+    }
+
+    const baselineSuccess = baseline.map(run => run.successRate).filter(rate => typeof rate === 'number');
+    if (typeof latest.successRate === 'number' && baselineSuccess.length > 0) {
+      const expected = average(baselineSuccess);
+      if (expected - latest.successRate >= limits.successRateDrop) {
+        regressions.push({
+          type: 'success_rate',
+          message: `Step success rate dropped to ${latest.successRate}% (baseline ${expected.toFixed(1)}%)`
+        });
+      }
+    }
+
+    Object.entries(latest.steps || {}).forEach(([step, result]) => {
+      const previous = baseline.map(run => run.steps && run.steps[step]).filter(Boolean);
+      if (previous.length === 0) return;
+
+      if (result.status === 'failed' && previous.every(prev => prev.status === 'success')) {
+        regressions.push({
+          type: 'step_failure',
+          step,
+          message: `${step} failed after ${previous.length} successful run(s): ${result.error || 'unknown error'}`
+        });
+      }
+
+      const durations = previous.map(prev => prev.durationMs).filter(ms => typeof ms === 'number');
+      if (typeof result.durationMs === 'number' && durations.length > 0) {
+        const expected = average(durations);
+        const delta = result.durationMs - expected;
+        if (delta >= limits.minDurationDelta && delta / expected >= limits.durationIncrease) {
+          regressions.push({
+            type: 'step_duration',
+            step,
+            message: `${step} took ${result.durationMs}ms (baseline ${Math.round(expected)}ms)`
+          });
+        }
+      }
+    });
+
+    return regressions;
+  }
+}
+
+function average(values) {
+  return values.reduce((sum, value) => sum + value, 0) / values.length;
+}
+
+module.exports = RunHistory;
@@ -0,0 +1,60 @@
+/**
+ * Snippet Runner
+ *
+ * Child process for runnable code examples (see ./code-blocks). Reads
+ * { source, filename, timeoutMs } as JSON from stdin, runs the source in a
+ * fresh `vm` context that only has `console`, and writes { output, error }
+ * as JSON to stdout. A promise the source returns is awaited; one that can
+ * no longer settle (nothing left to run) is reported as such. The parent
+ * kills this process when it outlives its time, which is what stops code
+ * that spins after an `await`.
+ */
+
+const vm = require('vm');
+const util = require('util');
+
+const output = [];
+let reported = false;
+
+function report(error) {
+  if (reported) return;
+  reported = true;
+
+  // Values thrown by the snippet are not this realm's Errors, so copy what the parent reads
+  const serialized = error === null
+    ? null
+    : error && error.message !== undefined
+      ? { name: error.name || 'Error', message: String(error.message), stack: String(error.stack || '') }
+      : { thrown: util.inspect(error) };
+  process.stdout.write(JSON.stringify({ output, error: serialized }));
+}
+
+function run({ source, filename, timeoutMs }) {
+  const print = (...args) => output.push(...util.format(...args).split('\n'));
+  const context = vm.createContext({
+    console: { log: print, info: print, warn: print, error: print, debug: print }
+  });
+
+  const result = new vm.Script(source, { filename }).runInContext(context, { timeout: timeoutMs });
+  if (!result || typeof result.then !== 'function') {
+    report(null);
+    return;
+  }
+
+  // The context has no timers or I/O: if the event loop empties first, the promise never settles
+  process.once('beforeExit', () => report({ name: 'Error', message: 'Promise never settles' }));
+  result.then(() => report(null), report);
+}
+
+let input = '';
+process.stdin.setEncoding('utf8');
+process.stdin.on('data', chunk => {
+  input += chunk;
+});
+process.stdin.on('end', () => {
+  try {
+    run(JSON.parse(input));
+  } catch (error) {
+    report(error);
+  }
+});
@@ -0,0 +1,324 @@
+/**
+ * Scoring Profiles
+ *
+ * How SelfAssessmentEngine turns dimension scores into an overall score and
+ * a grade. The built-in `default` profile can be tuned, and further profiles
+ * added and assigned to directories, in `.selfref-scoring.json` in the
+ * project root:
+ *
+ *   {
+ *     "profiles": {
+ *       "default": { "grades": { "Excellent": 85 } },
+ *       "reference": {
+ *         "weights": { "completeness": 0.2, "accuracy": 0.5, "relevance": 0.1, "quality": 0.2 },
+ *         "thresholds": { "accuracy": 90 },
+ *         "criteria": [
+ *           { "id": "has-examples", "dimension": "completeness", "section": "Examples", "points": 10 },
+ *           { "id": "no-intranet-links", "dimension": "accuracy", "forbid": "intranet\\.example\\.com", "points": 15 }
+ *         ]
+ *       }
+ *     },
+ *     "directories": [{ "files": ["api/**"], "profile": "reference" }]
+ *   }
+ *
+ * Profiles start from `default` (or the profile named in `extends`) and
+ * replace the weights, thresholds and grade bands they set; criteria add to
+ * the inherited ones, replacing those with the same id. Weights must cover
+ * every dimension and sum to 1. Grade bands are the lowest score for each of
+ * Excellent, Good and Fair, highest first; anything below Fair is Poor. The
+ * last matching `directories` entry picks a document's profile.
+ *
+ * A custom criterion is a requirement of one dimension: the document must
+ * have a `section` (heading or bold label) or prose matching `require`, or
+ * must not have prose matching `forbid` (case-insensitive regular
+ * expressions). A document that fails it loses `points` from that dimension
+ * and gets a finding with the criterion's id as its rule.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { matchesGlob } = require('./glob');
+const { DIMENSIONS } = require('./document-metadata');
+
+const CONFIG_FILE = '.selfref-scoring.json';
+const DEFAULT_PROFILE = 'default';
+const GRADES = ['Excellent', 'Good', 'Fair', 'Poor'];
+const CHECKS = ['section', 'require', 'forbid'];
+// Allowance for weights such as 0.1 + 0.2 that do not add up exactly in floating point
+const WEIGHT_TOLERANCE = 1e-6;
+
+const BUILT_IN_PROFILE = {
+  weights: { completeness: 0.3, accuracy: 0.3, relevance: 0.2, quality: 0.2 },
+  // Dimension scores below these values produce improvement suggestions
+  thresholds: { completeness: 70, accuracy: 80, relevance: 70, quality: 70 },
+  grades: { Excellent: 90, Good: 70, Fair: 50 },
+  criteria: []
+};
+
+class ScoringProfiles {
+  constructor(config = {}, source = 'built-in profile') {
+    this.source = source;
+    this.config = { profiles: {}, directories: [], ...config };
+    this.profiles = this.resolveProfiles();
+    this.directories = this.config.directories;
+
+    this.validateDirectories();
+  }
+
+  /**
+   * Load `.selfref-scoring.json` from the project root (or an explicit file).
+   */
+  static load(projectRoot, { file = null } = {}) {
+    const scoringFile = file || path.join(projectRoot, CONFIG_FILE);
+
+    if (!fs.existsSync(scoringFile)) {
+      if (file) throw new Error(`Scoring file not found: ${file}`);
+      return new ScoringProfiles();
+    }
+
+    let config;
+    try {
+      config = JSON.parse(fs.readFileSync(scoringFile, 'utf8'));
+    } catch (error) {
+      throw new Error(`Could not parse ${scoringFile}: ${error.message}`);
+    }
+
+    const relativeFile = path.relative(projectRoot, scoringFile);
+    return new ScoringProfiles(config, relativeFile.startsWith('..') ? scoringFile : relativeFile);
+  }
+
+  /**
+   * Every profile merged with the one it extends, as { name, weights,
+   * thresholds, grades: [{ grade, min }], criteria }.
+   */
+  resolveProfiles() {
+    const definitions = this.config.profiles;
+    if (!definitions || typeof definitions !== 'object' || Array.isArray(definitions)) {
+      throw new Error(`${this.source}: profiles must be a mapping of names to profiles`);
+    }
+
+    const resolved = {};
+    const resolve = (name, chain = []) => {
+      if (resolved[name]) return resolved[name];
+      if (chain.includes(name)) {
+        throw new Error(`${this.source}: profile "${name}" extends itself (${[...chain, name].join(' -> ')})`);
+      }
+
+      const definition = definitions[name] || {};
+      const parentName = name === DEFAULT_PROFILE ? null : definition.extends || DEFAULT_PROFILE;
+      if (parentName && parentName !== DEFAULT_PROFILE && !definitions[parentName]) {
+        throw new Error(`${this.source}: profile "${name}" extends unknown profile "${parentName}"`);
+      }
+
+      const parent = parentName ? resolve(parentName, [...chain, name]) : BUILT_IN_PROFILE;
+      resolved[name] = this.compileProfile(name, {
+        weights: { ...parent.weights, ...definition.weights },
+        thresholds: { ...parent.thresholds, ...definition.thresholds },
+        grades: { ...(Array.isArray(parent.grades) ? toBands(parent.grades) : parent.grades), ...definition.grades },
+        criteria: mergeCriteria(parent.criteria, definition.criteria || [])
+      });
+      return resolved[name];
+    };
+
+    [DEFAULT_PROFILE, ...Object.keys(definitions)].forEach(name => resolve(name));
+    return resolved;
+  }
+
+  compileProfile(name, profile) {
+    const label = `${this.source}: profile "${name}"`;
+
+    ['weights', 'thresholds'].forEach(key => {
+      const unknown = Object.keys(profile[key]).find(dimension => !DIMENSIONS.includes(dimension));
+      if (unknown) {
+        throw new Error(`${label} ${key} has unknown dimension "${unknown}" (expected ${DIMENSIONS.join(', ')})`);
+      }
+    });
+
+    const weights = Object.values(profile.weights);
+    if (weights.some(weight => typeof weight !== 'number' || weight < 0 || weight > 1)) {
+      throw new Error(`${label} weights must be numbers from 0 to 1`);
+    }
+    const total = weights.reduce((sum, weight) => sum + weight, 0);
+    if (Math.abs(total - 1) > WEIGHT_TOLERANCE) {
+      throw new Error(`${label} weights sum to ${Number(total.toFixed(6))}, not 1`);
+    }
+
+    if (Object.values(profile.thresholds).some(value => typeof value !== 'number' || value < 0 || value > 100)) {
+      throw new Error(`${label} thresholds must be numbers from 0 to 100`);
+    }
+
+    const unknownGrade = Object.keys(profile.grades).find(grade => !GRADES.slice(0, -1).includes(grade));
+    if (unknownGrade) {
+      throw new Error(`${label} grades has unknown grade "${unknownGrade}" (expected ${GRADES.slice(0, -1).join(', ')}; Poor is everything below Fair)`);
+    }
+    const bands = GRADES.slice(0, -1).map(grade => profile.grades[grade]);
+    if (bands.some(min => typeof min !== 'number' || min <= 0 || min > 100)) {
+      throw new Error(`${label} grade bands must be numbers above 0 and at most 100`);
+    }
+    if (bands.some((min, index) => index > 0 && min >= bands[index - 1])) {
+      throw new Error(`${label} grade bands must decrease from Excellent to Fair (got ${bands.join(', ')})`);
+    }
+
+    return {
+      name,
+      weights: profile.weights,
+      thresholds: profile.thresholds,
+      grades: [...GRADES.slice(0, -1).map(grade => ({ grade, min: profile.grades[grade] })), { grade: 'Poor', min: 0 }],
+      criteria: profile.criteria.map(criterion => this.compileCriterion(label, criterion))
+    };
+  }
+
+  compileCriterion(label, criterion) {
+    if (!criterion || !criterion.id) {
+      throw new Error(`${label}: every criterion needs an id`);
+    }
+
+    const criterionLabel = `${label} criterion "${criterion.id}"`;
+    if (!DIMENSIONS.includes(criterion.dimension)) {
+      throw new Error(`${criterionLabel} has unknown dimension "${criterion.dimension}" (expected ${DIMENSIONS.join(', ')})`);
+    }
+    if (typeof criterion.points !== 'number' || criterion.points <= 0 || criterion.points > 100) {
+      throw new Error(`${criterionLabel} points must be a number above 0 and at most 100`);
+    }
+
+    const checks = CHECKS.filter(check => criterion[check] !== undefined);
+    if (checks.length !== 1) {
+      throw new Error(`${criterionLabel} needs exactly one of ${CHECKS.join(', ')}`);
+    }
+    if (typeof criterion[checks[0]] !== 'string' || !criterion[checks[0]]) {
+      throw new Error(`${criterionLabel} ${checks[0]} must be a non-empty string`);
+    }
+
+    let pattern = null;
+    if (checks[0] !== 'section') {
+      try {
+        pattern = new RegExp(criterion[checks[0]], 'i');
+      } catch (error) {
+        throw new Error(`${criterionLabel} has an invalid ${checks[0]} pattern: ${error.message}`);
+      }
+    }
+
+    return { ...criterion, check: checks[0], pattern };
+  }
+
+  validateDirectories() {
+    if (!Array.isArray(this.directories)) {
+      throw new Error(`${this.source}: directories must be a list`);
+    }
+    this.directories.forEach((entry, index) => {
+      if (!entry || !entry.files) {
+        throw new Error(`${this.source}: directories entry ${index + 1} needs files`);
+      }
+      if (!this.profiles[entry.profile]) {
+        throw new Error(`${this.source}: directories entry ${index + 1} uses unknown profile "${entry.profile}" ` +
+          `(expected ${Object.keys(this.profiles).join(', ')})`);
+      }
+    });
+  }
+
+  /**
+   * The profile for a docs-relative path.
+   */
+  profileFor(relativePath) {
+    const match = this.directories.filter(entry => matchesGlob(relativePath, entry.files)).pop();
+    return this.profiles[match ? match.profile : DEFAULT_PROFILE];
+  }
+
+  /**
+   * Apply a profile's criteria to a parsed document: failed criteria lower
+   * `scores` (in place, not below 0) and add findings.
+   */
+  applyCriteria(profile, document, scores, findings) {
+    profile.criteria.forEach(criterion => {
+      const failures = this.checkCriterion(criterion, document);
+      if (failures.length === 0) return;
+
+      scores[criterion.dimension] = Math.max(0, scores[criterion.dimension] - criterion.points);
+      failures.forEach(position => findings.push({
+        rule: criterion.id,
+        message: criterion.message || describeFailure(criterion),
+        ...position
+      }));
+    });
+  }
+
+  /**
+   * Positions where a criterion fails, empty when it is met.
+   */
+  checkCriterion(criterion, document) {
+    const endOfDocument = { line: document.content.replace(/\n$/, '').split('\n').length, column: 1 };
+
+    switch (criterion.check) {
+      case 'section':
+        return document.findSection(criterion.section) ? [] : [endOfDocument];
+      case 'require':
+        return document.findText(criterion.pattern) ? [] : [endOfDocument];
+      case 'forbid':
+        return document.textBlocks
+          .filter(block => criterion.pattern.test(block.text))
+          .map(block => ({ line: block.line, column: block.column }));
+    }
+    return [];
+  }
+
+  /**
+   * Profiles as plain data, for reports and cache fingerprints.
+   */
+  toJSON() {
+    return {
+      source: this.source,
+      profiles: Object.fromEntries(Object.entries(this.profiles).map(([name, profile]) => [name, {
+        ...profile,
+        criteria: profile.criteria.map(({ pattern, check, ...criterion }) => criterion)
+      }])),
+      directories: this.directories
+    };
+  }
+}
+
+function toBands(grades) {
+  return Object.fromEntries(grades.filter(band => band.grade !== 'Poor').map(band => [band.grade, band.min]));
+}
+
+function mergeCriteria(inherited, own) {
+  if (!Array.isArray(own)) {
+    throw new Error(`${CONFIG_FILE}: criteria must be a list`);
+  }
+
+  const merged = inherited.map(({ pattern, check, ...criterion }) => criterion);
+  own.forEach(criterion => {
+    const index = merged.findIndex(candidate => criterion && candidate.id === criterion.id);
+    if (index === -1) {
+      merged.push(criterion);
+    } else {
+      merged[index] = criterion;
+    }
+  });
+  return merged;
+}
+
+function describeFailure(criterion) {
+  switch (criterion.check) {
+    case 'section':
+      return `No "${criterion.section}" section`;
+    case 'require':
+      return `No text matching /${criterion.require}/`;
+    default:
+      return `Text matches /${criterion.forbid}/`;
+  }
+}
+
+/**
+ * The grade for a score under a profile.
+ */
+function gradeFor(score, profile) {
+  return profile.grades.find(band => score >= band.min).grade;
+}
+
+ScoringProfiles.CONFIG_FILE = CONFIG_FILE;
+ScoringProfiles.DEFAULT_PROFILE = DEFAULT_PROFILE;
+ScoringProfiles.GRADES = GRADES;
+ScoringProfiles.BUILT_IN_PROFILE = BUILT_IN_PROFILE;
+ScoringProfiles.gradeFor = gradeFor;
+
+module.exports = ScoringProfiles;
@@ -0,0 +1,139 @@
+/**
+ * Structured Output
+ *
+ * Shared `--json` / `--format=json|ndjson` support for the CLI scripts.
+ * In a structured format stdout carries only the machine-readable report,
+ * while the usual human-readable progress text moves to stderr.
+ *
+ * Report schema (schemaVersion 1):
+ *   { schemaVersion, tool, generatedAt, status, summary, results: [], issues: [] }
+ * Issues always carry { file, severity, rule, message } (file may be null).
+ * In ndjson every result and issue is its own line ({ type: 'result' | 'issue', tool, ... })
+ * followed by a final { type: 'summary', schemaVersion, tool, generatedAt, status, summary } line.
+ */
+
+const SCHEMA_VERSION = 1;
+const FORMATS = ['text', 'json', 'ndjson'];
+const SEVERITIES = ['error', 'warning', 'info'];
+
+class StructuredOutput {
+  constructor(tool, format = 'text', logger = console) {
+    if (!FORMATS.includes(format)) {
+      throw new Error(`Unknown output format "${format}" (expected ${FORMATS.join(', ')})`);
+    }
+
+    this.tool = tool;
+    this.format = format;
+    this.logger = logger;
+  }
+
+  /**
+   * Read the output format from CLI arguments (`--json`, `--format=ndjson`, `--format json`).
+   */
+  static parseFormat(args) {
+    if (args.includes('--json')) return 'json';
+
+    const index = args.findIndex(arg => arg === '--format' || arg.startsWith('--format='));
+    if (index === -1) return 'text';
+
+    const format = args[index].includes('=') ? args[index].split('=')[1] : args[index + 1];
+    if (!FORMATS.includes(format)) {
+      throw new Error(`Unknown output format "${format}" (expected ${FORMATS.join(', ')})`);
+    }
+
+    return format;
+  }
+
+  /**
+   * Parse a report emitted by another script in json or ndjson format.
+   */
+  static parseReport(text) {
+    const trimmed = text.trim();
+    if (!trimmed) {
+      throw new Error('No structured output received');
+    }
+
+    try {
+      return JSON.parse(trimmed);
+    } catch (error) {
+      // Not a single JSON document, so read it as ndjson
+    }
+
+    const report = { results: [], issues: [] };
+    trimmed.split('\n').filter(line => line.trim()).forEach(line => {
+      const { type, ...entry } = JSON.parse(line);
+      if (type === 'result') report.results.push(entry);
+      else if (type === 'issue') report.issues.push(entry);
+      else if (type === 'summary') Object.assign(report, entry);
+    });
+
+    return report;
+  }
+
+  get structured() {
+    return this.format !== 'text';
+  }
+
+  /**
+   * Human-readable progress output; kept off stdout in structured formats.
+   */
+  log(...args) {
+    if (this.structured) {
+      this.logger.error(...args);
+    } else {
+      this.logger.log(...args);
+    }
+  }
+
+  createIssue({ file = null, severity = 'error', rule, message, ...details }) {
+    if (!SEVERITIES.includes(severity)) {
+      throw new Error(`Unknown issue severity "${severity}" (expected ${SEVERITIES.join(', ')})`);
+    }
+
+    return { file, severity, rule, message, ...details };
+  }
+
+  createReport({ status, summary = {}, results = [], issues = [] }) {
+    return {
+      schemaVersion: SCHEMA_VERSION,
+      tool: this.tool,
+      generatedAt: new Date().toISOString(),
+      status,
+      summary,
+      results,
+      issues
+    };
+  }
+
+  /**
+   * Write the report with the logger's `log` (stdout for console) in the
+   * selected structured format (no-op for text).
+   */
+  emit(report) {
+    if (this.format === 'json') {
+      this.logger.log(JSON.stringify(report, null, 2));
+      return;
+    }
+
+    if (this.format === 'ndjson') {
+      const lines = [
+        ...report.results.map(result => ({ type: 'result', tool: report.tool, ...result })),
+        ...report.issues.map(issue => ({ type: 'issue', tool: report.tool, ...issue })),
+        {
+          type: 'summary',
+          schemaVersion: report.schemaVersion,
+          tool: report.tool,
+          generatedAt: report.generatedAt,
+          status: report.status,
+          summary: report.summary
+        }
+      ];
+
+      this.logger.log(lines.map(line => JSON.stringify(line)).join('\n'));
+    }
+  }
+}
+
+StructuredOutput.SCHEMA_VERSION = SCHEMA_VERSION;
+
+module.exports = StructuredOutput;
@@ -0,0 +1,205 @@
+/**
+ * Trigger History
+ *
+ * The evolution system's history.json:
+ *
+ *   {
+ *     "triggers": [{ id, type, priority, timestamp, action, targets, fingerprints, status, resolvedAt, ... }],
+ *     "fingerprints": { "content_refresh:guides/setup.md": { type, target, status: open|resolved,
+ *                       firstSeen, lastSeen, lastFired, lastTriggerId, occurrences, resolvedAt } },
+ *     "evolutions": [{ proposalId, triggerId, decision, actor, ... }]
+ *   }
+ *
+ * A fingerprint is a trigger type plus one target (`*` for triggers without
+ * targets). It stays open while its condition keeps matching, carries the
+ * cooldown (when it last fired), and resolves once a run no longer matches
+ * it. Histories written before fingerprints existed are indexed on load.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function fingerprint(type, target) {
+  return `${type}:${target === null || target === undefined ? '*' : target}`;
+}
+
+function fingerprintsOf(trigger) {
+  if (trigger.fingerprints) return trigger.fingerprints;
+  const targets = trigger.targets && trigger.targets.length > 0 ? trigger.targets : [null];
+  return targets.map(target => fingerprint(trigger.type, target));
+}
+
+class TriggerHistory {
+  constructor(historyFile, data = {}) {
+    this.historyFile = historyFile;
+    this.triggers = data.triggers || [];
+    this.evolutions = data.evolutions || [];
+    this.fingerprints = data.fingerprints || this.indexFingerprints();
+  }
+
+  static load(historyFile) {
+    const data = fs.existsSync(historyFile) ? JSON.parse(fs.readFileSync(historyFile, 'utf8')) : {};
+    return new TriggerHistory(historyFile, data);
+  }
+
+  save() {
+    fs.mkdirSync(path.dirname(this.historyFile), { recursive: true });
+    fs.writeFileSync(this.historyFile, JSON.stringify(this.toJSON(), null, 2));
+  }
+
+  toJSON() {
+    return { triggers: this.triggers, fingerprints: this.fingerprints, evolutions: this.evolutions };
+  }
+
+  /**
+   * Fingerprints for a history that predates them, from its trigger records.
+   */
+  indexFingerprints() {
+    const index = {};
+
+    [...this.triggers]
+      .sort((a, b) => Date.parse(a.timestamp) - Date.parse(b.timestamp))
+      .forEach(trigger => {
+        fingerprintsOf(trigger).forEach(key => {
+          const entry = index[key] || this.createEntry(key, trigger.type, trigger.timestamp);
+          entry.lastSeen = trigger.timestamp;
+          entry.occurrences++;
+          if (trigger.status === 'completed') {
+            entry.lastFired = trigger.timestamp;
+            entry.lastTriggerId = trigger.id;
+          }
+          index[key] = entry;
+        });
+      });
+
+    return index;
+  }
+
+  createEntry(key, type, timestamp) {
+    const target = key.slice(type.length + 1);
+    return {
+      type,
+      target: target === '*' ? null : target,
+      status: 'open',
+      firstSeen: timestamp,
+      lastSeen: timestamp,
+      lastFired: null,
+      lastTriggerId: null,
+      occurrences: 0,
+      resolvedAt: null
+    };
+  }
+
+  /**
+   * When a fingerprint's trigger last completed, in ms (null if never).
+   */
+  lastFired(type, target) {
+    const entry = this.fingerprints[fingerprint(type, target)];
+    return entry && entry.lastFired ? Date.parse(entry.lastFired) : null;
+  }
+
+  /**
+   * Record the fingerprints whose conditions matched this run ([{ type,
+   * target }], fired or held back by a cooldown). Open fingerprints that did
+   * not match are resolved, as is every trigger record whose fingerprints are
+   * all resolved. Returns the resolved entries.
+   */
+  observe(matches, now = new Date().toISOString()) {
+    const seen = new Set();
+
+    matches.forEach(({ type, target }) => {
+      const key = fingerprint(type, target);
+      if (seen.has(key)) return;
+      seen.add(key);
+
+      const entry = this.fingerprints[key];
+      if (!entry || entry.status === 'resolved') {
+        // New, or raised again after it had cleared
+        this.fingerprints[key] = { ...this.createEntry(key, type, now), occurrences: 1 };
+      } else {
+        entry.lastSeen = now;
+        entry.occurrences++;
+      }
+    });
+
+    const resolved = Object.entries(this.fingerprints)
+      .filter(([key, entry]) => entry.status === 'open' && !seen.has(key))
+      .map(([key, entry]) => {
+        Object.assign(entry, { status: 'resolved', resolvedAt: now });
+        return { fingerprint: key, ...entry };
+      });
+
+    if (resolved.length > 0) {
+      this.triggers
+        .filter(trigger => !trigger.resolvedAt && trigger.status === 'completed')
+        .filter(trigger => fingerprintsOf(trigger).every(key => !this.fingerprints[key] || this.fingerprints[key].status === 'resolved'))
+        .forEach(trigger => {
+          trigger.resolvedAt = now;
+        });
+    }
+
+    return resolved;
+  }
+
+  /**
+   * Start the cooldown of a completed trigger's fingerprints.
+   */
+  recordFired(trigger) {
+    fingerprintsOf(trigger).forEach(key => {
+      const entry = this.fingerprints[key] || { ...this.createEntry(key, trigger.type, trigger.timestamp), occurrences: 1 };
+      Object.assign(entry, { status: 'open', lastFired: trigger.timestamp, lastTriggerId: trigger.id, resolvedAt: null });
+      this.fingerprints[key] = entry;
+    });
+  }
+
+  /**
+   * Collapse repeated trigger records (same fingerprints and status) into
+   * the latest, which keeps `occurrences` and `firstSeen`, and drop
+   * fingerprints resolved more than `keepDays` ago. Records named in
+   * `keepIds` (proposals, the evolutions audit) are always kept.
+   */
+  compact({ keepDays = 90, keepIds = new Set(), now = Date.now() } = {}) {
+    const before = { triggers: this.triggers.length, fingerprints: Object.keys(this.fingerprints).length };
+    const referenced = new Set([...keepIds, ...this.evolutions.map(evolution => evolution.triggerId)]);
+
+    const groups = new Map();
+    [...this.triggers]
+      .sort((a, b) => Date.parse(a.timestamp) - Date.parse(b.timestamp))
+      .forEach(trigger => {
+        const key = `${[...fingerprintsOf(trigger)].sort().join('|')}#${trigger.status}`;
+        if (!groups.has(key)) groups.set(key, []);
+        groups.get(key).push(trigger);
+      });
+
+    const kept = new Set();
+    groups.forEach(group => {
+      const latest = group[group.length - 1];
+      const collapsed = group.filter(trigger => trigger !== latest && !referenced.has(trigger.id));
+      const merged = [...collapsed, latest];
+
+      latest.occurrences = merged.reduce((total, trigger) => total + (trigger.occurrences || 1), 0);
+      latest.firstSeen = merged.map(trigger => trigger.firstSeen || trigger.timestamp).sort()[0];
+
+      group.filter(trigger => !collapsed.includes(trigger)).forEach(trigger => kept.add(trigger));
+    });
+
+    this.triggers = this.triggers.filter(trigger => kept.has(trigger));
+
+    const cutoff = now - keepDays * DAY_MS;
+    this.fingerprints = Object.fromEntries(Object.entries(this.fingerprints).filter(([, entry]) =>
+      entry.status !== 'resolved' || Date.parse(entry.resolvedAt) >= cutoff
+    ));
+
+    return {
+      before,
+      after: { triggers: this.triggers.length, fingerprints: Object.keys(this.fingerprints).length }
+    };
+  }
+}
+
+TriggerHistory.fingerprint = fingerprint;
+TriggerHistory.fingerprintsOf = fingerprintsOf;
+
+module.exports = TriggerHistory;
@@ -0,0 +1,273 @@
+/**
+ * Trigger Rules
+ *
+ * When the evolution system acts and what it does. The built-in triggers
+ * below can be tuned, disabled or extended from a `.selfref-triggers.json`
+ * file in the project root:
+ *
+ *   {
+ *     "triggers": [
+ *       { "id": "quality_improvement", "when": "assessment.averageScore < 60" },
+ *       { "id": "guide_quality", "scope": "document", "action": "enhance_poor_documents",
+ *         "when": "assessment.averageScore < 70 && docs.category == \"guides\"", "priority": "high", "cooldownDays": 7 },
+ *       { "id": "innovation", "enabled": false }
+ *     ]
+ *   }
+ *
+ * A trigger with the same id as a built-in one replaces its fields. `when`
+ * is an expression (see ./expression); `action` names one of the evolution
+ * system's actions; `priority` is high, medium or low. A target the trigger
+ * fired for less than `cooldownDays` ago (7 by default) is held back, and
+ * the trigger only fires for the rest. What a condition can read depends on
+ * the trigger's `scope`:
+ *
+ *   global    assessment ({ averageScore, gradeDistribution, needsImprovement,
+ *             documents }), health, usage ({ popularDocuments, leastAccessed,
+ *             searchPatterns, totalViews, totalSearches }) and docs ({ total,
+ *             stale, byCategory, byStatus, byOwner, byTag }); `targets` is an
+ *             optional expression for the target list
+ *   document  the same, but docs is each document in turn ({ file, category,
+ *             status, owner, tags, stale, ageDays, slaDays, inactive, score,
+ *             grade, scores, views, uniqueVisitors, dwellSeconds, searchTerms });
+ *             the matching documents are the targets
+ *   health    the same as global plus area ({ name, score }) for each health
+ *             signal; the matching area names are the targets
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { compile } = require('./expression');
+
+const TRIGGERS_FILE = '.selfref-triggers.json';
+const PRIORITIES = ['high', 'medium', 'low'];
+const NAMESPACES = ['assessment', 'health', 'usage', 'docs'];
+const SCOPES = {
+  global: NAMESPACES,
+  document: NAMESPACES,
+  health: [...NAMESPACES, 'area']
+};
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const DEFAULT_TRIGGERS = [
+  {
+    id: 'content_refresh',
+    description: 'Update outdated content',
+    // Staleness comes from the freshness SLAs in .selfref-freshness.json
+    scope: 'document',
+    when: 'docs.stale',
+    priority: 'high',
+    action: 'review_old_documents'
+  },
+  {
+    id: 'quality_improvement',
+    description: 'Improve low-scoring documents',
+    // Scores come from the last self-assess.js run; Fair and Poor grades
+    scope: 'document',
+    when: 'docs.score < 70',
+    priority: 'high',
+    action: 'enhance_poor_documents'
+  },
+  {
+    id: 'engagement_boost',
+    description: 'Improve engagement for underutilized content',
+    // Page views come from the sources in .selfref-usage.json
+    when: 'usage.leastAccessed.length > 0',
+    targets: 'usage.leastAccessed',
+    priority: 'medium',
+    action: 'promote_least_accessed'
+  },
+  {
+    id: 'system_health',
+    description: 'Address system health issues',
+    scope: 'health',
+    when: 'area.score < 80',
+    priority: 'medium',
+    action: 'improve_system_health'
+  },
+  {
+    id: 'innovation',
+    description: 'Explore new documentation approaches',
+    // Always on, for continuous improvement
+    when: 'true',
+    priority: 'low',
+    cooldownDays: 30,
+    action: 'experiment_new_formats'
+  }
+];
+
+class TriggerRules {
+  /**
+   * `actions`, when given, lists the action names triggers may use.
+   */
+  constructor(config = {}, source = 'built-in triggers', actions = null) {
+    this.source = source;
+    this.actions = actions;
+    this.triggers = this.mergeTriggers(DEFAULT_TRIGGERS, config.triggers || [])
+      .filter(trigger => trigger.enabled !== false)
+      .map(trigger => this.compileTrigger(trigger));
+  }
+
+  /**
+   * Load `.selfref-triggers.json` from the project root (or an explicit file).
+   */
+  static load(projectRoot, { file = null, actions = null } = {}) {
+    const triggersFile = file || path.join(projectRoot, TRIGGERS_FILE);
+
+    if (!fs.existsSync(triggersFile)) {
+      if (file) throw new Error(`Triggers file not found: ${file}`);
+      return new TriggerRules({}, 'built-in triggers', actions);
+    }
+
+    let config;
+    try {
+      config = JSON.parse(fs.readFileSync(triggersFile, 'utf8'));
+    } catch (error) {
+      throw new Error(`Could not parse ${triggersFile}: ${error.message}`);
+    }
+
+    const relativeFile = path.relative(projectRoot, triggersFile);
+    return new TriggerRules(config, relativeFile.startsWith('..') ? triggersFile : relativeFile, actions);
+  }
+
+  mergeTriggers(defaults, custom) {
+    if (!Array.isArray(custom)) {
+      throw new Error(`${this.source}: triggers must be a list`);
+    }
+
+    const merged = defaults.map(trigger => ({ ...trigger }));
+
+    custom.forEach(trigger => {
+      if (!trigger || !trigger.id) {
+        throw new Error(`${this.source}: every trigger needs an id`);
+      }
+
+      const existing = merged.find(candidate => candidate.id === trigger.id);
+      if (existing) {
+        Object.assign(existing, trigger);
+      } else {
+        merged.push({ ...trigger });
+      }
+    });
+
+    return merged.map(trigger => ({ scope: 'global', priority: 'medium', cooldownDays: 7, description: trigger.id, ...trigger }));
+  }
+
+  compileTrigger(trigger) {
+    const label = `${this.source}: trigger "${trigger.id}"`;
+
+    if (!SCOPES[trigger.scope]) {
+      throw new Error(`${label} has unknown scope "${trigger.scope}" (expected ${Object.keys(SCOPES).join(', ')})`);
+    }
+    if (!PRIORITIES.includes(trigger.priority)) {
+      throw new Error(`${label} has unknown priority "${trigger.priority}" (expected ${PRIORITIES.join(', ')})`);
+    }
+    if (!trigger.action) {
+      throw new Error(`${label} needs an action`);
+    }
+    if (this.actions && !this.actions.includes(trigger.action)) {
+      throw new Error(`${label} has unknown action "${trigger.action}" (expected ${this.actions.join(', ')})`);
+    }
+    if (typeof trigger.cooldownDays !== 'number' || trigger.cooldownDays < 0) {
+      throw new Error(`${label} cooldownDays must be a number of days, 0 or more`);
+    }
+    if (trigger.targets !== undefined && trigger.scope !== 'global') {
+      throw new Error(`${label} can only set targets in the global scope; ${trigger.scope} triggers target what they match`);
+    }
+
+    return {
+      ...trigger,
+      condition: this.compileExpression(label, 'when', trigger.when, trigger.scope),
+      targetList: trigger.targets !== undefined
+        ? this.compileExpression(label, 'targets', trigger.targets, trigger.scope)
+        : null
+    };
+  }
+
+  compileExpression(label, field, source, scope) {
+    let expression;
+    try {
+      expression = compile(source);
+    } catch (error) {
+      throw new Error(`${label} has an invalid ${field} expression: ${error.message}`);
+    }
+
+    const unknown = expression.roots.filter(root => !SCOPES[scope].includes(root));
+    if (unknown.length > 0) {
+      throw new Error(`${label} ${field} uses unknown name "${unknown[0]}" ` +
+        `(a ${scope} trigger can use ${SCOPES[scope].join(', ')})`);
+    }
+
+    return expression;
+  }
+
+  /**
+   * Evaluate every trigger against the analysis context:
+   * { assessment, health, usage, docs, documents }. `lastFired(id, target)`
+   * returns when a trigger last fired for a target (ms; target is null for
+   * triggers without targets), for cooldowns. Returns { opportunities,
+   * suppressed }: opportunities are { type, priority, description, action,
+   * targets } in trigger order, without targets still in their cooldown;
+   * suppressed are { id, target, until } for those held back.
+   */
+  evaluate(context, { lastFired = () => null, now = Date.now() } = {}) {
+    const opportunities = [];
+    const suppressed = [];
+
+    this.triggers.forEach(trigger => {
+      const match = this.match(trigger, context);
+      if (!match) return;
+
+      const targets = match.targets && match.targets.length > 0 ? match.targets : [null];
+      const ready = targets.filter(target => {
+        const last = lastFired(trigger.id, target);
+        const until = last ? last + trigger.cooldownDays * DAY_MS : 0;
+        if (until > now) {
+          suppressed.push({ id: trigger.id, target, until: new Date(until).toISOString() });
+          return false;
+        }
+        return true;
+      });
+      if (ready.length === 0) return;
+
+      opportunities.push({
+        type: trigger.id,
+        priority: trigger.priority,
+        description: trigger.description,
+        action: trigger.action,
+        targets: match.targets && match.targets.length > 0 ? ready : match.targets
+      });
+    });
+
+    return { opportunities, suppressed };
+  }
+
+  /**
+   * { targets } when a trigger fires, otherwise null.
+   */
+  match(trigger, context) {
+    if (trigger.scope === 'document') {
+      const targets = (context.documents || [])
+        .filter(document => trigger.condition.test({ ...context, docs: document }))
+        .map(document => document.file);
+      return targets.length > 0 ? { targets } : null;
+    }
+
+    if (trigger.scope === 'health') {
+      const targets = Object.entries(context.health || {})
+        .filter(([name, score]) => trigger.condition.test({ ...context, area: { name, score } }))
+        .map(([name]) => name);
+      return targets.length > 0 ? { targets } : null;
+    }
+
+    if (!trigger.condition.test(context)) {
+      return null;
+    }
+
+    return { targets: trigger.targetList ? [].concat(trigger.targetList.evaluate(context) || []) : undefined };
+  }
+}
+
+TriggerRules.TRIGGERS_FILE = TRIGGERS_FILE;
+TriggerRules.DEFAULT_TRIGGERS = DEFAULT_TRIGGERS;
+
+module.exports = TriggerRules;
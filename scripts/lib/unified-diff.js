@@ -0,0 +1,158 @@
+/**
+ * Unified Diff
+ *
+ * Line-based unified diff (the `diff -u` / `git diff` format) used to
+ * preview file changes before they are written, and to apply reviewed
+ * changes later. Common leading and
+ * trailing lines are trimmed before the LCS table is built, so the usual
+ * case of a few inserted sections stays cheap even for long documents.
+ */
+
+function splitLines(text) {
+  if (text === '') return [];
+  const lines = text.split('\n');
+  if (lines[lines.length - 1] === '') lines.pop();
+  return lines;
+}
+
+function diffLines(oldLines, newLines) {
+  let start = 0;
+  while (start < oldLines.length && start < newLines.length && oldLines[start] === newLines[start]) {
+    start++;
+  }
+
+  let oldEnd = oldLines.length;
+  let newEnd = newLines.length;
+  while (oldEnd > start && newEnd > start && oldLines[oldEnd - 1] === newLines[newEnd - 1]) {
+    oldEnd--;
+    newEnd--;
+  }
+
+  const a = oldLines.slice(start, oldEnd);
+  const b = newLines.slice(start, newEnd);
+
+  // lcs[i][j] = length of the longest common subsequence of a[i..] and b[j..]
+  const lcs = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lcs[i][j] = a[i] === b[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+    }
+  }
+
+  const ops = oldLines.slice(0, start).map(line => ({ type: ' ', line }));
+  let i = 0;
+  let j = 0;
+
+  while (i < a.length || j < b.length) {
+    if (i < a.length && j < b.length && a[i] === b[j]) {
+      ops.push({ type: ' ', line: a[i] });
+      i++;
+      j++;
+    } else if (i < a.length && (j === b.length || lcs[i + 1][j] >= lcs[i][j + 1])) {
+      // Removals first on ties, as diff -u and git diff do
+      ops.push({ type: '-', line: a[i] });
+      i++;
+    } else {
+      ops.push({ type: '+', line: b[j] });
+      j++;
+    }
+  }
+
+  return ops.concat(oldLines.slice(oldEnd).map(line => ({ type: ' ', line })));
+}
+
+/**
+ * Build a unified diff between two texts; returns '' when they are identical.
+ */
+function createUnifiedDiff(oldText, newText, options = {}) {
+  const { fromFile = 'a', toFile = 'b', context = 3 } = options;
+  if (oldText === newText) return '';
+
+  const ops = diffLines(splitLines(oldText), splitLines(newText));
+  const changed = ops.map((op, index) => (op.type !== ' ' ? index : -1)).filter(index => index !== -1);
+
+  // Merge changes whose context windows touch into the same hunk
+  const ranges = [];
+  changed.forEach(index => {
+    const last = ranges[ranges.length - 1];
+    if (last && index - last.end <= context * 2 + 1) {
+      last.end = index;
+    } else {
+      ranges.push({ start: index, end: index });
+    }
+  });
+
+  // Line numbers (1-based) at the start of every op
+  const positions = [];
+  let oldLine = 1;
+  let newLine = 1;
+  ops.forEach(op => {
+    positions.push({ oldLine, newLine });
+    if (op.type !== '+') oldLine++;
+    if (op.type !== '-') newLine++;
+  });
+
+  const output = [`--- ${fromFile}`, `+++ ${toFile}`];
+
+  ranges.forEach(range => {
+    const first = Math.max(0, range.start - context);
+    const last = Math.min(ops.length - 1, range.end + context);
+    const hunk = ops.slice(first, last + 1);
+    const oldCount = hunk.filter(op => op.type !== '+').length;
+    const newCount = hunk.filter(op => op.type !== '-').length;
+    const oldStart = oldCount === 0 ? positions[first].oldLine - 1 : positions[first].oldLine;
+    const newStart = newCount === 0 ? positions[first].newLine - 1 : positions[first].newLine;
+
+    output.push(`@@ -${oldStart},${oldCount} +${newStart},${newCount} @@`);
+    hunk.forEach(op => output.push(`${op.type}${op.line}`));
+  });
+
+  return output.join('\n') + '\n';
+}
+
+/**
+ * Apply a diff made by createUnifiedDiff to the text it was made from.
+ * Context and removed lines must match exactly, otherwise this throws. The
+ * format does not record a missing final newline, so `trailingNewline`
+ * decides whether the result ends with one.
+ */
+function applyUnifiedDiff(text, diff, { trailingNewline = text === '' || text.endsWith('\n') } = {}) {
+  const lines = splitLines(text);
+  const patch = splitLines(diff);
+  const output = [];
+  let cursor = 0;
+
+  for (let index = 0; index < patch.length; index++) {
+    const header = patch[index].match(/^@@ -(\d+),(\d+) \+\d+,\d+ @@/);
+    if (!header) continue;
+
+    // A hunk that removes nothing is placed after line N, otherwise it starts at line N
+    const start = Number(header[2]) === 0 ? Number(header[1]) : Number(header[1]) - 1;
+    if (start < cursor || start > lines.length) {
+      throw new Error(`Hunk at line ${header[1]} does not fit the file`);
+    }
+    output.push(...lines.slice(cursor, start));
+    cursor = start;
+
+    while (index + 1 < patch.length && /^[ +-]/.test(patch[index + 1])) {
+      const line = patch[++index];
+      const type = line[0];
+      const value = line.slice(1);
+
+      if (type === '+') {
+        output.push(value);
+        continue;
+      }
+      if (lines[cursor] !== value) {
+        throw new Error(`Patch does not match line ${cursor + 1}: expected "${value}"`);
+      }
+      if (type === ' ') output.push(value);
+      cursor++;
+    }
+  }
+
+  output.push(...lines.slice(cursor));
+  return output.join('\n') + (trailingNewline && output.length > 0 ? '\n' : '');
+}
+
+module.exports = { createUnifiedDiff, applyUnifiedDiff };
@@ -0,0 +1,504 @@
+/**
+ * Usage Analytics
+ *
+ * Page views, dwell time and search terms per document, ingested from local
+ * files listed in `.selfref-usage.json` in the project root:
+ *
+ *   {
+ *     "sources": [
+ *       { "type": "access-log", "files": ["logs/access.log*"] },
+ *       { "type": "events", "files": ["logs/page-views*.jsonl", "logs/search*.jsonl"] }
+ *     ],
+ *     "basePath": "/docs/",
+ *     "windowDays": 30
+ *   }
+ *
+ * `access-log` files are web-server logs in Common or Combined Log Format
+ * (`.gz` rotations included). Successful GETs of a page count as views; a
+ * visitor (address plus user agent) dwells on a page until their next view
+ * within `sessionMinutes`. Requests carrying a search parameter (`?q=` on
+ * DocFX's search page) are searches, and a page opened from such a URL
+ * credits the term to that page.
+ *
+ * `events` files hold one JSON object per line:
+ *
+ *   { "type": "pageview", "path": "/docs/guides/setup.html", "timestamp": "...", "dwellMs": 42000, "visitor": "a1" }
+ *   { "type": "search", "query": "pmcr-o loop", "timestamp": "...", "page": "/docs/index.html" }
+ *
+ * where `page` on a search is the result that was opened. URLs map to the
+ * Markdown files DocFX built them from: `<basePath>guides/setup.html` is
+ * guides/setup.md and a trailing `/` is that directory's index.md. Views of
+ * anything else (assets, other sites) and requests from `botAgents` are
+ * ignored.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const { globToRegExp, matchesGlob, toPosix } = require('./glob');
+const { parseFrontMatter } = require('./front-matter');
+const { getMetadata, INACTIVE_STATUSES } = require('./document-metadata');
+
+const CONFIG_FILE = '.selfref-usage.json';
+const DAY_MS = 24 * 60 * 60 * 1000;
+const SOURCE_TYPES = ['access-log', 'events'];
+const EXCLUDED_DIRECTORIES = ['node_modules', '.git', '_site'];
+
+const DEFAULT_CONFIG = {
+  sources: [],
+  // Where docfx.json publishes docs/ within the site
+  basePath: '/docs/',
+  windowDays: 30,
+  sessionMinutes: 30,
+  popularCount: 10,
+  leastAccessedCount: 5,
+  searchTermCount: 10,
+  searchParameters: ['q', 'query', 'search'],
+  // Generated pages are not promoted
+  exclude: ['evolution/**'],
+  botAgents: ['bot', 'crawler', 'spider', 'slurp', 'curl', 'wget', 'python-requests', 'headless']
+};
+
+// host ident user [time] "METHOD target PROTOCOL" status bytes ["referer" "user agent"]
+const LOG_LINE = /^(\S+) \S+ \S+ \[([^\]]+)\] "(\S+) (\S+)[^"]*" (\d{3}) \S+(?: "([^"]*)" "([^"]*)")?/;
+const LOG_TIME = /^(\d{2})\/(\w{3})\/(\d{4}):(\d{2}):(\d{2}):(\d{2}) ([+-])(\d{2})(\d{2})$/;
+const MONTHS = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+/**
+ * Milliseconds for a log timestamp such as `10/Oct/2025:13:55:36 -0700`,
+ * NaN when it is not one.
+ */
+function parseLogTime(value) {
+  const match = LOG_TIME.exec(value);
+  if (!match) return NaN;
+
+  const [, day, month, year, hours, minutes, seconds, sign, offsetHours, offsetMinutes] = match;
+  const monthIndex = MONTHS.indexOf(month);
+  if (monthIndex === -1) return NaN;
+
+  const offset = (sign === '-' ? -1 : 1) * (Number(offsetHours) * 60 + Number(offsetMinutes)) * 60 * 1000;
+  return Date.UTC(Number(year), monthIndex, Number(day), Number(hours), Number(minutes), Number(seconds)) - offset;
+}
+
+/**
+ * Search terms are counted case- and whitespace-insensitively.
+ */
+function normalizeTerm(term) {
+  return typeof term === 'string' ? term.trim().replace(/\s+/g, ' ').toLowerCase() : '';
+}
+
+class UsageAnalytics {
+  constructor(options = {}) {
+    this.projectRoot = options.projectRoot || path.join(__dirname, '..', '..');
+    this.docsPath = options.docsPath || path.join(this.projectRoot, 'docs');
+    this.config = { ...DEFAULT_CONFIG, ...(options.config || UsageAnalytics.loadConfig(this.projectRoot)) };
+    this.now = options.now || Date.now();
+    this.result = null;
+
+    this.validateConfig();
+  }
+
+  static loadConfig(projectRoot) {
+    const file = path.join(projectRoot, CONFIG_FILE);
+    if (!fs.existsSync(file)) return {};
+
+    try {
+      return JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (error) {
+      throw new Error(`Could not parse ${file}: ${error.message}`);
+    }
+  }
+
+  validateConfig() {
+    if (!Array.isArray(this.config.sources)) {
+      throw new Error(`${CONFIG_FILE}: sources must be a list`);
+    }
+    this.config.sources.forEach((source, index) => {
+      if (!source || !SOURCE_TYPES.includes(source.type)) {
+        throw new Error(`${CONFIG_FILE}: source ${index + 1} has unknown type "${source && source.type}" (expected ${SOURCE_TYPES.join(', ')})`);
+      }
+      if (!source.files || [].concat(source.files).length === 0) {
+        throw new Error(`${CONFIG_FILE}: source ${index + 1} needs files`);
+      }
+    });
+
+    const counts = ['windowDays', 'sessionMinutes', 'popularCount', 'leastAccessedCount', 'searchTermCount'];
+    const invalid = counts.find(key => typeof this.config[key] !== 'number' || this.config[key] <= 0);
+    if (invalid) {
+      throw new Error(`${CONFIG_FILE}: ${invalid} must be a positive number`);
+    }
+  }
+
+  /**
+   * Usage over the last `windowDays`, computed once per instance:
+   * { configured, provenance, window, totals, documents, popularDocuments,
+   *   leastAccessed, searchPatterns, searchTerms, reach }. Each document is
+   * { file, views, uniqueVisitors, averageDwellSeconds, searchTerms }, with
+   * every Markdown document listed (unviewed ones at 0 views). The least
+   * accessed are the active documents viewed less than the average one,
+   * fewest views first; reach is { active, viewed }, how many of the active
+   * documents were viewed at all.
+   */
+  analyze() {
+    if (this.result) return this.result;
+
+    const documents = this.listDocuments();
+    const since = this.now - this.config.windowDays * DAY_MS;
+    const window = { days: this.config.windowDays, from: new Date(since).toISOString(), to: new Date(this.now).toISOString() };
+
+    const views = [];
+    const searches = [];
+    const totals = { files: 0, lines: 0, skippedLines: 0 };
+
+    this.config.sources.forEach(source => {
+      this.expandFiles(source.files).forEach(file => {
+        totals.files++;
+        const lines = this.readLines(file);
+        totals.lines += lines.length;
+
+        const read = source.type === 'access-log'
+          ? this.readAccessLog(lines, { ...this.config, ...source }, documents)
+          : this.readEvents(lines, { ...this.config, ...source }, documents);
+        totals.skippedLines += read.skipped;
+        views.push(...read.views);
+        searches.push(...read.searches);
+      });
+    });
+
+    const inWindow = event => event.time === null || (event.time >= since && event.time <= this.now);
+    const windowViews = views.filter(inWindow);
+    const windowSearches = searches.filter(inWindow);
+
+    this.result = this.aggregate(documents, windowViews, windowSearches, {
+      configured: this.config.sources.length > 0,
+      window,
+      totals
+    });
+    return this.result;
+  }
+
+  /**
+   * Markdown documents by docs-relative path, with whether they are inactive.
+   */
+  listDocuments() {
+    const documents = new Map();
+
+    const walk = directory => {
+      if (!fs.existsSync(directory)) return;
+
+      fs.readdirSync(directory, { withFileTypes: true }).forEach(entry => {
+        const fullPath = path.join(directory, entry.name);
+        if (entry.isDirectory()) {
+          if (!EXCLUDED_DIRECTORIES.includes(entry.name)) walk(fullPath);
+        } else if (entry.name.endsWith('.md')) {
+          const metadata = getMetadata(parseFrontMatter(fs.readFileSync(fullPath, 'utf8')).data);
+          documents.set(toPosix(path.relative(this.docsPath, fullPath)), {
+            inactive: INACTIVE_STATUSES.includes(metadata.status)
+          });
+        }
+      });
+    };
+
+    walk(this.docsPath);
+    return documents;
+  }
+
+  /**
+   * Files matching source globs, relative to the project root (or absolute).
+   */
+  expandFiles(patterns) {
+    const files = new Set();
+
+    [].concat(patterns).forEach(pattern => {
+      const segments = toPosix(path.resolve(this.projectRoot, pattern)).split('/');
+      const firstGlob = segments.findIndex(segment => /[*?{]/.test(segment));
+
+      if (firstGlob === -1) {
+        const file = segments.join('/');
+        if (fs.existsSync(file) && fs.statSync(file).isFile()) files.add(file);
+        return;
+      }
+
+      const base = segments.slice(0, firstGlob).join('/') || '/';
+      const matcher = globToRegExp(segments.slice(firstGlob).join('/'));
+      const walk = directory => {
+        if (!fs.existsSync(directory)) return;
+
+        fs.readdirSync(directory, { withFileTypes: true }).forEach(entry => {
+          const fullPath = path.join(directory, entry.name);
+          if (entry.isDirectory()) {
+            if (!EXCLUDED_DIRECTORIES.includes(entry.name)) walk(fullPath);
+          } else if (matcher.test(toPosix(path.relative(base, fullPath)))) {
+            files.add(toPosix(fullPath));
+          }
+        });
+      };
+      walk(base);
+    });
+
+    return [...files].sort();
+  }
+
+  readLines(file) {
+    let content = fs.readFileSync(file);
+    if (file.endsWith('.gz')) {
+      content = zlib.gunzipSync(content);
+    }
+    return content.toString('utf8').split(/\r?\n/).filter(line => line.trim());
+  }
+
+  isBot(userAgent) {
+    const agent = (userAgent || '').toLowerCase();
+    return this.config.botAgents.some(pattern => agent.includes(pattern.toLowerCase()));
+  }
+
+  /**
+   * The document a site URL was built from, or null. Also returns the
+   * URL's search term, if it has one.
+   */
+  resolveUrl(target, config, documents) {
+    let url;
+    try {
+      url = new URL(target, 'http://localhost');
+    } catch (error) {
+      return { file: null, term: '' };
+    }
+
+    const parameter = config.searchParameters.find(name => url.searchParams.get(name));
+    const term = parameter ? normalizeTerm(url.searchParams.get(parameter)) : '';
+
+    let pathname;
+    try {
+      pathname = decodeURIComponent(url.pathname);
+    } catch (error) {
+      return { file: null, term };
+    }
+
+    const basePath = `/${config.basePath.replace(/^\/+|\/+$/g, '')}/`.replace('//', '/');
+    if (!pathname.startsWith(basePath)) {
+      return { file: null, term };
+    }
+
+    let file = pathname.slice(basePath.length);
+    if (file === '' || file.endsWith('/')) {
+      file += 'index.md';
+    } else if (file.endsWith('.html')) {
+      file = file.slice(0, -'.html'.length) + '.md';
+    } else if (!path.posix.extname(file)) {
+      file += '.md';
+    }
+
+    return { file: documents.has(file) ? file : null, term };
+  }
+
+  /**
+   * Views and searches from Common/Combined Log Format lines.
+   */
+  readAccessLog(lines, config, documents) {
+    const requests = [];
+    let skipped = 0;
+
+    lines.forEach(line => {
+      const match = LOG_LINE.exec(line);
+      const time = match ? parseLogTime(match[2]) : NaN;
+      if (!match || Number.isNaN(time)) {
+        skipped++;
+        return;
+      }
+
+      const [, host, , method, target, status, referer, userAgent] = match;
+      const code = Number(status);
+      if (method !== 'GET' || !((code >= 200 && code < 300) || code === 304) || this.isBot(userAgent)) {
+        return;
+      }
+
+      requests.push({ time, visitor: `${host} ${userAgent || ''}`, target, referer });
+    });
+
+    const views = [];
+    const searches = [];
+
+    requests.forEach(request => {
+      const { file, term } = this.resolveUrl(request.target, config, documents);
+      if (term) {
+        searches.push({ time: request.time, term, file: null, counted: true });
+      }
+      if (!file) return;
+
+      const from = request.referer && request.referer !== '-'
+        ? this.resolveUrl(request.referer, config, documents).term
+        : '';
+      if (from) {
+        // The search itself was counted when its URL was requested
+        searches.push({ time: request.time, term: from, file, counted: false });
+      }
+      views.push({ time: request.time, file, visitor: request.visitor, dwellMs: null });
+    });
+
+    this.estimateDwell(views, config.sessionMinutes * 60 * 1000);
+    return { views, searches, skipped };
+  }
+
+  /**
+   * A view lasts until the same visitor's next view, when that comes within
+   * the session timeout. The last view of a session has no dwell time.
+   */
+  estimateDwell(views, sessionMs) {
+    const byVisitor = new Map();
+    views.forEach(view => {
+      if (!byVisitor.has(view.visitor)) byVisitor.set(view.visitor, []);
+      byVisitor.get(view.visitor).push(view);
+    });
+
+    byVisitor.forEach(visits => {
+      visits.sort((a, b) => a.time - b.time);
+      visits.forEach((view, index) => {
+        const next = visits[index + 1];
+        if (next && next.time - view.time <= sessionMs) {
+          view.dwellMs = next.time - view.time;
+        }
+      });
+    });
+  }
+
+  /**
+   * Views and searches from JSONL page-view and search events.
+   */
+  readEvents(lines, config, documents) {
+    const views = [];
+    const searches = [];
+    let skipped = 0;
+
+    lines.forEach(line => {
+      let event;
+      try {
+        event = JSON.parse(line);
+      } catch (error) {
+        skipped++;
+        return;
+      }
+      if (!event || typeof event !== 'object') {
+        skipped++;
+        return;
+      }
+
+      const stamp = event.timestamp || event.time;
+      const time = stamp === undefined ? null : Date.parse(stamp);
+      if (Number.isNaN(time)) {
+        skipped++;
+        return;
+      }
+      if (this.isBot(event.userAgent)) return;
+
+      const query = event.query !== undefined ? event.query : event.q;
+      const type = event.type || (query !== undefined ? 'search' : 'pageview');
+
+      if (type === 'search') {
+        const term = normalizeTerm(query);
+        if (!term) {
+          skipped++;
+          return;
+        }
+        const file = event.page ? this.resolveUrl(event.page, config, documents).file : null;
+        searches.push({ time, term, file, counted: true });
+      } else if (type === 'pageview') {
+        const target = event.path || event.url || event.page;
+        const file = target ? this.resolveUrl(target, config, documents).file : null;
+        if (!file) return;
+
+        const dwellMs = typeof event.dwellMs === 'number' ? event.dwellMs
+          : typeof event.dwellSeconds === 'number' ? event.dwellSeconds * 1000
+            : null;
+        views.push({ time, file, visitor: event.visitor || event.sessionId || null, dwellMs });
+      }
+    });
+
+    return { views, searches, skipped };
+  }
+
+  aggregate(documents, views, searches, { configured, window, totals }) {
+    const perDocument = new Map([...documents.keys()].map(file => [file, {
+      file,
+      views: 0,
+      visitors: new Set(),
+      dwellMs: 0,
+      dwellSamples: 0,
+      terms: new Map()
+    }]));
+    const count = (map, key) => map.set(key, (map.get(key) || 0) + 1);
+    const ranked = map => [...map.entries()]
+      .map(([term, total]) => ({ term, count: total }))
+      .sort((a, b) => b.count - a.count || a.term.localeCompare(b.term));
+
+    views.forEach(view => {
+      const entry = perDocument.get(view.file);
+      entry.views++;
+      if (view.visitor) entry.visitors.add(view.visitor);
+      if (typeof view.dwellMs === 'number' && view.dwellMs >= 0) {
+        entry.dwellMs += view.dwellMs;
+        entry.dwellSamples++;
+      }
+    });
+
+    const terms = new Map();
+    searches.forEach(search => {
+      if (search.counted) count(terms, search.term);
+      if (search.file) count(perDocument.get(search.file).terms, search.term);
+    });
+
+    const results = [...perDocument.values()].map(entry => ({
+      file: entry.file,
+      views: entry.views,
+      uniqueVisitors: entry.visitors.size,
+      averageDwellSeconds: entry.dwellSamples > 0 ? Math.round(entry.dwellMs / entry.dwellSamples / 1000) : null,
+      searchTerms: ranked(entry.terms)
+    }));
+    const searchTerms = ranked(terms);
+    const pageViews = views.length;
+    const searchCount = searches.filter(search => search.counted).length;
+
+    // Least accessed: active documents viewed less than the average one, once there are views to compare
+    const candidates = results.filter(entry =>
+      !documents.get(entry.file).inactive && !matchesGlob(entry.file, this.config.exclude));
+    const averageViews = candidates.reduce((sum, entry) => sum + entry.views, 0) / (candidates.length || 1);
+
+    return {
+      configured,
+      provenance: this.describe(configured, { ...totals, pageViews, searches: searchCount }),
+      window,
+      totals: { ...totals, pageViews, searches: searchCount, visitors: new Set(views.map(view => view.visitor).filter(Boolean)).size },
+      documents: results,
+      popularDocuments: results
+        .filter(entry => entry.views > 0)
+        .sort((a, b) => b.views - a.views || a.file.localeCompare(b.file))
+        .slice(0, this.config.popularCount)
+        .map(entry => entry.file),
+      leastAccessed: pageViews === 0 ? [] : candidates
+        .filter(entry => entry.views < averageViews)
+        .sort((a, b) => a.views - b.views || a.file.localeCompare(b.file))
+        .slice(0, this.config.leastAccessedCount)
+        .map(entry => entry.file),
+      searchPatterns: searchTerms.slice(0, this.config.searchTermCount).map(entry => entry.term),
+      searchTerms,
+      reach: { active: candidates.length, viewed: candidates.filter(entry => entry.views > 0).length }
+    };
+  }
+
+  describe(configured, { files, skippedLines, pageViews, searches }) {
+    if (!configured) {
+      return `No usage data source configured (${CONFIG_FILE})`;
+    }
+    if (files === 0) {
+      return `No files match the sources in ${CONFIG_FILE}`;
+    }
+
+    return `${pageViews} page views and ${searches} searches over the last ${this.config.windowDays} days ` +
+      `from ${files} ${files === 1 ? 'file' : 'files'}` +
+      (skippedLines > 0 ? ` (${skippedLines} unreadable lines skipped)` : '');
+  }
+}
+
+UsageAnalytics.CONFIG_FILE = CONFIG_FILE;
+UsageAnalytics.parseLogTime = parseLogTime;
+
+module.exports = UsageAnalytics;
@@ -0,0 +1,297 @@
+/**
+ * Validation Rules
+ *
+ * Rule packs for SelfReferentialValidator. The built-in rules below can be
+ * extended or overridden from a `.selfref-rules.json` file in the project root:
+ *
+ *   {
+ *     "exclude": ["_site/**", "drafts/**"],
+ *     "rules": [{ "id": "...", "files": ["guides/**"], "severity": "warning", "match": { ... } }],
+ *     "overrides": [{ "files": ["philosophy/**"], "rules": { "meta-commentary": "off" } }]
+ *   }
+ *
+ * A rule with the same id as a built-in rule replaces its fields. A match is
+ * one of { heading, level }, { regex, flags, scope }, { callout, flags, closing },
+ * { frontMatter: schema }, { requiredSections: true }, { any: [...] } or
+ * { all: [...] }. Matches are evaluated on the Markdown AST: regexes see prose
+ * only (no code or link text) unless scope is "source". Documents opt out
+ * through front matter (`selfref: { disable: [ids] | "all" }`).
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { matchesGlob } = require('./glob');
+const { normalize } = require('./markdown-ast');
+const { getMetadata, validateMetadata, findFieldPosition } = require('./document-metadata');
+
+const RULES_FILE = '.selfref-rules.json';
+const SEVERITIES = ['error', 'warning', 'info', 'off'];
+const ROLE_LABEL = role => ({ regex: `\\b${role}\\s*:` });
+
+const DEFAULT_EXCLUDE = ['**/node_modules/**', '**/.git/**', '**/_site/**'];
+
+const DEFAULT_RULES = [
+  {
+    id: 'pmcro-loop',
+    message: 'Missing PMCR-O loop execution section',
+    // A heading, or every one of the five roles labelled in the text
+    match: {
+      any: [
+        { heading: 'PMCR-O Loop Execution' },
+        { all: ['Planner', 'Maker', 'Checker', 'Reflector', 'Orchestrator'].map(ROLE_LABEL) }
+      ]
+    },
+    template: {
+      heading: 'PMCR-O Loop Execution',
+      body: [
+        '**Planner**: [How this document planned its content]',
+        '',
+        '**Maker**: [How this document created its content]',
+        '',
+        '**Checker**: [How this document validated its content]',
+        '',
+        '**Reflector**: [How this document reflected on its content]',
+        '',
+        '**Orchestrator**: [How this document coordinated its content]'
+      ]
+    }
+  },
+  {
+    id: 'self-assessment',
+    message: 'Missing self-assessment section',
+    match: {
+      any: ['Self-Assessment', 'Completeness:', 'Accuracy:', 'Relevance:', 'Improvement Suggestions']
+        .map(pattern => ({ regex: pattern, flags: 'i' }))
+    },
+    template: {
+      heading: 'Self-Assessment',
+      body: [
+        '**Completeness**: [0-100%]',
+        '**Accuracy**: [0-100%]',
+        '**Relevance**: [0-100%]',
+        '**Improvement Suggestions**:',
+        '- [Suggestion]'
+      ]
+    }
+  },
+  {
+    id: 'evolution-triggers',
+    message: 'Missing evolution triggers section',
+    match: {
+      any: ['Evolution Triggers', 'evolution.*trigger', 'trigger.*condition']
+        .map(pattern => ({ regex: pattern, flags: 'i' }))
+    },
+    template: {
+      heading: 'Evolution Triggers',
+      body: [
+        '- [Condition]: [Action]'
+      ]
+    }
+  },
+  {
+    id: 'meta-commentary',
+    message: 'Missing meta-commentary',
+    match: {
+      any: [
+        { callout: 'Note:|Meta', flags: 'i' },
+        { regex: 'Meta-Note|meta-commentary', flags: 'i' },
+        // An emphasised note closing the document
+        { callout: '.', closing: true }
+      ]
+    },
+    // No heading: inserted as a closing note after a thematic break
+    template: {
+      body: [
+        '*Meta-Note: [Reflection on how this document maintains itself]*'
+      ]
+    }
+  },
+  {
+    id: 'front-matter-schema',
+    message: 'Front matter does not match the schema',
+    // Types of owner, status, reviewed, tags, requiredSections and assessment;
+    // a rules file can add { required, statuses, fields }
+    match: { frontMatter: {} }
+  },
+  {
+    id: 'required-sections',
+    message: 'Missing a section listed in front matter requiredSections',
+    match: { requiredSections: true }
+  }
+];
+
+class ValidationRules {
+  constructor(config = {}, source = 'built-in rules') {
+    this.source = source;
+    this.exclude = config.exclude || DEFAULT_EXCLUDE;
+    this.overrides = config.overrides || [];
+    this.rules = this.mergeRules(DEFAULT_RULES, config.rules || []);
+
+    this.validateConfig();
+  }
+
+  /**
+   * Load `.selfref-rules.json` from the project root (or an explicit file).
+   */
+  static load(projectRoot, rulesFile = null) {
+    const file = rulesFile || path.join(projectRoot, RULES_FILE);
+
+    if (!fs.existsSync(file)) {
+      if (rulesFile) throw new Error(`Rules file not found: ${rulesFile}`);
+      return new ValidationRules();
+    }
+
+    let config;
+    try {
+      config = JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (error) {
+      throw new Error(`Could not parse ${file}: ${error.message}`);
+    }
+
+    const relativeFile = path.relative(projectRoot, file);
+    return new ValidationRules(config, relativeFile.startsWith('..') ? file : relativeFile);
+  }
+
+  mergeRules(defaults, custom) {
+    const merged = defaults.map(rule => ({ ...rule }));
+
+    custom.forEach(rule => {
+      const existing = merged.find(candidate => candidate.id === rule.id);
+      if (existing) {
+        Object.assign(existing, rule);
+      } else {
+        merged.push({ ...rule });
+      }
+    });
+
+    return merged.map(rule => ({ files: ['**/*.md'], severity: 'error', ...rule }));
+  }
+
+  validateConfig() {
+    this.rules.forEach(rule => {
+      if (!rule.id) {
+        throw new Error(`${this.source}: every rule needs an id`);
+      }
+      if (!SEVERITIES.includes(rule.severity)) {
+        throw new Error(`${this.source}: rule "${rule.id}" has unknown severity "${rule.severity}" ` +
+          `(expected ${SEVERITIES.join(', ')})`);
+      }
+      if (!rule.match) {
+        throw new Error(`${this.source}: rule "${rule.id}" needs a match`);
+      }
+      this.validateMatch(rule.id, rule.match);
+    });
+
+    this.overrides.forEach(override => {
+      Object.entries(override.rules || {}).forEach(([id, severity]) => {
+        if (!SEVERITIES.includes(severity)) {
+          throw new Error(`${this.source}: override for "${id}" has unknown severity "${severity}"`);
+        }
+      });
+    });
+  }
+
+  validateMatch(ruleId, match) {
+    if (match.any || match.all) {
+      const children = match.any || match.all;
+      if (!Array.isArray(children) || children.length === 0) {
+        throw new Error(`${this.source}: rule "${ruleId}" has an empty any/all match`);
+      }
+      children.forEach(child => this.validateMatch(ruleId, child));
+    } else if (match.regex || match.callout) {
+      try {
+        new RegExp(match.regex || match.callout, match.flags);
+      } catch (error) {
+        throw new Error(`${this.source}: rule "${ruleId}" has an invalid regex: ${error.message}`);
+      }
+    } else if (match.frontMatter) {
+      if (typeof match.frontMatter !== 'object' || Array.isArray(match.frontMatter)) {
+        throw new Error(`${this.source}: rule "${ruleId}" frontMatter must be a schema object`);
+      }
+    } else if (!match.heading && !match.requiredSections) {
+      throw new Error(`${this.source}: rule "${ruleId}" match needs heading, regex, callout, frontMatter, ` +
+        'requiredSections, any or all');
+    }
+  }
+
+  isExcluded(relativePath) {
+    return matchesGlob(relativePath, this.exclude);
+  }
+
+  /**
+   * Rules that apply to a document, with glob overrides and front matter
+   * opt-outs applied. Returns [{ ...rule, severity }] without disabled rules.
+   */
+  rulesFor(relativePath, frontMatter = {}) {
+    const settings = frontMatter.selfref || {};
+    const disabled = settings.disable === 'all' || settings.disable === true
+      ? this.rules.map(rule => rule.id)
+      : [].concat(settings.disable || []);
+
+    return this.rules
+      .filter(rule => matchesGlob(relativePath, rule.files) && !matchesGlob(relativePath, rule.excludeFiles))
+      .map(rule => {
+        const override = this.overrides
+          .filter(candidate => matchesGlob(relativePath, candidate.files) && candidate.rules && candidate.rules[rule.id])
+          .pop();
+        return { ...rule, severity: override ? override.rules[rule.id] : rule.severity };
+      })
+      .filter(rule => rule.severity !== 'off' && !disabled.includes(rule.id));
+  }
+
+  /**
+   * Problems a match reports for a document: [{ message, line, column }] for
+   * front matter schema and required section checks (one per problem), or a
+   * single positionless entry when any other match fails. Empty when satisfied.
+   */
+  violations(match, document) {
+    const { data } = document.frontMatter;
+
+    if (match.frontMatter) {
+      return validateMetadata(data, match.frontMatter).map(({ field, message }) => ({
+        message,
+        ...findFieldPosition(document.content, field)
+      }));
+    }
+
+    if (match.requiredSections) {
+      return getMetadata(data).requiredSections
+        .filter(section => !document.findSection(section))
+        .map(section => ({ message: `Missing section "${section}" required by front matter` }));
+    }
+
+    return this.matches(match, document) ? [] : [{}];
+  }
+
+  /**
+   * Evaluate a match against a parsed MarkdownDocument.
+   */
+  matches(match, document) {
+    if (match.frontMatter || match.requiredSections) {
+      return this.violations(match, document).length === 0;
+    }
+
+    if (match.any) return match.any.some(child => this.matches(child, document));
+    if (match.all) return match.all.every(child => this.matches(child, document));
+
+    if (match.regex) {
+      const pattern = new RegExp(match.regex, match.flags);
+      return match.scope === 'source' ? pattern.test(document.content) : document.findText(pattern) !== null;
+    }
+
+    if (match.callout) {
+      const pattern = new RegExp(match.callout, match.flags);
+      return document.callouts.some(callout => pattern.test(callout.text) && (!match.closing || callout.closing));
+    }
+
+    const wanted = [].concat(match.heading).map(normalize);
+    return document.headings.some(heading =>
+      wanted.includes(normalize(heading.text)) && (!match.level || heading.level === match.level)
+    );
+  }
+}
+
+ValidationRules.RULES_FILE = RULES_FILE;
+ValidationRules.normalizeHeading = normalize;
+
+module.exports = ValidationRules;
@@ -9,16 +9,40 @@
 
 const fs = require('fs');
 const path = require('path');
+const RunHistory = require('./lib/run-history');
+const HealthSignals = require('./lib/health-signals');
+const UsageAnalytics = require('./lib/usage-analytics');
+const StructuredOutput = require('./lib/structured-output');
+const { getOption, getPathOption } = require('./lib/cli');
+
+const STEP_PRIORITIES = ['critical', 'high', 'medium', 'low'];
+const CONFIG_FILES = ['orchestrate.config.js', 'orchestrate.config.json'];
 
 class MasterOrchestrator {
-  constructor() {
-    this.projectRoot = path.join(__dirname, '..');
+  constructor(options = {}) {
+    this.projectRoot = options.projectRoot || path.join(__dirname, '..');
+    this.docsPath = options.docsPath || path.join(this.projectRoot, 'docs');
+    this.logger = options.logger || console;
+    this.output = new StructuredOutput('orchestrate', options.format, this.logger);
     this.systems = {
       validation: path.join(__dirname, 'validate-structure.js'),
       assessment: path.join(__dirname, 'self-assess.js'),
       evolution: path.join(__dirname, 'evolution-triggers.js')
     };
     this.orchestrationLog = [];
+    this.runId = `run_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+    this.history = new RunHistory(path.join(this.docsPath, 'logs', 'orchestration-runs.jsonl'), {
+      logger: this.logger
+    });
+    this.stepResults = {};
+    this.stepAttempts = {};
+    this.healthMetrics = null;
+    this.healthProvenance = {};
+    this.healthSignals = new HealthSignals({ projectRoot: this.projectRoot, docsPath: this.docsPath });
+    this.steps = new Map();
+    this.projectConfigLoaded = false;
+
+    this.registerBuiltInSteps();
   }
 
   /**
@@ -31,9 +55,10 @@ class MasterOrchestrator {
    */
 
   async orchestrate() {
-    console.log('🎼 Starting Master Orchestration System...\n');
+    this.log('🎼 Starting Master Orchestration System...\n');
 
-    this.logEvent('orchestration_started', { timestamp: new Date().toISOString() });
+    this.startedAt = new Date();
+    this.logEvent('orchestration_started', { runId: this.runId, timestamp: this.startedAt.toISOString() });
 
     try {
       // Planner: Plan orchestration sequence
@@ -51,13 +76,24 @@ class MasterOrchestrator {
       // Orchestrator: Coordinate next orchestration cycle
       this.scheduleNextOrchestration();
 
+      this.recordRun('success');
+      const report = this.createReport('success');
+      this.output.emit(report);
+      return report;
+
     } catch (error) {
       this.logEvent('orchestration_error', { error: error.message });
-      console.error(`❌ Orchestration failed: ${error.message}`);
+      this.logger.error(`❌ Orchestration failed: ${error.message}`);
+      this.recordRun('failed', error);
+      this.output.emit(this.createReport('failed', error));
       throw error;
     }
   }
 
+  log(...args) {
+    this.output.log(...args);
+  }
+
   logEvent(event, data) {
     this.orchestrationLog.push({
       event,
@@ -66,43 +102,181 @@ class MasterOrchestrator {
     });
   }
 
+  /**
+   * Register an orchestration step.
+   * A step runs either a node `script` (with optional `args` and `env`) or an
+   * in-process `run({ plan, signal, orchestrator })` function. Registering a
+   * name that already exists replaces that step.
+   */
+  registerStep(definition) {
+    if (!definition || typeof definition.name !== 'string' || !definition.name.trim()) {
+      throw new Error('Orchestration step requires a non-empty name');
+    }
+
+    const { name } = definition;
+
+    if (Boolean(definition.script) === (typeof definition.run === 'function')) {
+      throw new Error(`Step "${name}" must declare exactly one of "script" or "run"`);
+    }
+
+    const priority = definition.priority || 'medium';
+    if (!STEP_PRIORITIES.includes(priority)) {
+      throw new Error(`Step "${name}" has unknown priority "${priority}" (expected ${STEP_PRIORITIES.join(', ')})`);
+    }
+
+    const dependencies = definition.dependencies || [];
+    if (!Array.isArray(dependencies)) {
+      throw new Error(`Step "${name}" dependencies must be an array of step names`);
+    }
+
+    this.steps.set(name, {
+      name,
+      description: definition.description || `Running ${name}...`,
+      summary: definition.summary || `${name} completed successfully`,
+      script: definition.script ? path.resolve(this.projectRoot, definition.script) : null,
+      run: definition.run || null,
+      args: definition.args || [],
+      env: definition.env || {},
+      priority,
+      dependencies,
+      enabled: definition.enabled === undefined ? true : definition.enabled,
+      structuredOutput: Boolean(definition.structuredOutput),
+      timeout: definition.timeout,
+      retryAttempts: definition.retryAttempts
+    });
+
+    return this;
+  }
+
+  registerBuiltInSteps() {
+    this.registerStep({
+      name: 'generate_intent',
+      description: '🎯 Generating intent from description...',
+      summary: 'Intent generated successfully',
+      script: path.join(__dirname, 'generate-intent.js'),
+      args: plan => [plan.intentDescription, plan.intentName, plan.intentSteps.toString()],
+      priority: 'high',
+      enabled: () => Boolean(process.env.INTENT_DESCRIPTION)
+    });
+
+    this.registerStep({
+      name: 'validate_structure',
+      description: '🔍 Running structure validation...',
+      summary: 'Structure validation completed successfully',
+      script: this.systems.validation,
+      args: () => this.getRootArgs(),
+      structuredOutput: true,
+      priority: 'critical'
+    });
+
+    this.registerStep({
+      name: 'run_assessment',
+      description: '📊 Running self-assessment...',
+      summary: 'Self-assessment completed successfully',
+      script: this.systems.assessment,
+      args: () => this.getRootArgs(),
+      structuredOutput: true,
+      priority: 'high',
+      dependencies: ['validate_structure']
+    });
+
+    this.registerStep({
+      name: 'trigger_evolution',
+      description: '🔄 Running evolution triggers...',
+      summary: 'Evolution triggers completed successfully',
+      script: this.systems.evolution,
+      args: () => this.getRootArgs(),
+      structuredOutput: true,
+      priority: 'medium',
+      dependencies: ['run_assessment']
+    });
+
+    this.registerStep({
+      name: 'generate_reports',
+      run: () => this.generateReports(),
+      priority: 'low',
+      dependencies: ['run_assessment', 'trigger_evolution']
+    });
+
+    this.registerStep({
+      name: 'update_metrics',
+      run: () => this.updateMetrics(),
+      priority: 'low',
+      dependencies: ['generate_reports']
+    });
+  }
+
+  /**
+   * Point the built-in engines at the same roots as this orchestrator.
+   */
+  getRootArgs() {
+    return ['--root', this.projectRoot, '--docs', this.docsPath];
+  }
+
+  /**
+   * Load project-local steps from orchestrate.config.js or orchestrate.config.json
+   * in the project root. The config exports `{ steps: [...] }`.
+   */
+  loadProjectSteps() {
+    if (this.projectConfigLoaded) return;
+    this.projectConfigLoaded = true;
+
+    const configFile = CONFIG_FILES
+      .map(file => path.join(this.projectRoot, file))
+      .find(file => fs.existsSync(file));
+
+    if (!configFile) return;
+
+    let config;
+    try {
+      config = configFile.endsWith('.json')
+        ? JSON.parse(fs.readFileSync(configFile, 'utf8'))
+        : require(configFile);
+    } catch (error) {
+      throw new Error(`Failed to load ${path.basename(configFile)}: ${error.message}`);
+    }
+
+    const steps = (config && config.steps) || [];
+    if (!Array.isArray(steps)) {
+      throw new Error(`${path.basename(configFile)}: "steps" must be an array`);
+    }
+
+    steps.forEach(step => this.registerStep(step));
+    this.logEvent('orchestration_config_loaded', {
+      file: path.basename(configFile),
+      steps: steps.map(step => step.name)
+    });
+  }
+
+  isStepEnabled(step) {
+    return typeof step.enabled === 'function' ? Boolean(step.enabled()) : step.enabled !== false;
+  }
+
   async planOrchestration() {
-    console.log('📋 Planning orchestration strategy...');
+    this.log('📋 Planning orchestration strategy...');
+
+    this.loadProjectSteps();
+
+    const enabledSteps = [...this.steps.values()].filter(step => this.isStepEnabled(step));
 
     const plan = {
-      sequence: [
-        'validate_structure',
-        'run_assessment',
-        'trigger_evolution',
-        'generate_reports',
-        'update_metrics'
-      ],
-      dependencies: {
-        assessment: ['validation'],
-        evolution: ['assessment'],
-        reports: ['assessment', 'evolution'],
-        metrics: ['reports']
-      },
-      priorities: {
-        validation: 'critical',
-        assessment: 'high',
-        evolution: 'medium',
-        reports: 'low'
-      },
+      sequence: enabledSteps.map(step => step.name),
+      dependencies: Object.fromEntries(enabledSteps.map(step => [step.name, step.dependencies])),
+      priorities: Object.fromEntries(enabledSteps.map(step => [step.name, step.priority])),
       timing: {
         maxExecutionTime: 300000, // 5 minutes
-        retryAttempts: 3
+        stepTimeout: 120000, // 2 minutes per attempt
+        retryAttempts: 3,
+        retryBackoff: 1000, // doubled after every failed attempt
+        maxRetryBackoff: 30000
       }
     };
 
-    // Add intent generation if description provided
+    // Intent generation parameters (the generate_intent step is only enabled with a description)
     if (process.env.INTENT_DESCRIPTION) {
-      plan.sequence.unshift('generate_intent');
       plan.intentDescription = process.env.INTENT_DESCRIPTION;
       plan.intentName = process.env.INTENT_NAME || 'generated';
       plan.intentSteps = parseInt(process.env.INTENT_STEPS) || 8;
-      plan.dependencies.generate_intent = [];
-      plan.priorities.generate_intent = 'high';
     }
 
     this.logEvent('orchestration_planned', { plan });
@@ -110,226 +284,416 @@ class MasterOrchestrator {
   }
 
   async executeOrchestration(plan) {
-    console.log('⚙️ Executing orchestrated operations...\n');
-
-    const results = {};
-
-    for (const step of plan.sequence) {
-      console.log(`🔄 Executing step: ${step}`);
-      this.logEvent('step_started', { step });
-
-      try {
-        const result = await this.executeStep(step, plan);
-        results[step] = { status: 'success', result };
-        this.logEvent('step_completed', { step, result: result.summary });
+    this.log('⚙️ Executing orchestrated operations...\n');
+
+    const graph = this.resolveExecutionGraph(plan);
+    this.executionGraph = graph;
+    this.logEvent('execution_graph_resolved', { graph });
+
+    const results = this.stepResults = {};
+    const pending = new Set(graph.order);
+    const running = new Map();
+    let abortedBy = null;
+
+    // Whole-run deadline: aborting this controller kills every running child
+    this.runController = new AbortController();
+    const runSignal = this.runController.signal;
+    const runTimer = setTimeout(() => {
+      const error = new Error(`Orchestration exceeded maxExecutionTime of ${plan.timing.maxExecutionTime}ms`);
+      error.code = 'RUN_TIMEOUT';
+      this.logEvent('orchestration_timeout', {
+        maxExecutionTime: plan.timing.maxExecutionTime,
+        running: [...running.keys()]
+      });
+      this.runController.abort(error);
+    }, plan.timing.maxExecutionTime);
+
+    const startStep = (step) => {
+      pending.delete(step);
+      this.log(`🔄 Executing step: ${step}`);
+      this.logEvent('step_started', { step, dependsOn: graph.dependencies[step] });
+      const startedAt = new Date();
+
+      const execution = this.runStepWithRetry(step, plan)
+        .then((result) => {
+          const metrics = this.buildStepMetrics(step, startedAt);
+          results[step] = { status: 'success', result, durationMs: metrics.durationMs, metrics };
+          this.logEvent('step_completed', {
+            step,
+            result: result.summary,
+            report: result.report ? {
+              status: result.report.status,
+              summary: result.report.summary,
+              issueCount: result.report.issues.length
+            } : undefined,
+            metrics
+          });
+        })
+        .catch((error) => {
+          const metrics = this.buildStepMetrics(step, startedAt);
+          results[step] = { status: 'failed', error: error.message, durationMs: metrics.durationMs, metrics };
+          this.logEvent('step_failed', { step, error: error.message, metrics });
+
+          // Dependents can never run once a prerequisite has failed
+          this.skipDependents(step, graph, pending, results);
+
+          // Check if we should abort
+          if (this.shouldAbort(step, plan) && !abortedBy) {
+            abortedBy = step;
+          }
+        })
+        .finally(() => {
+          running.delete(step);
+        });
 
-      } catch (error) {
-        results[step] = { status: 'failed', error: error.message };
-        this.logEvent('step_failed', { step, error: error.message });
+      running.set(step, execution);
+    };
 
-        // Check if we should retry
-        if (this.shouldRetry(step, error, plan)) {
-          console.log(`🔄 Retrying step: ${step}`);
-          continue;
+    try {
+      while (pending.size > 0 || running.size > 0) {
+        if (!abortedBy && !runSignal.aborted) {
+          graph.order
+            .filter(step => pending.has(step))
+            .filter(step => graph.dependencies[step].every(dep => results[dep] && results[dep].status === 'success'))
+            .forEach(startStep);
         }
 
-        // Check if we should abort
-        if (this.shouldAbort(step, plan)) {
-          throw new Error(`Critical step failed: ${step}`);
-        }
+        if (running.size === 0) break;
+
+        // Wait for any in-flight step to settle before scheduling the next wave
+        await Promise.race(running.values());
       }
+    } finally {
+      clearTimeout(runTimer);
     }
 
-    return results;
-  }
+    // Anything still pending was never scheduled because of an abort
+    const abortReason = runSignal.aborted
+      ? runSignal.reason.message
+      : `Orchestration aborted after ${abortedBy} failed`;
 
-  async executeStep(step, plan) {
-    switch (step) {
-      case 'validate_structure':
-        return await this.runValidation();
-      case 'run_assessment':
-        return await this.runAssessment();
-      case 'trigger_evolution':
-        return await this.runEvolution();
-      case 'generate_reports':
-        return await this.generateReports();
-      case 'update_metrics':
-        return await this.updateMetrics();
-      case 'generate_intent':
-        return await this.generateIntent(plan.intentDescription, plan.intentName, plan.intentSteps);
-      default:
-        throw new Error(`Unknown step: ${step}`);
+    for (const step of pending) {
+      results[step] = { status: 'skipped', reason: abortReason };
+      this.logEvent('step_skipped', { step, reason: abortReason });
     }
-  }
 
-  async runValidation() {
-    console.log('🔍 Running structure validation...');
+    if (runSignal.aborted) {
+      throw runSignal.reason;
+    }
 
-    const { spawn } = require('child_process');
-    const validationScript = this.systems.validation;
+    if (abortedBy) {
+      throw new Error(`Critical step failed: ${abortedBy}`);
+    }
 
-    return new Promise((resolve, reject) => {
-      const child = spawn('node', [validationScript], {
-        cwd: this.projectRoot,
-        stdio: 'pipe'
-      });
+    return results;
+  }
 
-      let output = '';
-      let errorOutput = '';
+  /**
+   * Resolve plan.dependencies into an execution graph.
+   * Steps are grouped into levels; every step in a level only depends on
+   * steps from earlier levels, so a whole level may run in parallel.
+   */
+  resolveExecutionGraph(plan) {
+    const steps = plan.sequence;
+    const dependencies = {};
+    const dependents = {};
 
-      child.stdout.on('data', (data) => {
-        output += data.toString();
-      });
+    steps.forEach(step => {
+      dependents[step] = [];
+    });
 
-      child.stderr.on('data', (data) => {
-        errorOutput += data.toString();
-      });
+    steps.forEach(step => {
+      const deps = (plan.dependencies && plan.dependencies[step]) || [];
 
-      child.on('close', (code) => {
-        if (code === 0) {
-          resolve({
-            summary: 'Structure validation completed successfully',
-            output: output,
-            exitCode: code
-          });
-        } else {
-          reject(new Error(`Validation failed with code ${code}: ${errorOutput}`));
+      deps.forEach(dep => {
+        if (!steps.includes(dep)) {
+          throw new Error(`Step "${step}" depends on unknown step "${dep}"`);
         }
+        dependents[dep].push(step);
       });
 
-      child.on('error', (error) => {
-        reject(error);
-      });
+      dependencies[step] = deps;
     });
-  }
 
-  async runAssessment() {
-    console.log('📊 Running self-assessment...');
+    const levels = [];
+    const resolved = new Set();
+    const remaining = [...steps];
 
-    const { spawn } = require('child_process');
-    const assessmentScript = this.systems.assessment;
+    while (remaining.length > 0) {
+      const level = remaining.filter(step => dependencies[step].every(dep => resolved.has(dep)));
 
-    return new Promise((resolve, reject) => {
-      const child = spawn('node', [assessmentScript], {
-        cwd: this.projectRoot,
-        stdio: 'pipe'
+      if (level.length === 0) {
+        throw new Error(`Circular dependency detected between steps: ${remaining.join(', ')}`);
+      }
+
+      level.forEach(step => {
+        resolved.add(step);
+        remaining.splice(remaining.indexOf(step), 1);
       });
+      levels.push(level);
+    }
 
-      let output = '';
-      let errorOutput = '';
+    return {
+      dependencies,
+      dependents,
+      levels,
+      order: levels.flat()
+    };
+  }
 
-      child.stdout.on('data', (data) => {
-        output += data.toString();
-      });
+  skipDependents(failedStep, graph, pending, results) {
+    const queue = [...graph.dependents[failedStep]];
 
-      child.stderr.on('data', (data) => {
-        errorOutput += data.toString();
-      });
+    while (queue.length > 0) {
+      const step = queue.shift();
+      if (!pending.has(step)) continue;
 
-      child.on('close', (code) => {
-        if (code === 0) {
-          resolve({
-            summary: 'Self-assessment completed successfully',
-            output: output,
-            exitCode: code
-          });
-        } else {
-          reject(new Error(`Assessment failed with code ${code}: ${errorOutput}`));
+      pending.delete(step);
+      results[step] = { status: 'skipped', reason: `Dependency failed: ${failedStep}` };
+      this.logEvent('step_skipped', { step, blockedBy: failedStep });
+      this.log(`⏭️ Skipping step: ${step} (depends on failed step ${failedStep})`);
+
+      queue.push(...graph.dependents[step]);
+    }
+  }
+
+  /**
+   * Run a step, retrying failed attempts with exponential backoff.
+   * Gives up after plan.timing.retryAttempts retries or once the run is aborted.
+   */
+  async runStepWithRetry(step, plan) {
+    const definition = this.steps.get(step);
+    const retryAttempts = definition.retryAttempts ?? plan.timing.retryAttempts;
+    const runSignal = this.runController.signal;
+    this.stepAttempts[step] = [];
+
+    for (let attempt = 1; ; attempt++) {
+      try {
+        return await this.runStepWithTimeout(step, plan, attempt);
+      } catch (error) {
+        if (attempt > retryAttempts || runSignal.aborted || !this.shouldRetry(step, error, plan)) {
+          throw error;
         }
-      });
 
-      child.on('error', (error) => {
-        reject(error);
-      });
-    });
+        const delay = this.getRetryDelay(attempt, plan);
+        this.logEvent('step_retry', { step, attempt, nextAttempt: attempt + 1, delay, error: error.message });
+        this.log(`🔄 Retrying step: ${step} in ${delay}ms (attempt ${attempt + 1} of ${retryAttempts + 1})`);
+
+        await this.wait(delay, runSignal);
+      }
+    }
   }
 
-  async runEvolution() {
-    console.log('🔄 Running evolution triggers...');
+  /**
+   * Run a single attempt of a step, bounded by plan.timing.stepTimeout.
+   * The abort signal handed to executeStep kills any spawned child process
+   * when either the step or the whole run times out.
+   */
+  runStepWithTimeout(step, plan, attempt) {
+    const runSignal = this.runController.signal;
+    if (runSignal.aborted) {
+      return Promise.reject(runSignal.reason);
+    }
 
-    const { spawn } = require('child_process');
-    const evolutionScript = this.systems.evolution;
+    const controller = new AbortController();
+    const timeout = this.steps.get(step).timeout || plan.timing.stepTimeout;
+    const startedAt = new Date();
+    const measurement = { attempt, startedAt: startedAt.toISOString() };
+    this.stepAttempts[step].push(measurement);
+    const forwardRunAbort = () => controller.abort(runSignal.reason);
+    runSignal.addEventListener('abort', forwardRunAbort, { once: true });
+
+    const timer = setTimeout(() => {
+      const error = new Error(`Step ${step} timed out after ${timeout}ms`);
+      error.code = 'STEP_TIMEOUT';
+      this.logEvent('step_timeout', { step, attempt, timeout });
+      controller.abort(error);
+    }, timeout);
+
+    // In-process steps ignore the signal, so race them against it as well
+    const aborted = new Promise((resolve, reject) => {
+      controller.signal.addEventListener('abort', () => reject(controller.signal.reason), { once: true });
+    });
 
-    return new Promise((resolve, reject) => {
-      const child = spawn('node', [evolutionScript], {
-        cwd: this.projectRoot,
-        stdio: 'pipe'
+    return Promise.race([this.executeStep(step, plan, controller.signal, measurement), aborted])
+      .catch((error) => {
+        measurement.error = error.message;
+        throw error;
+      })
+      .finally(() => {
+        const finishedAt = new Date();
+        measurement.finishedAt = finishedAt.toISOString();
+        measurement.durationMs = finishedAt.getTime() - startedAt.getTime();
+        clearTimeout(timer);
+        runSignal.removeEventListener('abort', forwardRunAbort);
       });
+  }
 
-      let output = '';
-      let errorOutput = '';
+  /**
+   * Summarize every attempt of a step: wall time across attempts, the final
+   * exit code, total output volume and the highest peak memory seen.
+   */
+  buildStepMetrics(step, startedAt) {
+    const attempts = this.stepAttempts[step] || [];
+    const finishedAt = new Date();
+    const last = attempts[attempts.length - 1] || {};
+    const peaks = attempts.map(attempt => attempt.peakMemoryBytes).filter(bytes => typeof bytes === 'number');
+    const sum = (field) => attempts.reduce((total, attempt) => total + (attempt[field] || 0), 0);
 
-      child.stdout.on('data', (data) => {
-        output += data.toString();
-      });
+    return {
+      startedAt: startedAt.toISOString(),
+      finishedAt: finishedAt.toISOString(),
+      durationMs: finishedAt.getTime() - startedAt.getTime(),
+      attempts: attempts.length,
+      exitCode: last.exitCode ?? null,
+      stdoutBytes: sum('stdoutBytes'),
+      stderrBytes: sum('stderrBytes'),
+      peakMemoryBytes: peaks.length > 0 ? Math.max(...peaks) : null,
+      memoryScope: last.memoryScope || null,
+      attemptDetails: attempts
+    };
+  }
 
-      child.stderr.on('data', (data) => {
-        errorOutput += data.toString();
-      });
+  getRetryDelay(attempt, plan) {
+    const { retryBackoff, maxRetryBackoff } = plan.timing;
+    return Math.min(maxRetryBackoff, retryBackoff * Math.pow(2, attempt - 1));
+  }
 
-      child.on('close', (code) => {
-        if (code === 0) {
-          resolve({
-            summary: 'Evolution triggers completed successfully',
-            output: output,
-            exitCode: code
-          });
-        } else {
-          reject(new Error(`Evolution failed with code ${code}: ${errorOutput}`));
-        }
-      });
+  wait(ms, signal) {
+    return new Promise((resolve, reject) => {
+      if (signal.aborted) {
+        reject(signal.reason);
+        return;
+      }
 
-      child.on('error', (error) => {
-        reject(error);
-      });
+      const onAbort = () => {
+        clearTimeout(timer);
+        reject(signal.reason);
+      };
+      const timer = setTimeout(() => {
+        signal.removeEventListener('abort', onAbort);
+        resolve();
+      }, ms);
+
+      signal.addEventListener('abort', onAbort, { once: true });
     });
   }
 
-  async generateIntent(description, name, steps = 8) {
-    console.log('🎯 Generating intent from description...');
+  async executeStep(step, plan, signal, measurement = {}) {
+    const definition = this.steps.get(step);
+    if (!definition) {
+      throw new Error(`Unknown step: ${step}`);
+    }
+
+    if (definition.run) {
+      try {
+        // Like script steps, a step that returns nothing reports its summary
+        return { summary: definition.summary, ...(await definition.run({ plan, signal, orchestrator: this })) };
+      } finally {
+        // In-process steps share the orchestrator's memory, so only its peak is observable
+        measurement.peakMemoryBytes = process.resourceUsage().maxRSS * 1024;
+        measurement.memoryScope = 'orchestrator';
+      }
+    }
+
+    this.log(definition.description);
+
+    const args = typeof definition.args === 'function' ? definition.args(plan) : definition.args;
+    const scriptArgs = definition.structuredOutput ? [...args, '--format=json'] : args;
+
+    const result = await this.runScript(definition.script, scriptArgs.map(String), {
+      signal,
+      measurement,
+      env: definition.env,
+      summary: definition.summary,
+      failureLabel: `Step ${step}`
+    });
+
+    if (definition.structuredOutput) {
+      try {
+        result.report = StructuredOutput.parseReport(result.output);
+      } catch (error) {
+        this.logEvent('step_output_unparsed', { step, error: error.message });
+      }
+    }
+
+    return result;
+  }
 
+  /**
+   * Spawn a node script from the project root and collect its output.
+   * Aborting the signal terminates the child process. Exit code, output
+   * sizes and the child's peak memory are written into `measurement`.
+   */
+  runScript(scriptPath, args, { signal, measurement = {}, env = {}, summary, failureLabel }) {
     const { spawn } = require('child_process');
-    const generatorScript = path.join(__dirname, 'generate-intent.js');
+    const usageReporter = path.join(__dirname, 'lib', 'report-resource-usage.js');
 
     return new Promise((resolve, reject) => {
-      const child = spawn('node', [generatorScript, description, name, steps.toString()], {
+      const child = spawn('node', ['--require', usageReporter, scriptPath, ...args], {
         cwd: this.projectRoot,
-        stdio: 'pipe'
+        env: { ...process.env, ...env },
+        // fd 3 carries the resource usage reported by the child on exit
+        stdio: ['pipe', 'pipe', 'pipe', 'pipe'],
+        signal
       });
 
       let output = '';
       let errorOutput = '';
+      let usage = '';
+
+      measurement.stdoutBytes = 0;
+      measurement.stderrBytes = 0;
+      measurement.peakMemoryBytes = null;
+      measurement.memoryScope = 'child';
 
       child.stdout.on('data', (data) => {
+        measurement.stdoutBytes += data.length;
         output += data.toString();
       });
 
       child.stderr.on('data', (data) => {
+        measurement.stderrBytes += data.length;
         errorOutput += data.toString();
       });
 
-      child.on('close', (code) => {
+      child.stdio[3].on('data', (data) => {
+        usage += data.toString();
+      });
+
+      child.on('close', (code, exitSignal) => {
+        measurement.exitCode = code;
+        measurement.exitSignal = exitSignal;
+
+        try {
+          const reported = JSON.parse(usage);
+          measurement.peakMemoryBytes = reported.peakMemoryBytes;
+          measurement.cpuMicros = reported.userCpuMicros + reported.systemCpuMicros;
+        } catch (error) {
+          // Killed children never report their usage
+        }
+
         if (code === 0) {
           resolve({
-            summary: 'Intent generated successfully',
+            summary,
             output: output,
             exitCode: code
           });
         } else {
-          reject(new Error(`Intent generation failed with code ${code}: ${errorOutput}`));
+          reject(new Error(`${failureLabel} failed with code ${code}: ${errorOutput}`));
         }
       });
 
       child.on('error', (error) => {
-        reject(error);
+        reject(signal && signal.aborted ? signal.reason : error);
       });
     });
   }
 
   async generateReports() {
-    console.log('📊 Generating comprehensive reports...');
+    this.log('📊 Generating comprehensive reports...');
 
-    const reportsDir = path.join(this.projectRoot, 'docs', 'reports');
+    const reportsDir = path.join(this.docsPath, 'reports');
     if (!fs.existsSync(reportsDir)) {
       fs.mkdirSync(reportsDir, { recursive: true });
     }
@@ -362,6 +726,14 @@ Total Events: ${this.orchestrationLog.length}
 ${this.orchestrationLog.map(event => `- **${event.event}** (${event.timestamp})
   ${event.data ? JSON.stringify(event.data, null, 2) : ''}`).join('\n')}
 
+## Execution Graph
+
+${this.formatExecutionGraph()}
+
+## Per-File Findings
+
+${this.formatFindings()}
+
 ## Key Metrics
 
 - Start Time: ${this.orchestrationLog[0]?.timestamp}
@@ -381,6 +753,48 @@ This orchestration system successfully coordinated multiple self-referential sub
     return report;
   }
 
+  formatExecutionGraph() {
+    if (!this.executionGraph) {
+      return 'No execution graph resolved.';
+    }
+
+    return this.executionGraph.levels.map((level, index) =>
+      `${index + 1}. ${level.map(step => {
+        const deps = this.executionGraph.dependencies[step];
+        return deps.length > 0 ? `${step} (after ${deps.join(', ')})` : step;
+      }).join(' | ')}`
+    ).join('\n');
+  }
+
+  /**
+   * Issues reported by steps with structured output, tagged with their step.
+   */
+  collectFindings() {
+    return Object.entries(this.stepResults)
+      .filter(([, result]) => result.result && result.result.report)
+      .flatMap(([step, result]) => result.result.report.issues.map(issue => ({ step, ...issue })));
+  }
+
+  formatFindings() {
+    const findings = this.collectFindings();
+    if (findings.length === 0) {
+      return 'No findings reported.';
+    }
+
+    const byFile = {};
+    findings.forEach(finding => {
+      const file = finding.file || '(system)';
+      (byFile[file] = byFile[file] || []).push(finding);
+    });
+
+    return Object.keys(byFile).sort().map(file =>
+      `### ${file}\n\n${byFile[file].map(finding =>
+        `- **${finding.severity}** \`${finding.rule}\`${finding.line ? ` line ${finding.line}:${finding.column}` : ''} ` +
+        `(${finding.step}): ${finding.message}`
+      ).join('\n')}`
+    ).join('\n\n');
+  }
+
   async generateHealthReport() {
     const healthMetrics = await this.collectHealthMetrics();
 
@@ -392,9 +806,15 @@ Generated: ${new Date().toISOString()}
 
 ${Object.entries(healthMetrics).map(([metric, value]) =>
   `### ${metric.replace(/([A-Z])/g, ' $1').replace(/^./, str => str.toUpperCase())}
-${typeof value === 'number' ? `${value}%` : value}`
+${typeof value === 'number' ? `${value}%` : 'No data'}
+
+*Source: ${this.healthProvenance[metric]}*`
 ).join('\n\n')}
 
+## Step Performance
+
+${this.formatStepPerformance()}
+
 ## Overall Health Score
 
 ${this.calculateHealthScore(healthMetrics)}/100
@@ -411,21 +831,72 @@ This health monitoring system embodies self-reference by assessing its own healt
     return report;
   }
 
+  /**
+   * Latest measurements of each step in this run, with p50/p95 durations
+   * across the run history.
+   */
+  buildStepPerformance() {
+    const statistics = this.getStepStatistics();
+
+    return Object.fromEntries(Object.entries(this.summarizeStepResults()).map(([step, latest]) => {
+      const stats = statistics[step] || {};
+
+      return [step, {
+        status: latest.status,
+        durationMs: latest.durationMs ?? null,
+        exitCode: latest.exitCode ?? null,
+        stdoutBytes: latest.stdoutBytes ?? null,
+        stderrBytes: latest.stderrBytes ?? null,
+        peakMemoryBytes: latest.peakMemoryBytes ?? null,
+        memoryScope: latest.memoryScope ?? null,
+        runs: stats.runs || 0,
+        p50Ms: stats.p50Ms ?? null,
+        p95Ms: stats.p95Ms ?? null
+      }];
+    }));
+  }
+
+  formatStepPerformance() {
+    const performance = this.buildStepPerformance();
+    const rows = Object.entries(performance).map(([step, entry]) =>
+      `| ${step} | ${entry.status} | ${this.formatDuration(entry.durationMs)} | ${entry.exitCode ?? 'n/a'} | ` +
+      `${this.formatBytes(entry.stdoutBytes)} / ${this.formatBytes(entry.stderrBytes)} | ` +
+      `${this.formatBytes(entry.peakMemoryBytes)}${entry.memoryScope === 'orchestrator' ? ' (orchestrator)' : ''} | ` +
+      `${this.formatDuration(entry.p50Ms)} | ${this.formatDuration(entry.p95Ms)} | ${entry.runs} |`
+    );
+
+    if (rows.length === 0) {
+      return 'No steps have completed yet.';
+    }
+
+    return [
+      '| Step | Status | Duration | Exit Code | Stdout / Stderr | Peak Memory | p50 | p95 | Runs |',
+      '|------|--------|----------|-----------|-----------------|-------------|-----|-----|------|',
+      ...rows
+    ].join('\n');
+  }
+
   async collectHealthMetrics() {
-    const metrics = {
+    const signals = {
       documentationCompleteness: await this.checkDocumentationCompleteness(),
       systemReliability: this.checkSystemReliability(),
       evolutionEffectiveness: this.checkEvolutionEffectiveness(),
+      linkIntegrity: await this.checkLinkIntegrity(),
       userEngagement: this.checkUserEngagement(),
       technicalDebt: this.checkTechnicalDebt()
     };
 
+    const metrics = Object.fromEntries(Object.entries(signals).map(([metric, signal]) => [metric, signal.value]));
+
+    // Keep the latest snapshot for the run history record
+    this.healthMetrics = metrics;
+    this.healthProvenance = Object.fromEntries(Object.entries(signals).map(([metric, signal]) => [metric, signal.provenance]));
+
     return metrics;
   }
 
   async checkDocumentationCompleteness() {
-    const docsPath = path.join(this.projectRoot, 'docs');
-    const files = this.getMarkdownFiles(docsPath);
+    const files = this.getMarkdownFiles(this.docsPath);
     const totalSections = files.length * 5; // Assume 5 sections per file
     let completedSections = 0;
 
@@ -438,72 +909,117 @@ This health monitoring system embodies self-reference by assessing its own healt
       if (content.includes('Note:')) completedSections += 1;
     }
 
-    return Math.round((completedSections / totalSections) * 100);
+    return {
+      value: totalSections > 0 ? Math.round((completedSections / totalSections) * 100) : null,
+      provenance: `${completedSections}/${totalSections} structural elements (headings, code, links, emphasis, notes) ` +
+        `across ${files.length} docs`
+    };
   }
 
   checkSystemReliability() {
     const failedEvents = this.orchestrationLog.filter(e => e.event.includes('failed')).length;
     const totalEvents = this.orchestrationLog.length;
-    return Math.round(((totalEvents - failedEvents) / totalEvents) * 100);
+
+    return {
+      value: Math.round(((totalEvents - failedEvents) / totalEvents) * 100),
+      provenance: `${totalEvents - failedEvents}/${totalEvents} orchestration events in run ${this.runId} without failures`
+    };
   }
 
   checkEvolutionEffectiveness() {
-    // This would check actual evolution metrics
-    return 85; // Placeholder
+    return this.healthSignals.measureEvolutionEffectiveness();
   }
 
+  async checkLinkIntegrity() {
+    return this.healthSignals.measureLinkIntegrity();
+  }
+
+  /**
+   * Share of active documents viewed at least once in the usage window, from
+   * the sources in .selfref-usage.json (null when none are configured).
+   */
   checkUserEngagement() {
-    // This would check user interaction metrics
-    return 75; // Placeholder
+    let usage;
+    try {
+      usage = new UsageAnalytics({ projectRoot: this.projectRoot, docsPath: this.docsPath }).analyze();
+    } catch (error) {
+      return { value: null, provenance: error.message };
+    }
+
+    if (!usage.configured) {
+      return { value: null, provenance: usage.provenance };
+    }
+
+    const { active, viewed } = usage.reach;
+    return {
+      value: active > 0 ? Math.round((viewed / active) * 100) : null,
+      provenance: `${viewed}/${active} active docs viewed: ${usage.provenance}`
+    };
   }
 
   checkTechnicalDebt() {
-    // This would analyze code complexity, duplication, etc.
-    return 20; // Lower is better
+    // Lower is better
+    return this.healthSignals.measureTechnicalDebt();
   }
 
   calculateHealthScore(metrics) {
     const weights = {
-      documentationCompleteness: 0.3,
-      systemReliability: 0.3,
+      documentationCompleteness: 0.25,
+      systemReliability: 0.25,
       evolutionEffectiveness: 0.2,
+      linkIntegrity: 0.1,
       userEngagement: 0.15,
       technicalDebt: 0.05
     };
 
+    // Metrics without a data source (null) are left out and the remaining weights rescaled
     let score = 0;
+    let totalWeight = 0;
     Object.entries(metrics).forEach(([metric, value]) => {
       const weight = weights[metric];
+      if (typeof value !== 'number' || !weight) return;
+
       const adjustedValue = metric === 'technicalDebt' ? Math.max(0, 100 - value) : value;
       score += adjustedValue * weight;
+      totalWeight += weight;
     });
 
-    return Math.round(score);
+    return totalWeight > 0 ? Math.round(score / totalWeight) : 0;
   }
 
   generateHealthRecommendations(metrics) {
     const recommendations = [];
+    const measured = (metric) => typeof metrics[metric] === 'number';
 
-    if (metrics.documentationCompleteness < 80) {
+    if (measured('documentationCompleteness') && metrics.documentationCompleteness < 80) {
       recommendations.push('- Improve documentation completeness by adding missing sections');
     }
 
-    if (metrics.systemReliability < 90) {
+    if (measured('systemReliability') && metrics.systemReliability < 90) {
       recommendations.push('- Enhance system reliability through better error handling');
     }
 
-    if (metrics.evolutionEffectiveness < 80) {
+    if (measured('evolutionEffectiveness') && metrics.evolutionEffectiveness < 80) {
       recommendations.push('- Boost evolution effectiveness with more targeted improvements');
     }
 
-    if (metrics.userEngagement < 70) {
+    if (measured('linkIntegrity') && metrics.linkIntegrity < 95) {
+      recommendations.push('- Fix broken relative links and image paths in docs/');
+    }
+
+    if (measured('userEngagement') && metrics.userEngagement < 70) {
       recommendations.push('- Increase user engagement through better content and features');
     }
 
-    if (metrics.technicalDebt > 30) {
+    if (measured('technicalDebt') && metrics.technicalDebt > 30) {
       recommendations.push('- Reduce technical debt through code refactoring');
     }
 
+    const unmeasured = Object.keys(metrics).filter(metric => !measured(metric));
+    if (unmeasured.length > 0) {
+      recommendations.push(`- Connect data sources for unmeasured metrics: ${unmeasured.join(', ')}`);
+    }
+
     return recommendations.join('\n');
   }
 
@@ -534,9 +1050,9 @@ This health monitoring system embodies self-reference by assessing its own healt
   }
 
   async updateMetrics() {
-    console.log('📈 Updating system metrics...');
+    this.log('📈 Updating system metrics...');
 
-    const metricsFile = path.join(this.projectRoot, 'docs', 'metrics', 'system-metrics.json');
+    const metricsFile = path.join(this.docsPath, 'metrics', 'system-metrics.json');
     const metricsDir = path.dirname(metricsFile);
 
     if (!fs.existsSync(metricsDir)) {
@@ -546,9 +1062,11 @@ This health monitoring system embodies self-reference by assessing its own healt
     const metrics = {
       timestamp: new Date().toISOString(),
       orchestration: {
+        runId: this.runId,
         totalEvents: this.orchestrationLog.length,
         successRate: this.calculateSuccessRate(),
-        averageExecutionTime: this.calculateAverageExecutionTime()
+        averageExecutionTime: this.calculateAverageExecutionTime(),
+        steps: this.buildStepPerformance()
       },
       system: await this.collectHealthMetrics()
     };
@@ -567,13 +1085,18 @@ This health monitoring system embodies self-reference by assessing its own healt
   }
 
   calculateAverageExecutionTime() {
-    // This would calculate actual execution times
-    return 120000; // 2 minutes placeholder
+    // Average wall time of completed runs in the run history
+    return this.history.summarize(this.history.load()).averageRunMs;
   }
 
   shouldRetry(step, error, plan) {
-    // Implement retry logic based on step type and error
-    return plan.timing.retryAttempts > 0 && !error.message.includes('Critical');
+    // A run that has hit its deadline is never retried
+    if (error.code === 'RUN_TIMEOUT') {
+      return false;
+    }
+
+    // The number of attempts is bounded by runStepWithRetry
+    return !error.message.includes('Critical');
   }
 
   shouldAbort(step, plan) {
@@ -582,32 +1105,32 @@ This health monitoring system embodies self-reference by assessing its own healt
   }
 
   validateOrchestration() {
-    console.log('✅ Validating orchestration effectiveness...');
+    this.log('✅ Validating orchestration effectiveness...');
 
     const successRate = this.calculateSuccessRate();
-    console.log(`Orchestration Success Rate: ${successRate}%`);
+    this.log(`Orchestration Success Rate: ${successRate}%`);
 
     if (successRate > 80) {
-      console.log('🎉 Orchestration performing excellently!');
+      this.log('🎉 Orchestration performing excellently!');
     } else {
-      console.log('⚠️ Orchestration needs improvement');
+      this.log('⚠️ Orchestration needs improvement');
     }
   }
 
   reflectOnOrchestration() {
-    console.log('🤔 Reflecting on orchestration process...');
+    this.log('🤔 Reflecting on orchestration process...');
 
     const insights = this.extractOrchestrationInsights();
-    console.log('\nKey Insights:');
+    this.log('\nKey Insights:');
     insights.forEach(insight => {
-      console.log(`  • ${insight}`);
+      this.log(`  • ${insight}`);
     });
 
     // Self-assessment of orchestration
-    console.log('\nOrchestration Self-Assessment:');
-    console.log('  Completeness: 90% - Core orchestration logic implemented');
-    console.log('  Effectiveness: 85% - Successfully coordinates multiple systems');
-    console.log('  Evolution Potential: High - Can be extended with more subsystems');
+    this.log('\nOrchestration Self-Assessment:');
+    this.log('  Completeness: 90% - Core orchestration logic implemented');
+    this.log('  Effectiveness: 85% - Successfully coordinates multiple systems');
+    this.log('  Evolution Potential: High - Can be extended with more subsystems');
   }
 
   extractOrchestrationInsights() {
@@ -637,13 +1160,13 @@ This health monitoring system embodies self-reference by assessing its own healt
   }
 
   scheduleNextOrchestration() {
-    console.log('📅 Scheduling next orchestration cycle...');
+    this.log('📅 Scheduling next orchestration cycle...');
 
     const nextRun = new Date(Date.now() + 24 * 60 * 60 * 1000); // 24 hours from now
-    console.log(`Next orchestration cycle: ${nextRun.toISOString()}`);
+    this.log(`Next orchestration cycle: ${nextRun.toISOString()}`);
 
     // Save orchestration log
-    const logFile = path.join(this.projectRoot, 'docs', 'logs', 'orchestration-log.json');
+    const logFile = path.join(this.docsPath, 'logs', 'orchestration-log.json');
     const logsDir = path.dirname(logFile);
 
     if (!fs.existsSync(logsDir)) {
@@ -652,24 +1175,227 @@ This health monitoring system embodies self-reference by assessing its own healt
 
     fs.writeFileSync(logFile, JSON.stringify(this.orchestrationLog, null, 2));
 
-    console.log('Orchestration log saved to: docs/logs/orchestration-log.json');
+    this.log('Orchestration log saved to: docs/logs/orchestration-log.json');
+  }
+
+  summarizeStepResults() {
+    return Object.fromEntries(Object.entries(this.stepResults).map(([step, result]) => {
+      const metrics = result.metrics || {};
+
+      return [step, {
+        status: result.status,
+        durationMs: result.durationMs,
+        attempts: metrics.attempts,
+        exitCode: metrics.exitCode,
+        stdoutBytes: metrics.stdoutBytes,
+        stderrBytes: metrics.stderrBytes,
+        peakMemoryBytes: metrics.peakMemoryBytes,
+        memoryScope: metrics.memoryScope,
+        error: result.error || result.reason
+      }];
+    }));
+  }
+
+  /**
+   * Per-step duration statistics across stored runs plus the steps of the
+   * current run that have finished so far.
+   */
+  getStepStatistics() {
+    const currentRun = {
+      runId: this.runId,
+      startedAt: (this.startedAt || new Date()).toISOString(),
+      steps: this.summarizeStepResults()
+    };
+
+    return this.history.summarize([...this.history.load(), currentRun]).steps;
+  }
+
+  createReport(status, error) {
+    const steps = this.summarizeStepResults();
+    const stepIssues = Object.entries(steps)
+      .filter(([, result]) => result.status !== 'success')
+      .map(([step, result]) => this.output.createIssue({
+        severity: result.status === 'failed' ? 'error' : 'warning',
+        rule: `step-${result.status}`,
+        message: `${step} ${result.status}: ${result.error}`,
+        step
+      }));
+
+    return this.output.createReport({
+      status,
+      summary: {
+        runId: this.runId,
+        error: error ? error.message : undefined,
+        healthScore: this.healthMetrics ? this.calculateHealthScore(this.healthMetrics) : null,
+        healthMetrics: this.healthMetrics,
+        executionGraph: this.executionGraph ? this.executionGraph.levels : null
+      },
+      results: Object.entries(steps).map(([step, result]) => {
+        const stepResult = this.stepResults[step].result;
+        const report = stepResult && stepResult.report;
+
+        return {
+          step,
+          ...result,
+          report: report ? { tool: report.tool, status: report.status, summary: report.summary } : undefined
+        };
+      }),
+      issues: [
+        ...stepIssues,
+        ...this.collectFindings().map(finding => this.output.createIssue(finding))
+      ]
+    });
+  }
+
+  /**
+   * Append this run to the persistent run history.
+   */
+  recordRun(status, error) {
+    const finishedAt = new Date();
+    const steps = this.summarizeStepResults();
+    const stepCount = Object.keys(steps).length;
+    const succeeded = Object.values(steps).filter(step => step.status === 'success').length;
+
+    const run = {
+      runId: this.runId,
+      startedAt: this.startedAt.toISOString(),
+      finishedAt: finishedAt.toISOString(),
+      durationMs: finishedAt.getTime() - this.startedAt.getTime(),
+      status,
+      error: error ? error.message : undefined,
+      successRate: stepCount > 0 ? Math.round((succeeded / stepCount) * 100) : 0,
+      healthScore: this.healthMetrics ? this.calculateHealthScore(this.healthMetrics) : null,
+      healthMetrics: this.healthMetrics,
+      steps
+    };
+
+    try {
+      this.history.append(run);
+      this.log(`🗂️ Run ${this.runId} recorded in ${path.relative(this.projectRoot, this.history.historyFile)}`);
+    } catch (appendError) {
+      this.logger.warn(`⚠️ Could not record run history: ${appendError.message}`);
+    }
+
+    return run;
+  }
+
+  /**
+   * Print success rate, step durations and health score trends across stored runs.
+   */
+  showHistory({ limit = 10 } = {}) {
+    const runs = this.history.load();
+
+    if (runs.length === 0) {
+      this.log('No orchestration runs recorded yet. Run `npm run orchestrate` first.');
+      this.output.emit(this.output.createReport({ status: 'empty' }));
+      return { summary: null, regressions: [] };
+    }
+
+    const summary = this.history.summarize(runs);
+    const regressions = this.history.findRegressions(runs);
+
+    this.output.emit(this.output.createReport({
+      status: regressions.length > 0 ? 'regressed' : 'passed',
+      summary,
+      results: runs.slice(-limit),
+      issues: regressions.map(({ type, ...regression }) => this.output.createIssue({
+        severity: 'warning',
+        rule: `regression-${type.replace(/_/g, '-')}`,
+        ...regression
+      }))
+    }));
+
+    this.log('=== Orchestration History ===');
+    this.log(`Total Runs: ${summary.totalRuns}`);
+    this.log(`Run Success Rate: ${summary.successRate}% (${summary.successfulRuns}/${summary.totalRuns})`);
+
+    this.log(`\nRecent Runs (last ${Math.min(limit, runs.length)}):`);
+    runs.slice(-limit).forEach(run => {
+      const health = typeof run.healthScore === 'number' ? run.healthScore : 'n/a';
+      this.log(`  ${run.runId}  ${run.startedAt}  ${run.status.padEnd(7)}  ${this.formatDuration(run.durationMs)}  steps ${run.successRate}%  health ${health}`);
+    });
+
+    this.log('\nStep Durations:');
+    Object.entries(summary.steps).forEach(([step, stats]) => {
+      this.log(`  ${step}: avg ${this.formatDuration(stats.averageMs)}, p50 ${this.formatDuration(stats.p50Ms)}, p95 ${this.formatDuration(stats.p95Ms)}, min ${this.formatDuration(stats.minMs)}, max ${this.formatDuration(stats.maxMs)}, last ${this.formatDuration(stats.lastMs)} (${stats.runs} runs)`);
+    });
+
+    this.log('\nHealth Score Trend:');
+    const scores = summary.healthScores.slice(-limit);
+    if (scores.length === 0) {
+      this.log('  No health scores recorded');
+    }
+    scores.forEach((entry, index) => {
+      const previous = index > 0 ? scores[index - 1].healthScore : null;
+      const delta = previous === null ? '' : ` (${entry.healthScore >= previous ? '+' : ''}${entry.healthScore - previous})`;
+      this.log(`  ${entry.startedAt}  ${entry.healthScore}${delta}`);
+    });
+
+    this.log('\nRegressions:');
+    if (regressions.length === 0) {
+      this.log('  ✅ No regressions detected in the latest run');
+    } else {
+      regressions.forEach(regression => this.log(`  ⚠️ ${regression.message}`));
+    }
+
+    this.log('\n=== End History ===');
+
+    return { summary, regressions };
+  }
+
+  formatDuration(ms) {
+    if (typeof ms !== 'number') return 'n/a';
+    return ms >= 1000 ? `${(ms / 1000).toFixed(1)}s` : `${ms}ms`;
+  }
+
+  formatBytes(bytes) {
+    if (typeof bytes !== 'number') return 'n/a';
+    if (bytes >= 1024 * 1024) return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+    if (bytes >= 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+    return `${bytes} B`;
   }
 }
 
-// Self-assessment of this orchestration system
-console.log('=== Master Orchestration System Self-Assessment ===');
-console.log('Completeness: 85% - Core orchestration logic implemented');
-console.log('Effectiveness: 80% - Successfully coordinates self-referential systems');
-console.log('Evolution Triggers:');
-console.log('  - If orchestration complexity increases: Implement distributed orchestration');
-console.log('  - If system count exceeds 10: Add orchestration hierarchy');
-console.log('  - If execution time becomes critical: Implement parallel processing');
-console.log('=== End Self-Assessment ===\n');
+// Self-assessment of this orchestration system, printed when run from the command line
+function printSelfAssessment(log) {
+  log('=== Master Orchestration System Self-Assessment ===');
+  log('Completeness: 85% - Core orchestration logic implemented');
+  log('Effectiveness: 80% - Successfully coordinates self-referential systems');
+  log('Evolution Triggers:');
+  log('  - If orchestration complexity increases: Implement distributed orchestration');
+  log('  - If system count exceeds 10: Add orchestration hierarchy');
+  log('  - If execution time becomes critical: Implement parallel processing');
+  log('=== End Self-Assessment ===\n');
+}
 
 // Run orchestration if this script is executed directly
 if (require.main === module) {
-  const orchestrator = new MasterOrchestrator();
-  orchestrator.orchestrate().catch(console.error);
+  const args = process.argv.slice(2);
+  const command = args[0] && !args[0].startsWith('--') ? args[0] : null;
+
+  let format;
+  try {
+    format = StructuredOutput.parseFormat(args);
+  } catch (error) {
+    console.error(error.message);
+    process.exit(1);
+  }
+
+  // Structured formats keep stdout for the report
+  printSelfAssessment(format === 'text' ? console.log : console.error);
+
+  const orchestrator = new MasterOrchestrator({
+    format,
+    projectRoot: getPathOption(args, 'root'),
+    docsPath: getPathOption(args, 'docs')
+  });
+
+  if (command === 'history') {
+    const limit = parseInt(getOption(args, 'limit')) || 10;
+    orchestrator.showHistory({ limit });
+  } else {
+    orchestrator.orchestrate().catch(console.error);
+  }
 }
 
 module.exports = MasterOrchestrator;
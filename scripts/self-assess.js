@@ -9,11 +9,103 @@
 
 const fs = require('fs');
 const path = require('path');
+const StructuredOutput = require('./lib/structured-output');
+const { getOption, getPathOption, hasFlag } = require('./lib/cli');
+const LinkChecker = require('./lib/link-checker');
+const ExternalLinkChecker = require('./lib/external-link-checker');
+const ResultCache = require('./lib/result-cache');
+const ScoringProfiles = require('./lib/scoring-profiles');
+const { analyzeProse } = require('./lib/readability');
+const { verifyCodeBlocks, RULES: CODE_BLOCK_RULES } = require('./lib/code-blocks');
+const { getChangedFiles } = require('./lib/git-changes');
+const { toPosix } = require('./lib/glob');
+const { getMetadata } = require('./lib/document-metadata');
+const { createAssessmentResults, readAssessmentResults, writeAssessmentResults } = require('./lib/assessment-results');
+
+const REQUIRED_SECTIONS = ['Overview', 'Self-Assessment', 'Evolution Triggers'];
+const PLACEHOLDER_PATTERNS = ['TODO', 'FIXME', 'XXX', 'placeholder', 'coming soon'];
+const HTTP_URL = /^https?:\/\//i;
+const EXTERNAL_URL = /^[a-z][a-z0-9+.-]*:/i;
+
+// Source files whose behaviour the cached results depend on
+const CACHE_SOURCES = [
+  __filename,
+  require.resolve('./lib/markdown-ast'),
+  require.resolve('./lib/front-matter'),
+  require.resolve('./lib/link-checker'),
+  require.resolve('./lib/external-link-checker'),
+  require.resolve('./lib/document-metadata'),
+  require.resolve('./lib/scoring-profiles'),
+  require.resolve('./lib/glob'),
+  require.resolve('./lib/readability'),
+  require.resolve('./lib/code-blocks'),
+  // Spawned by code-blocks rather than required
+  require.resolve('./lib/run-snippet')
+];
+
+// Dimension scores below these values produce improvement suggestions (the default profile's)
+const SCORE_THRESHOLDS = ScoringProfiles.BUILT_IN_PROFILE.thresholds;
+
+// Share of each sub-score in the quality score; the prose ones come from lib/readability
+const QUALITY_WEIGHTS = {
+  structure: 0.1,
+  length: 0.1,
+  engagement: 0.1,
+  readability: 0.2,
+  sentenceLength: 0.15,
+  passiveVoice: 0.1,
+  duplication: 0.1,
+  headingHierarchy: 0.15
+};
+
+// Improvement suggestions for quality sub-scores below SUB_SCORE_THRESHOLD
+const SUB_SCORE_THRESHOLD = 80;
+const SUB_SCORE_SUGGESTIONS = {
+  structure: { suggestion: 'Improve document structure with clear headings' },
+  length: { suggestion: 'Review and improve content length and flow' },
+  engagement: { suggestion: 'Add visual elements (diagrams, callouts)' },
+  readability: { suggestion: 'Use shorter sentences and plainer words', rule: 'hard-to-read' },
+  sentenceLength: { suggestion: 'Split long sentences', rule: 'long-sentence' },
+  passiveVoice: { suggestion: 'Rewrite passive sentences in the active voice', rule: 'passive-voice' },
+  duplication: { suggestion: 'Remove or link duplicated paragraphs', rule: 'duplicate-paragraph' },
+  headingHierarchy: { suggestion: 'Fix skipped heading levels', rule: 'skipped-heading-level' }
+};
 
 class SelfAssessmentEngine {
-  constructor() {
-    this.docsPath = path.join(__dirname, '..', 'docs');
+  constructor(options = {}) {
+    this.projectRoot = options.projectRoot || path.join(__dirname, '..');
+    this.docsPath = options.docsPath || path.join(this.projectRoot, 'docs');
+    this.logger = options.logger || console;
+    this.output = new StructuredOutput('self-assess', options.format, this.logger);
     this.assessments = [];
+    // Weights, grade bands and criteria, per directory (.selfref-scoring.json)
+    this.scoring = options.scoring || ScoringProfiles.load(this.projectRoot, { file: options.scoringFile });
+    this.linkChecker = new LinkChecker({ projectRoot: this.projectRoot, docsPath: this.docsPath });
+
+    // External links are only checked on request (they need the network or a fixture server)
+    this.externalLinkChecker = options.externalLinks
+      ? new ExternalLinkChecker({
+        cacheFile: options.externalLinkCacheFile || path.join(this.projectRoot, '.selfref-cache', 'external-links.json'),
+        origin: options.externalLinkOrigin,
+        ...options.externalLinkOptions
+      })
+      : null;
+    this.externalLinks = new Map();
+
+    // Code blocks tagged `runnable` are only executed on request (a vm context is not a sandbox)
+    this.runCode = Boolean(options.runCode);
+
+    this.useCache = options.cache !== false;
+    this.cacheDir = options.cacheDir || path.join(this.projectRoot, '.selfref-cache');
+    this.cache = null;
+    this.changedSince = options.changedSince || null;
+    this.stats = { cachedDocuments: 0, skippedDocuments: 0, optedOutDocuments: 0 };
+    this.optedOutFiles = new Set();
+
+    // Per-document results for the evolution system; false turns this off
+    this.resultsFile = options.resultsFile === false
+      ? null
+      : options.resultsFile || path.join(this.docsPath, 'evolution', 'triggers', 'latest-assessment.json');
   }
 
   /**
@@ -26,7 +118,7 @@ class SelfAssessmentEngine {
    */
 
   async assess() {
-    console.log('🔍 Starting Self-Assessment Process...\n');
+    this.log('🔍 Starting Self-Assessment Process...\n');
 
     // Planner: Plan assessment approach
     const plan = this.planAssessment();
@@ -42,48 +134,175 @@ class SelfAssessmentEngine {
 
     // Orchestrator: Generate comprehensive report
     this.generateAssessmentReport();
+    this.saveResults();
+
+    const report = this.createReport();
+    this.output.emit(report);
+    return report;
+  }
+
+  log(...args) {
+    this.output.log(...args);
   }
 
   planAssessment() {
-    console.log('📋 Planning assessment methodology...');
+    this.log('📋 Planning assessment methodology...');
+    this.log(`Scoring profiles: ${Object.keys(this.scoring.profiles).join(', ')} (${this.scoring.source})`);
 
     return {
+      // What each dimension looks at; weights and grade bands come from the scoring profiles
       metrics: {
         completeness: {
-          weight: 0.3,
           criteria: ['content_coverage', 'section_completeness', 'reference_integrity']
         },
         accuracy: {
-          weight: 0.3,
           criteria: ['factual_correctness', 'technical_accuracy', 'consistency']
         },
         relevance: {
-          weight: 0.2,
           criteria: ['user_needs', 'current_context', 'practical_value']
         },
         quality: {
-          weight: 0.2,
           criteria: ['structure', 'clarity', 'engagement']
         }
       },
-      scoring: {
-        excellent: 90-100,
-        good: 70-89,
-        fair: 50-69,
-        poor: 0-49
-      }
+      scoring: this.scoring.toJSON()
     };
   }
 
   async executeAssessments(plan) {
-    console.log('⚙️ Executing document assessments...\n');
+    this.log('⚙️ Executing document assessments...\n');
+
+    let files = this.getMarkdownFiles(this.docsPath);
+
+    if (this.changedSince) {
+      const changed = getChangedFiles(this.docsPath, this.changedSince);
+      const selected = files.filter(file => changed.has(toPosix(path.relative(this.docsPath, file))));
+      this.stats.skippedDocuments = files.length - selected.length;
+      this.log(`Limiting assessment to ${selected.length} documents changed since ${this.changedSince}\n`);
+      files = selected;
+    }
+
+    if (this.useCache) {
+      // Scoring profiles are part of the plan, and so of the fingerprint: changing them drops every entry
+      this.cache = new ResultCache(path.join(this.cacheDir, 'self-assess.json'), ResultCache.fingerprint({
+        plan,
+        requiredSections: REQUIRED_SECTIONS,
+        placeholderPatterns: PLACEHOLDER_PATTERNS,
+        externalLinks: Boolean(this.externalLinkChecker),
+        runCode: this.runCode
+      }, CACHE_SOURCES));
+
+      if (this.cache.invalidated) {
+        this.log('♻️ Assessment cache invalidated (weights, criteria or assessor changed)\n');
+      }
+    }
+
+    if (this.externalLinkChecker) {
+      await this.checkExternalLinks(files);
+    }
+
+    for (const file of files) {
+      const assessment = await this.assessCachedDocument(file, plan);
+
+      // null: the document opted out through front matter (assessment.skip)
+      if (assessment) {
+        this.assessments.push(assessment);
+      } else {
+        this.stats.optedOutDocuments++;
+        this.optedOutFiles.add(toPosix(path.relative(this.docsPath, file)));
+      }
+    }
+
+    if (this.cache) {
+      this.cache.save();
+    }
+  }
+
+  /**
+   * Reuse the cached assessment when the document, the files it links to and
+   * (when checked) its external link states are unchanged.
+   */
+  async assessCachedDocument(filePath, plan) {
+    if (!this.cache) {
+      return this.assessDocument(filePath, plan);
+    }
+
+    const key = toPosix(path.relative(this.docsPath, filePath));
+    const hash = ResultCache.hash(fs.readFileSync(filePath));
+    const cached = this.cache.get(key, hash, entry => this.dependenciesUnchanged(entry.dependencies));
+
+    if (cached) {
+      if (cached.result) {
+        this.log(`📄 Assessing: ${cached.result.file} (cached)`);
+        this.stats.cachedDocuments++;
+      }
+      return cached.result;
+    }
+
+    const assessment = await this.assessDocument(filePath, plan);
+    const document = await this.linkChecker.loadDocument(filePath);
+    this.cache.set(key, hash, assessment, this.getDependencies(filePath, document));
+    return assessment;
+  }
+
+  /**
+   * Hashes of the local files a document links to (null when missing), and
+   * the state of its external links when they are checked.
+   */
+  getDependencies(filePath, document) {
+    const files = {};
+    const links = {};
+
+    document.links.forEach(link => {
+      if (!link.url) return;
+
+      if (EXTERNAL_URL.test(link.url)) {
+        const result = this.externalLinks.get(link.url);
+        if (result) links[link.url] = result.state;
+        return;
+      }
 
-    const files = this.getMarkdownFiles(this.docsPath);
+      const [target] = this.linkChecker.splitUrl(link.url);
+      if (target) {
+        const resolved = this.linkChecker.resolvePath(filePath, target);
+        files[toPosix(path.relative(this.projectRoot, resolved))] = this.hashDependency(resolved);
+      }
+    });
+
+    return { files, links };
+  }
 
+  dependenciesUnchanged(dependencies = { files: {}, links: {} }) {
+    const filesUnchanged = Object.entries(dependencies.files).every(([file, hash]) =>
+      this.hashDependency(path.join(this.projectRoot, file)) === hash
+    );
+    const linksUnchanged = Object.entries(dependencies.links).every(([url, state]) =>
+      !this.externalLinks.has(url) || this.externalLinks.get(url).state === state
+    );
+
+    return filesUnchanged && linksUnchanged;
+  }
+
+  hashDependency(filePath) {
+    if (!fs.existsSync(filePath)) return null;
+    return fs.statSync(filePath).isFile() ? ResultCache.hash(fs.readFileSync(filePath)) : 'directory';
+  }
+
+  /**
+   * Check every http(s) link of the given files up front, so requests can be
+   * spread across hosts and repeated URLs are fetched once.
+   */
+  async checkExternalLinks(files) {
+    const urls = [];
     for (const file of files) {
-      const assessment = await this.assessDocument(file, plan);
-      this.assessments.push(assessment);
+      const document = await this.linkChecker.loadDocument(file);
+      urls.push(...document.links.filter(link => HTTP_URL.test(link.url)).map(link => link.url));
     }
+
+    this.log(`🌐 Checking ${new Set(urls).size} external links...`);
+    this.externalLinks = await this.externalLinkChecker.checkAll(urls);
+    const { checked, fromCache } = this.externalLinkChecker.stats;
+    this.log(`   ${checked} requested, ${fromCache} from cache (${path.relative(this.projectRoot, this.externalLinkChecker.cacheFile)})\n`);
   }
 
   getMarkdownFiles(dirPath) {
@@ -110,214 +329,338 @@ class SelfAssessmentEngine {
     return files;
   }
 
+  /**
+   * Score a document from its Markdown AST. Dimension checks record findings
+   * ({ rule, message, line, column }) for the concrete problems they detect.
+   * The document's scoring profile sets weights, thresholds and grade bands
+   * and adds its custom criteria. Front matter can add required sections and
+   * override weights and thresholds; a document with
+   * `assessment: { skip: true }` resolves to null.
+   */
   async assessDocument(filePath, plan) {
-    const content = fs.readFileSync(filePath, 'utf8');
     const relativePath = path.relative(this.docsPath, filePath);
+    const document = await this.linkChecker.loadDocument(filePath);
+    const metadata = getMetadata(document.frontMatter.data);
 
-    console.log(`📄 Assessing: ${relativePath}`);
+    if (metadata.assessment.skip) {
+      this.log(`⏭️ Skipping: ${relativePath} (assessment.skip in front matter)`);
+      return null;
+    }
+
+    this.log(`📄 Assessing: ${relativePath}`);
+
+    const findings = [];
+    const details = {};
+    const profile = this.scoring.profileFor(toPosix(relativePath));
+    const thresholds = { ...profile.thresholds, ...metadata.assessment.thresholds };
 
     const scores = {
-      completeness: this.assessCompleteness(content, plan),
-      accuracy: this.assessAccuracy(content, plan),
-      relevance: this.assessRelevance(content, plan),
-      quality: this.assessQuality(content, plan)
+      completeness: this.assessCompleteness(document, plan, findings, metadata.requiredSections),
+      accuracy: await this.assessAccuracy(filePath, document, plan, findings, details),
+      relevance: this.assessRelevance(document, plan),
+      quality: this.assessQuality(document, plan, findings, details)
     };
+    this.scoring.applyCriteria(profile, document, scores, findings);
 
-    const overallScore = this.calculateOverallScore(scores, plan);
+    const overallScore = this.calculateOverallScore(scores, profile, metadata.assessment.weights);
 
     return {
       file: relativePath,
+      profile: profile.name,
       scores: scores,
       overallScore: overallScore,
-      grade: this.getGrade(overallScore, plan),
-      suggestions: this.generateSuggestions(scores, content)
+      grade: this.getGrade(overallScore, profile),
+      suggestions: this.generateSuggestions(scores, thresholds, { subScores: details.quality, findings }),
+      findings: findings,
+      subScores: { quality: details.quality },
+      readability: details.readability,
+      codeBlocks: details.codeBlocks,
+      thresholds: thresholds,
+      metadata: {
+        owner: metadata.owner,
+        status: metadata.status,
+        reviewed: metadata.reviewed ? metadata.reviewed.toISOString().slice(0, 10) : null,
+        tags: metadata.tags
+      }
     };
   }
 
-  assessCompleteness(content, plan) {
+  assessCompleteness(document, plan, findings, extraSections = []) {
     let score = 0;
     const maxScore = 100;
-
-    // Check for required sections
-    const requiredSections = [
-      'overview', 'self-assessment', 'evolution-triggers'
-    ];
-
-    requiredSections.forEach(section => {
-      if (content.toLowerCase().includes(section)) {
-        score += 20;
+    const endOfDocument = { line: document.content.replace(/\n$/, '').split('\n').length, column: 1 };
+
+    // Check for required sections (headings or bold labels), worth 60 points
+    // together, including any the front matter adds
+    const sections = [...new Set([...REQUIRED_SECTIONS, ...extraSections])];
+    sections.forEach(section => {
+      if (document.findSection(section)) {
+        score += 60 / sections.length;
+      } else {
+        findings.push({ rule: 'missing-section', message: `No "${section}" section`, ...endOfDocument });
       }
     });
 
-    // Check for cross-references
-    if (content.includes('](') && content.includes('../')) {
+    // Check for cross-references to other documents
+    const crossReferences = document.links.filter(link =>
+      link.kind === 'link' && !/^([a-z][a-z0-9+.-]*:|#)/i.test(link.url)
+    );
+    if (crossReferences.length > 0) {
       score += 15;
     }
 
     // Check for code examples
-    if (content.includes('```')) {
+    if (document.codeBlocks.length > 0) {
       score += 10;
     }
 
     // Check for meta-commentary
-    if (content.includes('*') && content.includes('Note:')) {
+    if (document.callouts.some(callout => /Note:|Meta/i.test(callout.text) || callout.closing)) {
       score += 15;
     }
 
-    return Math.min(maxScore, score);
+    return Math.min(maxScore, Math.round(score));
   }
 
-  assessAccuracy(content, plan) {
+  /**
+   * Starts at 85 and loses points for placeholders in prose, broken links
+   * and code examples that fail to parse, run or print what they show (see
+   * lib/code-blocks). Fills `details.codeBlocks` with { checked, ran, failed }.
+   */
+  async assessAccuracy(filePath, document, plan, findings, details = {}) {
     let score = 85; // Base score - assume accuracy unless issues found
 
-    // Check for obvious errors or placeholders
-    const errorPatterns = [
-      'TODO', 'FIXME', 'XXX', 'placeholder', 'coming soon'
-    ];
+    // Check for obvious errors or placeholders in prose (code samples may legitimately contain them)
+    PLACEHOLDER_PATTERNS.forEach(pattern => {
+      const regex = new RegExp(`\\b${pattern}\\b`, 'i');
+      const blocks = document.textBlocks.filter(block => regex.test(block.text));
 
-    errorPatterns.forEach(pattern => {
-      if (content.toLowerCase().includes(pattern.toLowerCase())) {
+      if (blocks.length > 0) {
         score -= 10;
+        blocks.forEach(block => findings.push({
+          rule: 'placeholder',
+          message: `Placeholder "${pattern}" in text`,
+          line: block.line,
+          column: block.column
+        }));
       }
     });
 
-    // Check for broken links (basic check)
-    const linkPattern = /\[([^\]]+)\]\(([^)]+)\)/g;
-    let match;
-    while ((match = linkPattern.exec(content)) !== null) {
-      const link = match[2];
-      if (link.startsWith('http') && !link.includes('github.com')) {
-        // External links - assume valid for now
-        continue;
-      }
-      // Internal links could be checked for existence
-    }
+    // Check internal links, images and anchors, plus checked external links
+    // (5 points per broken or dead link, at most 20)
+    const { broken } = await this.linkChecker.checkFile(filePath, document);
+    const external = this.assessExternalLinks(document, findings);
+    score -= Math.min(20, (broken.length + external.dead) * 5);
+    broken.forEach(link => findings.push({
+      rule: 'broken-link',
+      severity: 'warning',
+      message: link.message,
+      line: link.line,
+      column: link.column,
+      target: link.target
+    }));
+
+    // Check JSON, YAML and JavaScript examples (5 points per failing block, at most 20)
+    const { findings: codeFindings, ...codeBlocks } = await verifyCodeBlocks(document, { run: this.runCode });
+    score -= Math.min(20, codeBlocks.failed * 5);
+    findings.push(...codeFindings);
+    details.codeBlocks = codeBlocks;
 
     return Math.max(0, Math.min(100, score));
   }
 
-  assessRelevance(content, plan) {
+  /**
+   * Findings for the document's dead and redirected external links. Without
+   * an external link check, external links are assumed valid.
+   */
+  assessExternalLinks(document, findings) {
+    let dead = 0;
+
+    document.links.forEach(link => {
+      const result = this.externalLinks.get(link.url);
+      if (!result || result.state === 'ok') return;
+
+      if (result.state === 'dead') {
+        dead++;
+        findings.push({
+          rule: 'dead-link',
+          severity: 'warning',
+          message: `External link is dead (${result.status || result.error}): ${link.url}`,
+          line: link.line,
+          column: link.column,
+          target: link.url,
+          status: result.status,
+          lastChecked: result.checkedAt
+        });
+      } else {
+        findings.push({
+          rule: 'redirected-link',
+          message: `External link redirects to ${result.redirectTarget}: ${link.url}`,
+          line: link.line,
+          column: link.column,
+          target: link.url,
+          redirectTarget: result.redirectTarget,
+          lastChecked: result.checkedAt
+        });
+      }
+    });
+
+    return { dead };
+  }
+
+  assessRelevance(document, plan) {
     let score = 75; // Base score
 
     // Check for practical examples
-    if (content.includes('```') && content.includes('example')) {
+    if (document.codeBlocks.length > 0 && document.findText(/example/)) {
       score += 10;
     }
 
     // Check for user-focused content
-    if (content.includes('you') || content.includes('user')) {
+    if (document.findText(/you|user/)) {
       score += 5;
     }
 
     // Check for actionable content
-    if (content.includes('step') || content.includes('guide')) {
+    if (document.findText(/step|guide/)) {
       score += 10;
     }
 
     return Math.min(100, score);
   }
 
-  assessQuality(content, plan) {
-    let score = 70; // Base score
+  /**
+   * Weighted mean of the quality sub-scores (QUALITY_WEIGHTS), each 0-100:
+   * structure (a level-2 or deeper heading), length (100 to 2000 words),
+   * engagement (callouts), and the prose metrics of lib/readability. Sub-scores
+   * with nothing to measure are left out. Fills `details` with { quality:
+   * sub-scores, readability: metrics } and adds line-level findings.
+   */
+  assessQuality(document, plan, findings = [], details = {}) {
+    const wordCount = document.content.split(/\s+/).length;
+    const prose = analyzeProse(document);
+
+    const subScores = {
+      structure: document.headings.some(heading => heading.level >= 2) ? 100 : 50,
+      length: wordCount <= 100 ? 50 : wordCount < 2000 ? 100 : 75,
+      engagement: document.callouts.length > 0 || /📋|🔍/u.test(document.content) ? 100 : 50,
+      ...prose.subScores
+    };
 
-    // Check for clear structure
-    if (content.includes('#') && content.includes('##')) {
-      score += 10;
-    }
+    const measured = Object.entries(subScores).filter(([, score]) => score !== null);
+    const totalWeight = measured.reduce((sum, [name]) => sum + QUALITY_WEIGHTS[name], 0);
+    const score = measured.reduce((sum, [name, value]) => sum + value * QUALITY_WEIGHTS[name], 0) / totalWeight;
 
-    // Check for appropriate length (not too short, not too long)
-    const wordCount = content.split(/\s+/).length;
-    if (wordCount > 100 && wordCount < 2000) {
-      score += 10;
-    } else if (wordCount <= 100) {
-      score -= 10;
-    }
-
-    // Check for engagement elements
-    if (content.includes('!') || content.includes('📋') || content.includes('🔍')) {
-      score += 10;
-    }
+    findings.push(...prose.findings);
+    details.quality = subScores;
+    details.readability = prose.metrics;
 
-    return Math.max(0, Math.min(100, score));
+    return Math.max(0, Math.min(100, Math.round(score)));
   }
 
-  calculateOverallScore(scores, plan) {
-    const weights = plan.metrics;
+  /**
+   * Weighted score. Front matter weight overrides replace the profile's
+   * weights for those dimensions; the result is divided by the total weight
+   * so it stays on the 0-100 scale.
+   */
+  calculateOverallScore(scores, profile, overrides = {}) {
+    const weights = { ...profile.weights, ...overrides };
+    const totalWeight = Object.values(weights).reduce((sum, weight) => sum + weight, 0);
 
-    return (
-      scores.completeness * weights.completeness.weight +
-      scores.accuracy * weights.accuracy.weight +
-      scores.relevance * weights.relevance.weight +
-      scores.quality * weights.quality.weight
-    );
+    if (totalWeight === 0) return 0;
+
+    return Object.entries(weights)
+      .reduce((sum, [dimension, weight]) => sum + scores[dimension] * weight, 0) / totalWeight;
   }
 
-  getGrade(score, plan) {
-    if (score >= 90) return 'Excellent';
-    if (score >= 70) return 'Good';
-    if (score >= 50) return 'Fair';
-    return 'Poor';
+  getGrade(score, profile) {
+    return ScoringProfiles.gradeFor(score, profile);
   }
 
-  generateSuggestions(scores, content) {
+  /**
+   * Suggestions for dimensions below their threshold. Quality suggestions
+   * name the weak sub-scores and the lines they were found on; the accuracy
+   * suggestion for code examples names the failing ones.
+   */
+  generateSuggestions(scores, thresholds = SCORE_THRESHOLDS, { subScores = null, findings = [] } = {}) {
     const suggestions = [];
 
-    if (scores.completeness < 70) {
+    if (scores.completeness < thresholds.completeness) {
       suggestions.push('Add missing sections (overview, self-assessment, evolution triggers)');
       suggestions.push('Include more cross-references to related content');
       suggestions.push('Add practical examples or code samples');
     }
 
-    if (scores.accuracy < 80) {
+    if (scores.accuracy < thresholds.accuracy) {
       suggestions.push('Review and fix any TODO/FIXME placeholders');
       suggestions.push('Validate all links and references');
-      suggestions.push('Ensure technical accuracy of code examples');
+      const failing = findings.filter(finding => CODE_BLOCK_RULES.includes(finding.rule));
+      suggestions.push(failing.length > 0
+        ? `Fix code examples that do not parse, run or print what they show (${locate(failing)})`
+        : 'Ensure technical accuracy of code examples');
     }
 
-    if (scores.relevance < 70) {
+    if (scores.relevance < thresholds.relevance) {
       suggestions.push('Add more user-focused content and examples');
       suggestions.push('Include step-by-step guides or tutorials');
       suggestions.push('Connect content to practical use cases');
     }
 
-    if (scores.quality < 70) {
-      suggestions.push('Improve document structure with clear headings');
-      suggestions.push('Add visual elements (diagrams, callouts)');
-      suggestions.push('Review and improve content length and flow');
+    if (scores.quality < thresholds.quality) {
+      const weak = subScores
+        ? Object.entries(subScores).filter(([, score]) => score !== null && score < SUB_SCORE_THRESHOLD)
+        : [];
+
+      if (weak.length > 0) {
+        weak.forEach(([name]) => {
+          const { suggestion, rule } = SUB_SCORE_SUGGESTIONS[name];
+          const located = findings.filter(finding => finding.rule === rule);
+          suggestions.push(located.length > 0 ? `${suggestion} (${locate(located)})` : suggestion);
+        });
+      } else {
+        suggestions.push('Improve document structure with clear headings');
+        suggestions.push('Add visual elements (diagrams, callouts)');
+        suggestions.push('Review and improve content length and flow');
+      }
     }
 
     return suggestions;
   }
 
   validateAssessments() {
-    console.log('🔍 Validating assessment quality...');
+    this.log('🔍 Validating assessment quality...');
+
+    if (this.assessments.length === 0) {
+      this.log('No documents to assess');
+      return;
+    }
 
     const avgScore = this.assessments.reduce((sum, a) => sum + a.overallScore, 0) / this.assessments.length;
-    console.log(`Average Assessment Score: ${avgScore.toFixed(1)}`);
+    this.log(`Average Assessment Score: ${avgScore.toFixed(1)}`);
 
     const gradeDistribution = {};
     this.assessments.forEach(assessment => {
       gradeDistribution[assessment.grade] = (gradeDistribution[assessment.grade] || 0) + 1;
     });
 
-    console.log('Grade Distribution:');
+    this.log('Grade Distribution:');
     Object.entries(gradeDistribution).forEach(([grade, count]) => {
-      console.log(`  ${grade}: ${count} documents`);
+      this.log(`  ${grade}: ${count} documents`);
     });
   }
 
   reflectOnAssessments() {
-    console.log('🤔 Reflecting on assessment effectiveness...');
+    this.log('🤔 Reflecting on assessment effectiveness...');
 
     const excellentCount = this.assessments.filter(a => a.grade === 'Excellent').length;
     const poorCount = this.assessments.filter(a => a.grade === 'Poor').length;
 
     if (excellentCount > this.assessments.length * 0.5) {
-      console.log('🎉 High quality documentation detected!');
+      this.log('🎉 High quality documentation detected!');
     }
 
     if (poorCount > 0) {
-      console.log(`⚠️  ${poorCount} documents need improvement`);
+      this.log(`⚠️  ${poorCount} documents need improvement`);
     }
 
     // Identify common improvement areas
@@ -328,80 +671,257 @@ class SelfAssessmentEngine {
       suggestionCounts[suggestion] = (suggestionCounts[suggestion] || 0) + 1;
     });
 
-    console.log('\nMost Common Improvement Suggestions:');
+    this.log('\nMost Common Improvement Suggestions:');
     Object.entries(suggestionCounts)
       .sort(([,a], [,b]) => b - a)
       .slice(0, 3)
       .forEach(([suggestion, count]) => {
-        console.log(`  - ${suggestion} (${count} documents)`);
+        this.log(`  - ${suggestion} (${count} documents)`);
       });
   }
 
   generateAssessmentReport() {
-    console.log('📊 Generating comprehensive assessment report...\n');
+    this.log('📊 Generating comprehensive assessment report...\n');
 
-    console.log('=== Self-Assessment Report ===');
-    console.log(`Total Documents Assessed: ${this.assessments.length}`);
+    this.log('=== Self-Assessment Report ===');
+    this.log(`Total Documents Assessed: ${this.assessments.length}`);
 
-    const avgScore = this.assessments.reduce((sum, a) => sum + a.overallScore, 0) / this.assessments.length;
-    console.log(`Average Score: ${avgScore.toFixed(1)}/100`);
+    if (this.stats.optedOutDocuments > 0) {
+      this.log(`Opted Out (front matter): ${this.stats.optedOutDocuments}`);
+    }
+
+    if (this.cache) {
+      this.log(`Cached Results Reused: ${this.stats.cachedDocuments}`);
+    }
+
+    if (this.changedSince) {
+      this.log(`Unchanged Documents Skipped: ${this.stats.skippedDocuments} (since ${this.changedSince})`);
+    }
+
+    const avgScore = this.assessments.length > 0
+      ? this.assessments.reduce((sum, a) => sum + a.overallScore, 0) / this.assessments.length
+      : 0;
+    this.log(`Average Score: ${avgScore.toFixed(1)}/100`);
 
     const gradeDistribution = {};
     this.assessments.forEach(assessment => {
       gradeDistribution[assessment.grade] = (gradeDistribution[assessment.grade] || 0) + 1;
     });
 
-    console.log('\nGrade Distribution:');
+    this.log('\nGrade Distribution:');
     Object.entries(gradeDistribution).forEach(([grade, count]) => {
-      console.log(`  ${grade}: ${count} documents (${((count / this.assessments.length) * 100).toFixed(1)}%)`);
+      this.log(`  ${grade}: ${count} documents (${((count / this.assessments.length) * 100).toFixed(1)}%)`);
     });
 
-    console.log('\nTop Performing Documents:');
+    this.log('\nTop Performing Documents:');
     this.assessments
       .sort((a, b) => b.overallScore - a.overallScore)
       .slice(0, 5)
       .forEach((assessment, index) => {
-        console.log(`  ${index + 1}. ${assessment.file} - ${assessment.overallScore.toFixed(1)} (${assessment.grade})`);
+        this.log(`  ${index + 1}. ${assessment.file} - ${assessment.overallScore.toFixed(1)} (${assessment.grade})`);
       });
 
-    console.log('\nDocuments Needing Attention:');
+    this.log('\nDocuments Needing Attention:');
     this.assessments
       .filter(a => a.grade === 'Poor' || a.grade === 'Fair')
       .sort((a, b) => a.overallScore - b.overallScore)
       .slice(0, 5)
       .forEach((assessment, index) => {
-        console.log(`  ${index + 1}. ${assessment.file} - ${assessment.overallScore.toFixed(1)} (${assessment.grade})`);
+        this.log(`  ${index + 1}. ${assessment.file} - ${assessment.overallScore.toFixed(1)} (${assessment.grade})`);
         assessment.suggestions.slice(0, 2).forEach(suggestion => {
-          console.log(`     • ${suggestion}`);
+          this.log(`     • ${suggestion}`);
         });
       });
 
-    console.log('\n=== End Assessment Report ===');
+    if (this.externalLinkChecker) {
+      const { dead, redirected } = this.summarizeExternalLinks();
+      this.log(`\nExternal Links: ${this.externalLinks.size} checked, ${dead} dead, ${redirected} redirected`);
+      this.assessments
+        .flatMap(assessment => assessment.findings
+          .filter(finding => finding.rule === 'dead-link' || finding.rule === 'redirected-link')
+          .map(finding => ({ file: assessment.file, ...finding })))
+        .forEach(finding => {
+          this.log(`  ${finding.rule === 'dead-link' ? '❌' : '↪️'} ${finding.file}:${finding.line} ${finding.message}`);
+        });
+    }
+
+    const codeBlocks = this.assessments.reduce((totals, assessment) => {
+      const counts = assessment.codeBlocks || { checked: 0, ran: 0, failed: 0 };
+      return { checked: totals.checked + counts.checked, ran: totals.ran + counts.ran, failed: totals.failed + counts.failed };
+    }, { checked: 0, ran: 0, failed: 0 });
+    if (codeBlocks.checked > 0) {
+      this.log(`\nCode Examples: ${codeBlocks.checked} checked, ${codeBlocks.ran} run, ${codeBlocks.failed} failing`);
+      this.assessments
+        .flatMap(assessment => assessment.findings
+          .filter(finding => CODE_BLOCK_RULES.includes(finding.rule))
+          .map(finding => ({ file: assessment.file, ...finding })))
+        .forEach(finding => {
+          this.log(`  ❌ ${finding.file}:${finding.line} ${finding.message}`);
+        });
+    }
+
+    this.log('\n=== End Assessment Report ===');
 
     // Self-assessment of this assessment engine
-    console.log('\n🔄 Self-Assessment of Assessment Engine:');
-    console.log('Completeness: 85% - Core assessment metrics implemented');
-    console.log('Accuracy: 90% - Based on established quality criteria');
-    console.log('Improvement Suggestions:');
-    console.log('  - Add machine learning for better scoring');
-    console.log('  - Implement user feedback integration');
-    console.log('  - Create automated improvement suggestions');
+    this.log('\n🔄 Self-Assessment of Assessment Engine:');
+    this.log('Completeness: 85% - Core assessment metrics implemented');
+    this.log('Accuracy: 90% - Based on established quality criteria');
+    this.log('Improvement Suggestions:');
+    this.log('  - Add machine learning for better scoring');
+    this.log('  - Implement user feedback integration');
+    this.log('  - Create automated improvement suggestions');
+  }
+
+  /**
+   * Write the per-document results (see lib/assessment-results). Documents
+   * this run did not assess (--changed-since) keep their previous results
+   * while they exist and have not opted out.
+   */
+  saveResults() {
+    if (!this.resultsFile) return;
+
+    let previous = null;
+    if (fs.existsSync(this.resultsFile)) {
+      try {
+        previous = readAssessmentResults(this.resultsFile);
+      } catch (error) {
+        this.logger.warn(`⚠️ Replacing previous results: ${error.message}`);
+      }
+    }
+
+    const results = createAssessmentResults(this.assessments, {
+      previous,
+      keep: file => !this.optedOutFiles.has(file) && fs.existsSync(path.join(this.docsPath, file))
+    });
+    writeAssessmentResults(this.resultsFile, results);
+    this.log(`\n💾 Results for ${results.documents.length} documents written to ${toPosix(path.relative(this.projectRoot, this.resultsFile))}`);
+  }
+
+  summarizeExternalLinks() {
+    const summary = { ok: 0, redirected: 0, dead: 0 };
+    this.externalLinks.forEach(result => {
+      summary[result.state]++;
+    });
+    return summary;
+  }
+
+  createReport() {
+    const total = this.assessments.length;
+    const averageScore = total > 0
+      ? this.assessments.reduce((sum, a) => sum + a.overallScore, 0) / total
+      : 0;
+    const gradeDistribution = {};
+    this.assessments.forEach(assessment => {
+      gradeDistribution[assessment.grade] = (gradeDistribution[assessment.grade] || 0) + 1;
+    });
+
+    // Dimension scores are document-wide, so they point at the start of the file
+    const issues = this.assessments.flatMap(assessment => [
+      ...Object.entries(assessment.thresholds || SCORE_THRESHOLDS)
+        .filter(([dimension, threshold]) => assessment.scores[dimension] < threshold)
+        .map(([dimension, threshold]) => this.output.createIssue({
+          file: assessment.file,
+          severity: assessment.grade === 'Poor' ? 'warning' : 'info',
+          rule: `low-${dimension}`,
+          message: `${dimension} score ${assessment.scores[dimension]} is below ${threshold}`,
+          line: 1,
+          column: 1,
+          score: assessment.scores[dimension]
+        })),
+      ...assessment.findings.map(finding => this.output.createIssue({
+        file: assessment.file,
+        severity: 'info',
+        ...finding
+      }))
+    ]);
+
+    return this.output.createReport({
+      status: 'completed',
+      summary: {
+        totalDocuments: total,
+        averageScore: Number(averageScore.toFixed(1)),
+        gradeDistribution,
+        ...(this.cache && { cachedDocuments: this.stats.cachedDocuments }),
+        ...(this.stats.optedOutDocuments > 0 && { optedOutDocuments: this.stats.optedOutDocuments }),
+        ...(this.changedSince && { changedSince: this.changedSince, skippedDocuments: this.stats.skippedDocuments }),
+        scoringProfiles: this.scoring.source,
+        ...(this.resultsFile && { resultsFile: toPosix(path.relative(this.projectRoot, this.resultsFile)) }),
+        ...(this.externalLinkChecker && {
+          externalLinks: {
+            ...this.externalLinkChecker.stats,
+            ...this.summarizeExternalLinks()
+          }
+        })
+      },
+      results: this.assessments.map(assessment => ({
+        file: assessment.file,
+        profile: assessment.profile,
+        overallScore: Number(assessment.overallScore.toFixed(1)),
+        grade: assessment.grade,
+        scores: assessment.scores,
+        suggestions: assessment.suggestions,
+        subScores: assessment.subScores,
+        readability: assessment.readability,
+        codeBlocks: assessment.codeBlocks,
+        findings: assessment.findings,
+        metadata: assessment.metadata
+      })),
+      issues
+    });
   }
 }
 
-// Self-assessment of this assessment script
-console.log('=== Self-Assessment Engine Self-Assessment ===');
-console.log('Completeness: 80% - Core assessment logic implemented');
-console.log('Accuracy: 85% - Based on quality metrics');
-console.log('Evolution Triggers:');
-console.log('  - If assessment quality improves: Update scoring algorithms');
-console.log('  - If new quality patterns emerge: Add assessment criteria');
-console.log('  - If user feedback received: Integrate feedback metrics');
-console.log('=== End Self-Assessment ===\n');
+// "line 8" or "lines 8, 12" for findings
+function locate(findings) {
+  return `${findings.length === 1 ? 'line' : 'lines'} ${findings.map(finding => finding.line).join(', ')}`;
+}
+
+// Self-assessment of this assessment script, printed when run from the command line
+function printSelfAssessment(log) {
+  log('=== Self-Assessment Engine Self-Assessment ===');
+  log('Completeness: 80% - Core assessment logic implemented');
+  log('Accuracy: 85% - Based on quality metrics');
+  log('Evolution Triggers:');
+  log('  - If assessment quality improves: Update scoring algorithms');
+  log('  - If new quality patterns emerge: Add assessment criteria');
+  log('  - If user feedback received: Integrate feedback metrics');
+  log('=== End Self-Assessment ===\n');
+}
 
 // Run assessment if this script is executed directly
 if (require.main === module) {
-  const engine = new SelfAssessmentEngine();
+  const args = process.argv.slice(2);
+
+  let format;
+  try {
+    format = StructuredOutput.parseFormat(args);
+  } catch (error) {
+    console.error(error.message);
+    process.exit(1);
+  }
+
+  // Structured formats keep stdout for the report
+  printSelfAssessment(format === 'text' ? console.log : console.error);
+
+  let engine;
+  try {
+    engine = new SelfAssessmentEngine({
+      format,
+      projectRoot: getPathOption(args, 'root'),
+      docsPath: getPathOption(args, 'docs'),
+      changedSince: getOption(args, 'changed-since'),
+      cache: !hasFlag(args, 'no-cache'),
+      resultsFile: hasFlag(args, 'no-results') ? false : getPathOption(args, 'results'),
+      scoringFile: getPathOption(args, 'scoring'),
+      externalLinks: hasFlag(args, 'external-links') || Boolean(getOption(args, 'external-link-origin')),
+      externalLinkOrigin: getOption(args, 'external-link-origin'),
+      runCode: hasFlag(args, 'run-code')
+    });
+  } catch (error) {
+    console.error(`❌ ${error.message}`);
+    process.exit(1);
+  }
+
   engine.assess().catch(console.error);
 }
 
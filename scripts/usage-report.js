@@ -0,0 +1,122 @@
+#!/usr/bin/env node
+
+/**
+ * Usage Report
+ *
+ * Summarizes documentation usage from the access logs and page-view and
+ * search events configured in `.selfref-usage.json`: the most and least
+ * viewed documents, dwell time and what readers search for. The evolution
+ * system reads the same numbers.
+ */
+
+const path = require('path');
+const StructuredOutput = require('./lib/structured-output');
+const UsageAnalytics = require('./lib/usage-analytics');
+const { getPathOption } = require('./lib/cli');
+
+class UsageReport {
+  constructor(options = {}) {
+    this.projectRoot = options.projectRoot || path.join(__dirname, '..');
+    this.docsPath = options.docsPath || path.join(this.projectRoot, 'docs');
+    this.logger = options.logger || console;
+    this.output = new StructuredOutput('usage-report', options.format, this.logger);
+    this.usage = new UsageAnalytics({ projectRoot: this.projectRoot, docsPath: this.docsPath });
+  }
+
+  async run() {
+    this.log('📈 Measuring documentation usage...\n');
+
+    const usage = this.usage.analyze();
+    this.log(`Usage data: ${usage.provenance}`);
+
+    if (usage.totals.pageViews > 0) {
+      const byFile = new Map(usage.documents.map(document => [document.file, document]));
+      const describe = file => {
+        const document = byFile.get(file);
+        return `  - ${file}: ${document.views} ${document.views === 1 ? 'view' : 'views'}, ` +
+          `${document.uniqueVisitors} ${document.uniqueVisitors === 1 ? 'visitor' : 'visitors'}` +
+          (document.averageDwellSeconds !== null ? `, ${document.averageDwellSeconds}s average dwell` : '');
+      };
+
+      this.log(`\nMost Viewed (${usage.window.days} days):`);
+      usage.popularDocuments.forEach(file => this.log(describe(file)));
+
+      this.log('\nLeast Accessed:');
+      if (usage.leastAccessed.length > 0) {
+        usage.leastAccessed.forEach(file => this.log(describe(file)));
+      } else {
+        this.log('  (none below the average)');
+      }
+    }
+
+    if (usage.searchTerms.length > 0) {
+      this.log('\nTop Searches:');
+      usage.searchTerms.slice(0, usage.searchPatterns.length).forEach(({ term, count }) => {
+        this.log(`  - "${term}": ${count}`);
+      });
+    }
+
+    const report = this.createReport();
+    this.output.emit(report);
+    return report;
+  }
+
+  log(...args) {
+    this.output.log(...args);
+  }
+
+  createReport() {
+    const usage = this.usage.analyze();
+
+    return this.output.createReport({
+      status: 'passed',
+      summary: {
+        configured: usage.configured,
+        provenance: usage.provenance,
+        window: usage.window,
+        ...usage.totals,
+        popularDocuments: usage.popularDocuments,
+        leastAccessed: usage.leastAccessed,
+        searchPatterns: usage.searchPatterns
+      },
+      results: usage.documents,
+      issues: usage.leastAccessed.map(file => this.output.createIssue({
+        file,
+        severity: 'info',
+        rule: 'least-accessed',
+        message: `${usage.documents.find(document => document.file === file).views} views in the last ${usage.window.days} days`,
+        line: 1,
+        column: 1
+      }))
+    });
+  }
+}
+
+// Run the report if this script is executed directly
+if (require.main === module) {
+  const args = process.argv.slice(2);
+
+  let format;
+  try {
+    format = StructuredOutput.parseFormat(args);
+  } catch (error) {
+    console.error(error.message);
+    process.exit(1);
+  }
+
+  let report;
+  try {
+    report = new UsageReport({
+      format,
+      projectRoot: getPathOption(args, 'root'),
+      docsPath: getPathOption(args, 'docs')
+    });
+  } catch (error) {
+    console.error(`❌ ${error.message}`);
+    process.exit(1);
+  }
+
+  report.run().catch(console.error);
+}
+
+module.exports = UsageReport;
@@ -11,16 +11,58 @@
 
 const fs = require('fs');
 const path = require('path');
+const StructuredOutput = require('./lib/structured-output');
+const { getOption, getPathOption, hasFlag } = require('./lib/cli');
+const { createUnifiedDiff } = require('./lib/unified-diff');
+const { parseMarkdown } = require('./lib/markdown-ast');
+const { getChangedFiles } = require('./lib/git-changes');
+const { toPosix } = require('./lib/glob');
+const ValidationRules = require('./lib/validation-rules');
+const ResultCache = require('./lib/result-cache');
+
+// Source files whose behaviour the cached results depend on
+const CACHE_SOURCES = [
+  __filename,
+  require.resolve('./lib/validation-rules'),
+  require.resolve('./lib/markdown-ast'),
+  require.resolve('./lib/front-matter'),
+  require.resolve('./lib/document-metadata'),
+  require.resolve('./lib/glob')
+];
 
 class SelfReferentialValidator {
-  constructor() {
-    this.docsPath = path.join(__dirname, '..', 'docs');
+  constructor(options = {}) {
+    this.projectRoot = options.projectRoot || path.join(__dirname, '..');
+    this.docsPath = options.docsPath || path.join(this.projectRoot, 'docs');
+    this.logger = options.logger || console;
+    this.output = new StructuredOutput('validate-structure', options.format, this.logger);
+    this.fix = Boolean(options.fix || options.dryRun);
+    this.dryRun = Boolean(options.dryRun);
+    this.rules = options.rules || ValidationRules.load(this.projectRoot, options.rulesFile);
+    this.changedSince = options.changedSince || null;
+    this.cache = options.cache === false ? null : new ResultCache(
+      path.join(options.cacheDir || path.join(this.projectRoot, '.selfref-cache'), 'validate-structure.json'),
+      ResultCache.fingerprint(
+        { rules: this.rules.rules, exclude: this.rules.exclude, overrides: this.rules.overrides },
+        CACHE_SOURCES
+      )
+    );
     this.issues = [];
+    this.results = [];
     this.stats = {
       totalFiles: 0,
       validFiles: 0,
       invalidFiles: 0
     };
+    if (this.fix) {
+      this.stats.fixedFiles = 0;
+    }
+    if (this.cache) {
+      this.stats.cachedFiles = 0;
+    }
+    if (this.changedSince) {
+      this.stats.skippedFiles = 0;
+    }
   }
 
   /**
@@ -33,7 +75,7 @@ class SelfReferentialValidator {
    */
 
   async validate() {
-    console.log('🔍 Starting Self-Referential Structure Validation...\n');
+    this.log('🔍 Starting Self-Referential Structure Validation...\n');
 
     // Planner: Plan validation approach
     const plan = this.planValidation();
@@ -49,52 +91,74 @@ class SelfReferentialValidator {
 
     // Orchestrator: Generate final report
     this.generateReport();
+
+    const report = this.createReport();
+    this.output.emit(report);
+    return report;
+  }
+
+  log(...args) {
+    this.output.log(...args);
   }
 
   planValidation() {
-    console.log('📋 Planning validation approach...');
+    this.log('📋 Planning validation approach...');
+
+    this.log(`Rules: ${this.rules.rules.map(rule => `${rule.id} (${rule.severity})`).join(', ')} from ${this.rules.source}`);
+
+    if (this.cache && this.cache.invalidated) {
+      this.log('♻️ Validation cache invalidated (rules or validator changed)');
+    }
 
     return {
-      requiredSections: [
-        'pmcr-o',
-        'self-assessment',
-        'evolution-triggers'
-      ],
-      fileExtensions: ['.md'],
-      excludePatterns: ['node_modules', '.git', '_site']
+      rules: this.rules,
+      fileExtensions: ['.md']
     };
   }
 
   async executeValidation(plan) {
-    console.log('⚙️ Executing validation...\n');
+    this.log('⚙️ Executing validation...\n');
+
+    let files = this.getMarkdownFiles(this.docsPath);
 
-    const files = this.getMarkdownFiles(this.docsPath);
+    if (this.changedSince) {
+      const changed = getChangedFiles(this.docsPath, this.changedSince);
+      const selected = files.filter(file => changed.has(toPosix(path.relative(this.docsPath, file))));
+      this.stats.skippedFiles = files.length - selected.length;
+      this.log(`Limiting validation to ${selected.length} files changed since ${this.changedSince}\n`);
+      files = selected;
+    }
 
     for (const file of files) {
       await this.validateFile(file, plan);
     }
+
+    if (this.cache) {
+      this.cache.save();
+    }
   }
 
   getMarkdownFiles(dirPath) {
     const files = [];
 
-    function traverseDirectory(currentPath) {
+    const traverseDirectory = currentPath => {
       const items = fs.readdirSync(currentPath);
 
       for (const item of items) {
         const fullPath = path.join(currentPath, item);
+        const relativePath = path.relative(this.docsPath, fullPath);
         const stat = fs.statSync(fullPath);
 
         if (stat.isDirectory()) {
           // Skip excluded directories
-          if (!['node_modules', '.git', '_site'].includes(item)) {
+          if (!this.rules.isExcluded(`${relativePath}/`)) {
             traverseDirectory(fullPath);
           }
-        } else if (item.endsWith('.md')) {
+        } else if (item.endsWith('.md') && !this.rules.isExcluded(relativePath)) {
           files.push(fullPath);
         }
       }
-    }
+    };
 
     traverseDirectory(dirPath);
     return files;
@@ -104,121 +168,274 @@ class SelfReferentialValidator {
     this.stats.totalFiles++;
 
     try {
-      const content = fs.readFileSync(filePath, 'utf8');
       const relativePath = path.relative(this.docsPath, filePath);
+      let content = fs.readFileSync(filePath, 'utf8');
 
-      console.log(`📄 Validating: ${relativePath}`);
+      this.log(`📄 Validating: ${relativePath}`);
 
-      const issues = [];
+      const cacheKey = toPosix(relativePath);
+      // --fix needs the parsed document, so it always re-checks
+      const cached = this.cache && !this.fix ? this.cache.get(cacheKey, ResultCache.hash(content)) : null;
+      const result = { file: relativePath };
+      let findings;
 
-      // Check for PMCR-O loop execution
-      if (!this.hasPMCROLoop(content)) {
-        issues.push('Missing PMCR-O loop execution section');
-      }
+      if (cached) {
+        findings = cached.result.findings;
+        result.cached = true;
+        this.stats.cachedFiles++;
+      } else {
+        let document = await parseMarkdown(content);
+        findings = this.checkContent(document, relativePath);
 
-      // Check for self-assessment
-      if (!this.hasSelfAssessment(content)) {
-        issues.push('Missing self-assessment section');
-      }
+        if (this.fix && findings.length > 0) {
+          result.fix = this.fixFile(filePath, relativePath, document, findings);
 
-      // Check for evolution triggers
-      if (!this.hasEvolutionTriggers(content)) {
-        issues.push('Missing evolution triggers section');
-      }
+          if (result.fix.status === 'applied') {
+            content = fs.readFileSync(filePath, 'utf8');
+            document = await parseMarkdown(content);
+            findings = this.checkContent(document, relativePath);
+          }
+        }
 
-      // Check for meta-commentary
-      if (!this.hasMetaCommentary(content)) {
-        issues.push('Missing meta-commentary');
+        if (this.cache) {
+          this.cache.set(cacheKey, ResultCache.hash(content), { findings });
+        }
       }
 
-      if (issues.length === 0) {
+      const issues = findings.map(finding => finding.message);
+      const errors = findings.filter(finding => finding.severity === 'error').length;
+      Object.assign(result, { status: errors === 0 ? 'valid' : 'invalid', issueCount: issues.length });
+      this.results.push(result);
+
+      if (errors === 0) {
         this.stats.validFiles++;
-        console.log(`✅ ${relativePath} - Valid`);
       } else {
         this.stats.invalidFiles++;
-        console.log(`❌ ${relativePath} - ${issues.length} issues`);
-        issues.forEach(issue => console.log(`   - ${issue}`));
+      }
+
+      if (issues.length === 0) {
+        this.log(`✅ ${relativePath} - Valid`);
+      } else {
+        this.log(`${errors === 0 ? '⚠️' : '❌'} ${relativePath} - ${issues.length} issues`);
+        findings.forEach(finding => {
+          this.log(`   - [${finding.severity}] ${finding.line}:${finding.column} ${finding.message}`);
+        });
 
         this.issues.push({
           file: relativePath,
-          issues: issues
+          issues: issues,
+          findings: findings
         });
       }
 
-      console.log('');
+      this.log('');
 
     } catch (error) {
-      console.error(`Error validating ${filePath}:`, error.message);
+      this.logger.error(`Error validating ${filePath}:`, error.message);
       this.stats.invalidFiles++;
+
+      const relativePath = path.relative(this.docsPath, filePath);
+      this.results.push({ file: relativePath, status: 'error', issueCount: 1 });
+      this.issues.push({
+        file: relativePath,
+        issues: [error.message],
+        findings: [{ rule: 'read-error', severity: 'error', message: error.message, line: 1, column: 1 }]
+      });
+    }
+  }
+
+  /**
+   * Evaluate every rule that applies to the parsed document. Front matter can
+   * opt out of rules (`selfref: { disable: [...] }`) but must itself be valid
+   * YAML. A missing section is reported where --fix would insert it.
+   */
+  checkContent(document, relativePath) {
+    const { frontMatter } = document;
+    const lines = this.splitLines(document.content);
+    const missingAt = { line: Math.min(this.findClosingBlockStart(lines) + 1, Math.max(lines.length, 1)), column: 1 };
+    const findings = [];
+
+    if (frontMatter.error) {
+      findings.push({ rule: 'front-matter', severity: 'error', message: frontMatter.error, ...frontMatter.errorPosition });
+    }
+
+    this.rules.rulesFor(relativePath, frontMatter.data).forEach(rule => {
+      this.rules.violations(rule.match, document).forEach(violation => {
+        findings.push({
+          rule: rule.id,
+          severity: rule.severity,
+          message: violation.message || rule.message || `Rule ${rule.id} not satisfied`,
+          line: violation.line || missingAt.line,
+          column: violation.column || missingAt.column
+        });
+      });
+    });
+
+    return findings;
+  }
+
+  /**
+   * Insert templated sections for the given findings. Writes the file unless
+   * running with --dry-run, in which case only the unified diff is reported.
+   */
+  fixFile(filePath, relativePath, document, findings) {
+    const { content } = document;
+    const { content: fixed, inserted, skipped } = this.buildFixedContent(document, findings);
+
+    skipped.forEach(({ rule, heading }) => {
+      this.log(`   ⏭️ Not inserting ${rule}: section already exists as "${heading}"`);
+    });
+
+    if (inserted.length === 0) {
+      return { status: 'skipped', inserted, skipped };
     }
+
+    const diff = createUnifiedDiff(content, fixed, {
+      fromFile: `a/${relativePath}`,
+      toFile: `b/${relativePath}`
+    });
+
+    if (this.dryRun) {
+      this.log(`   📝 Would insert: ${inserted.join(', ')}`);
+      this.log(diff);
+      return { status: 'planned', inserted, skipped, diff };
+    }
+
+    fs.writeFileSync(filePath, fixed);
+    this.stats.fixedFiles++;
+    this.log(`   🔧 Inserted: ${inserted.join(', ')}`);
+    return { status: 'applied', inserted, skipped, diff };
   }
 
-  hasPMCROLoop(content) {
-    const pmcroPatterns = [
-      /PMCR-O Loop Execution/i,
-      /Planner:/i,
-      /Maker:/i,
-      /Checker:/i,
-      /Reflector:/i,
-      /Orchestrator:/i
-    ];
-
-    return pmcroPatterns.some(pattern => pattern.test(content));
+  /**
+   * Add the missing sections at the document's section heading level, before
+   * a closing meta-commentary block if there is one. A section whose heading
+   * already exists (ignoring case and punctuation) is never added twice.
+   */
+  buildFixedContent(document, findings) {
+    const { content, headings } = document;
+    const lines = content.split('\n');
+    const level = this.getSectionLevel(headings);
+    const existing = new Map(headings.map(heading => [ValidationRules.normalizeHeading(heading.text), heading.text]));
+
+    const inserted = [];
+    const skipped = [];
+    const sections = [];
+    let closingNote = null;
+
+    // Rule order is document order for the inserted sections
+    this.rules.rules
+      .filter(rule => rule.template && findings.some(finding => finding.rule === rule.id))
+      .forEach(({ id: rule, template }) => {
+        if (!template.heading) {
+          closingNote = template.body;
+          inserted.push(rule);
+          return;
+        }
+
+        const match = existing.get(ValidationRules.normalizeHeading(template.heading));
+        if (match) {
+          skipped.push({ rule, heading: match });
+          return;
+        }
+
+        sections.push([`${'#'.repeat(level)} ${template.heading}`, '', ...template.body]);
+        inserted.push(rule);
+      });
+
+    if (inserted.length === 0) {
+      return { content, inserted, skipped };
+    }
+
+    const trailingNewline = content.endsWith('\n');
+    if (trailingNewline) lines.pop();
+
+    const insertAt = this.findClosingBlockStart(lines);
+    const before = this.trimBlankLines(lines.slice(0, insertAt));
+    const after = lines.slice(insertAt);
+    const blocks = sections.slice();
+
+    if (closingNote) {
+      blocks.push(['---', '', ...closingNote]);
+    }
+
+    const output = [...before];
+    blocks.forEach(block => output.push(...(output.length > 0 ? [''] : []), ...block));
+    if (after.length > 0) output.push('', ...after);
+
+    return { content: output.join('\n') + (trailingNewline || content === '' ? '\n' : ''), inserted, skipped };
   }
 
-  hasSelfAssessment(content) {
-    const assessmentPatterns = [
-      /Self-Assessment/i,
-      /Completeness:/i,
-      /Accuracy:/i,
-      /Relevance:/i,
-      /Improvement Suggestions/i
-    ];
+  /**
+   * Sections sit one level below a single title heading, or alongside the
+   * document's top-level headings when there is no single title.
+   */
+  getSectionLevel(headings) {
+    if (headings.length === 0) return 2;
+
+    const topLevel = Math.min(...headings.map(heading => heading.level));
+    const titles = headings.filter(heading => heading.level === topLevel).length;
 
-    return assessmentPatterns.some(pattern => pattern.test(content));
+    return titles === 1 ? Math.min(topLevel + 1, 6) : topLevel;
   }
 
-  hasEvolutionTriggers(content) {
-    const triggerPatterns = [
-      /Evolution Triggers/i,
-      /evolution.*trigger/i,
-      /trigger.*condition/i
-    ];
+  /**
+   * Index of a trailing `---` + emphasised closing note block, or the end of the document.
+   */
+  findClosingBlockStart(lines) {
+    let last = lines.length - 1;
+    while (last >= 0 && lines[last].trim() === '') last--;
+
+    if (last < 0 || !/^\s*([*_]).+\1\s*$/.test(lines[last])) {
+      return lines.length;
+    }
 
-    return triggerPatterns.some(pattern => pattern.test(content));
+    let start = last;
+    while (start > 0 && lines[start - 1].trim() !== '') start--;
+
+    let previous = start - 1;
+    while (previous >= 0 && lines[previous].trim() === '') previous--;
+
+    return previous >= 0 && /^\s{0,3}(-{3,}|\*{3,}|_{3,})\s*$/.test(lines[previous]) ? previous : start;
   }
 
-  hasMetaCommentary(content) {
-    const metaPatterns = [
-      /\*.*Note:/i,
-      /\*.*Meta/i,
-      /Meta-Note/i,
-      /meta-commentary/i
-    ];
+  splitLines(content) {
+    const lines = content.split('\n');
+    if (content.endsWith('\n')) lines.pop();
+    return lines;
+  }
 
-    return metaPatterns.some(pattern => pattern.test(content));
+  trimBlankLines(lines) {
+    let end = lines.length;
+    while (end > 0 && lines[end - 1].trim() === '') end--;
+    return lines.slice(0, end);
   }
 
   validateResults() {
-    console.log('🔍 Validating validation results...');
+    this.log('🔍 Validating validation results...');
 
-    const validationRate = (this.stats.validFiles / this.stats.totalFiles) * 100;
-    console.log(`Validation Rate: ${validationRate.toFixed(1)}%`);
+    if (this.stats.totalFiles === 0) {
+      this.log('No files to validate');
+      return;
+    }
+
+    const validationRate = this.getValidationRate();
+    this.log(`Validation Rate: ${validationRate.toFixed(1)}%`);
 
     if (validationRate < 80) {
-      console.log('⚠️  Warning: Low validation rate detected');
+      this.log('⚠️  Warning: Low validation rate detected');
     }
   }
 
   reflectOnValidation() {
-    console.log('🤔 Reflecting on validation effectiveness...');
+    this.log('🤔 Reflecting on validation effectiveness...');
 
     if (this.issues.length > 0) {
-      console.log(`Found ${this.issues.length} files with issues`);
-      console.log('Common issues:');
+      this.log(`Found ${this.issues.length} files with issues`);
+      this.log('Common issues:');
       this.analyzeCommonIssues();
     } else {
-      console.log('🎉 All files passed validation!');
+      this.log('🎉 All files passed validation!');
     }
   }
 
@@ -235,55 +452,116 @@ class SelfReferentialValidator {
       .sort(([,a], [,b]) => b - a)
       .slice(0, 5)
       .forEach(([issue, count]) => {
-        console.log(`  - ${issue}: ${count} files`);
+        this.log(`  - ${issue}: ${count} files`);
       });
   }
 
   generateReport() {
-    console.log('📊 Generating validation report...\n');
+    this.log('📊 Generating validation report...\n');
+
+    this.log('=== Self-Referential Structure Validation Report ===');
+    this.log(`Total Files: ${this.stats.totalFiles}`);
+    this.log(`Valid Files: ${this.stats.validFiles}`);
+    this.log(`Invalid Files: ${this.stats.invalidFiles}`);
+    this.log(`Validation Rate: ${this.getValidationRate().toFixed(1)}%`);
+
+    if (this.fix) {
+      const planned = this.results.filter(result => result.fix && result.fix.status === 'planned').length;
+      this.log(this.dryRun
+        ? `Files That Would Be Fixed: ${planned} (dry run, nothing written)`
+        : `Fixed Files: ${this.stats.fixedFiles}`);
+    }
 
-    console.log('=== Self-Referential Structure Validation Report ===');
-    console.log(`Total Files: ${this.stats.totalFiles}`);
-    console.log(`Valid Files: ${this.stats.validFiles}`);
-    console.log(`Invalid Files: ${this.stats.invalidFiles}`);
-    console.log(`Validation Rate: ${((this.stats.validFiles / this.stats.totalFiles) * 100).toFixed(1)}%`);
+    if (this.cache) {
+      this.log(`Cached Results Reused: ${this.stats.cachedFiles}`);
+    }
+
+    if (this.changedSince) {
+      this.log(`Unchanged Files Skipped: ${this.stats.skippedFiles} (since ${this.changedSince})`);
+    }
 
     if (this.issues.length > 0) {
-      console.log('\nFiles with Issues:');
+      this.log('\nFiles with Issues:');
       this.issues.forEach(file => {
-        console.log(`- ${file.file}:`);
+        this.log(`- ${file.file}:`);
         file.issues.forEach(issue => {
-          console.log(`  * ${issue}`);
+          this.log(`  * ${issue}`);
         });
       });
     }
 
-    console.log('\n=== End Report ===');
+    this.log('\n=== End Report ===');
 
     // Self-assessment of this validation script
-    console.log('\n🔄 Self-Assessment of Validation Script:');
-    console.log('Completeness: 90% - Core validation patterns implemented');
-    console.log('Accuracy: 95% - Based on established self-referential patterns');
-    console.log('Improvement Suggestions:');
-    console.log('  - Add automated issue fixing');
-    console.log('  - Implement validation caching');
-    console.log('  - Add detailed reporting options');
+    this.log('\n🔄 Self-Assessment of Validation Script:');
+    this.log('Completeness: 90% - Core validation patterns implemented');
+    this.log('Accuracy: 95% - Based on established self-referential patterns');
+    this.log('Improvement Suggestions:');
+    this.log('  - Add detailed reporting options');
+  }
+
+  getValidationRate() {
+    return this.stats.totalFiles > 0 ? (this.stats.validFiles / this.stats.totalFiles) * 100 : 0;
+  }
+
+  createReport() {
+    const validationRate = Number(this.getValidationRate().toFixed(1));
+
+    return this.output.createReport({
+      status: this.stats.invalidFiles === 0 ? 'passed' : 'failed',
+      summary: { ...this.stats, validationRate, ...(this.changedSince && { changedSince: this.changedSince }) },
+      results: this.results,
+      issues: this.issues.flatMap(file => file.findings.map(finding =>
+        this.output.createIssue({ file: file.file, ...finding })
+      ))
+    });
   }
 }
 
-// Self-assessment of this validation script
-console.log('=== Self-Referential Validator Self-Assessment ===');
-console.log('Completeness: 85% - Core validation logic implemented');
-console.log('Accuracy: 90% - Based on established patterns');
-console.log('Evolution Triggers:');
-console.log('  - If validation fails: Generate improvement suggestions');
-console.log('  - If new patterns emerge: Update validation rules');
-console.log('  - If performance issues: Optimize validation logic');
-console.log('=== End Self-Assessment ===\n');
+// Self-assessment of this validation script, printed when run from the command line
+function printSelfAssessment(log) {
+  log('=== Self-Referential Validator Self-Assessment ===');
+  log('Completeness: 85% - Core validation logic implemented');
+  log('Accuracy: 90% - Based on established patterns');
+  log('Evolution Triggers:');
+  log('  - If validation fails: Generate improvement suggestions');
+  log('  - If new patterns emerge: Update validation rules');
+  log('  - If performance issues: Optimize validation logic');
+  log('=== End Self-Assessment ===\n');
+}
 
 // Run validation if this script is executed directly
 if (require.main === module) {
-  const validator = new SelfReferentialValidator();
+  const args = process.argv.slice(2);
+
+  let format;
+  try {
+    format = StructuredOutput.parseFormat(args);
+  } catch (error) {
+    console.error(error.message);
+    process.exit(1);
+  }
+
+  // Structured formats keep stdout for the report
+  printSelfAssessment(format === 'text' ? console.log : console.error);
+
+  let validator;
+  try {
+    validator = new SelfReferentialValidator({
+      format,
+      fix: hasFlag(args, 'fix'),
+      dryRun: hasFlag(args, 'dry-run'),
+      rulesFile: getPathOption(args, 'rules'),
+      changedSince: getOption(args, 'changed-since'),
+      cache: !hasFlag(args, 'no-cache'),
+      projectRoot: getPathOption(args, 'root'),
+      docsPath: getPathOption(args, 'docs')
+    });
+  } catch (error) {
+    console.error(`❌ ${error.message}`);
+    process.exit(1);
+  }
+
   validator.validate().catch(console.error);
 }
 
@@ -0,0 +1,109 @@
+const test = require('node:test');
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  createAssessmentResults,
+  readAssessmentResults,
+  writeAssessmentResults,
+  SCHEMA_VERSION
+} = require('../scripts/lib/assessment-results');
+
+const NOW = new Date('2026-06-01T00:00:00Z');
+
+function createDir() {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'selfref-assessment-'));
+  process.on('exit', () => fs.rmSync(dir, { recursive: true, force: true }));
+  return dir;
+}
+
+const assessment = (file, overallScore, grade) => ({
+  file,
+  profile: 'default',
+  overallScore,
+  grade,
+  scores: { completeness: overallScore, accuracy: overallScore, relevance: overallScore, quality: overallScore },
+  subScores: {},
+  thresholds: {},
+  suggestions: []
+});
+
+test('results rank documents needing improvement lowest score first', () => {
+  const results = createAssessmentResults([
+    assessment('guides/setup.md', 62.04, 'Fair'),
+    assessment('index.md', 95, 'Excellent'),
+    assessment(path.join('api', 'engine.md'), 41.56, 'Poor'),
+    assessment('faq.md', 55, 'Fair'),
+    assessment('about.md', 75, 'Good')
+  ], { now: NOW });
+
+  assert.strictEqual(results.schemaVersion, SCHEMA_VERSION);
+  assert.strictEqual(results.generatedAt, '2026-06-01T00:00:00.000Z');
+  assert.deepStrictEqual(results.needsImprovement, ['api/engine.md', 'faq.md', 'guides/setup.md']);
+  assert.deepStrictEqual(results.documents.map(document => [document.file, document.overallScore]), [
+    ['about.md', 75], ['api/engine.md', 41.6], ['faq.md', 55], ['guides/setup.md', 62], ['index.md', 95]
+  ]);
+  assert.deepStrictEqual(results.gradeDistribution, { Good: 1, Poor: 1, Fair: 2, Excellent: 1 });
+  assert.strictEqual(results.averageScore, 65.7);
+});
+
+test('documents not assessed this run are carried over when keep() allows', () => {
+  const previous = createAssessmentResults([
+    assessment('a.md', 40, 'Poor'),
+    assessment('b.md', 80, 'Good'),
+    assessment('deleted.md', 30, 'Poor')
+  ], { now: new Date('2026-05-01T00:00:00Z') });
+
+  const results = createAssessmentResults([assessment('a.md', 90, 'Excellent')], {
+    previous,
+    keep: file => file !== 'deleted.md',
+    now: NOW
+  });
+
+  assert.deepStrictEqual(results.documents.map(document => [document.file, document.grade, document.assessedAt]), [
+    ['a.md', 'Excellent', '2026-06-01T00:00:00.000Z'],
+    ['b.md', 'Good', '2026-05-01T00:00:00.000Z']
+  ]);
+  assert.deepStrictEqual(results.needsImprovement, []);
+  assert.strictEqual(results.averageScore, 85);
+
+  // Without keep() nothing is carried over
+  assert.deepStrictEqual(createAssessmentResults([], { previous, now: NOW }).documents, []);
+  assert.strictEqual(createAssessmentResults([], { previous, now: NOW }).averageScore, null);
+});
+
+test('written results read back unchanged', () => {
+  const file = path.join(createDir(), 'triggers', 'latest-assessment.json');
+  const results = createAssessmentResults([assessment('a.md', 40, 'Poor')], { now: NOW });
+
+  writeAssessmentResults(file, results);
+
+  assert.deepStrictEqual(readAssessmentResults(file), results);
+});
+
+test('results without a schemaVersion, or with a newer one, are rejected', () => {
+  const dir = createDir();
+  const write = (name, content) => {
+    const file = path.join(dir, name);
+    fs.writeFileSync(file, typeof content === 'string' ? content : JSON.stringify(content));
+    return file;
+  };
+
+  const legacy = write('legacy.json', { needsImprovement: ['a.md'] });
+  assert.throws(() => readAssessmentResults(legacy), { message: `${legacy} has no schemaVersion; run self-assess.js to regenerate it` });
+
+  const newer = write('newer.json', { schemaVersion: SCHEMA_VERSION + 1 });
+  assert.throws(() => readAssessmentResults(newer),
+    { message: `${newer} uses schema version ${SCHEMA_VERSION + 1}, newer than the supported ${SCHEMA_VERSION}` });
+
+  const text = write('text.json', { schemaVersion: '1' });
+  assert.throws(() => readAssessmentResults(text), /has no schemaVersion/);
+
+  const broken = write('broken.json', '{');
+  assert.throws(() => readAssessmentResults(broken), /^Error: Could not parse .*broken\.json: /);
+
+  // Lists missing from an older writer default to empty
+  const minimal = write('minimal.json', { schemaVersion: SCHEMA_VERSION });
+  assert.deepStrictEqual(readAssessmentResults(minimal), { schemaVersion: SCHEMA_VERSION, needsImprovement: [], documents: [] });
+});
@@ -0,0 +1,145 @@
+const test = require('node:test');
+const assert = require('assert');
+const { verifyCodeBlocks, RUN_TIMEOUT_MS } = require('../scripts/lib/code-blocks');
+const { parseMarkdown } = require('../scripts/lib/markdown-ast');
+
+// A document whose only code block opens on line 3, so its code starts on line 4
+async function verify(lang, code, options) {
+  return verifyCodeBlocks(await parseMarkdown(`# Title\n\n\`\`\`${lang}\n${code}\n\`\`\`\n`), options);
+}
+
+async function findingOf(lang, code, options) {
+  const { findings } = await verify(lang, code, options);
+  assert.strictEqual(findings.length, 1, `expected one finding for ${lang} block`);
+  const { rule, message, line, column } = findings[0];
+  return { rule, message, line, column };
+}
+
+test('JSON blocks must parse', async () => {
+  assert.deepStrictEqual(await verify('json', '{ "a": [1, 2] }'), { checked: 1, ran: 0, failed: 0, findings: [] });
+  // The wording of JSON.parse errors differs between Node versions
+  const { message, ...finding } = await findingOf('json', '{\n  "a": 1,\n}');
+  assert.match(message, /^Invalid JSON: /);
+  assert.deepStrictEqual(finding, { rule: 'invalid-json', line: 6, column: 1 });
+});
+
+test('YAML blocks must parse, several documents included', async () => {
+  assert.strictEqual((await verify('yaml', 'a: 1\n---\nb: 2')).failed, 0);
+  assert.deepStrictEqual(await findingOf('yml', 'a: 1\na: 2'), {
+    rule: 'invalid-yaml',
+    message: 'Invalid YAML: duplicated mapping key',
+    line: 5,
+    column: 1
+  });
+  assert.deepStrictEqual(await findingOf('yaml', 'a:\n  - b\n c: d'), {
+    rule: 'invalid-yaml',
+    message: 'Invalid YAML: bad indentation of a mapping entry',
+    line: 6,
+    column: 2
+  });
+});
+
+test('JavaScript passes as a script, async body, class body, expression or module', async () => {
+  const snippets = [
+    ['js', 'const total = [1, 2].reduce((a, b) => a + b, 0);'],
+    ['js', 'const response = await fetch(url);'],
+    ['javascript', 'async run() {\n  return 1;\n}'],
+    ['node', '{\n  name: "docs",\n  strict: true\n}'],
+    ['js', "import fs from 'fs';\nexport const files = fs.readdirSync('.');"],
+    ['mjs', 'export default 1;']
+  ];
+
+  for (const [lang, code] of snippets) {
+    assert.deepStrictEqual((await verify(lang, code)).findings, [], code);
+  }
+});
+
+test('JavaScript syntax errors point at the file line and column', async () => {
+  assert.deepStrictEqual(await findingOf('js', 'const a = ;'), {
+    rule: 'invalid-javascript',
+    message: "Invalid JavaScript: Unexpected token ';'",
+    line: 4,
+    column: 11
+  });
+  assert.deepStrictEqual(await findingOf('js', 'const a = 1;\nlet b = (;'), {
+    rule: 'invalid-javascript',
+    message: "Invalid JavaScript: Unexpected token ';'",
+    line: 5,
+    column: 10
+  });
+  assert.deepStrictEqual(await findingOf('mjs', 'export const = 1;'), {
+    rule: 'invalid-javascript',
+    message: "Invalid JavaScript: Unexpected token '='",
+    line: 4,
+    column: 14
+  });
+});
+
+test('nocheck blocks and other languages are skipped', async () => {
+  assert.strictEqual((await verify('js nocheck', 'const a = ...;')).checked, 0);
+  assert.strictEqual((await verify('python', 'print(')).checked, 0);
+});
+
+test('runnable blocks run without the parent environment', async () => {
+  const code = "const env = this.constructor.constructor('return process')().env;\nconsole.log(Object.keys(env).length); // => 0";
+  assert.strictEqual((await verify('js runnable', code, { run: true })).failed, 0);
+});
+
+test('runnable blocks do not run unless asked to', async () => {
+  const code = "this.constructor.constructor('return globalThis')().selfrefExampleRan = true;";
+
+  assert.deepStrictEqual(await verify('js runnable', code), { checked: 1, ran: 0, failed: 0, findings: [] });
+  assert.strictEqual(globalThis.selfrefExampleRan, undefined);
+});
+
+test('runnable output is compared with the // => annotations', async () => {
+  const code = 'const double = n => n * 2;\nconsole.log(double(21)); // => 42\nconsole.log([1, 2].map(double)); // => [ 2, 4 ]';
+  assert.deepStrictEqual(await verify('javascript runnable', code, { run: true }), { checked: 1, ran: 1, failed: 0, findings: [] });
+  assert.strictEqual((await verify('js runnable', 'const v = await Promise.resolve(5);\nconsole.log(v); // => 5', { run: true })).failed, 0);
+
+  assert.deepStrictEqual(await findingOf('js runnable', 'console.log(1); // => 1\nconsole.log(3); // => 2', { run: true }), {
+    rule: 'unexpected-output',
+    message: 'Expected output "2", got "3"',
+    line: 5,
+    column: 17
+  });
+  assert.deepStrictEqual(await findingOf('js runnable', 'console.log(1); // => 1\n// => 2', { run: true }), {
+    rule: 'unexpected-output',
+    message: 'Expected output "2", but the example printed nothing more',
+    line: 5,
+    column: 1
+  });
+});
+
+test('runnable errors are findings on the line that threw', async () => {
+  assert.deepStrictEqual(await findingOf('js runnable', 'const a = 1;\nnull.x;', { run: true }), {
+    rule: 'runnable-error',
+    message: "Runnable example failed: TypeError: Cannot read properties of null (reading 'x')",
+    line: 5,
+    column: 1
+  });
+  assert.deepStrictEqual(await findingOf('js runnable', 'await null;\nthrow new Error("late");', { run: true }), {
+    rule: 'runnable-error',
+    message: 'Runnable example failed: Error: late',
+    line: 5,
+    column: 7
+  });
+  assert.strictEqual((await findingOf('js runnable', 'throw 42;', { run: true })).message, 'Runnable example failed: Threw 42');
+  assert.strictEqual((await findingOf('js runnable', "require('fs');", { run: true })).message,
+    'Runnable example failed: ReferenceError: require is not defined');
+  // A class body compiles, but there is nothing to run
+  assert.strictEqual((await findingOf('js runnable', 'method() {}', { run: true })).rule, 'invalid-javascript');
+});
+
+test('runnable blocks stop after the timeout', async () => {
+  assert.strictEqual((await findingOf('js runnable', 'while (true) {}', { run: true })).message,
+    `Runnable example failed: Error: Script execution timed out after ${RUN_TIMEOUT_MS}ms`);
+  assert.strictEqual((await findingOf('js runnable', 'await new Promise(() => {});', { run: true })).message,
+    'Runnable example failed: Error: Promise never settles');
+
+  // Code after an await runs outside the vm timeout; the child process is killed instead
+  const started = Date.now();
+  assert.strictEqual((await findingOf('js runnable', 'await null;\nwhile (true) {}', { run: true })).message,
+    `Runnable example failed: Error: Still running after ${RUN_TIMEOUT_MS}ms`);
+  assert.ok(Date.now() - started < RUN_TIMEOUT_MS + 5000);
+});
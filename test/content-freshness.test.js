@@ -0,0 +1,154 @@
+const test = require('node:test');
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFileSync } = require('child_process');
+const ContentFreshness = require('../scripts/lib/content-freshness');
+
+const NOW = Date.parse('2026-06-01T00:00:00Z');
+
+function createProject() {
+  const projectRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'selfref-freshness-'));
+  process.on('exit', () => fs.rmSync(projectRoot, { recursive: true, force: true }));
+
+  const write = (file, content) => {
+    fs.mkdirSync(path.dirname(path.join(projectRoot, file)), { recursive: true });
+    fs.writeFileSync(path.join(projectRoot, file), content);
+  };
+  const git = (args, env = {}) => execFileSync('git', ['-c', 'commit.gpgsign=false', ...args], {
+    cwd: projectRoot,
+    env: { ...process.env, ...env },
+    stdio: ['ignore', 'pipe', 'pipe']
+  });
+  const commit = (subject, author, date) => {
+    git(['add', '-A']);
+    git(['commit', '-q', '-m', subject], {
+      GIT_AUTHOR_NAME: author,
+      GIT_AUTHOR_EMAIL: `${author.replace(/\W/g, '')}@example.com`,
+      GIT_COMMITTER_NAME: author,
+      GIT_COMMITTER_EMAIL: 'committer@example.com',
+      GIT_AUTHOR_DATE: date,
+      GIT_COMMITTER_DATE: date
+    });
+  };
+
+  git(['init', '-q']);
+  return { projectRoot, write, git, commit };
+}
+
+const byFile = (result) => Object.fromEntries(result.documents.map(document => [document.file, document]));
+
+test('documents are dated by their last substantive commit', () => {
+  const { projectRoot, write, git, commit } = createProject();
+  write('docs/guide.md', '# Guide\n\nStart here.\n');
+  write('docs/old-name.md', '# Moved\n\nSame text.\n');
+  write('docs/api/ref.md', '# Reference\n\nCalls.\n');
+  commit('Add docs', 'Alice', '2026-01-01T00:00:00Z');
+
+  write('docs/guide.md', '# Guide\n\n\nStart   here.  \n\n');
+  commit('Reformat guide', 'Bob', '2026-03-01T00:00:00Z');
+
+  write('docs/api/ref.md', '# Reference\n\nCalls and more calls.\n');
+  write('docs/api/generated.md', '# Generated\n');
+  commit('Bump generated docs', 'dependabot[bot]', '2026-04-01T00:00:00Z');
+
+  git(['mv', 'docs/old-name.md', 'docs/moved.md']);
+  commit('Rename page', 'Carol', '2026-05-01T00:00:00Z');
+
+  write('docs/draft.md', '# Draft\n');
+
+  const documents = byFile(new ContentFreshness({ projectRoot, config: {}, now: NOW }).analyze());
+
+  // Whitespace-only, bot-authored and rename-only commits are all skipped
+  assert.deepStrictEqual(['guide.md', 'api/ref.md', 'moved.md'].map(file => [file, documents[file].lastChanged, documents[file].lastAuthor, documents[file].subject]), [
+    ['guide.md', '2026-01-01T00:00:00.000Z', 'Alice', 'Add docs'],
+    ['api/ref.md', '2026-01-01T00:00:00.000Z', 'Alice', 'Add docs'],
+    ['moved.md', '2026-01-01T00:00:00.000Z', 'Alice', 'Add docs']
+  ]);
+  assert.strictEqual(documents['guide.md'].source, 'git');
+  assert.strictEqual(documents['guide.md'].ageDays, 151);
+
+  // A file only bots ever touched falls back to the commit that created it
+  assert.strictEqual(documents['api/generated.md'].source, 'git-creation');
+  assert.strictEqual(documents['api/generated.md'].lastAuthor, 'dependabot[bot]');
+
+  assert.strictEqual(documents['draft.md'].source, 'untracked');
+  assert.strictEqual(documents['draft.md'].commit, null);
+});
+
+test('bot authors are configurable and match name or email case-insensitively', () => {
+  const { projectRoot, write, commit } = createProject();
+  write('docs/page.md', '# Page\n');
+  commit('Add page', 'Alice', '2026-01-01T00:00:00Z');
+  write('docs/page.md', '# Page\n\nSynced.\n');
+  commit('Sync', 'Docs Syncer', '2026-02-01T00:00:00Z');
+
+  const analyze = (config) => byFile(new ContentFreshness({ projectRoot, config, now: NOW }).analyze())['page.md'].lastAuthor;
+
+  assert.strictEqual(analyze({}), 'Docs Syncer');
+  assert.strictEqual(analyze({ botAuthors: ['SYNCER'] }), 'Alice');
+  assert.strictEqual(analyze({ botAuthors: ['docssyncer@example.com'] }), 'Alice');
+});
+
+test('per-directory SLAs come from .selfref-freshness.json, the last match winning', () => {
+  const { projectRoot, write, commit } = createProject();
+  write('.selfref-freshness.json', JSON.stringify({
+    defaultSlaDays: 200,
+    slas: [{ files: ['api/**'], days: 365 }, { files: ['api/ref.md'], days: 10 }, { files: ['guides/**'], days: 100 }]
+  }));
+  write('docs/index.md', '# Home\n');
+  write('docs/api/ref.md', '# Reference\n');
+  write('docs/api/other.md', '# Other\n');
+  write('docs/guides/start.md', '# Start\n');
+  write('docs/guides/reviewed.md', '---\nreviewed: 2026-05-20\n---\n# Reviewed\n');
+  commit('Add docs', 'Alice', '2026-01-01T00:00:00Z');
+
+  const freshness = new ContentFreshness({ projectRoot, now: NOW });
+  const result = freshness.analyze();
+  const documents = byFile(result);
+
+  assert.deepStrictEqual(Object.fromEntries(Object.entries(documents).map(([file, document]) => [file, document.slaDays])), {
+    'api/other.md': 365,
+    'api/ref.md': 10,
+    'guides/reviewed.md': 100,
+    'guides/start.md': 100,
+    'index.md': 200
+  });
+
+  // A later review date counts as fresh
+  assert.strictEqual(documents['guides/reviewed.md'].lastReviewed, '2026-05-20T00:00:00.000Z');
+  assert.strictEqual(documents['guides/reviewed.md'].ageDays, 12);
+
+  // Most overdue first
+  assert.deepStrictEqual(result.stale.map(document => document.file), ['api/ref.md', 'guides/start.md']);
+  assert.match(freshness.renderReport(), /^\| api\/ref\.md \| 151 \| 10 \| 2026-01-01 \| Alice \| - \|$/m);
+});
+
+test('invalid SLAs and unreadable config files are rejected', () => {
+  const { projectRoot, write } = createProject();
+
+  assert.throws(() => new ContentFreshness({ projectRoot, config: { slas: [{ files: ['a/**'], days: 0 }] } }),
+    { message: '.selfref-freshness.json: SLA days must be positive numbers' });
+  assert.throws(() => new ContentFreshness({ projectRoot, config: { slas: [{ days: 5 }] } }),
+    { message: '.selfref-freshness.json: every SLA needs files' });
+
+  write('.selfref-freshness.json', '{');
+  assert.throws(() => new ContentFreshness({ projectRoot }), /^Error: Could not parse .*\.selfref-freshness\.json: /);
+});
+
+test('outside a git work tree documents are dated by mtime', () => {
+  const projectRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'selfref-freshness-'));
+  process.on('exit', () => fs.rmSync(projectRoot, { recursive: true, force: true }));
+  fs.mkdirSync(path.join(projectRoot, 'docs'));
+  fs.writeFileSync(path.join(projectRoot, 'docs', 'page.md'), '# Page\n');
+  const mtime = new Date('2026-05-01T00:00:00Z');
+  fs.utimesSync(path.join(projectRoot, 'docs', 'page.md'), mtime, mtime);
+
+  const result = new ContentFreshness({ projectRoot, config: {}, now: NOW }).analyze();
+
+  assert.strictEqual(result.source, 'mtime');
+  assert.strictEqual(result.provenance, 'filesystem mtime (not a git work tree)');
+  assert.strictEqual(result.documents[0].lastChanged, '2026-05-01T00:00:00.000Z');
+  assert.strictEqual(result.documents[0].ageDays, 31);
+});
@@ -0,0 +1,106 @@
+const test = require('node:test');
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const EvolutionProposals = require('../scripts/lib/evolution-proposals');
+
+function createProject(files = {}) {
+  const projectRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'selfref-proposals-'));
+  process.on('exit', () => fs.rmSync(projectRoot, { recursive: true, force: true }));
+  Object.entries(files).forEach(([file, content]) => {
+    fs.mkdirSync(path.dirname(path.join(projectRoot, 'docs', file)), { recursive: true });
+    fs.writeFileSync(path.join(projectRoot, 'docs', file), content);
+  });
+
+  const docsPath = path.join(projectRoot, 'docs');
+  return { projectRoot, docsPath, proposals: new EvolutionProposals({ projectRoot, docsPath }) };
+}
+
+test('create() records a pending proposal with its patch and leaves the document alone', () => {
+  const { docsPath, proposals } = createProject({ 'page.md': '# Page\n' });
+  const filePath = path.join(docsPath, 'page.md');
+
+  const { proposal, created } = proposals.create({ filePath, content: '# Page\n\nMore.\n', action: 'test', description: 'Add more' });
+
+  assert.strictEqual(created, true);
+  assert.strictEqual(proposal.status, 'pending');
+  assert.strictEqual(proposal.file, 'page.md');
+  assert.strictEqual(proposal.createsFile, false);
+  assert.match(proposals.getDiff(proposal), /^--- a\/docs\/page\.md\n\+\+\+ b\/docs\/page\.md\n/);
+  assert.strictEqual(fs.readFileSync(filePath, 'utf8'), '# Page\n');
+  assert.strictEqual(new EvolutionProposals({ projectRoot: path.dirname(docsPath), docsPath }).list('pending').length, 1);
+});
+
+test('create() returns null for unchanged content and reuses an identical proposal', () => {
+  const { docsPath, proposals } = createProject({ 'page.md': '# Page\n' });
+  const filePath = path.join(docsPath, 'page.md');
+
+  assert.strictEqual(proposals.create({ filePath, content: '# Page\n', action: 'test' }), null);
+
+  const first = proposals.create({ filePath, content: '# Page\n\nA.\n', action: 'test' });
+  const again = proposals.create({ filePath, content: '# Page\n\nA.\n', action: 'test' });
+  assert.strictEqual(again.created, false);
+  assert.strictEqual(again.proposal.id, first.proposal.id);
+});
+
+test('a newer proposal for the same file and action supersedes the pending one', () => {
+  const { docsPath, proposals } = createProject({ 'page.md': '# Page\n' });
+  const filePath = path.join(docsPath, 'page.md');
+
+  const first = proposals.create({ filePath, content: '# Page\n\nA.\n', action: 'test' }).proposal;
+  proposals.create({ filePath, content: '# Page\n\nB.\n', action: 'test' });
+
+  assert.strictEqual(first.status, 'superseded');
+  assert.strictEqual(proposals.list('pending').length, 1);
+});
+
+test('apply() writes the proposed content, including new files', () => {
+  const { docsPath, proposals } = createProject({ 'page.md': '# Page\n\nText.\n' });
+  const filePath = path.join(docsPath, 'page.md');
+  const newFile = path.join(docsPath, 'new', 'page.md');
+
+  const edit = proposals.create({ filePath, content: '# Page\n\nIntro.\n\nText.\n', action: 'test' }).proposal;
+  const creation = proposals.create({ filePath: newFile, content: '# New\n', action: 'test' }).proposal;
+
+  assert.strictEqual(proposals.apply(edit.id, 'reviewer').status, 'applied');
+  assert.strictEqual(edit.appliedBy, 'reviewer');
+  assert.strictEqual(fs.readFileSync(filePath, 'utf8'), '# Page\n\nIntro.\n\nText.\n');
+
+  assert.strictEqual(creation.createsFile, true);
+  proposals.apply(creation.id, 'reviewer');
+  assert.strictEqual(fs.readFileSync(newFile, 'utf8'), '# New\n');
+});
+
+test('apply() refuses a proposal whose document changed since', () => {
+  const { docsPath, proposals } = createProject({ 'page.md': '# Page\n' });
+  const filePath = path.join(docsPath, 'page.md');
+
+  const { proposal } = proposals.create({ filePath, content: '# Page\n\nA.\n', action: 'test' });
+  fs.writeFileSync(filePath, '# Page, edited\n');
+
+  assert.throws(() => proposals.apply(proposal.id, 'reviewer'), /page\.md changed since proposal/);
+  assert.strictEqual(proposal.status, 'pending');
+});
+
+test('a rejected proposal stays rejected until the document changes', () => {
+  const { docsPath, proposals } = createProject({ 'page.md': '# Page\n' });
+  const filePath = path.join(docsPath, 'page.md');
+
+  const { proposal } = proposals.create({ filePath, content: '# Page\n\nA.\n', action: 'test' });
+  proposals.reject(proposal.id, 'reviewer', 'not needed');
+
+  const again = proposals.create({ filePath, content: '# Page\n\nA.\n', action: 'test' });
+  assert.strictEqual(again.created, false);
+  assert.strictEqual(again.proposal.status, 'rejected');
+  assert.strictEqual(again.proposal.reason, 'not needed');
+  assert.throws(() => proposals.apply(proposal.id, 'reviewer'), /is rejected, not pending/);
+
+  fs.writeFileSync(filePath, '# Page\n\nEdited.\n');
+  assert.strictEqual(proposals.create({ filePath, content: '# Page\n\nEdited.\n\nA.\n', action: 'test' }).created, true);
+});
+
+test('unknown proposal ids are reported', () => {
+  const { proposals } = createProject();
+  assert.throws(() => proposals.apply('proposal_missing', 'reviewer'), /Unknown proposal: proposal_missing/);
+});
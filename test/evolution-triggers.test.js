@@ -0,0 +1,121 @@
+const test = require('node:test');
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const EvolutionTriggerSystem = require('../scripts/evolution-triggers');
+
+const silent = { log: () => {}, warn: () => {}, error: () => {} };
+const EXPERIMENT_PAGE = path.join('experiments', 'interactive-examples.md');
+
+// Files under docs/, plus files at the project root such as .selfref-usage.json
+function createSystem(files = {}, rootFiles = {}) {
+  const projectRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'selfref-triggers-'));
+  process.on('exit', () => fs.rmSync(projectRoot, { recursive: true, force: true }));
+  Object.entries(files).forEach(([file, content]) => {
+    fs.mkdirSync(path.dirname(path.join(projectRoot, 'docs', file)), { recursive: true });
+    fs.writeFileSync(path.join(projectRoot, 'docs', file), content);
+  });
+  Object.entries(rootFiles).forEach(([file, content]) => fs.writeFileSync(path.join(projectRoot, file), content));
+
+  return new EvolutionTriggerSystem({ projectRoot, logger: silent });
+}
+
+function applyAll(system) {
+  system.proposals.list('pending').forEach(proposal => system.proposals.apply(proposal.id, 'tester'));
+  return fs.readFileSync(path.join(system.docsPath, EXPERIMENT_PAGE), 'utf8');
+}
+
+test('a missing experiment page is proposed in full', async () => {
+  const system = createSystem();
+  await system.experimentNewFormats();
+
+  const [proposal] = system.proposals.list('pending');
+  assert.strictEqual(proposal.createsFile, true);
+  assert.match(applyAll(system), /### Planned Experiments\n\n- \[ \] Click-to-run code examples\n/);
+});
+
+test('an existing page gets only the missing experiments, and keeps its sections', async () => {
+  const page = [
+    '# Experiments',
+    '',
+    '## Planned Experiments',
+    '',
+    '- [x] Click-to-run code examples',
+    '- [ ] Real-time feedback forms',
+    '',
+    '## Results',
+    '',
+    'Readers used the runnable examples.',
+    ''
+  ].join('\n');
+  const system = createSystem({ [EXPERIMENT_PAGE]: page });
+  await system.experimentNewFormats();
+
+  assert.strictEqual(system.proposals.list('pending')[0].description, 'Add 2 planned experiments to the experiment page');
+  assert.strictEqual(applyAll(system), [
+    '# Experiments',
+    '',
+    '## Planned Experiments',
+    '',
+    '- [x] Click-to-run code examples',
+    '- [ ] Real-time feedback forms',
+    '- [ ] Interactive decision trees',
+    '- [ ] Collaborative annotation system',
+    '',
+    '## Results',
+    '',
+    'Readers used the runnable examples.',
+    ''
+  ].join('\n'));
+});
+
+test('a page without a planned experiments list gets one appended', async () => {
+  const system = createSystem({ [EXPERIMENT_PAGE]: '# Experiments\n\nNotes.\n\n' });
+  await system.experimentNewFormats();
+
+  assert.strictEqual(applyAll(system), '# Experiments\n\nNotes.\n\n## Planned Experiments\n\n' +
+    '- [ ] Click-to-run code examples\n- [ ] Interactive decision trees\n' +
+    '- [ ] Real-time feedback forms\n- [ ] Collaborative annotation system\n');
+});
+
+test('nothing is proposed when the page lists every experiment', async () => {
+  const page = '# Experiments\n\n- Click-to-run code examples\n- Interactive decision trees\n' +
+               '- Real-time feedback forms\n- Collaborative annotation system\n';
+  const system = createSystem({ [EXPERIMENT_PAGE]: page });
+  await system.experimentNewFormats();
+
+  assert.deepStrictEqual(system.proposals.list(), []);
+});
+
+test('the user satisfaction report lists the least accessed pages and top searches', async () => {
+  const now = new Date().toISOString();
+  const events = [
+    ...Array.from({ length: 4 }, (_, index) => ({ type: 'pageview', path: '/docs/index.html', timestamp: now, visitor: `v${index}` })),
+    { type: 'pageview', path: '/docs/guide.html', timestamp: now, visitor: 'v1', dwellMs: 30000 },
+    { type: 'search', query: 'Setup', timestamp: now },
+    { type: 'search', query: 'setup', timestamp: now },
+    { type: 'search', query: 'loop', timestamp: now }
+  ];
+  const system = createSystem({ 'index.md': '# Home\n', 'guide.md': '# Guide\n', 'faq.md': '# FAQ\n' }, {
+    'events.jsonl': events.map(event => JSON.stringify(event)).join('\n') + '\n',
+    '.selfref-usage.json': JSON.stringify({ sources: [{ type: 'events', files: ['events.jsonl'] }] })
+  });
+
+  await system.improveUserSatisfaction();
+
+  const report = fs.readFileSync(path.join(system.triggersPath, 'user-satisfaction-report.md'), 'utf8');
+  assert.match(report, /^5 page views and 3 searches over the last 30 days from 1 file$/m);
+  assert.match(report, /\| faq\.md \| 0 \| 0 \| - \|\n\| guide\.md \| 1 \| 1 \| 30s \|\n/);
+  assert.match(report, /\| setup \| 2 \|\n\| loop \| 1 \|\n/);
+});
+
+test('without usage data the user satisfaction report says so', async () => {
+  const system = createSystem({ 'index.md': '# Home\n' });
+  await system.improveUserSatisfaction();
+
+  const report = fs.readFileSync(path.join(system.triggersPath, 'user-satisfaction-report.md'), 'utf8');
+  assert.match(report, /No usage data source configured \(\.selfref-usage\.json\)/);
+  assert.match(report, /No documents below the average number of views\./);
+  assert.match(report, /No searches recorded\./);
+});
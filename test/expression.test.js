@@ -0,0 +1,91 @@
+const test = require('node:test');
+const assert = require('assert');
+const { compile, parse } = require('../scripts/lib/expression');
+
+const context = {
+  assessment: { averageScore: 72.5, needsImprovement: [] },
+  health: { trend: -7, linkIntegrity: 100 },
+  docs: { file: 'api/users.md', category: 'api', tags: ['pmcro', 'rest'], owner: null }
+};
+
+const check = source => compile(source).test(context);
+
+test('literals: numbers, negative numbers, strings, booleans and null', () => {
+  assert.strictEqual(compile('42').evaluate({}), 42);
+  assert.strictEqual(compile('-0.5').evaluate({}), -0.5);
+  assert.strictEqual(compile('"a \\"quoted\\" word"').evaluate({}), 'a "quoted" word');
+  assert.strictEqual(compile("'single'").evaluate({}), 'single');
+  assert.strictEqual(compile('true').evaluate({}), true);
+  assert.strictEqual(compile('null').evaluate({}), null);
+});
+
+test('a leading minus compares against negative values', () => {
+  assert.ok(check('health.trend < -5'));
+  assert.ok(!check('health.trend<-10'));
+  assert.ok(check('health.trend == -7'));
+});
+
+test('&& binds tighter than ||, and ! tighter than both', () => {
+  // Read as true || (false && false)
+  assert.ok(check('docs.category == "api" || docs.owner == "x" && false'));
+  assert.ok(!check('(docs.category == "api" || docs.owner == "x") && false'));
+  assert.ok(check('!false && true'));
+  assert.ok(!check('!(true || false)'));
+  assert.deepStrictEqual(parse('a || b && !c'), {
+    type: 'or',
+    left: { type: 'path', value: ['a'] },
+    right: { type: 'and', left: { type: 'path', value: ['b'] }, right: { type: 'not', operand: { type: 'path', value: ['c'] } } }
+  });
+});
+
+test('ordering comparisons need two numbers or two strings', () => {
+  assert.ok(check('assessment.averageScore >= 72.5'));
+  assert.ok(check('docs.category < "b"'));
+  assert.ok(!check('docs.owner < 80'));
+  assert.ok(!check('docs.category > 1'));
+});
+
+test('contains tests list membership and substrings, matches a glob', () => {
+  assert.ok(check('docs.tags contains "pmcro"'));
+  assert.ok(!check('docs.tags contains "pm"'));
+  assert.ok(check('docs.file contains "users"'));
+  assert.ok(!check('docs.owner contains "a"'));
+  assert.ok(check('docs.file matches "api/**"'));
+  assert.ok(!check('docs.file matches "guides/*.md"'));
+  assert.ok(!check('docs.tags matches "*"'));
+});
+
+test('missing paths are undefined and empty lists are false', () => {
+  assert.strictEqual(compile('docs.missing.deeper').evaluate(context), undefined);
+  assert.ok(!check('docs.missing'));
+  assert.ok(!check('docs.missing < 5'));
+  assert.ok(check('docs.missing != null'));
+  assert.ok(!check('assessment.needsImprovement'));
+  assert.ok(check('assessment.needsImprovement.length == 0'));
+});
+
+test('paths never reach the prototype chain', () => {
+  assert.strictEqual(compile('docs.constructor').evaluate(context), undefined);
+  assert.strictEqual(compile('docs.toString').evaluate(context), undefined);
+  assert.strictEqual(compile('docs.tags.constructor').evaluate(context), undefined);
+  assert.strictEqual(compile('docs.file.length').evaluate(context), 12);
+});
+
+test('roots lists the namespaces an expression reads', () => {
+  assert.deepStrictEqual(compile('assessment.averageScore < 70 && (docs.file matches "a" || assessment.x)').roots, ['assessment', 'docs']);
+});
+
+test('syntax errors say what was wrong and where', () => {
+  const cases = [
+    ['', 'Expression is empty'],
+    ['a <', 'Expected a value at end of expression'],
+    ['a < )', 'Unexpected ")" at position 5'],
+    ['a @ b', 'Unexpected "@" at position 3'],
+    ['(a == 1', 'Expected ")" at end of expression'],
+    ['a b.c', 'Unexpected "b.c" at position 3'],
+    ['a < - 5', 'Unexpected "-" at position 5'],
+    ['a == 1 == 2', 'Unexpected "==" at position 8']
+  ];
+
+  cases.forEach(([source, message]) => assert.throws(() => compile(source), { message }, source));
+});
@@ -0,0 +1,160 @@
+const test = require('node:test');
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+const ExternalLinkChecker = require('../scripts/lib/external-link-checker');
+
+// Stand-in for the sites the docs link to; every request is logged
+const ROUTES = {
+  '/ok': () => [200],
+  '/missing': () => [404],
+  '/no-head': method => (method === 'HEAD' ? [405] : [200]),
+  '/moved': () => [301, { Location: '/ok' }],
+  '/gone': () => [302, { Location: 'https://elsewhere.example/missing' }],
+  '/loop': () => [302, { Location: '/loop' }]
+};
+
+async function withServer(callback) {
+  const requests = [];
+  const server = http.createServer((request, response) => {
+    requests.push({ method: request.method, path: request.url, host: request.headers['x-original-host'] });
+    const route = ROUTES[request.url];
+    const [status, headers] = route ? route(request.method) : [404];
+    response.writeHead(status, headers);
+    response.end();
+  });
+
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  try {
+    await callback({ origin: `http://127.0.0.1:${server.address().port}`, requests });
+  } finally {
+    await new Promise(resolve => server.close(resolve));
+  }
+}
+
+function tempCacheFile() {
+  const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'selfref-links-'));
+  process.on('exit', () => fs.rmSync(directory, { recursive: true, force: true }));
+  return path.join(directory, 'external-links.json');
+}
+
+function createChecker(origin, options = {}) {
+  return new ExternalLinkChecker({ origin, perHostIntervalMs: 0, ...options });
+}
+
+test('a 200 is ok and a 404 is dead', () => withServer(async ({ origin, requests }) => {
+  const results = await createChecker(origin).checkAll(['https://docs.example/ok', 'https://docs.example/missing']);
+
+  assert.strictEqual(results.get('https://docs.example/ok').state, 'ok');
+  assert.strictEqual(results.get('https://docs.example/ok').status, 200);
+  assert.strictEqual(results.get('https://docs.example/missing').state, 'dead');
+  assert.strictEqual(results.get('https://docs.example/missing').status, 404);
+  assert.ok(requests.every(request => request.method === 'HEAD' && request.host === 'docs.example'));
+}));
+
+test('only rewritten requests say which host they were for', () => withServer(async ({ origin, requests }) => {
+  const results = await createChecker(null).checkAll([`${origin}/ok`]);
+
+  assert.strictEqual(results.get(`${origin}/ok`).state, 'ok');
+  assert.deepStrictEqual(requests, [{ method: 'HEAD', path: '/ok', host: undefined }]);
+}));
+
+test('a refused HEAD falls back to GET', () => withServer(async ({ origin, requests }) => {
+  const results = await createChecker(origin).checkAll(['https://docs.example/no-head']);
+
+  assert.strictEqual(results.get('https://docs.example/no-head').state, 'ok');
+  assert.deepStrictEqual(requests.map(request => request.method), ['HEAD', 'GET']);
+}));
+
+test('redirects are followed and the final target recorded', () => withServer(async ({ origin, requests }) => {
+  const checker = createChecker(origin);
+  const results = await checker.checkAll(['https://docs.example/moved', 'https://docs.example/gone']);
+
+  const moved = results.get('https://docs.example/moved');
+  assert.strictEqual(moved.state, 'redirected');
+  assert.strictEqual(moved.status, 200);
+  assert.strictEqual(moved.redirectTarget, 'https://docs.example/ok');
+
+  // A redirect to a page that does not exist is dead, on the host it moved to
+  const gone = results.get('https://docs.example/gone');
+  assert.strictEqual(gone.state, 'dead');
+  assert.strictEqual(gone.status, 404);
+  assert.strictEqual(gone.redirectTarget, 'https://elsewhere.example/missing');
+  assert.ok(requests.some(request => request.host === 'elsewhere.example' && request.path === '/missing'));
+}));
+
+test('a redirect loop stops after maxRedirects', () => withServer(async ({ origin, requests }) => {
+  const results = await createChecker(origin, { maxRedirects: 3 }).checkAll(['https://docs.example/loop']);
+  const entry = results.get('https://docs.example/loop');
+
+  assert.strictEqual(entry.state, 'dead');
+  assert.strictEqual(entry.error, 'More than 3 redirects');
+  assert.strictEqual(requests.length, 4);
+}));
+
+test('an unreachable server is dead with the error', async () => {
+  const results = await createChecker('http://127.0.0.1:1', { timeoutMs: 2000 }).checkAll(['https://docs.example/ok']);
+  const entry = results.get('https://docs.example/ok');
+
+  assert.strictEqual(entry.state, 'dead');
+  assert.strictEqual(entry.status, null);
+  assert.ok(entry.error);
+});
+
+test('results are cached on disk and reused until they expire', () => withServer(async ({ origin, requests }) => {
+  const cacheFile = tempCacheFile();
+  const urls = ['https://docs.example/ok', 'https://docs.example/ok', 'https://docs.example/missing'];
+
+  const first = createChecker(origin, { cacheFile });
+  await first.checkAll(urls);
+  assert.deepStrictEqual(first.stats, { checked: 2, fromCache: 0 });
+  assert.strictEqual(requests.length, 2);
+
+  const saved = JSON.parse(fs.readFileSync(cacheFile, 'utf8'));
+  assert.strictEqual(saved.links['https://docs.example/ok'].state, 'ok');
+
+  const second = createChecker(origin, { cacheFile });
+  const results = await second.checkAll(urls);
+  assert.deepStrictEqual(second.stats, { checked: 0, fromCache: 2 });
+  assert.strictEqual(results.get('https://docs.example/missing').state, 'dead');
+  assert.strictEqual(requests.length, 2);
+
+  const expired = createChecker(origin, { cacheFile, maxAgeMs: 0 });
+  await expired.checkAll(urls);
+  assert.deepStrictEqual(expired.stats, { checked: 2, fromCache: 0 });
+  assert.strictEqual(requests.length, 4);
+}));
+
+test('requests to the same host are spaced, other hosts are not held back', () => withServer(async ({ origin, requests }) => {
+  const interval = 150;
+  const checker = createChecker(origin, { perHostIntervalMs: interval });
+
+  // When each request leaves the checker; arrival times at the server jitter with the machine's load
+  const sent = [];
+  const waitForHost = checker.waitForHost.bind(checker);
+  checker.waitForHost = async host => {
+    await waitForHost(host);
+    sent.push({ host, at: Date.now() });
+  };
+
+  await checker.checkAll([
+    'https://docs.example/ok',
+    'https://docs.example/missing',
+    'https://docs.example/no-head',
+    'https://other.example/ok'
+  ]);
+
+  assert.strictEqual(requests.length, 5);
+  const times = host => sent.filter(request => request.host === host).map(request => request.at);
+  const docs = times('docs.example');
+  assert.strictEqual(docs.length, 4);
+  for (let index = 1; index < docs.length; index++) {
+    // Timers may fire a little early, so allow a few milliseconds
+    assert.ok(docs[index] - docs[index - 1] >= interval - 5, `request ${index} came ${docs[index] - docs[index - 1]}ms after the previous one`);
+  }
+
+  const [other] = times('other.example');
+  assert.ok(other - docs[0] < interval, 'other.example waited for docs.example');
+}));
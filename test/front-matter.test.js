@@ -0,0 +1,65 @@
+const test = require('node:test');
+const assert = require('assert');
+const { parseFrontMatter } = require('../scripts/lib/front-matter');
+
+test('a document without front matter is all body', () => {
+  assert.deepStrictEqual(parseFrontMatter('# Title\n'), {
+    data: {},
+    body: '# Title\n',
+    bodyStartLine: 1,
+    error: null,
+    errorPosition: null
+  });
+});
+
+test('front matter is parsed and the body starts after the closing ---', () => {
+  const result = parseFrontMatter('---\nowner: docs\ntags: [a, b]\n---\n# Title\n');
+
+  assert.deepStrictEqual(result.data, { owner: 'docs', tags: ['a', 'b'] });
+  assert.strictEqual(result.body, '# Title\n');
+  assert.strictEqual(result.bodyStartLine, 5);
+  assert.strictEqual(result.error, null);
+});
+
+test('Windows line endings and a document that ends after the front matter', () => {
+  assert.deepStrictEqual(parseFrontMatter('---\r\nowner: docs\r\n---\r\n# Title\r\n').data, { owner: 'docs' });
+
+  const result = parseFrontMatter('---\nowner: docs\n---');
+  assert.deepStrictEqual(result.data, { owner: 'docs' });
+  assert.strictEqual(result.body, '');
+  assert.strictEqual(result.bodyStartLine, 4);
+});
+
+test('dates stay strings', () => {
+  assert.strictEqual(parseFrontMatter('---\nreviewed: 2024-02-30\n---\n').data.reviewed, '2024-02-30');
+});
+
+test('a --- that does not open the file is not front matter', () => {
+  const content = '# Title\n\n---\nowner: docs\n---\n';
+  assert.deepStrictEqual(parseFrontMatter(content).data, {});
+  assert.strictEqual(parseFrontMatter(content).body, content);
+});
+
+test('invalid YAML is reported with its file position instead of thrown', () => {
+  const result = parseFrontMatter('---\nowner: docs\nstatus: draft\nowner: again\n---\n# Title\n');
+
+  assert.deepStrictEqual(result.data, {});
+  assert.strictEqual(result.error, 'Invalid front matter YAML: duplicated mapping key');
+  assert.deepStrictEqual(result.errorPosition, { line: 4, column: 1 });
+  assert.strictEqual(result.bodyStartLine, 6);
+});
+
+test('front matter that is not a mapping is an error on its first line', () => {
+  const result = parseFrontMatter('---\n- a\n- b\n---\n');
+
+  assert.strictEqual(result.error, 'Front matter must be a mapping of keys to values');
+  assert.deepStrictEqual(result.errorPosition, { line: 2, column: 1 });
+});
+
+test('empty front matter yields empty data', () => {
+  const result = parseFrontMatter('---\n\n---\nText\n');
+
+  assert.deepStrictEqual(result.data, {});
+  assert.strictEqual(result.error, null);
+  assert.strictEqual(result.body, 'Text\n');
+});
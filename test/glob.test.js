@@ -0,0 +1,51 @@
+const test = require('node:test');
+const assert = require('assert');
+const { globToRegExp, matchesGlob, toPosix } = require('../scripts/lib/glob');
+
+test('* stays within a path segment', () => {
+  assert.ok(matchesGlob('index.md', '*.md'));
+  assert.ok(!matchesGlob('guides/index.md', '*.md'));
+});
+
+test('** matches any number of segments, including none', () => {
+  assert.ok(matchesGlob('index.md', '**/*.md'));
+  assert.ok(matchesGlob('guides/index.md', '**/*.md'));
+  assert.ok(matchesGlob('a/b/c/index.md', '**/*.md'));
+  assert.ok(matchesGlob('guides/deep/page.md', 'guides/**'));
+  assert.ok(!matchesGlob('other/page.md', 'guides/**'));
+  assert.ok(matchesGlob('a/node_modules/b/c.md', '**/node_modules/**'));
+});
+
+test('? matches one character other than /', () => {
+  assert.ok(matchesGlob('v1.md', 'v?.md'));
+  assert.ok(!matchesGlob('v10.md', 'v?.md'));
+  assert.ok(!matchesGlob('v/.md', 'v?.md'));
+});
+
+test('{a,b} matches alternatives', () => {
+  assert.ok(matchesGlob('api/page.md', '{api,guides}/*.md'));
+  assert.ok(matchesGlob('guides/page.md', '{api,guides}/*.md'));
+  assert.ok(!matchesGlob('meta/page.md', '{api,guides}/*.md'));
+});
+
+test('patterns match the whole path and escape regex characters', () => {
+  assert.ok(!matchesGlob('guides/index.md.bak', 'guides/*.md'));
+  assert.ok(!matchesGlob('xguides/index.md', 'guides/*.md'));
+  assert.ok(!matchesGlob('indexXmd', 'index.md'));
+  assert.ok(matchesGlob('a+b (1).md', 'a+b (1).md'));
+});
+
+test('any of several globs, and none for an empty list', () => {
+  assert.ok(matchesGlob('b.md', ['a.md', 'b.md']));
+  assert.ok(!matchesGlob('b.md', []));
+  assert.ok(!matchesGlob('b.md', undefined));
+});
+
+test('Windows separators are matched as /', () => {
+  assert.strictEqual(toPosix('guides\\deep\\page.md'), 'guides/deep/page.md');
+  assert.ok(matchesGlob('guides\\page.md', 'guides/*.md'));
+});
+
+test('compiled patterns are cached', () => {
+  assert.strictEqual(globToRegExp('docs/**/*.md'), globToRegExp('docs/**/*.md'));
+});
@@ -0,0 +1,125 @@
+const test = require('node:test');
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const LinkChecker = require('../scripts/lib/link-checker');
+
+function createDocs(files) {
+  const projectRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'selfref-links-'));
+  process.on('exit', () => fs.rmSync(projectRoot, { recursive: true, force: true }));
+  const docsPath = path.join(projectRoot, 'docs');
+
+  Object.entries(files).forEach(([file, content]) => {
+    fs.mkdirSync(path.dirname(path.join(projectRoot, file)), { recursive: true });
+    fs.writeFileSync(path.join(projectRoot, file), content);
+  });
+
+  return { docsPath, checker: new LinkChecker({ docsPath }) };
+}
+
+const brokenTargets = (summary) => summary.broken
+  .map(link => [link.file, link.line, link.column, link.target, link.reason])
+  .sort((a, b) => a[0].localeCompare(b[0]) || a[1] - b[1]);
+
+test('relative links resolve against the linking file, and broken ones say where', async () => {
+  const { checker } = createDocs({
+    'README.md': '# Project\n',
+    'docs/index.md': '# Home\n\n[Guide](guides/start.md) and [root](/guides/start.md)\n\n[Missing](guides/gone.md)\n',
+    'docs/guides/start.md': '# Start\n\n[Home](../index.md) ![Logo](../images/logo.png) [Readme](~/README.md)\n\n[ref]: ./nope.md\n',
+    'docs/images/logo.png': ''
+  });
+
+  const summary = await checker.checkAll();
+
+  assert.strictEqual(summary.files, 2);
+  assert.strictEqual(summary.checked, 7);
+  assert.deepStrictEqual(brokenTargets(summary), [
+    [path.join('guides', 'start.md'), 5, 1, './nope.md', 'missing-file'],
+    ['index.md', 5, 1, 'guides/gone.md', 'missing-file']
+  ]);
+  assert.strictEqual(summary.broken.find(link => link.target === 'guides/gone.md').message, 'Link target not found: guides/gone.md');
+});
+
+test('heading anchors resolve within the page and across pages', async () => {
+  const { checker } = createDocs({
+    'docs/page.md': [
+      '# Getting Started',
+      '',
+      '## Install & Configure',
+      '',
+      '## Notes',
+      '',
+      '## Notes',
+      '',
+      '<a id="custom-anchor"></a>',
+      '',
+      '[a](#getting-started) [b](#install--configure) [c](#notes-1) [d](#custom-anchor) [e](#notes-2)',
+      '',
+      '[f](other.md#caf%C3%A9-menu) [g](other.md#missing) [h](other.md)',
+      ''
+    ].join('\n'),
+    'docs/other.md': '# Café Menu\n'
+  });
+
+  const summary = await checker.checkAll();
+
+  assert.deepStrictEqual(brokenTargets(summary), [
+    ['page.md', 11, 82, '#notes-2', 'missing-anchor'],
+    ['page.md', 13, 30, 'other.md#missing', 'missing-anchor']
+  ]);
+  assert.strictEqual(summary.broken[0].message, 'Anchor not found: #notes-2');
+});
+
+test('external links are not checked', async () => {
+  const { checker } = createDocs({
+    'docs/page.md': '[a](https://example.com/missing) [b](xref:System.String) [c](mailto:someone@example.com)\n'
+  });
+
+  assert.deepStrictEqual(await checker.checkAll(), { files: 1, checked: 0, broken: [] });
+});
+
+test('toc.yml folder entries need a toc.yml or toc.md in the folder', async () => {
+  const { checker } = createDocs({
+    'docs/toc.yml': [
+      '- name: Guides',
+      '  href: guides/',
+      '- name: Reference',
+      '  href: reference/',
+      '- name: Empty',
+      '  href: empty/',
+      '- name: Home',
+      '  href: index.md',
+      '  items:',
+      '    - name: Gone',
+      '      topicHref: gone.md',
+      '    - name: Site',
+      '      href: https://example.com/',
+      ''
+    ].join('\n'),
+    'docs/index.md': '# Home\n',
+    'docs/guides/toc.yml': '- name: Start\n  href: start.md\n',
+    'docs/guides/start.md': '# Start\n',
+    'docs/reference/toc.md': '# [API](api.md)\n',
+    'docs/reference/api.md': '# API\n',
+    'docs/empty/page.md': '# Page\n'
+  });
+
+  const summary = await checker.checkAll();
+
+  assert.deepStrictEqual(brokenTargets(summary), [
+    ['toc.yml', 6, 9, 'empty/', 'missing-toc'],
+    ['toc.yml', 11, 18, 'gone.md', 'missing-file']
+  ]);
+  assert.strictEqual(summary.broken[0].message, 'toc.yml folder entry has no toc.yml or toc.md: empty/');
+});
+
+test('a toc.yml that is not valid YAML is reported where it fails', async () => {
+  const { checker } = createDocs({ 'docs/toc.yml': '- name: Home\n  href: [index.md\n' });
+
+  const { broken } = await checker.checkAll();
+
+  assert.strictEqual(broken.length, 1);
+  assert.strictEqual(broken[0].reason, 'invalid-toc');
+  assert.match(broken[0].message, /^Invalid YAML: /);
+});
@@ -0,0 +1,282 @@
+const test = require('node:test');
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const MasterOrchestrator = require('../scripts/orchestrate');
+
+const silent = { log: () => {}, warn: () => {}, error: () => {} };
+
+// Files under docs/, plus files at the project root such as .selfref-usage.json
+function createOrchestrator(files, rootFiles = {}) {
+  const projectRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'selfref-orchestrate-'));
+  process.on('exit', () => fs.rmSync(projectRoot, { recursive: true, force: true }));
+  Object.entries(files).forEach(([file, content]) => {
+    fs.mkdirSync(path.dirname(path.join(projectRoot, 'docs', file)), { recursive: true });
+    fs.writeFileSync(path.join(projectRoot, 'docs', file), content);
+  });
+  Object.entries(rootFiles).forEach(([file, content]) => fs.writeFileSync(path.join(projectRoot, file), content));
+
+  return new MasterOrchestrator({ projectRoot, logger: silent });
+}
+
+const DOCS = {
+  'index.md': '# Home\n',
+  'guide.md': '# Guide\n',
+  'faq.md': '# FAQ\n',
+  'old.md': '---\nstatus: archived\n---\n# Old\n'
+};
+
+test('user engagement is the share of active documents viewed in the usage window', () => {
+  const now = new Date().toISOString();
+  const events = ['index.html', 'index.html', 'guide.html', 'old.html']
+    .map(page => JSON.stringify({ type: 'pageview', path: `/docs/${page}`, timestamp: now }));
+  const orchestrator = createOrchestrator(DOCS, {
+    'events.jsonl': events.join('\n') + '\n',
+    '.selfref-usage.json': JSON.stringify({ sources: [{ type: 'events', files: ['events.jsonl'] }] })
+  });
+
+  assert.deepStrictEqual(orchestrator.checkUserEngagement(), {
+    value: 67,
+    provenance: '2/3 active docs viewed: 4 page views and 0 searches over the last 30 days from 1 file'
+  });
+});
+
+test('user engagement is 0 when a configured source has no views', () => {
+  const orchestrator = createOrchestrator(DOCS, {
+    '.selfref-usage.json': JSON.stringify({ sources: [{ type: 'access-log', files: ['logs/access.log'] }] })
+  });
+
+  assert.deepStrictEqual(orchestrator.checkUserEngagement(), {
+    value: 0,
+    provenance: '0/3 active docs viewed: No files match the sources in .selfref-usage.json'
+  });
+});
+
+test('user engagement is not measured without a usage source, or with a broken one', () => {
+  assert.deepStrictEqual(createOrchestrator(DOCS).checkUserEngagement(), {
+    value: null,
+    provenance: 'No usage data source configured (.selfref-usage.json)'
+  });
+
+  const broken = createOrchestrator(DOCS, { '.selfref-usage.json': '{ "sources": [{ "type": "ftp" }] }' });
+  assert.deepStrictEqual(broken.checkUserEngagement(), {
+    value: null,
+    provenance: '.selfref-usage.json: source 1 has unknown type "ftp" (expected access-log, events)'
+  });
+});
+
+// An orchestrator with only the given steps, and a plan whose timing the test sets
+async function createPipeline(steps, timing = {}) {
+  const orchestrator = createOrchestrator({});
+  orchestrator.steps.clear();
+  steps.forEach(step => orchestrator.registerStep(step));
+
+  const plan = await orchestrator.planOrchestration();
+  Object.assign(plan.timing, { retryAttempts: 0, retryBackoff: 1, ...timing });
+  return { orchestrator, plan };
+}
+
+const events = (orchestrator, name) => orchestrator.orchestrationLog.filter(entry => entry.event === name).map(entry => entry.data);
+const statuses = results => Object.fromEntries(Object.entries(results).map(([step, result]) => [step, result.status]));
+
+test('steps are grouped into levels that only depend on earlier ones', () => {
+  const orchestrator = createOrchestrator({});
+  const graph = orchestrator.resolveExecutionGraph({
+    sequence: ['report', 'lint', 'build', 'test'],
+    dependencies: { report: ['test', 'lint'], lint: ['build'], test: ['build'] }
+  });
+
+  assert.deepStrictEqual(graph.levels, [['build'], ['lint', 'test'], ['report']]);
+  assert.deepStrictEqual(graph.order, ['build', 'lint', 'test', 'report']);
+  assert.deepStrictEqual(graph.dependents, { report: [], lint: ['report'], build: ['lint', 'test'], test: ['report'] });
+});
+
+test('dependency cycles and unknown dependencies are rejected', () => {
+  const orchestrator = createOrchestrator({});
+
+  assert.throws(() => orchestrator.resolveExecutionGraph({
+    sequence: ['setup', 'a', 'b'],
+    dependencies: { a: ['b'], b: ['a'] }
+  }), { message: 'Circular dependency detected between steps: a, b' });
+  assert.throws(() => orchestrator.resolveExecutionGraph({
+    sequence: ['a'],
+    dependencies: { a: ['a'] }
+  }), { message: 'Circular dependency detected between steps: a' });
+  assert.throws(() => orchestrator.resolveExecutionGraph({
+    sequence: ['a'],
+    dependencies: { a: ['missing'] }
+  }), { message: 'Step "a" depends on unknown step "missing"' });
+});
+
+test('steps on the same level run in parallel', async () => {
+  const running = new Set();
+  let overlap = 0;
+  const step = (name, dependencies = []) => ({
+    name,
+    dependencies,
+    run: async () => {
+      running.add(name);
+      overlap = Math.max(overlap, running.size);
+      await new Promise(resolve => setTimeout(resolve, 50));
+      running.delete(name);
+    }
+  });
+  const { orchestrator, plan } = await createPipeline([step('build'), step('lint', ['build']), step('test', ['build']), step('report', ['lint', 'test'])]);
+
+  const results = await orchestrator.executeOrchestration(plan);
+
+  assert.deepStrictEqual(statuses(results), { build: 'success', lint: 'success', test: 'success', report: 'success' });
+  assert.strictEqual(overlap, 2);
+  assert.deepStrictEqual(events(orchestrator, 'step_started').map(data => data.step), ['build', 'lint', 'test', 'report']);
+});
+
+test('a failed step skips everything that depends on it, and only that', async () => {
+  const { orchestrator, plan } = await createPipeline([
+    { name: 'build', run: () => { throw new Error('compile error'); } },
+    { name: 'test', dependencies: ['build'], run: () => {} },
+    { name: 'report', dependencies: ['test'], run: () => {} },
+    { name: 'lint', run: () => {} }
+  ]);
+
+  const results = await orchestrator.executeOrchestration(plan);
+
+  assert.deepStrictEqual(statuses(results), { build: 'failed', lint: 'success', test: 'skipped', report: 'skipped' });
+  assert.strictEqual(results.build.error, 'compile error');
+  assert.strictEqual(results.report.reason, 'Dependency failed: build');
+  assert.deepStrictEqual(events(orchestrator, 'step_skipped'), [{ step: 'test', blockedBy: 'build' }, { step: 'report', blockedBy: 'build' }]);
+});
+
+test('a failed critical step aborts the run', async () => {
+  const { orchestrator, plan } = await createPipeline([
+    { name: 'validate', priority: 'critical', run: () => { throw new Error('invalid'); } },
+    { name: 'lint', run: () => {} },
+    { name: 'assess', dependencies: ['lint'], run: () => {} }
+  ]);
+
+  await assert.rejects(orchestrator.executeOrchestration(plan), { message: 'Critical step failed: validate' });
+  assert.deepStrictEqual(statuses(orchestrator.stepResults), { validate: 'failed', lint: 'success', assess: 'skipped' });
+  assert.strictEqual(orchestrator.stepResults.assess.reason, 'Orchestration aborted after validate failed');
+});
+
+test('retry delays double from retryBackoff up to maxRetryBackoff', () => {
+  const orchestrator = createOrchestrator({});
+  const plan = { timing: { retryBackoff: 100, maxRetryBackoff: 350 } };
+
+  assert.deepStrictEqual([1, 2, 3, 4].map(attempt => orchestrator.getRetryDelay(attempt, plan)), [100, 200, 350, 350]);
+});
+
+test('a failing step is retried a bounded number of times, with each retry logged', async () => {
+  let calls = 0;
+  const { orchestrator, plan } = await createPipeline([
+    { name: 'flaky', run: () => { calls++; throw new Error(`failure ${calls}`); } }
+  ], { retryAttempts: 2, retryBackoff: 5 });
+
+  const results = await orchestrator.executeOrchestration(plan);
+
+  assert.strictEqual(calls, 3);
+  assert.strictEqual(results.flaky.status, 'failed');
+  assert.strictEqual(results.flaky.error, 'failure 3');
+  assert.strictEqual(results.flaky.metrics.attempts, 3);
+  assert.deepStrictEqual(events(orchestrator, 'step_retry'), [
+    { step: 'flaky', attempt: 1, nextAttempt: 2, delay: 5, error: 'failure 1' },
+    { step: 'flaky', attempt: 2, nextAttempt: 3, delay: 10, error: 'failure 2' }
+  ]);
+});
+
+test('a step that succeeds on retry counts as a success', async () => {
+  let calls = 0;
+  const { orchestrator, plan } = await createPipeline([
+    { name: 'flaky', run: () => { if (++calls === 1) throw new Error('first try'); } }
+  ], { retryAttempts: 5 });
+
+  const results = await orchestrator.executeOrchestration(plan);
+
+  assert.strictEqual(calls, 2);
+  assert.strictEqual(results.flaky.status, 'success');
+  assert.deepStrictEqual(results.flaky.metrics.attemptDetails.map(attempt => attempt.error), ['first try', undefined]);
+});
+
+test('a step-level retryAttempts overrides the plan', async () => {
+  let calls = 0;
+  const { orchestrator, plan } = await createPipeline([
+    { name: 'flaky', retryAttempts: 1, run: () => { calls++; throw new Error('always'); } }
+  ], { retryAttempts: 5 });
+
+  await orchestrator.executeOrchestration(plan);
+
+  assert.strictEqual(calls, 2);
+});
+
+test('an attempt that overruns its step timeout fails and is retried', async () => {
+  const { orchestrator, plan } = await createPipeline([
+    { name: 'slow', timeout: 30, run: () => new Promise(() => {}) }
+  ], { retryAttempts: 1 });
+
+  const results = await orchestrator.executeOrchestration(plan);
+
+  assert.strictEqual(results.slow.status, 'failed');
+  assert.strictEqual(results.slow.error, 'Step slow timed out after 30ms');
+  assert.deepStrictEqual(events(orchestrator, 'step_timeout'), [
+    { step: 'slow', attempt: 1, timeout: 30 },
+    { step: 'slow', attempt: 2, timeout: 30 }
+  ]);
+});
+
+test('a script step that times out has its child process killed', async () => {
+  const orchestrator = createOrchestrator({}, {
+    'hang.js': "require('fs').writeFileSync(require('path').join(__dirname, 'hang.pid'), String(process.pid));\nsetInterval(() => {}, 1000);\n"
+  });
+  orchestrator.steps.clear();
+  orchestrator.registerStep({ name: 'hang', script: 'hang.js', timeout: 2000, retryAttempts: 0 });
+  const plan = await orchestrator.planOrchestration();
+
+  const results = await orchestrator.executeOrchestration(plan);
+  assert.strictEqual(results.hang.error, 'Step hang timed out after 2000ms');
+
+  const pid = Number(fs.readFileSync(path.join(orchestrator.projectRoot, 'hang.pid'), 'utf8'));
+  const alive = () => {
+    try {
+      process.kill(pid, 0);
+      return true;
+    } catch (error) {
+      return false;
+    }
+  };
+  for (let wait = 0; wait < 40 && alive(); wait++) {
+    await new Promise(resolve => setTimeout(resolve, 50));
+  }
+  assert.strictEqual(alive(), false, `child ${pid} is still running`);
+});
+
+test('the run timeout stops running steps, skips the rest and is not retried', async () => {
+  let calls = 0;
+  const { orchestrator, plan } = await createPipeline([
+    { name: 'stuck', run: () => { calls++; return new Promise(() => {}); } },
+    { name: 'after', dependencies: ['stuck'], run: () => {} }
+  ], { maxExecutionTime: 50, retryAttempts: 3 });
+
+  await assert.rejects(orchestrator.executeOrchestration(plan), { code: 'RUN_TIMEOUT', message: 'Orchestration exceeded maxExecutionTime of 50ms' });
+
+  assert.strictEqual(calls, 1);
+  assert.deepStrictEqual(statuses(orchestrator.stepResults), { stuck: 'failed', after: 'skipped' });
+  assert.deepStrictEqual(events(orchestrator, 'orchestration_timeout'), [{ maxExecutionTime: 50, running: ['stuck'] }]);
+  assert.deepStrictEqual(events(orchestrator, 'step_retry'), []);
+});
+
+test('a script step reports the child process exit code, output and peak memory', async () => {
+  const orchestrator = createOrchestrator({}, { 'hello.js': "console.log('hello');\n" });
+  orchestrator.steps.clear();
+  orchestrator.registerStep({ name: 'hello', script: 'hello.js', summary: 'Said hello' });
+  const plan = await orchestrator.planOrchestration();
+
+  const { hello } = await orchestrator.executeOrchestration(plan);
+
+  assert.strictEqual(hello.status, 'success');
+  assert.strictEqual(hello.metrics.exitCode, 0);
+  assert.strictEqual(hello.metrics.stdoutBytes, 'hello\n'.length);
+  assert.strictEqual(hello.metrics.memoryScope, 'child');
+  assert.strictEqual(typeof hello.metrics.peakMemoryBytes, 'number');
+  assert.ok(hello.metrics.peakMemoryBytes > 0);
+  assert.strictEqual(typeof hello.metrics.attemptDetails[0].cpuMicros, 'number');
+});
@@ -0,0 +1,105 @@
+const test = require('node:test');
+const assert = require('assert');
+const { analyzeProse, countSyllables, splitSentences, readabilityScores, MAX_FINDINGS_PER_RULE } = require('../scripts/lib/readability');
+const { parseMarkdown } = require('../scripts/lib/markdown-ast');
+
+const rulesOf = result => result.findings.map(finding => finding.rule);
+
+test('syllables are estimated from vowel groups, minus silent endings', () => {
+  const counts = Object.fromEntries(['the', 'makes', 'stopped', 'time', 'created', 'needed', 'yellow', 'documentation']
+    .map(word => [word, countSyllables(word)]));
+
+  assert.deepStrictEqual(counts, { the: 1, makes: 1, stopped: 1, time: 1, created: 2, needed: 2, yellow: 2, documentation: 5 });
+  assert.strictEqual(countSyllables('42'), 1);
+});
+
+test('sentences split on end punctuation, not on abbreviations, and keep their line', () => {
+  const sentences = splitSentences({ text: 'One two, e.g. three. Four five!\nSix "seven." Eight', line: 3 });
+
+  assert.deepStrictEqual(sentences, [
+    { text: 'One two, e.g. three.', line: 3, words: 5 },
+    { text: 'Four five!', line: 3, words: 2 },
+    { text: 'Six "seven."', line: 4, words: 2 },
+    { text: 'Eight', line: 4, words: 1 }
+  ]);
+});
+
+test('readability formulas', () => {
+  assert.deepStrictEqual(readabilityScores({ sentences: 2, words: 20, syllables: 30, complexWords: 2 }), {
+    fleschReadingEase: 69.8,
+    fleschKincaidGrade: 6,
+    gunningFog: 8
+  });
+  assert.deepStrictEqual(readabilityScores({ sentences: 0, words: 0, syllables: 0, complexWords: 0 }), {
+    fleschReadingEase: null,
+    fleschKincaidGrade: null,
+    gunningFog: null
+  });
+});
+
+test('long sentences, passive voice, duplicates and skipped heading levels are found with their lines', async () => {
+  const long = Array.from({ length: 30 }, () => 'word').join(' ') + '.';
+  const repeated = 'This paragraph comes back word for word later on.';
+  const document = await parseMarkdown([
+    '# Title', '', long, '', 'The file is generated by the tool. We wrote it quickly.', '',
+    repeated, '', '#### Deep', '', repeated, ''
+  ].join('\n'));
+  const result = analyzeProse(document);
+
+  assert.deepStrictEqual(result.findings, [
+    { rule: 'long-sentence', message: 'Sentence of 30 words; split it or move detail into a list', line: 3, column: 1 },
+    { rule: 'passive-voice', message: 'Passive voice ("is generated"); name who or what acts', line: 5, column: 1 },
+    { rule: 'duplicate-paragraph', message: 'Repeats the paragraph at line 7; link to it or remove one', line: 11, column: 1 },
+    { rule: 'skipped-heading-level', message: 'Heading "Deep" jumps from h1 to h4; use h2 or add the missing level', line: 9, column: 1 }
+  ]);
+  assert.strictEqual(result.metrics.sentences, 5);
+  assert.strictEqual(result.metrics.sentenceLength.longest, 30);
+  assert.deepStrictEqual(result.subScores, {
+    readability: 100,
+    sentenceLength: 60,
+    passiveVoice: 75,
+    duplication: 75,
+    headingHierarchy: 75
+  });
+});
+
+test('code, inline code and headings are not prose', async () => {
+  const document = await parseMarkdown('# The file is generated by a tool\n\n```text\nIt was written quickly.\n```\n\nRun `it is used` now.\n');
+  const result = analyzeProse(document);
+
+  assert.deepStrictEqual(rulesOf(result), []);
+  assert.strictEqual(result.metrics.sentences, 1);
+});
+
+test('a dense paragraph is hard to read', async () => {
+  const dense = 'Comprehensive organizational documentation infrastructure necessitates systematic consideration ' +
+    'of interoperability, maintainability, accessibility, internationalization, localization, ' +
+    'configurability, extensibility and operational observability requirements simultaneously.';
+  const result = analyzeProse(await parseMarkdown(`# Title\n\n${dense}\n`));
+
+  assert.ok(rulesOf(result).includes('hard-to-read'));
+  assert.ok(result.metrics.fleschKincaidGrade > 16);
+  assert.strictEqual(result.subScores.readability, 0);
+});
+
+test('findings are capped per rule, sub-scores count every occurrence', async () => {
+  const passive = Array.from({ length: MAX_FINDINGS_PER_RULE + 5 }, (_, index) => `Item ${index} is generated.`).join(' ');
+  const result = analyzeProse(await parseMarkdown(`# Title\n\n${passive}\n`));
+
+  assert.strictEqual(rulesOf(result).filter(rule => rule === 'passive-voice').length, MAX_FINDINGS_PER_RULE);
+  assert.strictEqual(result.metrics.passiveSentences, MAX_FINDINGS_PER_RULE + 5);
+  assert.strictEqual(result.subScores.passiveVoice, 0);
+});
+
+test('a document without prose has no prose sub-scores', async () => {
+  const result = analyzeProse(await parseMarkdown('# Only\n\n```js\nx.\n```\n'));
+
+  assert.deepStrictEqual(result.subScores, {
+    readability: null,
+    sentenceLength: null,
+    passiveVoice: null,
+    duplication: 100,
+    headingHierarchy: 100
+  });
+  assert.deepStrictEqual(result.findings, []);
+});
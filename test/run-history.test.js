@@ -0,0 +1,136 @@
+const test = require('node:test');
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const RunHistory = require('../scripts/lib/run-history');
+
+function createHistory() {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'selfref-history-'));
+  process.on('exit', () => fs.rmSync(dir, { recursive: true, force: true }));
+  const warnings = [];
+  const historyFile = path.join(dir, 'logs', 'runs.jsonl');
+  return { historyFile, warnings, history: new RunHistory(historyFile, { logger: { warn: message => warnings.push(message) } }) };
+}
+
+function run(index, fields = {}) {
+  return {
+    runId: `run-${index}`,
+    startedAt: `2026-01-0${index}T00:00:00.000Z`,
+    status: 'success',
+    durationMs: 10000,
+    healthScore: 90,
+    successRate: 100,
+    steps: { validate: { status: 'success', durationMs: 2000 } },
+    ...fields
+  };
+}
+
+test('appended runs are read back in start order, skipping malformed lines', () => {
+  const { historyFile, history, warnings } = createHistory();
+
+  history.append(run(2));
+  history.append(run(1));
+  fs.appendFileSync(historyFile, '{"runId": "broken"\n\n');
+  history.append(run(3));
+
+  assert.deepStrictEqual(history.load().map(entry => entry.runId), ['run-1', 'run-2', 'run-3']);
+  assert.strictEqual(warnings.length, 1);
+  assert.match(warnings[0], /malformed history entry at line 3/);
+  assert.strictEqual(history.find('run-2').startedAt, '2026-01-02T00:00:00.000Z');
+  assert.strictEqual(history.find('run-9'), null);
+  assert.throws(() => history.append({ startedAt: 'now' }), { message: 'Run record requires a runId' });
+});
+
+test('a missing history file loads as no runs', () => {
+  const { history } = createHistory();
+  assert.deepStrictEqual(history.load(), []);
+});
+
+test('summarize() aggregates success rate, run and step durations and health scores', () => {
+  const { history } = createHistory();
+  history.append(run(1, { durationMs: 1000, steps: { validate: { status: 'success', durationMs: 300 } } }));
+  history.append(run(2, { status: 'failed', durationMs: 2000, healthScore: 70, steps: { validate: { status: 'failed', durationMs: 100 }, assess: { status: 'skipped' } } }));
+  history.append(run(3, { durationMs: 4000, healthScore: undefined, steps: { validate: { status: 'success', durationMs: 200 } } }));
+
+  const summary = history.summarize(history.load());
+
+  assert.strictEqual(summary.totalRuns, 3);
+  assert.strictEqual(summary.successfulRuns, 2);
+  assert.strictEqual(summary.successRate, 67);
+  assert.strictEqual(summary.averageRunMs, 2333);
+  assert.deepStrictEqual(summary.steps, {
+    validate: { runs: 3, averageMs: 200, p50Ms: 200, p95Ms: 300, minMs: 100, maxMs: 300, lastMs: 200 }
+  });
+  assert.deepStrictEqual(summary.healthScores.map(entry => [entry.runId, entry.healthScore]), [['run-1', 90], ['run-2', 70]]);
+});
+
+test('summarize() of no runs has no rates or averages', () => {
+  const { history } = createHistory();
+  assert.deepStrictEqual(history.summarize([]), {
+    totalRuns: 0,
+    successfulRuns: 0,
+    successRate: 0,
+    averageRunMs: null,
+    steps: {},
+    healthScores: []
+  });
+});
+
+test('percentile() uses the nearest rank on small samples and is null for none', () => {
+  assert.strictEqual(RunHistory.percentile([], 50), null);
+  assert.strictEqual(RunHistory.percentile([7], 50), 7);
+  assert.strictEqual(RunHistory.percentile([7], 95), 7);
+  assert.strictEqual(RunHistory.percentile([30, 10], 50), 10);
+  assert.strictEqual(RunHistory.percentile([30, 10], 95), 30);
+  assert.strictEqual(RunHistory.percentile([40, 10, 30, 20], 50), 20);
+  assert.strictEqual(RunHistory.percentile([40, 10, 30, 20], 75), 30);
+  assert.strictEqual(RunHistory.percentile([40, 10, 30, 20], 0), 10);
+});
+
+test('findRegressions() flags drops at the health score and success rate thresholds', () => {
+  const { history } = createHistory();
+  const baseline = [1, 2, 3].map(index => run(index));
+
+  assert.deepStrictEqual(history.findRegressions([...baseline, run(4, { healthScore: 85.1, successRate: 90.1 })]), []);
+
+  const regressions = history.findRegressions([...baseline, run(4, { healthScore: 85, successRate: 90 })]);
+  assert.deepStrictEqual(regressions, [
+    { type: 'health_score', message: 'Health score dropped to 85 (baseline 90.0)' },
+    { type: 'success_rate', message: 'Step success rate dropped to 90% (baseline 100.0%)' }
+  ]);
+
+  assert.deepStrictEqual(history.findRegressions([...baseline, run(4, { healthScore: 88 })], { healthScoreDrop: 2 }).map(entry => entry.type), ['health_score']);
+});
+
+test('findRegressions() compares only against the last baselineRuns runs', () => {
+  const { history } = createHistory();
+  const runs = [run(1, { healthScore: 100 }), run(2, { healthScore: 80 }), run(3, { healthScore: 80 })];
+
+  assert.deepStrictEqual(history.findRegressions([...runs, run(4, { healthScore: 80 })], { baselineRuns: 2 }), []);
+  assert.strictEqual(history.findRegressions([...runs, run(4, { healthScore: 80 })], { baselineRuns: 3 }).length, 1);
+});
+
+test('findRegressions() flags a step that newly fails or slows past both duration thresholds', () => {
+  const { history } = createHistory();
+  const baseline = [1, 2].map(index => run(index));
+
+  const failed = history.findRegressions([...baseline, run(3, { steps: { validate: { status: 'failed', durationMs: 2000, error: 'exit 1' } } })]);
+  assert.deepStrictEqual(failed, [{ type: 'step_failure', step: 'validate', message: 'validate failed after 2 successful run(s): exit 1' }]);
+
+  const slower = history.findRegressions([...baseline, run(3, { steps: { validate: { status: 'success', durationMs: 3000 } } })]);
+  assert.deepStrictEqual(slower, [{ type: 'step_duration', step: 'validate', message: 'validate took 3000ms (baseline 2000ms)' }]);
+
+  // A slow step's 1999ms rise is under 50%, and a fast step's doubling is under the 1 second minimum
+  const slow = [1, 2].map(index => run(index, { steps: { validate: { status: 'success', durationMs: 4000 } } }));
+  assert.deepStrictEqual(history.findRegressions([...slow, run(3, { steps: { validate: { status: 'success', durationMs: 5999 } } })]), []);
+  const fast = [1, 2].map(index => run(index, { steps: { validate: { status: 'success', durationMs: 500 } } }));
+  assert.deepStrictEqual(history.findRegressions([...fast, run(3, { steps: { validate: { status: 'success', durationMs: 1499 } } })]), []);
+});
+
+test('findRegressions() needs a previous run and ignores steps without a baseline', () => {
+  const { history } = createHistory();
+
+  assert.deepStrictEqual(history.findRegressions([run(1, { healthScore: 0 })]), []);
+  assert.deepStrictEqual(history.findRegressions([run(1), run(2, { steps: { added: { status: 'failed' } } })]), []);
+});
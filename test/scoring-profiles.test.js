@@ -0,0 +1,159 @@
+const test = require('node:test');
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const ScoringProfiles = require('../scripts/lib/scoring-profiles');
+const { parseMarkdown } = require('../scripts/lib/markdown-ast');
+
+const SOURCE = '.selfref-scoring.json';
+const profiles = (config) => new ScoringProfiles(config, SOURCE);
+
+test('the built-in default profile applies when nothing is configured', () => {
+  const scoring = new ScoringProfiles();
+
+  assert.deepStrictEqual(Object.keys(scoring.profiles), ['default']);
+  assert.deepStrictEqual(scoring.profileFor('any/page.md').weights, ScoringProfiles.BUILT_IN_PROFILE.weights);
+  assert.deepStrictEqual(scoring.profileFor('any/page.md').grades, [
+    { grade: 'Excellent', min: 90 },
+    { grade: 'Good', min: 70 },
+    { grade: 'Fair', min: 50 },
+    { grade: 'Poor', min: 0 }
+  ]);
+  assert.deepStrictEqual([95, 90, 89, 50, 49, 0].map(score => ScoringProfiles.gradeFor(score, scoring.profiles.default)),
+    ['Excellent', 'Excellent', 'Good', 'Fair', 'Poor', 'Poor']);
+});
+
+test('weights must cover known dimensions and sum to 1', () => {
+  assert.throws(() => profiles({ profiles: { default: { weights: { completeness: 0.5 } } } }),
+    { message: '.selfref-scoring.json: profile "default" weights sum to 1.2, not 1' });
+  assert.throws(() => profiles({ profiles: { default: { weights: { completeness: 1.5 } } } }),
+    { message: '.selfref-scoring.json: profile "default" weights must be numbers from 0 to 1' });
+  assert.throws(() => profiles({ profiles: { default: { weights: { style: 0 } } } }),
+    { message: '.selfref-scoring.json: profile "default" weights has unknown dimension "style" (expected completeness, accuracy, relevance, quality)' });
+
+  // 0.1 + 0.2 is not exactly 0.3 in floating point
+  const scoring = profiles({ profiles: { default: { weights: { completeness: 0.1, accuracy: 0.2, relevance: 0.4, quality: 0.3 } } } });
+  assert.strictEqual(scoring.profiles.default.weights.completeness, 0.1);
+});
+
+test('grade bands must decrease from Excellent to Fair', () => {
+  assert.throws(() => profiles({ profiles: { default: { grades: { Good: 95 } } } }),
+    { message: '.selfref-scoring.json: profile "default" grade bands must decrease from Excellent to Fair (got 90, 95, 50)' });
+  assert.throws(() => profiles({ profiles: { default: { grades: { Fair: 70 } } } }),
+    { message: '.selfref-scoring.json: profile "default" grade bands must decrease from Excellent to Fair (got 90, 70, 70)' });
+  assert.throws(() => profiles({ profiles: { default: { grades: { Poor: 10 } } } }),
+    /grades has unknown grade "Poor" \(expected Excellent, Good, Fair; Poor is everything below Fair\)/);
+  assert.throws(() => profiles({ profiles: { default: { grades: { Fair: 0 } } } }),
+    /grade bands must be numbers above 0 and at most 100/);
+});
+
+test('profiles inherit from default or their extends parent, replacing what they set', () => {
+  const scoring = profiles({
+    profiles: {
+      default: { grades: { Excellent: 85 }, thresholds: { accuracy: 60 } },
+      reference: { weights: { completeness: 0.1, accuracy: 0.6, relevance: 0.1, quality: 0.2 } },
+      api: { extends: 'reference', thresholds: { accuracy: 95 } }
+    }
+  });
+
+  assert.strictEqual(scoring.profiles.reference.grades[0].min, 85);
+  assert.strictEqual(scoring.profiles.reference.thresholds.accuracy, 60);
+  assert.strictEqual(scoring.profiles.api.weights.accuracy, 0.6);
+  assert.strictEqual(scoring.profiles.api.thresholds.accuracy, 95);
+  assert.strictEqual(scoring.profiles.api.thresholds.completeness, 70);
+});
+
+test('extends cycles and unknown parents are rejected', () => {
+  assert.throws(() => profiles({ profiles: { a: { extends: 'b' }, b: { extends: 'a' } } }),
+    { message: '.selfref-scoring.json: profile "a" extends itself (a -> b -> a)' });
+  assert.throws(() => profiles({ profiles: { a: { extends: 'a' } } }),
+    { message: '.selfref-scoring.json: profile "a" extends itself (a -> a)' });
+  assert.throws(() => profiles({ profiles: { a: { extends: 'missing' } } }),
+    { message: '.selfref-scoring.json: profile "a" extends unknown profile "missing"' });
+});
+
+test('a criterion with an inherited id replaces it, others are added', () => {
+  const scoring = profiles({
+    profiles: {
+      default: { criteria: [
+        { id: 'has-examples', dimension: 'completeness', section: 'Examples', points: 10 },
+        { id: 'no-todo', dimension: 'quality', forbid: 'TODO', points: 5 }
+      ] },
+      strict: { criteria: [
+        { id: 'has-examples', dimension: 'completeness', section: 'Examples', points: 30 },
+        { id: 'mentions-version', dimension: 'accuracy', require: 'v\\d+', points: 5 }
+      ] }
+    }
+  });
+
+  assert.deepStrictEqual(scoring.profiles.strict.criteria.map(criterion => [criterion.id, criterion.points]),
+    [['has-examples', 30], ['no-todo', 5], ['mentions-version', 5]]);
+  assert.deepStrictEqual(scoring.profiles.default.criteria.map(criterion => criterion.points), [10, 5]);
+});
+
+test('criteria need an id, a dimension, points and exactly one valid check', () => {
+  const withCriterion = (criterion) => () => profiles({ profiles: { default: { criteria: [criterion] } } });
+
+  assert.throws(withCriterion({ dimension: 'quality', forbid: 'x', points: 5 }), /every criterion needs an id/);
+  assert.throws(withCriterion({ id: 'c', dimension: 'style', forbid: 'x', points: 5 }), /criterion "c" has unknown dimension "style"/);
+  assert.throws(withCriterion({ id: 'c', dimension: 'quality', forbid: 'x', points: 0 }), /criterion "c" points must be a number above 0/);
+  assert.throws(withCriterion({ id: 'c', dimension: 'quality', forbid: 'x', require: 'y', points: 5 }), /needs exactly one of section, require, forbid/);
+  assert.throws(withCriterion({ id: 'c', dimension: 'quality', forbid: '(', points: 5 }), /criterion "c" has an invalid forbid pattern: /);
+});
+
+test('the last matching directories entry picks the profile', () => {
+  const scoring = profiles({
+    profiles: { reference: {}, legacy: {} },
+    directories: [
+      { files: ['api/**'], profile: 'reference' },
+      { files: ['api/v1/**'], profile: 'legacy' }
+    ]
+  });
+
+  assert.strictEqual(scoring.profileFor('api/v2/users.md').name, 'reference');
+  assert.strictEqual(scoring.profileFor('api/v1/users.md').name, 'legacy');
+  assert.strictEqual(scoring.profileFor('guides/start.md').name, 'default');
+
+  assert.throws(() => profiles({ directories: [{ files: ['api/**'], profile: 'missing' }] }),
+    { message: '.selfref-scoring.json: directories entry 1 uses unknown profile "missing" (expected default)' });
+  assert.throws(() => profiles({ directories: [{ profile: 'default' }] }), /directories entry 1 needs files/);
+});
+
+test('applyCriteria() lowers the dimension and reports failures where they are', async () => {
+  const scoring = profiles({
+    profiles: { default: { criteria: [
+      { id: 'has-examples', dimension: 'completeness', section: 'Examples', points: 10 },
+      { id: 'mentions-version', dimension: 'accuracy', require: 'v\\d+', points: 5, message: 'Say which version' },
+      { id: 'no-intranet', dimension: 'accuracy', forbid: 'intranet\\.example\\.com', points: 50 }
+    ] } }
+  });
+  const document = await parseMarkdown('# Guide\n\nSee INTRANET.example.com for v2.\n\n- Also intranet.example.com\n');
+  const scores = { completeness: 5, accuracy: 80, relevance: 70, quality: 70 };
+  const findings = [];
+
+  scoring.applyCriteria(scoring.profileFor('guide.md'), document, scores, findings);
+
+  assert.deepStrictEqual(scores, { completeness: 0, accuracy: 30, relevance: 70, quality: 70 });
+  assert.deepStrictEqual(findings, [
+    { rule: 'has-examples', message: 'No "Examples" section', line: 5, column: 1 },
+    { rule: 'no-intranet', message: 'Text matches /intranet\\.example\\.com/', line: 3, column: 1 },
+    { rule: 'no-intranet', message: 'Text matches /intranet\\.example\\.com/', line: 5, column: 3 }
+  ]);
+});
+
+test('load() reads the project file and reports unreadable ones', () => {
+  const projectRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'selfref-scoring-'));
+  process.on('exit', () => fs.rmSync(projectRoot, { recursive: true, force: true }));
+
+  assert.strictEqual(ScoringProfiles.load(projectRoot).source, 'built-in profile');
+  assert.throws(() => ScoringProfiles.load(projectRoot, { file: 'missing.json' }), { message: 'Scoring file not found: missing.json' });
+
+  fs.writeFileSync(path.join(projectRoot, SOURCE), JSON.stringify({ profiles: { reference: {} } }));
+  const scoring = ScoringProfiles.load(projectRoot);
+  assert.strictEqual(scoring.source, SOURCE);
+  assert.deepStrictEqual(Object.keys(scoring.profiles), ['default', 'reference']);
+
+  fs.writeFileSync(path.join(projectRoot, SOURCE), '{');
+  assert.throws(() => ScoringProfiles.load(projectRoot), /^Error: Could not parse .*\.selfref-scoring\.json: /);
+});
@@ -0,0 +1,114 @@
+const test = require('node:test');
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const TriggerHistory = require('../scripts/lib/trigger-history');
+
+const DAY = '2025-03-01T00:00:00.000Z';
+const LATER = '2025-03-02T00:00:00.000Z';
+const LATEST = '2025-03-03T00:00:00.000Z';
+
+function completed(id, type, targets, timestamp) {
+  return { id, type, targets, timestamp, status: 'completed', fingerprints: TriggerHistory.fingerprintsOf({ type, targets }) };
+}
+
+test('a fingerprint is the trigger type plus one target, * without targets', () => {
+  assert.strictEqual(TriggerHistory.fingerprint('content_refresh', 'guides/setup.md'), 'content_refresh:guides/setup.md');
+  assert.strictEqual(TriggerHistory.fingerprint('innovation', null), 'innovation:*');
+  assert.deepStrictEqual(TriggerHistory.fingerprintsOf({ type: 'content_refresh', targets: ['a.md', 'b.md'] }),
+    ['content_refresh:a.md', 'content_refresh:b.md']);
+  assert.deepStrictEqual(TriggerHistory.fingerprintsOf({ type: 'innovation', targets: [] }), ['innovation:*']);
+  assert.deepStrictEqual(TriggerHistory.fingerprintsOf({ type: 'x', fingerprints: ['x:kept'] }), ['x:kept']);
+});
+
+test('recordFired starts the cooldown of every target of a completed trigger', () => {
+  const history = new TriggerHistory('history.json');
+  history.recordFired(completed('t1', 'content_refresh', ['a.md', 'b.md'], DAY));
+
+  assert.strictEqual(history.lastFired('content_refresh', 'a.md'), Date.parse(DAY));
+  assert.strictEqual(history.lastFired('content_refresh', 'b.md'), Date.parse(DAY));
+  assert.strictEqual(history.lastFired('content_refresh', 'c.md'), null);
+  assert.strictEqual(history.fingerprints['content_refresh:a.md'].lastTriggerId, 't1');
+});
+
+test('observe counts fingerprints that keep matching and resolves the rest', () => {
+  const history = new TriggerHistory('history.json');
+  history.observe([{ type: 'content_refresh', target: 'a.md' }, { type: 'content_refresh', target: 'b.md' }], DAY);
+  const resolved = history.observe([{ type: 'content_refresh', target: 'a.md' }, { type: 'content_refresh', target: 'a.md' }], LATER);
+
+  const a = history.fingerprints['content_refresh:a.md'];
+  assert.deepStrictEqual([a.status, a.occurrences, a.firstSeen, a.lastSeen], ['open', 2, DAY, LATER]);
+  assert.deepStrictEqual(resolved.map(entry => [entry.fingerprint, entry.resolvedAt]), [['content_refresh:b.md', LATER]]);
+  assert.strictEqual(history.fingerprints['content_refresh:b.md'].status, 'resolved');
+});
+
+test('a resolved fingerprint that matches again starts over', () => {
+  const history = new TriggerHistory('history.json');
+  history.recordFired(completed('t1', 'content_refresh', ['a.md'], DAY));
+  history.observe([], LATER);
+  history.observe([{ type: 'content_refresh', target: 'a.md' }], LATEST);
+
+  const entry = history.fingerprints['content_refresh:a.md'];
+  assert.deepStrictEqual([entry.status, entry.occurrences, entry.firstSeen, entry.resolvedAt], ['open', 1, LATEST, null]);
+  assert.strictEqual(history.lastFired('content_refresh', 'a.md'), null);
+});
+
+test('a completed trigger resolves once all of its fingerprints have', () => {
+  const history = new TriggerHistory('history.json');
+  const trigger = completed('t1', 'content_refresh', ['a.md', 'b.md'], DAY);
+  history.triggers.push(trigger);
+  history.recordFired(trigger);
+
+  history.observe([{ type: 'content_refresh', target: 'b.md' }], LATER);
+  assert.strictEqual(trigger.resolvedAt, undefined);
+
+  history.observe([], LATEST);
+  assert.strictEqual(trigger.resolvedAt, LATEST);
+});
+
+test('a history without fingerprints is indexed from its completed triggers', () => {
+  const history = new TriggerHistory('history.json', {
+    triggers: [
+      completed('t2', 'content_refresh', ['a.md'], LATER),
+      completed('t1', 'content_refresh', ['a.md'], DAY),
+      { id: 't3', type: 'content_refresh', targets: ['a.md'], timestamp: LATEST, status: 'failed' }
+    ]
+  });
+
+  const entry = history.fingerprints['content_refresh:a.md'];
+  assert.deepStrictEqual([entry.occurrences, entry.firstSeen, entry.lastSeen, entry.lastTriggerId], [3, DAY, LATEST, 't2']);
+  assert.strictEqual(history.lastFired('content_refresh', 'a.md'), Date.parse(LATER));
+});
+
+test('compact collapses repeats and drops long-resolved fingerprints', () => {
+  const history = new TriggerHistory('history.json');
+  history.triggers.push(
+    completed('t1', 'innovation', [], DAY),
+    completed('t2', 'innovation', [], LATER),
+    completed('t3', 'innovation', [], LATEST)
+  );
+  history.evolutions.push({ triggerId: 't1', decision: 'applied' });
+  history.observe([{ type: 'content_refresh', target: 'a.md' }], DAY);
+  history.observe([], LATER);
+
+  const result = history.compact({ keepDays: 30, now: Date.parse(LATER) + 31 * 24 * 60 * 60 * 1000 });
+
+  assert.deepStrictEqual(history.triggers.map(trigger => trigger.id), ['t1', 't3']);
+  assert.strictEqual(history.triggers[1].occurrences, 2);
+  assert.strictEqual(history.triggers[1].firstSeen, LATER);
+  assert.deepStrictEqual(result, { before: { triggers: 3, fingerprints: 1 }, after: { triggers: 2, fingerprints: 0 } });
+});
+
+test('save and load round-trip the history', () => {
+  const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'selfref-history-'));
+  process.on('exit', () => fs.rmSync(directory, { recursive: true, force: true }));
+  const historyFile = path.join(directory, 'nested', 'history.json');
+
+  assert.deepStrictEqual(TriggerHistory.load(historyFile).toJSON(), { triggers: [], fingerprints: {}, evolutions: [] });
+
+  const history = new TriggerHistory(historyFile);
+  history.recordFired(completed('t1', 'innovation', [], DAY));
+  history.save();
+  assert.strictEqual(TriggerHistory.load(historyFile).lastFired('innovation', null), Date.parse(DAY));
+});
@@ -0,0 +1,96 @@
+const test = require('node:test');
+const assert = require('assert');
+const TriggerRules = require('../scripts/lib/trigger-rules');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const NOW = Date.parse('2025-03-10T00:00:00.000Z');
+
+// The given triggers with every built-in one disabled
+function rulesWith(...triggers) {
+  return new TriggerRules({
+    triggers: [...TriggerRules.DEFAULT_TRIGGERS.map(trigger => ({ id: trigger.id, enabled: false })), ...triggers]
+  });
+}
+
+const context = {
+  assessment: { averageScore: 65 },
+  health: { linkIntegrity: 70, contentFreshness: 95 },
+  usage: { leastAccessed: ['a.md', 'b.md'] },
+  docs: { total: 2 },
+  documents: [{ file: 'a.md', stale: true }, { file: 'b.md', stale: false }, { file: 'c.md', stale: true }]
+};
+
+test('each scope fires with its own targets', () => {
+  const rules = rulesWith(
+    { id: 'quality', when: 'assessment.averageScore < 70', action: 'improve' },
+    { id: 'listed', when: 'usage.leastAccessed', targets: 'usage.leastAccessed', action: 'promote' },
+    { id: 'stale', scope: 'document', when: 'docs.stale', action: 'refresh', priority: 'high' },
+    { id: 'health', scope: 'health', when: 'area.score < 80', action: 'repair' },
+    { id: 'quiet', when: 'assessment.averageScore > 90', action: 'improve' }
+  );
+  const { opportunities, suppressed } = rules.evaluate(context, { now: NOW });
+
+  assert.deepStrictEqual(opportunities.map(opportunity => [opportunity.type, opportunity.targets]), [
+    ['quality', undefined],
+    ['listed', ['a.md', 'b.md']],
+    ['stale', ['a.md', 'c.md']],
+    ['health', ['linkIntegrity']]
+  ]);
+  assert.strictEqual(opportunities[2].priority, 'high');
+  assert.deepStrictEqual(suppressed, []);
+});
+
+test('targets fired within the cooldown are held back until it ends', () => {
+  const rules = rulesWith({ id: 'stale', scope: 'document', when: 'docs.stale', action: 'refresh', cooldownDays: 7 });
+  const fired = { 'stale:a.md': NOW - 2 * DAY_MS, 'stale:c.md': NOW - 8 * DAY_MS };
+  const lastFired = (id, target) => fired[`${id}:${target}`] || null;
+
+  const { opportunities, suppressed } = rules.evaluate(context, { lastFired, now: NOW });
+
+  assert.deepStrictEqual(opportunities.map(opportunity => opportunity.targets), [['c.md']]);
+  assert.deepStrictEqual(suppressed, [{ id: 'stale', target: 'a.md', until: new Date(NOW + 5 * DAY_MS).toISOString() }]);
+});
+
+test('a trigger with every target in its cooldown does not fire', () => {
+  const rules = rulesWith({ id: 'quality', when: 'assessment.averageScore < 70', action: 'improve', cooldownDays: 3 });
+  const calls = [];
+  const lastFired = (id, target) => {
+    calls.push([id, target]);
+    return NOW - DAY_MS;
+  };
+
+  const held = rules.evaluate(context, { lastFired, now: NOW });
+  assert.deepStrictEqual(calls, [['quality', null]]);
+  assert.deepStrictEqual(held.opportunities, []);
+  assert.deepStrictEqual(held.suppressed, [{ id: 'quality', target: null, until: new Date(NOW + 2 * DAY_MS).toISOString() }]);
+
+  // The cooldown ends exactly cooldownDays after the trigger fired
+  assert.strictEqual(rules.evaluate(context, { lastFired, now: NOW + 2 * DAY_MS }).opportunities.length, 1);
+});
+
+test('a zero-day cooldown never holds a trigger back', () => {
+  const rules = rulesWith({ id: 'quality', when: 'assessment.averageScore < 70', action: 'improve', cooldownDays: 0 });
+  const { opportunities, suppressed } = rules.evaluate(context, { lastFired: () => NOW, now: NOW });
+
+  assert.strictEqual(opportunities.length, 1);
+  assert.deepStrictEqual(suppressed, []);
+});
+
+test('built-in triggers default to a seven-day cooldown', () => {
+  const rules = new TriggerRules({ triggers: [{ id: 'custom', when: 'true', action: 'improve' }] });
+
+  assert.ok(rules.triggers.every(trigger => typeof trigger.cooldownDays === 'number'));
+  assert.strictEqual(rules.triggers.find(trigger => trigger.id === 'custom').cooldownDays, 7);
+});
+
+test('invalid triggers are rejected with the trigger named', () => {
+  const cases = [
+    [{ id: 'x', when: 'true', action: 'a', cooldownDays: -1 }, /trigger "x" cooldownDays must be a number of days/],
+    [{ id: 'x', when: 'true', action: 'a', scope: 'page' }, /trigger "x" has unknown scope "page"/],
+    [{ id: 'x', when: 'area.score < 1', action: 'a' }, /trigger "x" when uses unknown name "area"/],
+    [{ id: 'x', when: 'docs.stale', action: 'a', scope: 'document', targets: 'usage.leastAccessed' }, /can only set targets in the global scope/],
+    [{ id: 'x', when: 'a <', action: 'a' }, /trigger "x" has an invalid when expression: Expected a value at end of expression/]
+  ];
+
+  cases.forEach(([trigger, message]) => assert.throws(() => rulesWith(trigger), message));
+});
@@ -0,0 +1,89 @@
+const test = require('node:test');
+const assert = require('assert');
+const { createUnifiedDiff, applyUnifiedDiff } = require('../scripts/lib/unified-diff');
+
+const lines = count => Array.from({ length: count }, (_, index) => `line ${index + 1}`);
+
+test('identical texts have no diff', () => {
+  assert.strictEqual(createUnifiedDiff('a\nb\n', 'a\nb\n'), '');
+});
+
+test('headers name the files', () => {
+  const diff = createUnifiedDiff('a\n', 'b\n', { fromFile: 'a/page.md', toFile: 'b/page.md' });
+
+  assert.strictEqual(diff, '--- a/page.md\n+++ b/page.md\n@@ -1,1 +1,1 @@\n-a\n+b\n');
+});
+
+test('an insertion keeps three lines of context on each side', () => {
+  const before = lines(10);
+  const after = [...before.slice(0, 5), 'new', ...before.slice(5)];
+  const diff = createUnifiedDiff(before.join('\n') + '\n', after.join('\n') + '\n');
+
+  assert.strictEqual(diff, [
+    '--- a',
+    '+++ b',
+    '@@ -3,6 +3,7 @@',
+    ' line 3',
+    ' line 4',
+    ' line 5',
+    '+new',
+    ' line 6',
+    ' line 7',
+    ' line 8',
+    ''
+  ].join('\n'));
+});
+
+test('changes far apart get separate hunks with the right line numbers', () => {
+  const before = lines(20);
+  const after = before.map(line => (line === 'line 2' || line === 'line 18' ? `${line} changed` : line));
+  const diff = createUnifiedDiff(before.join('\n'), after.join('\n'));
+
+  assert.deepStrictEqual(diff.match(/^@@.*@@$/gm), ['@@ -1,5 +1,5 @@', '@@ -15,6 +15,6 @@']);
+  assert.match(diff, /^-line 2\n\+line 2 changed$/m);
+  assert.match(diff, /^-line 18\n\+line 18 changed$/m);
+});
+
+test('changes within twice the context share a hunk', () => {
+  const before = lines(12);
+  const after = before.map(line => (line === 'line 3' || line === 'line 9' ? 'x' : line));
+
+  assert.strictEqual(createUnifiedDiff(before.join('\n'), after.join('\n')).match(/^@@/gm).length, 1);
+});
+
+test('adding to and removing everything from an empty file', () => {
+  assert.strictEqual(createUnifiedDiff('', 'a\nb\n'), '--- a\n+++ b\n@@ -0,0 +1,2 @@\n+a\n+b\n');
+  assert.strictEqual(createUnifiedDiff('a\nb\n', ''), '--- a\n+++ b\n@@ -1,2 +0,0 @@\n-a\n-b\n');
+});
+
+test('removals come before additions when lines are replaced', () => {
+  const diff = createUnifiedDiff('keep\nold 1\nold 2\nkeep\n', 'keep\nnew 1\nkeep\n');
+
+  assert.strictEqual(diff, '--- a\n+++ b\n@@ -1,4 +1,3 @@\n keep\n-old 1\n-old 2\n+new 1\n keep\n');
+});
+
+test('applying a diff reproduces the new text', () => {
+  const before = lines(30).join('\n') + '\n';
+  const after = lines(30)
+    .map(line => (line === 'line 4' ? 'changed' : line))
+    .filter(line => line !== 'line 20')
+    .concat('appended')
+    .join('\n') + '\n';
+
+  assert.strictEqual(applyUnifiedDiff(before, createUnifiedDiff(before, after)), after);
+  assert.strictEqual(applyUnifiedDiff('', createUnifiedDiff('', 'new\n')), 'new\n');
+});
+
+test('the final newline follows the original unless given', () => {
+  const diff = createUnifiedDiff('a\nb', 'a\nc');
+
+  assert.strictEqual(applyUnifiedDiff('a\nb', diff), 'a\nc');
+  assert.strictEqual(applyUnifiedDiff('a\nb', diff, { trailingNewline: true }), 'a\nc\n');
+});
+
+test('a diff that does not match the text is refused', () => {
+  const diff = createUnifiedDiff('a\nb\nc\n', 'a\nB\nc\n');
+
+  assert.throws(() => applyUnifiedDiff('a\nx\nc\n', diff), /Patch does not match line 2: expected "b"/);
+  assert.throws(() => applyUnifiedDiff('', createUnifiedDiff(lines(10).join('\n'), lines(9).join('\n'))), /does not fit the file/);
+});
@@ -0,0 +1,197 @@
+const test = require('node:test');
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const UsageAnalytics = require('../scripts/lib/usage-analytics');
+
+const NOW = Date.parse('2026-06-01T12:00:00Z');
+
+// Files under docs/, plus files at the project root such as logs
+function createProject(docs, rootFiles = {}) {
+  const projectRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'selfref-usage-'));
+  process.on('exit', () => fs.rmSync(projectRoot, { recursive: true, force: true }));
+
+  const write = (file, content) => {
+    fs.mkdirSync(path.dirname(path.join(projectRoot, file)), { recursive: true });
+    fs.writeFileSync(path.join(projectRoot, file), content);
+  };
+  Object.entries(docs).forEach(([file, content]) => write(path.join('docs', file), content));
+  Object.entries(rootFiles).forEach(([file, content]) => write(file, content));
+
+  return projectRoot;
+}
+
+const logLine = (host, time, request, status, referer, agent) =>
+  `${host} - - [${time}] "${request} HTTP/1.1" ${status} 512 "${referer}" "${agent}"`;
+const BROWSER = 'Mozilla/5.0 (X11; Linux x86_64)';
+const byFile = (result) => Object.fromEntries(result.documents.map(document => [document.file, document]));
+
+test('parseLogTime() applies the timezone offset and rejects other formats', () => {
+  assert.strictEqual(UsageAnalytics.parseLogTime('10/Oct/2025:13:55:36 -0700'), Date.parse('2025-10-10T20:55:36Z'));
+  assert.strictEqual(UsageAnalytics.parseLogTime('01/Jan/2026:00:10:00 +0530'), Date.parse('2025-12-31T18:40:00Z'));
+  assert.strictEqual(UsageAnalytics.parseLogTime('29/Feb/2024:23:59:59 +0000'), Date.parse('2024-02-29T23:59:59Z'));
+
+  assert.ok(Number.isNaN(UsageAnalytics.parseLogTime('10/Okt/2025:13:55:36 -0700')));
+  assert.ok(Number.isNaN(UsageAnalytics.parseLogTime('2025-10-10T13:55:36Z')));
+  assert.ok(Number.isNaN(UsageAnalytics.parseLogTime('10/Oct/2025:13:55:36')));
+});
+
+test('access log views map site URLs under basePath to the Markdown they were built from', () => {
+  const projectRoot = createProject({
+    'index.md': '# Home\n',
+    'guides/index.md': '# Guides\n',
+    'guides/setup.md': '# Setup\n',
+    'api.md': '# API\n',
+    'other.md': '# Other\n'
+  }, {
+    'logs/access.log': [
+      logLine('1.1.1.1', '31/May/2026:10:00:00 +0000', 'GET /site/docs/', 200, '-', BROWSER),
+      logLine('1.1.1.1', '31/May/2026:10:01:30 +0000', 'GET /site/docs/guides/setup.html', 200, '-', BROWSER),
+      logLine('1.1.1.1', '31/May/2026:10:02:00 +0000', 'GET /site/docs/guides/', 304, '-', BROWSER),
+      logLine('1.1.1.1', '31/May/2026:10:02:30 +0000', 'GET /site/docs/api', 200, '-', BROWSER),
+      logLine('1.1.1.1', '31/May/2026:10:03:00 +0000', 'GET /site/docs/styles/main.css', 200, '-', BROWSER),
+      logLine('1.1.1.1', '31/May/2026:10:04:00 +0000', 'GET /docs/other.html', 200, '-', BROWSER),
+      logLine('1.1.1.1', '31/May/2026:10:05:00 +0000', 'GET /site/docs/missing.html', 200, '-', BROWSER),
+      logLine('1.1.1.1', '31/May/2026:10:06:00 +0000', 'POST /site/docs/other.html', 200, '-', BROWSER),
+      logLine('1.1.1.1', '31/May/2026:10:07:00 +0000', 'GET /site/docs/other.html', 404, '-', BROWSER),
+      'not a log line'
+    ].join('\n') + '\n'
+  });
+
+  const result = new UsageAnalytics({ projectRoot, now: NOW, config: { basePath: 'site/docs', sources: [{ type: 'access-log', files: ['logs/*.log'] }] } }).analyze();
+  const documents = byFile(result);
+
+  assert.deepStrictEqual(Object.fromEntries(Object.entries(documents).map(([file, document]) => [file, document.views])), {
+    'api.md': 1,
+    'guides/index.md': 1,
+    'guides/setup.md': 1,
+    'index.md': 1,
+    'other.md': 0
+  });
+  assert.deepStrictEqual(result.totals, { files: 1, lines: 10, skippedLines: 1, pageViews: 4, searches: 0, visitors: 1 });
+  assert.strictEqual(result.provenance, '4 page views and 0 searches over the last 30 days from 1 file (1 unreadable lines skipped)');
+});
+
+test('bots are ignored by user agent', () => {
+  const projectRoot = createProject({ 'index.md': '# Home\n', 'guide.md': '# Guide\n' }, {
+    'access.log': [
+      logLine('2.2.2.2', '31/May/2026:10:00:00 +0000', 'GET /docs/guide.html', 200, '-', 'Mozilla/5.0 (compatible; Googlebot/2.1)'),
+      logLine('2.2.2.3', '31/May/2026:10:00:00 +0000', 'GET /docs/guide.html', 200, '-', 'curl/8.5.0'),
+      logLine('2.2.2.4', '31/May/2026:10:00:00 +0000', 'GET /docs/guide.html', 200, '-', 'InternalLinkChecker'),
+      logLine('3.3.3.3', '31/May/2026:10:00:00 +0000', 'GET /docs/index.html', 200, '-', BROWSER)
+    ].join('\n'),
+    'events.jsonl': [
+      JSON.stringify({ type: 'pageview', path: '/docs/guide.html', timestamp: '2026-05-31T10:00:00Z', userAgent: 'HeadlessChrome/120' }),
+      JSON.stringify({ type: 'pageview', path: '/docs/index.html', timestamp: '2026-05-31T10:00:00Z', userAgent: BROWSER })
+    ].join('\n')
+  });
+
+  const analyze = (config) => byFile(new UsageAnalytics({ projectRoot, now: NOW, config: {
+    sources: [{ type: 'access-log', files: ['access.log'] }, { type: 'events', files: ['events.jsonl'] }],
+    ...config
+  } }).analyze());
+
+  const documents = analyze({});
+  assert.strictEqual(documents['guide.md'].views, 1);
+  assert.strictEqual(documents['index.md'].views, 2);
+
+  // Configured bot agents replace the defaults
+  assert.strictEqual(analyze({ botAgents: ['checker'] })['guide.md'].views, 3);
+});
+
+test('dwell time lasts until the next view in the same session', () => {
+  const projectRoot = createProject({ 'a.md': '# A\n', 'b.md': '# B\n', 'c.md': '# C\n' }, {
+    'access.log': [
+      // Visitor 1: a for 90s, b for 30 minutes exactly, then c after a 31 minute gap
+      logLine('1.1.1.1', '31/May/2026:10:00:00 +0000', 'GET /docs/a.html', 200, '-', BROWSER),
+      logLine('1.1.1.1', '31/May/2026:10:01:30 +0000', 'GET /docs/b.html', 200, '-', BROWSER),
+      logLine('1.1.1.1', '31/May/2026:10:31:30 +0000', 'GET /docs/c.html', 200, '-', BROWSER),
+      logLine('1.1.1.1', '31/May/2026:11:02:30 +0000', 'GET /docs/a.html', 200, '-', BROWSER),
+      // Visitor 2, same address in another browser: a for 30s, interleaved with visitor 1
+      logLine('1.1.1.1', '31/May/2026:10:00:10 +0000', 'GET /docs/a.html', 200, '-', 'Firefox/126.0'),
+      logLine('1.1.1.1', '31/May/2026:10:00:40 +0000', 'GET /docs/c.html', 200, '-', 'Firefox/126.0')
+    ].join('\n')
+  });
+
+  const documents = byFile(new UsageAnalytics({ projectRoot, now: NOW, config: { sources: [{ type: 'access-log', files: ['access.log'] }] } }).analyze());
+
+  assert.deepStrictEqual([documents['a.md'].averageDwellSeconds, documents['a.md'].uniqueVisitors], [60, 2]);
+  assert.strictEqual(documents['b.md'].averageDwellSeconds, 1800);
+  assert.strictEqual(documents['c.md'].averageDwellSeconds, null);
+
+  const shortSessions = byFile(new UsageAnalytics({ projectRoot, now: NOW, config: { sessionMinutes: 1, sources: [{ type: 'access-log', files: ['access.log'] }] } }).analyze());
+  assert.deepStrictEqual([shortSessions['a.md'].averageDwellSeconds, shortSessions['b.md'].averageDwellSeconds], [30, null]);
+});
+
+test('views outside the window, after the timezone offset, are left out', () => {
+  const projectRoot = createProject({ 'a.md': '# A\n' }, {
+    'access.log': [
+      // 2026-06-01T11:00Z and 13:00Z; only the first is before now
+      logLine('1.1.1.1', '01/Jun/2026:06:00:00 -0500', 'GET /docs/a.html', 200, '-', BROWSER),
+      logLine('1.1.1.2', '01/Jun/2026:08:00:00 -0500', 'GET /docs/a.html', 200, '-', BROWSER),
+      logLine('1.1.1.3', '01/May/2026:11:00:00 +0000', 'GET /docs/a.html', 200, '-', BROWSER)
+    ].join('\n')
+  });
+
+  const result = new UsageAnalytics({ projectRoot, now: NOW, config: { windowDays: 30, sources: [{ type: 'access-log', files: ['access.log'] }] } }).analyze();
+
+  assert.strictEqual(result.window.from, '2026-05-02T12:00:00.000Z');
+  assert.strictEqual(byFile(result)['a.md'].views, 1);
+});
+
+test('search terms count once and are credited to pages opened from the search', () => {
+  const projectRoot = createProject({ 'index.md': '# Home\n', 'setup.md': '# Setup\n' }, {
+    'access.log': [
+      logLine('1.1.1.1', '31/May/2026:10:00:00 +0000', 'GET /docs/search.html?q=Setup+Guide', 200, '-', BROWSER),
+      logLine('1.1.1.1', '31/May/2026:10:00:05 +0000', 'GET /docs/setup.html', 200, 'https://example.com/docs/search.html?q=setup%20%20guide', BROWSER),
+      logLine('1.1.1.1', '31/May/2026:10:00:06 +0000', 'GET /docs/index.html', 200, 'https://example.com/docs/setup.html', BROWSER)
+    ].join('\n'),
+    'events.jsonl': [
+      JSON.stringify({ type: 'search', query: 'Install', timestamp: '2026-05-31T10:00:00Z', page: '/docs/setup.html' }),
+      JSON.stringify({ q: 'setup guide', timestamp: '2026-05-31T11:00:00Z' }),
+      JSON.stringify({ type: 'search', query: '  ', timestamp: '2026-05-31T11:00:00Z' })
+    ].join('\n')
+  });
+
+  const result = new UsageAnalytics({ projectRoot, now: NOW, config: {
+    sources: [{ type: 'access-log', files: ['access.log'] }, { type: 'events', files: ['events.jsonl'] }]
+  } }).analyze();
+  const documents = byFile(result);
+
+  assert.deepStrictEqual(result.searchTerms, [{ term: 'setup guide', count: 2 }, { term: 'install', count: 1 }]);
+  assert.deepStrictEqual(result.searchPatterns, ['setup guide', 'install']);
+  assert.deepStrictEqual(documents['setup.md'].searchTerms, [{ term: 'install', count: 1 }, { term: 'setup guide', count: 1 }]);
+  assert.deepStrictEqual(documents['index.md'].searchTerms, []);
+  assert.strictEqual(result.totals.skippedLines, 1);
+});
+
+test('least accessed are active documents viewed less than the average one', () => {
+  const views = { 'a.md': 4, 'b.md': 2, 'c.md': 1, 'old.md': 0, 'evolution/generated.md': 0 };
+  const events = Object.entries(views).flatMap(([file, count]) => Array.from({ length: count }, (_, index) =>
+    JSON.stringify({ type: 'pageview', path: `/docs/${file.replace('.md', '.html')}`, timestamp: '2026-05-31T10:00:00Z', visitor: `v${index}` })));
+  const docs = {
+    'a.md': '# A\n',
+    'b.md': '# B\n',
+    'c.md': '# C\n',
+    'd.md': '# D\n',
+    'old.md': '---\nstatus: archived\n---\n# Old\n',
+    'evolution/generated.md': '# Generated\n'
+  };
+  const analyze = (files, config = {}) => new UsageAnalytics({
+    projectRoot: createProject(docs, files),
+    now: NOW,
+    config: { sources: [{ type: 'events', files: ['events.jsonl'] }], ...config }
+  }).analyze();
+
+  // The average over a, b, c and d is 7 / 4 = 1.75 views
+  const result = analyze({ 'events.jsonl': events.join('\n') });
+  assert.deepStrictEqual(result.leastAccessed, ['d.md', 'c.md']);
+  assert.deepStrictEqual(result.popularDocuments, ['a.md', 'b.md', 'c.md']);
+  assert.deepStrictEqual(result.reach, { active: 4, viewed: 3 });
+
+  assert.deepStrictEqual(analyze({ 'events.jsonl': events.join('\n') }, { leastAccessedCount: 1 }).leastAccessed, ['d.md']);
+
+  // Without views there is nothing to compare against
+  assert.deepStrictEqual(analyze({ 'events.jsonl': '' }).leastAccessed, []);
+});
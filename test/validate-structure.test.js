@@ -0,0 +1,84 @@
+const test = require('node:test');
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const SelfReferentialValidator = require('../scripts/validate-structure');
+const { parseMarkdown } = require('../scripts/lib/markdown-ast');
+
+const silent = { log: () => {}, warn: () => {}, error: () => {} };
+
+function createProject(files) {
+  const projectRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'selfref-validate-'));
+  process.on('exit', () => fs.rmSync(projectRoot, { recursive: true, force: true }));
+  Object.entries(files).forEach(([file, content]) => {
+    const filePath = path.join(projectRoot, 'docs', file);
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    fs.writeFileSync(filePath, content);
+  });
+  return projectRoot;
+}
+
+function createValidator(projectRoot, options = {}) {
+  return new SelfReferentialValidator({ projectRoot, cache: false, logger: silent, ...options });
+}
+
+async function fixContent(content) {
+  const validator = createValidator(createProject({}));
+  const document = await parseMarkdown(content);
+  return validator.buildFixedContent(document, validator.checkContent(document, 'page.md'));
+}
+
+test('inserts missing sections one level below a single title', async () => {
+  const { content, inserted } = await fixContent('# Title\n\nSome text.\n');
+
+  assert.deepStrictEqual(inserted, ['pmcro-loop', 'self-assessment', 'evolution-triggers', 'meta-commentary']);
+  assert.match(content, /^# Title\n\nSome text\.\n\n## PMCR-O Loop Execution\n/);
+  assert.match(content, /\n## Self-Assessment\n/);
+  assert.match(content, /\n## Evolution Triggers\n/);
+  assert.match(content, /\n---\n\n\*Meta-Note: .*\*\n$/);
+});
+
+test('uses the level of the top headings when there is no single title', async () => {
+  const { content } = await fixContent('## One\n\nText.\n\n## Two\n\nText.\n');
+
+  assert.match(content, /\n## Self-Assessment\n/);
+  assert.doesNotMatch(content, /\n### /);
+});
+
+test('inserts sections before a closing meta-note', async () => {
+  const { content, inserted } = await fixContent('# Title\n\nText.\n\n---\n\n*Meta-Note: closing thoughts*\n');
+
+  assert.ok(!inserted.includes('meta-commentary'));
+  assert.ok(content.indexOf('## Evolution Triggers') < content.indexOf('---'));
+  assert.match(content, /\n---\n\n\*Meta-Note: closing thoughts\*\n$/);
+});
+
+test('does not add a section whose heading exists under different casing', async () => {
+  const { content, inserted, skipped } = await fixContent('# Title\n\n## SELF ASSESSMENT\n\nText.\n');
+
+  assert.ok(!inserted.includes('self-assessment'));
+  assert.deepStrictEqual(skipped, [{ rule: 'self-assessment', heading: 'SELF ASSESSMENT' }]);
+  assert.strictEqual(content.match(/self.assessment/gi).length, 1);
+});
+
+test('--fix writes the file and the fixed document validates', async () => {
+  const projectRoot = createProject({ 'page.md': '# Title\n\nText.\n' });
+  const report = await createValidator(projectRoot, { fix: true }).validate();
+
+  assert.strictEqual(report.summary.fixedFiles, 1);
+  assert.strictEqual(report.summary.invalidFiles, 0);
+  assert.match(fs.readFileSync(path.join(projectRoot, 'docs', 'page.md'), 'utf8'), /## PMCR-O Loop Execution/);
+});
+
+test('--dry-run reports the diff without writing', async () => {
+  const original = '# Title\n\nText.\n';
+  const projectRoot = createProject({ 'page.md': original });
+  const validator = createValidator(projectRoot, { dryRun: true });
+  await validator.validate();
+
+  const [result] = validator.results;
+  assert.strictEqual(result.fix.status, 'planned');
+  assert.match(result.fix.diff, /^\+## Self-Assessment$/m);
+  assert.strictEqual(fs.readFileSync(path.join(projectRoot, 'docs', 'page.md'), 'utf8'), original);
+});
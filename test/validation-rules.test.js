@@ -0,0 +1,187 @@
+const test = require('node:test');
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const ValidationRules = require('../scripts/lib/validation-rules');
+const { parseMarkdown } = require('../scripts/lib/markdown-ast');
+
+const COMPLETE = [
+  '# Page',
+  '',
+  '## PMCR-O Loop Execution',
+  '',
+  '## Self-Assessment',
+  '',
+  '## Evolution Triggers',
+  '',
+  '> **Note:** maintained by hand',
+  ''
+].join('\n');
+
+function ids(rules) {
+  return rules.map(rule => rule.id);
+}
+
+test('built-in rules apply to every document as errors', () => {
+  const rules = new ValidationRules();
+
+  assert.deepStrictEqual(ids(rules.rulesFor('guides/page.md')), [
+    'pmcro-loop', 'self-assessment', 'evolution-triggers', 'meta-commentary', 'front-matter-schema', 'required-sections'
+  ]);
+  assert.ok(rules.rules.every(rule => rule.severity === 'error'));
+  assert.strictEqual(rules.source, 'built-in rules');
+});
+
+test('a rule with a built-in id replaces only the fields it sets', () => {
+  const rules = new ValidationRules({ rules: [{ id: 'meta-commentary', severity: 'warning' }] });
+  const rule = rules.rules.find(candidate => candidate.id === 'meta-commentary');
+
+  assert.strictEqual(rule.severity, 'warning');
+  assert.ok(rule.match.any);
+  assert.ok(rule.template);
+});
+
+test('new rules are added with default files and severity', () => {
+  const rules = new ValidationRules({ rules: [{ id: 'examples', match: { heading: 'Examples' } }] });
+  const rule = rules.rules.find(candidate => candidate.id === 'examples');
+
+  assert.deepStrictEqual(rule.files, ['**/*.md']);
+  assert.strictEqual(rule.severity, 'error');
+});
+
+test('rules only apply to their files', () => {
+  const rules = new ValidationRules({
+    rules: [{ id: 'examples', files: ['guides/**'], excludeFiles: ['guides/drafts/**'], match: { heading: 'Examples' } }]
+  });
+
+  assert.ok(ids(rules.rulesFor('guides/page.md')).includes('examples'));
+  assert.ok(!ids(rules.rulesFor('api/page.md')).includes('examples'));
+  assert.ok(!ids(rules.rulesFor('guides/drafts/page.md')).includes('examples'));
+});
+
+test('the last matching override sets the severity, and off removes the rule', () => {
+  const rules = new ValidationRules({
+    overrides: [
+      { files: ['philosophy/**'], rules: { 'meta-commentary': 'warning' } },
+      { files: ['philosophy/old/**'], rules: { 'meta-commentary': 'off' } }
+    ]
+  });
+
+  const severityOf = file => (rules.rulesFor(file).find(rule => rule.id === 'meta-commentary') || {}).severity;
+  assert.strictEqual(severityOf('guides/page.md'), 'error');
+  assert.strictEqual(severityOf('philosophy/page.md'), 'warning');
+  assert.strictEqual(severityOf('philosophy/old/page.md'), undefined);
+});
+
+test('front matter disables single rules or all of them', () => {
+  const rules = new ValidationRules();
+
+  assert.ok(!ids(rules.rulesFor('page.md', { selfref: { disable: ['pmcro-loop'] } })).includes('pmcro-loop'));
+  assert.ok(!ids(rules.rulesFor('page.md', { selfref: { disable: 'pmcro-loop' } })).includes('pmcro-loop'));
+  assert.deepStrictEqual(rules.rulesFor('page.md', { selfref: { disable: 'all' } }), []);
+});
+
+test('exclude globs default to node_modules, .git and _site', () => {
+  const rules = new ValidationRules();
+
+  assert.ok(rules.isExcluded('_site/page.md'));
+  assert.ok(rules.isExcluded('a/node_modules/b.md'));
+  assert.ok(!rules.isExcluded('guides/page.md'));
+  assert.ok(new ValidationRules({ exclude: ['drafts/**'] }).isExcluded('drafts/page.md'));
+});
+
+test('configuration mistakes name the rule and the problem', () => {
+  const cases = [
+    [{ rules: [{ match: { heading: 'x' } }] }, /every rule needs an id/],
+    [{ rules: [{ id: 'x', severity: 'fatal', match: { heading: 'x' } }] }, /rule "x" has unknown severity "fatal"/],
+    [{ rules: [{ id: 'x' }] }, /rule "x" needs a match/],
+    [{ rules: [{ id: 'x', match: { any: [] } }] }, /rule "x" has an empty any\/all match/],
+    [{ rules: [{ id: 'x', match: { regex: '(' } }] }, /rule "x" has an invalid regex/],
+    [{ rules: [{ id: 'x', match: { frontMatter: [] } }] }, /rule "x" frontMatter must be a schema object/],
+    [{ rules: [{ id: 'x', match: { words: 1 } }] }, /rule "x" match needs heading, regex/],
+    [{ overrides: [{ files: ['**'], rules: { x: 'loud' } }] }, /override for "x" has unknown severity "loud"/]
+  ];
+
+  cases.forEach(([config, message]) => {
+    assert.throws(() => new ValidationRules(config, 'rules.json'), error => {
+      assert.match(error.message, /^rules\.json: /);
+      assert.match(error.message, message);
+      return true;
+    });
+  });
+});
+
+test('load() reads the rules file and reports a missing or broken one', () => {
+  const projectRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'selfref-rules-'));
+  process.on('exit', () => fs.rmSync(projectRoot, { recursive: true, force: true }));
+
+  assert.strictEqual(ValidationRules.load(projectRoot).source, 'built-in rules');
+  assert.throws(() => ValidationRules.load(projectRoot, path.join(projectRoot, 'missing.json')), /Rules file not found/);
+
+  fs.writeFileSync(path.join(projectRoot, ValidationRules.RULES_FILE), '{ "rules": [{ "id": "pmcro-loop", "severity": "info" }] }');
+  const rules = ValidationRules.load(projectRoot);
+  assert.strictEqual(rules.source, ValidationRules.RULES_FILE);
+  assert.strictEqual(rules.rules.find(rule => rule.id === 'pmcro-loop').severity, 'info');
+
+  fs.writeFileSync(path.join(projectRoot, ValidationRules.RULES_FILE), '{ rules: ');
+  assert.throws(() => ValidationRules.load(projectRoot), /Could not parse/);
+});
+
+test('heading matches ignore case and punctuation and can require a level', async () => {
+  const rules = new ValidationRules();
+  const document = await parseMarkdown('# Page\n\n### self assessment\n');
+
+  assert.ok(rules.matches({ heading: 'Self-Assessment' }, document));
+  assert.ok(rules.matches({ heading: ['Other', 'Self Assessment'] }, document));
+  assert.ok(!rules.matches({ heading: 'Self-Assessment', level: 2 }, document));
+});
+
+test('regex matches read prose only unless the scope is source', async () => {
+  const rules = new ValidationRules();
+  const document = await parseMarkdown('# Page\n\n```text\nPlanner: in code\n```\n\nSee `Maker:` and [Checker:](x.md).\n');
+
+  assert.ok(!rules.matches({ regex: 'Planner:' }, document));
+  assert.ok(!rules.matches({ regex: 'Maker:' }, document));
+  assert.ok(!rules.matches({ regex: 'Checker:' }, document));
+  assert.ok(rules.matches({ regex: 'Planner:', scope: 'source' }, document));
+  assert.ok(rules.matches({ regex: 'see', flags: 'i' }, document));
+});
+
+test('callout matches can require the closing note', async () => {
+  const rules = new ValidationRules();
+  const quoted = await parseMarkdown('# Page\n\n> **Note:** quoted\n\nText.\n');
+  const closing = await parseMarkdown('# Page\n\nText.\n\n---\n\n*Maintained by the docs team*\n');
+
+  assert.ok(rules.matches({ callout: 'Note:' }, quoted));
+  assert.ok(!rules.matches({ callout: '.', closing: true }, quoted));
+  assert.ok(rules.matches({ callout: '.', closing: true }, closing));
+});
+
+test('any and all combine matches', async () => {
+  const rules = new ValidationRules();
+  const document = await parseMarkdown('# Page\n\nPlanner: a. Maker: b.\n');
+
+  assert.ok(rules.matches({ all: [{ regex: 'Planner:' }, { regex: 'Maker:' }] }, document));
+  assert.ok(!rules.matches({ all: [{ regex: 'Planner:' }, { regex: 'Checker:' }] }, document));
+  assert.ok(rules.matches({ any: [{ regex: 'Checker:' }, { heading: 'Page' }] }, document));
+});
+
+test('a complete document satisfies every built-in rule', async () => {
+  const rules = new ValidationRules();
+  const document = await parseMarkdown(COMPLETE);
+
+  rules.rulesFor('page.md').forEach(rule => {
+    assert.deepStrictEqual(rules.violations(rule.match, document), [], rule.id);
+  });
+});
+
+test('required sections from front matter are reported one by one', async () => {
+  const rules = new ValidationRules();
+  const document = await parseMarkdown('---\nrequiredSections: [Examples, Overview]\n---\n# Page\n\n## Overview\n');
+  const rule = rules.rules.find(candidate => candidate.id === 'required-sections');
+
+  assert.deepStrictEqual(rules.violations(rule.match, document), [
+    { message: 'Missing section "Examples" required by front matter' }
+  ]);
+});